@@ -5,16 +5,52 @@
  * Model, View e Services. Gestisce il flusso dati e le azioni utente.
  */
 
-import { WeekData } from '../models/WeekData.js';
-import { TimeEntry, ABSENT_HOURS } from '../models/TimeEntry.js';
+import { WeekData, AUDIT_ACTIONS, AUDIT_SOURCES } from '../models/WeekData.js';
+import { TimeEntry } from '../models/TimeEntry.js';
+import { CUSTOM_PROFILE_ID } from '../models/ContractProfile.js';
+import { AbsenceReason } from '../models/AbsenceReason.js';
 import { StorageManager } from '../storage/StorageManager.js';
+import { SCHEMA_VERSION } from '../storage/SchemaMigrations.js';
 import { UIManager } from '../views/UIManager.js';
 import { ModalManager, modalManager } from '../views/ModalManager.js';
 import { WeekNavigator, weekNavigator } from '../services/WeekNavigator.js';
-import { timeCalculator, CONFIG } from '../services/TimeCalculator.js';
+import { timeCalculator, ORPHAN_REASONS } from '../services/TimeCalculator.js';
+import { settingsService } from '../services/SettingsService.js';
+import { hourBankService, ADJUSTMENT_TYPES } from '../services/HourBankService.js';
+import { complianceService } from '../services/ComplianceService.js';
+import { mealVoucherService } from '../services/MealVoucherService.js';
+import { leaveBalanceService } from '../services/LeaveBalanceService.js';
+import { shortLeaveService } from '../services/ShortLeaveService.js';
+import { smartWorkingService } from '../services/SmartWorkingService.js';
+import { onCallService } from '../services/OnCallService.js';
+import { missionService } from '../services/MissionService.js';
+import { auditService } from '../services/AuditService.js';
+import { PATRON_SAINTS } from '../services/HolidayService.js';
+import { weekPlannerService } from '../services/WeekPlannerService.js';
 import { exportService } from '../services/ExportService.js';
 import { eventBus, EVENTS } from '../utils/EventBus.js';
-import { formatDateISO, isFriday, parseDateISO, getCurrentWeek, getWeekKey, getWeekYear, getWeekNumber } from '../utils/DateUtils.js';
+import { formatDateISO, formatDateIT, formatDateWithDay, parseDateISO, parseWeekKey, getCurrentWeek, getWeekKey, getWeekYear, getWeekNumber, getWeekStartDate } from '../utils/DateUtils.js';
+import { minutesToTime, parseTimeToMinutes } from '../utils/Validators.js';
+
+/**
+ * Operazioni conservate nella pila di annullamento
+ */
+const MAX_UNDO_STEPS = 20;
+
+/**
+ * Durata dei toast con azione Annulla/Ripeti (ms)
+ */
+const UNDO_TOAST_DURATION = 5000;
+
+/**
+ * Durata del toast di migrazione dei dati non riuscita (ms)
+ */
+const MIGRATION_TOAST_DURATION = 15000;
+
+/**
+ * Durata massima di un turno chiuso dal pulsante Uscita il giorno dopo (minuti)
+ */
+const MAX_OVERNIGHT_SHIFT_MINUTES = 16 * 60;
 
 /**
  * Controller principale
@@ -38,6 +74,12 @@ export class AppController {
         
         /** @type {boolean} */
         this.isInitialized = false;
+
+        /** @type {Array<{label: string, weeks: Object, adjustments: Object|null, audited: boolean}>} Operazioni da annullare */
+        this.undoStack = [];
+
+        /** @type {Array<{label: string, weeks: Object, adjustments: Object|null, audited: boolean}>} Operazioni annullate da ripetere */
+        this.redoStack = [];
     }
 
     /**
@@ -50,6 +92,12 @@ export class AppController {
             // Inizializza storage
             await this.storage.init();
 
+            // Carica impostazioni (profilo contrattuale attivo)
+            await settingsService.init(this.storage);
+
+            // Carica lo storico delle modifiche
+            await auditService.init(this.storage);
+
             // Carica tutti i dati
             this.allData = await this.storage.loadAllData();
             console.log(`AppController: Caricati dati per ${Object.keys(this.allData).length} settimane`);
@@ -62,12 +110,20 @@ export class AppController {
                 onAssente: () => this.handleAssente(),
                 onPrevWeek: () => this.handlePrevWeek(),
                 onNextWeek: () => this.handleNextWeek(),
-                onEditEntry: (date, index, entry) => this.handleEditEntry(date, index, entry),
+                onEditEntry: (date, id, entry) => this.handleEditEntry(date, id, entry),
                 onAddEntry: (dateKey) => this.handleAddEntry(dateKey),
                 onExportJSON: () => this.handleExportJSON(),
                 onExportExcel: () => this.handleExportExcel(),
+                onExportYear: () => this.handleExportYear(),
                 onImport: (file) => this.handleImport(file),
-                onBackup: () => this.handleBackup()
+                onBackup: () => this.handleBackup(),
+                onSettings: () => this.handleSettings(),
+                onHourBank: () => this.handleHourBank(),
+                onPlanner: () => this.handlePlanner(),
+                onMissions: () => this.handleMissions(),
+                onDayHistory: (dateKey) => this.handleDayHistory(dateKey),
+                onUndo: () => this.handleUndo(),
+                onRedo: () => this.handleRedo()
             });
 
             // Setup event listeners
@@ -76,8 +132,16 @@ export class AppController {
             // Carica e visualizza settimana corrente
             await this.loadCurrentWeek();
 
+            // Migrazione dei dati non riuscita all'avvio: avvisa e propone il ripristino
+            if (this.storage.isWriteBlocked()) {
+                this.showMigrationFailure();
+            }
+
             // Controlla dati vecchi
             await this.checkOldData();
+
+            // Avvisa dei permessi brevi da recuperare a breve
+            this.checkShortLeaveDeadlines();
             
             // Setup listener per aggiornamento settimana quando l'app torna in focus
             this.setupVisibilityListener();
@@ -120,6 +184,9 @@ export class AppController {
         eventBus.on(EVENTS.WEEK_CHANGED, async (data) => {
             await this.loadWeekData(data.weekKey);
         });
+
+        // Scrittura rifiutata per la migrazione dei dati non riuscita
+        eventBus.on(EVENTS.MIGRATION_FAILED, () => this.showMigrationFailure());
     }
 
     /**
@@ -142,20 +209,34 @@ export class AppController {
         this.currentWeekData = WeekData.fromWeekKey(weekKey, weekData);
         
         // Aggiorna UI
-        this.ui.renderWeek(weekInfo, this.currentWeekData.toJSON());
+        this.ui.renderWeek(weekInfo, this.currentWeekData.toJSON(), this.getTotalsContext(weekKey));
         
         eventBus.emit(EVENTS.WEEK_DATA_LOADED, { weekKey, weekInfo });
     }
 
     /**
      * Salva i dati della settimana corrente
+     * @param {string|null} [undoLabel=null] - Se indicata, la modifica diventa annullabile con questa descrizione
      */
-    async saveCurrentWeek() {
+    async saveCurrentWeek(undoLabel = null) {
         if (!this.currentWeekData) return;
 
         const weekKey = this.currentWeekData.weekKey;
+
+        // Scritture bloccate dalla migrazione non riuscita: la modifica si scarta
+        if (this.storage.isWriteBlocked()) {
+            await this.loadWeekData(weekKey);
+            this.showMigrationFailure();
+            return;
+        }
+
         const data = this.currentWeekData.toJSON();
 
+        // allData contiene ancora lo stato precedente alla modifica
+        if (undoLabel) {
+            this.pushUndo(undoLabel, { [weekKey]: { before: this.getWeekState(weekKey), after: data } });
+        }
+
         // Aggiorna dati locali
         if (Object.keys(data).length > 0) {
             this.allData[weekKey] = data;
@@ -165,10 +246,83 @@ export class AppController {
 
         // Salva su storage
         await this.storage.saveAllData(this.allData);
+        const records = this.currentWeekData.takeAuditRecords();
+        await auditService.append(records);
+        this.emitEntryEvents(records);
 
         // Aggiorna UI
         const weekInfo = this.navigator.getViewWeekInfo();
-        this.ui.renderWeek(weekInfo, data);
+        this.ui.renderWeek(weekInfo, data, this.getTotalsContext(weekKey));
+    }
+
+    /**
+     * Notifica le modifiche salvate con gli eventi delle entry
+     * Il payload identifica l'entry per ID: {dateKey, id, entry} (entry null se eliminata).
+     * @param {Array} records - Record di audit delle modifiche
+     */
+    emitEntryEvents(records) {
+        const events = {
+            [AUDIT_ACTIONS.ADD]: EVENTS.ENTRY_ADDED,
+            [AUDIT_ACTIONS.UPDATE]: EVENTS.ENTRY_UPDATED,
+            [AUDIT_ACTIONS.DELETE]: EVENTS.ENTRY_DELETED
+        };
+
+        for (const record of records) {
+            eventBus.emit(events[record.action], {
+                dateKey: record.dateKey,
+                id: (record.after || record.before).id,
+                entry: record.after
+            });
+        }
+    }
+
+    /**
+     * Calcola i dati dei totali che dipendono dalle altre settimane:
+     * riporto banca ore, straordinario già riconosciuto nell'anno,
+     * avvisi di conformità (D.Lgs. 66/2003), buoni pasto dei mesi della settimana
+     * e giorni di smart working degli stessi mesi, saldi di ferie e permessi
+     * dell'anno, recupero dei permessi brevi, totali della reperibilità,
+     * missioni dei mesi della settimana e modifiche registrate per giorno
+     * @param {string} weekKey - Chiave settimana
+     * @returns {{carriedMinutes: number, overtimeUsedByYear: Object, overtimeYear: Object, compliance: Array, mealVouchers: Array, smartWorking: Array, leaveBalances: Object, shortLeave: Object, onCall: Object, missions: Array, historyCounts: Object}}
+     */
+    getTotalsContext(weekKey) {
+        const workDates = WeekData.fromWeekKey(weekKey).getWorkDates();
+        const monday = workDates[0];
+
+        const overtimeUsedByYear = {};
+        for (const year of new Set(workDates.map(dateKey => Number(dateKey.slice(0, 4))))) {
+            overtimeUsedByYear[year] = timeCalculator.calculateYearOvertime(this.allData, year, monday);
+        }
+
+        const { year } = parseWeekKey(weekKey);
+        const months = [...new Set(workDates.map(dateKey => dateKey.slice(0, 7)))];
+        return {
+            carriedMinutes: hourBankService.getCarriedOver(this.allData, weekKey),
+            overtimeUsedByYear,
+            overtimeYear: {
+                year,
+                usedMinutes: timeCalculator.calculateYearOvertime(this.allData, year),
+                capMinutes: timeCalculator.getOvertimeCapMinutes()
+            },
+            compliance: complianceService.checkWeek(
+                WeekData.fromWeekKey(weekKey, this.allData[weekKey] || {}),
+                this.allData
+            ),
+            mealVouchers: months.map(month => mealVoucherService.getMonthlyCount(this.allData, month)),
+            smartWorking: months.map(month => smartWorkingService.getMonthUsage(this.allData, month)),
+            leaveBalances: {
+                year,
+                balances: leaveBalanceService.getBalances(this.allData, year)
+            },
+            shortLeave: shortLeaveService.getSummary(this.allData, year, this.getTodayDateKey()),
+            onCall: {
+                week: onCallService.getTotals(this.allData[weekKey] || {}),
+                months: months.map(month => onCallService.getMonthTotals(this.allData, month))
+            },
+            missions: months.map(month => missionService.getMonthSummary(this.allData, month)),
+            historyCounts: auditService.getHistoryCounts(workDates)
+        };
     }
 
     /**
@@ -213,19 +367,19 @@ export class AppController {
         // Verifica se il giorno ha già un tipo speciale
         if (this.currentWeekData.isSpecialDay(dateKey)) {
             const confirm = await modalManager.openConfirmModal(
-                'Il giorno ha già una registrazione Smart/Assente. Vuoi sostituirla?',
+                'Il giorno ha già una registrazione Smart/Assente/Missione. Vuoi sostituirla?',
                 'Conferma sostituzione'
             );
             if (!confirm) return;
-            this.currentWeekData.clearDay(dateKey);
+            this.currentWeekData.clearDay(dateKey, AUDIT_SOURCES.BUTTON);
         }
 
         // Aggiungi entry
         const entry = TimeEntry.createEntrata(time);
-        this.currentWeekData.addEntry(dateKey, entry);
+        this.currentWeekData.addEntry(dateKey, entry, AUDIT_SOURCES.BUTTON);
 
-        await this.saveCurrentWeek();
-        this.ui.showToast(`Entrata registrata: ${time}`, 'success');
+        await this.saveCurrentWeek(`entrata delle ${time}`);
+        this.ui.showToast(`Entrata registrata: ${time}`, 'success', UNDO_TOAST_DURATION, this.getUndoAction());
     }
 
     /**
@@ -250,37 +404,89 @@ export class AppController {
 
         // Verifica se il giorno ha già un tipo speciale
         if (this.currentWeekData.isSpecialDay(dateKey)) {
-            this.ui.showToast('Il giorno ha una registrazione Smart/Assente', 'warning');
+            this.ui.showToast('Il giorno ha una registrazione Smart/Assente/Missione', 'warning');
+            return;
+        }
+
+        // Turno notturno: l'uscita può chiudere l'entrata rimasta aperta ieri
+        const previousKey = timeCalculator.getPreviousDateKey(dateKey);
+        if (!this.hasOpenEntrata(dateKey) && this.hasOpenEntrata(previousKey)) {
+            await this.closeOvernightShift(previousKey, time);
             return;
         }
 
         // Verifica se c'è un'entrata senza uscita
         const entries = this.currentWeekData.getEntriesForDate(dateKey);
-        const entrate = entries.filter(e => e.type === 'entrata');
-        const uscite = entries.filter(e => e.type === 'uscita');
 
-        if (entrate.length === 0) {
+        if (!entries.some(e => e.type === 'entrata')) {
             this.ui.showToast('Devi prima registrare un\'entrata', 'warning');
             return;
         }
 
-        if (entrate.length === uscite.length) {
+        if (!this.hasOpenEntrata(dateKey)) {
             this.ui.showToast('Tutte le entrate hanno già un\'uscita. Registra prima una nuova entrata.', 'warning');
             return;
         }
 
         // Aggiungi entry
         const entry = TimeEntry.createUscita(time);
-        this.currentWeekData.addEntry(dateKey, entry);
+        this.currentWeekData.addEntry(dateKey, entry, AUDIT_SOURCES.BUTTON);
 
-        await this.saveCurrentWeek();
+        await this.saveCurrentWeek(`uscita delle ${time}`);
         
         // Calcola e mostra ore lavorate
         const dayHours = timeCalculator.calculateDayHours(
             this.currentWeekData.getEntriesForDate(dateKey).map(e => e.toJSON ? e.toJSON() : e),
             dateKey
         );
-        this.ui.showToast(`Uscita registrata: ${time} (Ore: ${dayHours.formatted})`, 'success');
+        this.ui.showToast(`Uscita registrata: ${time} (Ore: ${dayHours.formatted})`, 'success', UNDO_TOAST_DURATION, this.getUndoAction());
+    }
+
+    /**
+     * Chiude con un'uscita del giorno dopo l'entrata rimasta aperta ieri
+     * Chiede conferma; un turno più lungo di MAX_OVERNIGHT_SHIFT_MINUTES è
+     * quasi certamente un'uscita dimenticata e va corretto a mano.
+     * @param {string} previousKey - Data ISO del giorno con l'entrata aperta
+     * @param {string} time - Orario dell'uscita (HH:MM)
+     */
+    async closeOvernightShift(previousKey, time) {
+        const entries = this.currentWeekData.getEntriesForDate(previousKey);
+        const { orphans } = timeCalculator.pairEntries(entries);
+        const openTime = entries[orphans.find(orphan => orphan.reason === ORPHAN_REASONS.OPEN).index].time;
+        const shiftMinutes = 24 * 60 - parseTimeToMinutes(openTime) + parseTimeToMinutes(time);
+
+        if (shiftMinutes > MAX_OVERNIGHT_SHIFT_MINUTES) {
+            this.ui.showToast(
+                `L'entrata di ieri alle ${openTime} è aperta da oltre ${MAX_OVERNIGHT_SHIFT_MINUTES / 60} ore: correggi le timbrature a mano`,
+                'warning',
+                UNDO_TOAST_DURATION,
+                { label: 'Correggi', onClick: () => this.handleAddEntry(previousKey, 'uscita') }
+            );
+            return;
+        }
+
+        const confirm = await modalManager.openConfirmModal(
+            `Oggi non ci sono entrate aperte. Vuoi chiudere il turno notturno iniziato ieri alle ${openTime} con l'uscita delle ${time}?`,
+            'Turno notturno'
+        );
+        if (!confirm) return;
+
+        this.currentWeekData.addEntry(previousKey, TimeEntry.createUscita(time, true), AUDIT_SOURCES.BUTTON);
+        await this.saveCurrentWeek(`uscita delle ${time}`);
+        this.ui.showToast(`Uscita registrata: ${time} (turno notturno del giorno prima)`, 'success', UNDO_TOAST_DURATION, this.getUndoAction());
+    }
+
+    /**
+     * Verifica se un giorno della settimana corrente ha l'ultima entrata ancora senza uscita
+     * @param {string} dateKey - Data ISO
+     * @returns {boolean}
+     */
+    hasOpenEntrata(dateKey) {
+        if (!this.currentWeekData.getWorkDates().includes(dateKey)) {
+            return false;
+        }
+        const { orphans } = timeCalculator.pairEntries(this.currentWeekData.getEntriesForDate(dateKey));
+        return orphans.some(orphan => orphan.reason === ORPHAN_REASONS.OPEN);
     }
 
     /**
@@ -312,12 +518,31 @@ export class AppController {
             if (!confirm) return;
         }
 
-        // Aggiungi entry smart (gestisce automaticamente le ore in base al giorno)
-        const entry = TimeEntry.createSmart(isFriday(date));
-        this.currentWeekData.addEntry(dateKey, entry);
+        if (!(await this.confirmSmartQuotas(dateKey))) return;
 
-        await this.saveCurrentWeek();
-        this.ui.showToast(`Smart Working registrato: ${entry.hours}h`, 'success');
+        // Aggiungi entry smart (ore dal profilo contrattuale per il giorno)
+        const entry = TimeEntry.createSmart(dateKey);
+        this.currentWeekData.addEntry(dateKey, entry, AUDIT_SOURCES.QUICK_ACTION);
+
+        await this.saveCurrentWeek('Smart Working');
+        this.ui.showToast(`Smart Working registrato: ${entry.hours}h`, 'success', UNDO_TOAST_DURATION, this.getUndoAction());
+    }
+
+    /**
+     * Verifica le quote di smart working e chiede conferma se una viene superata
+     * @param {string} dateKey - Data dello smart working
+     * @returns {Promise<boolean>} true se si può registrare
+     */
+    async confirmSmartQuotas(dateKey) {
+        const warnings = smartWorkingService.checkSmartDay(this.allData, dateKey);
+        if (warnings.length === 0) {
+            return true;
+        }
+
+        return modalManager.openConfirmModal(
+            `${warnings.map(warning => warning.message).join(' ')} Vuoi registrare comunque lo Smart Working?`,
+            'Quote smart working superate'
+        );
     }
 
     /**
@@ -348,13 +573,12 @@ export class AppController {
             if (!confirm) return;
         }
 
-        // Aggiungi entry assente (con ore corrette in base al giorno)
-        const date = parseDateISO(dateKey);
-        const entry = TimeEntry.createAssente(isFriday(date));
-        this.currentWeekData.addEntry(dateKey, entry);
+        // Aggiungi entry assente (ore dal profilo contrattuale per il giorno)
+        const entry = TimeEntry.createAssente(dateKey);
+        this.currentWeekData.addEntry(dateKey, entry, AUDIT_SOURCES.QUICK_ACTION);
 
-        await this.saveCurrentWeek();
-        this.ui.showToast(`Assenza registrata (${entry.hours}h)`, 'success');
+        await this.saveCurrentWeek('assenza');
+        this.ui.showToast(`Assenza registrata (${entry.hours}h)`, 'success', UNDO_TOAST_DURATION, this.getUndoAction());
     }
 
     /**
@@ -376,14 +600,13 @@ export class AppController {
     /**
      * Gestisce modifica entry
      * @param {string} dateKey - Data ISO
-     * @param {number} index - Indice entry
+     * @param {string} id - ID entry
      * @param {Object} entry - Entry da modificare
      */
-    async handleEditEntry(dateKey, index, entry) {
+    async handleEditEntry(dateKey, id, entry) {
         const result = await modalManager.openEditModal({
             date: dateKey,
-            index: index,
-            entry: entry
+            entry: { ...entry, id }
         });
 
         if (!result) return;
@@ -396,39 +619,56 @@ export class AppController {
             );
             
             if (confirm) {
-                this.currentWeekData.deleteEntry(result.date, result.index);
-                await this.saveCurrentWeek();
-                this.ui.showToast('Registrazione eliminata', 'success');
+                this.currentWeekData.deleteEntry(result.date, result.id, AUDIT_SOURCES.MODAL);
+                await this.saveCurrentWeek('eliminazione della registrazione');
+                this.ui.showToast('Registrazione eliminata', 'success', UNDO_TOAST_DURATION, this.getUndoAction());
             }
         } else if (result.action === 'save') {
             // Aggiorna entry
             const updates = {
                 type: result.type,
-                time: result.time
+                time: result.time,
+                nextDay: result.nextDay,
+                reason: result.reason,
+                endTime: result.endTime,
+                destination: result.destination,
+                travelMinutes: result.travelMinutes,
+                note: result.note,
+                justification: result.justification
             };
 
+            if (result.type === 'breve') {
+                const minutes = TimeEntry.createBreve(result.time, result.endTime).getSpanMinutes();
+                if (!this.checkShortLeaveCap(result.date, minutes, { dateKey: result.date, id: result.id })) return;
+            }
+
+            if (result.type === 'smart' && !(await this.confirmSmartQuotas(result.date))) return;
+            if (result.type === 'intervento' && !this.checkInterventionWindow(result.date, result, result.id)) return;
+
             // Se cambia tipo a special, gestisci le ore
             if (result.type === 'smart') {
                 updates.hours = timeCalculator.getSmartHours(result.date);
             } else if (result.type === 'assente') {
-                updates.hours = isFriday(parseDateISO(result.date))
-                    ? ABSENT_HOURS.FRIDAY : ABSENT_HOURS.DEFAULT;
+                updates.hours = TimeEntry.getDefaultHoursFor('assente', result.date, result.reason);
+            } else if (result.type === 'straordinario' || result.type === 'permesso') {
+                updates.hours = result.hours;
             }
 
-            this.currentWeekData.updateEntry(result.date, result.index, updates);
-            await this.saveCurrentWeek();
-            this.ui.showToast('Registrazione aggiornata', 'success');
+            this.currentWeekData.updateEntry(result.date, result.id, updates, AUDIT_SOURCES.MODAL);
+            await this.saveCurrentWeek('modifica della registrazione');
+            this.ui.showToast('Registrazione aggiornata', 'success', UNDO_TOAST_DURATION, this.getUndoAction());
         }
     }
 
     /**
      * Gestisce aggiunta nuova entry
      * @param {string} [dateKey] - Data preselezionata (opzionale)
+     * @param {string} [type='entrata'] - Tipo preselezionato
      */
-    async handleAddEntry(dateKey = null) {
+    async handleAddEntry(dateKey = null, type = 'entrata') {
         const result = await modalManager.openAddEntryModal({
             date: dateKey,
-            type: 'entrata'
+            type
         });
 
         if (!result || result.action !== 'add') return;
@@ -458,37 +698,103 @@ export class AppController {
         // Crea l'entry appropriata
         let entry;
         if (result.type === 'smart') {
-            entry = TimeEntry.createSmart(isFriday(selectedDate));
+            if (!(await this.confirmSmartQuotas(result.date))) return;
+            entry = TimeEntry.createSmart(result.date);
         } else if (result.type === 'assente') {
-            entry = TimeEntry.createAssente(isFriday(selectedDate));
+            entry = TimeEntry.createAssente(result.date, result.reason);
+        } else if (result.type === 'straordinario') {
+            entry = TimeEntry.createStraordinario(result.hours);
+        } else if (result.type === 'permesso') {
+            entry = TimeEntry.createPermesso(result.hours, result.reason);
+        } else if (result.type === 'breve') {
+            entry = TimeEntry.createBreve(result.time, result.endTime);
+            if (!this.checkShortLeaveCap(result.date, entry.getSpanMinutes())) return;
+        } else if (result.type === 'reperibilita') {
+            entry = TimeEntry.createReperibilita(result.time, result.endTime);
+        } else if (result.type === 'intervento') {
+            entry = TimeEntry.createIntervento(result.time, result.endTime);
+            if (!this.checkInterventionWindow(result.date, entry)) return;
+        } else if (result.type === 'missione') {
+            entry = TimeEntry.createMissione(result.time, result.endTime, result.destination, result.travelMinutes);
+        } else if (result.type === 'nota') {
+            entry = TimeEntry.createNota(result.note, result.justification);
         } else {
             if (result.type === 'entrata') {
                 entry = TimeEntry.createEntrata(result.time);
             } else if (result.type === 'uscita') {
-                entry = TimeEntry.createUscita(result.time);
+                entry = TimeEntry.createUscita(result.time, result.nextDay);
             } else {
                 entry = new TimeEntry({ type: result.type, time: result.time });
             }
         }
 
-        // Se è un tipo speciale, verifica e pulisci il giorno
-        if (result.type === 'smart' || result.type === 'assente') {
+        // Nota e motivazione si allegano a qualsiasi registrazione
+        entry.update({ note: result.note, justification: result.justification });
+
+        // Se è un tipo speciale o una missione, verifica e pulisci il giorno
+        if (result.type === 'smart' || result.type === 'assente' || result.type === 'missione') {
             if (this.currentWeekData.hasEntries(result.date)) {
                 const confirm = await modalManager.openConfirmModal(
                     'Il giorno ha già delle registrazioni. Vuoi sostituirle?',
                     'Conferma sostituzione'
                 );
                 if (!confirm) return;
-                this.currentWeekData.clearDay(result.date);
+                this.currentWeekData.clearDay(result.date, AUDIT_SOURCES.MODAL);
             }
         }
 
         // Aggiungi entry
-        this.currentWeekData.addEntry(result.date, entry);
-        await this.saveCurrentWeek();
+        this.currentWeekData.addEntry(result.date, entry, AUDIT_SOURCES.MODAL);
+        const typeLabel = this.getTypeLabel(result.type, entry.reason);
+        await this.saveCurrentWeek(`${typeLabel} del ${this.formatDateShort(result.date)}`);
         
-        const typeLabel = this.getTypeLabel(result.type);
-        this.ui.showToast(`${typeLabel} aggiunta per il ${this.formatDateShort(result.date)}`, 'success');
+        this.ui.showToast(`${typeLabel} aggiunta per il ${this.formatDateShort(result.date)}`, 'success', UNDO_TOAST_DURATION, this.getUndoAction());
+    }
+
+    /**
+     * Verifica che un intervento ricada in una fascia di reperibilità del giorno
+     * @param {string} dateKey - Data dell'intervento
+     * @param {Object} intervention - Intervento {time, endTime}
+     * @param {string} [excludeId] - ID dell'entry in modifica
+     * @returns {boolean} true se l'intervento è dentro una fascia
+     */
+    checkInterventionWindow(dateKey, intervention, excludeId = null) {
+        const entries = this.currentWeekData.getEntriesForDate(dateKey)
+            .filter(entry => entry.id !== excludeId);
+        if (!onCallService.findWindow(entries, intervention)) {
+            this.ui.showToast('L\'intervento deve ricadere in una fascia di reperibilità del giorno', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Verifica il tetto annuo dei permessi brevi e avvisa se superato
+     * @param {string} dateKey - Data del permesso
+     * @param {number} minutes - Durata del permesso
+     * @param {Object} [exclude] - Entry sostituita (in modifica) {dateKey, id}
+     * @returns {boolean} true se il permesso rientra nel tetto
+     */
+    checkShortLeaveCap(dateKey, minutes, exclude = null) {
+        const cap = shortLeaveService.checkAnnualCap(this.allData, dateKey, minutes, exclude);
+        if (!cap.allowed) {
+            this.ui.showToast(`Tetto annuo permessi brevi superato: restano ${minutesToTime(cap.remainingMinutes)} ore`, 'error');
+        }
+        return cap.allowed;
+    }
+
+    /**
+     * Avvisa dei permessi brevi con recupero in scadenza
+     */
+    checkShortLeaveDeadlines() {
+        const today = this.getTodayDateKey();
+        const { warnings } = shortLeaveService.getSummary(this.allData, Number(today.slice(0, 4)), today);
+        if (warnings.length === 0) return;
+
+        const [first] = warnings;
+        const deadline = formatDateIT(parseDateISO(first.deadline), false);
+        const others = warnings.length > 1 ? ` (+${warnings.length - 1} in scadenza)` : '';
+        this.ui.showToast(`⏸️ Permesso breve del ${this.formatDateShort(first.dateKey)}: recupera ${minutesToTime(first.remainingMinutes)} entro il ${deadline}${others}`, 'warning');
     }
 
     /**
@@ -504,14 +810,27 @@ export class AppController {
     /**
      * Ottiene label per tipo entry
      * @param {string} type - Tipo entry
+     * @param {string|null} [reasonId] - Causale (assenze e permessi)
      * @returns {string}
      */
-    getTypeLabel(type) {
+    getTypeLabel(type, reasonId = null) {
+        const reason = reasonId ? AbsenceReason.find(reasonId) : null;
+        if (reason) {
+            return reason.getDisplayLabel();
+        }
+
         const labels = {
             entrata: '🟢 Entrata',
             uscita: '🔴 Uscita',
             smart: '🏠 Smart Working',
-            assente: '❌ Assenza'
+            assente: '❌ Assenza',
+            straordinario: '💶 Straordinario',
+            permesso: '🕐 Permesso orario',
+            breve: '⏸️ Permesso breve',
+            reperibilita: '📟 Reperibilità',
+            intervento: '🚨 Intervento in reperibilità',
+            missione: '🧳 Missione',
+            nota: '📝 Nota del giorno'
         };
         return labels[type] || type;
     }
@@ -521,7 +840,7 @@ export class AppController {
      */
     async handleExportJSON() {
         try {
-            exportService.exportJSON(this.allData);
+            exportService.exportJSON(this.allData, null, settingsService.getPortableSettings());
             this.ui.showToast('Export JSON completato', 'success');
         } catch (error) {
             console.error('Errore export JSON:', error);
@@ -537,7 +856,9 @@ export class AppController {
             const weekKey = this.navigator.getViewWeekKey();
             const weekData = this.currentWeekData.toJSON();
             
-            exportService.exportCSV(weekKey, weekData);
+            const { overtimeUsedByYear } = this.getTotalsContext(weekKey);
+            
+            exportService.exportCSV(weekKey, weekData, { overtimeUsedByYear });
             this.ui.showToast('Export Excel completato', 'success');
         } catch (error) {
             console.error('Errore export Excel:', error);
@@ -545,6 +866,23 @@ export class AppController {
         }
     }
 
+    /**
+     * Gestisce export del riepilogo annuale (assenze per causale, saldi ferie e permessi,
+     * recupero dei permessi brevi)
+     */
+    async handleExportYear() {
+        try {
+            const { year } = parseWeekKey(this.navigator.getViewWeekKey());
+            const shortLeaves = shortLeaveService.getRecoveryLedger(this.allData, this.getTodayDateKey())
+                .filter(leave => leave.dateKey.startsWith(`${year}-`));
+            exportService.exportYearCSV(year, this.allData, leaveBalanceService.getBalances(this.allData, year), shortLeaves);
+            this.ui.showToast(`Riepilogo ${year} esportato`, 'success');
+        } catch (error) {
+            console.error('Errore export annuale:', error);
+            this.ui.showToast('Errore durante l\'export', 'error');
+        }
+    }
+
     /**
      * Gestisce import file
      * @param {File} file - File da importare
@@ -558,16 +896,33 @@ export class AppController {
                 return;
             }
 
+            if (this.storage.isWriteBlocked()) {
+                this.showMigrationFailure();
+                return;
+            }
+
+            // File di una versione precedente: backup dei dati attuali prima di unirli
+            if (result.fromVersion < SCHEMA_VERSION) {
+                await this.storage.createMigrationBackup(SCHEMA_VERSION, this.allData);
+            }
+
             // Importa i dati (merge)
             const importResult = await this.storage.importData(result.data, true);
             
             if (importResult.success) {
-                // Ricarica dati
+                // Ricarica dati e registra nello storico le settimane aggiunte
+                const previousWeeks = new Set(Object.keys(this.allData));
                 this.allData = await this.storage.loadAllData();
+                await this.recordImportedWeeks(Object.keys(this.allData).filter(weekKey => !previousWeeks.has(weekKey)));
+
+                // Profili, periodi e rettifiche della banca ore del file non ancora presenti
+                await settingsService.mergeContract(result.settings?.contract);
+                const adjustments = await hourBankService.mergeAdjustments(result.settings?.hourBank?.adjustments);
                 await this.loadWeekData(this.navigator.getViewWeekKey());
                 
+                const adjustmentsNote = adjustments > 0 ? `, ${adjustments} rettifiche banca ore` : '';
                 this.ui.showToast(
-                    `Importate ${importResult.imported} settimane (${importResult.existing} già esistenti)`,
+                    `Importate ${importResult.imported} settimane (${importResult.existing} già esistenti)${adjustmentsNote}`,
                     'success'
                 );
             } else {
@@ -579,6 +934,26 @@ export class AppController {
         }
     }
 
+    /**
+     * Registra nello storico le entry delle settimane importate
+     * @param {string[]} weekKeys - Settimane aggiunte dall'import
+     */
+    async recordImportedWeeks(weekKeys) {
+        const records = [];
+
+        for (const weekKey of weekKeys) {
+            const weekData = WeekData.fromWeekKey(weekKey);
+            for (const [dateKey, entries] of Object.entries(this.allData[weekKey] || {})) {
+                for (const entry of entries) {
+                    weekData.recordChange(AUDIT_ACTIONS.ADD, dateKey, null, entry, AUDIT_SOURCES.IMPORT);
+                }
+            }
+            records.push(...weekData.takeAuditRecords());
+        }
+
+        await auditService.append(records);
+    }
+
     /**
      * Gestisce backup manuale - esporta file JSON (backup reale e portabile)
      */
@@ -595,7 +970,7 @@ export class AppController {
             // Crea file di backup con timestamp
             const timestamp = new Date().toISOString().slice(0, 10);
             const filename = `backup-orari-lavoro-${timestamp}.json`;
-            exportService.exportJSON(data, filename);
+            exportService.exportJSON(data, filename, settingsService.getPortableSettings());
             
             this.ui.showToast('📥 Backup scaricato! Conserva il file in un posto sicuro.', 'success');
         } catch (error) {
@@ -604,24 +979,383 @@ export class AppController {
         }
     }
 
+    /**
+     * Gestisce la modale impostazioni (profilo contrattuale, tetto straordinario,
+     * arrotondamento, buono pasto, spettanze di ferie e permessi, patrono, quote smart working,
+     * fascia della pausa, viaggio in missione)
+     */
+    async handleSettings() {
+        const profiles = settingsService.getProfiles();
+        const activeProfile = settingsService.getActiveProfile();
+        // Il profilo personalizzato parte dal profilo attivo se non ancora creato
+        const savedCustom = settingsService.getProfile(CUSTOM_PROFILE_ID);
+        const customProfile = savedCustom
+            ? savedCustom.toJSON()
+            : { ...activeProfile.toJSON(), id: CUSTOM_PROFILE_ID, name: 'Personalizzato' };
+
+        const { year, week } = getCurrentWeek();
+        const result = await modalManager.openSettingsModal({
+            profiles: profiles.map(profile => profile.toJSON()),
+            activeProfileId: activeProfile.id,
+            profileFrom: formatDateISO(getWeekStartDate(year, week)),
+            profilePeriods: settingsService.getProfilePeriods()
+                .map(period => ({ from: period.from, name: period.profile.name })),
+            customProfile,
+            overtimeCapHours: settingsService.get('overtime').annualCapHours,
+            rounding: settingsService.get('rounding'),
+            mealVoucher: settingsService.get('mealVoucher'),
+            leave: leaveBalanceService.getEntitlements(),
+            currentYear: new Date().getFullYear(),
+            holidays: settingsService.get('holidays'),
+            patronSaints: PATRON_SAINTS,
+            smartWorking: smartWorkingService.getQuotas(),
+            pause: settingsService.get('pause'),
+            mission: { travelRule: timeCalculator.getMissionTravelRule() }
+        });
+
+        if (result?.action !== 'saveSettings') return;
+
+        try {
+            if (result.profileId === CUSTOM_PROFILE_ID) {
+                await settingsService.saveCustomProfile(result.customProfile);
+            }
+            await settingsService.setActiveProfile(result.profileId, result.profileFrom);
+            await settingsService.update('overtime', { annualCapHours: result.overtimeCapHours });
+            await settingsService.update('rounding', result.rounding);
+            await settingsService.update('pause', result.pause);
+            await settingsService.update('mealVoucher', result.mealVoucher);
+            await settingsService.update('leave', result.leave);
+            await settingsService.update('holidays', result.holidays);
+            await settingsService.update('smartWorking', result.smartWorking);
+            await settingsService.update('mission', result.mission);
+
+            await this.loadWeekData(this.navigator.getViewWeekKey());
+            this.ui.showToast(`Profilo attivo: ${settingsService.getActiveProfile().name}`, 'success');
+        } catch (error) {
+            console.error('Errore salvataggio impostazioni:', error);
+            this.ui.showToast('Errore durante il salvataggio delle impostazioni', 'error');
+        }
+    }
+
+    /**
+     * Gestisce la modale banca ore (conguaglio mensile e rettifiche manuali)
+     */
+    async handleHourBank() {
+        const result = await modalManager.openHourBankModal({
+            months: hourBankService.getMonthlySettlement(this.allData),
+            adjustments: hourBankService.getAdjustments(),
+            today: this.getTodayDateKey()
+        });
+
+        if (!result) return;
+
+        try {
+            if (result.action === 'addAdjustment') {
+                await hourBankService.addAdjustment(result.adjustment);
+                this.ui.showToast('Rettifica banca ore registrata', 'success');
+            } else if (result.action === 'removeAdjustment') {
+                await hourBankService.removeAdjustment(result.id);
+                this.ui.showToast('Rettifica eliminata', 'success');
+            } else {
+                return;
+            }
+
+            await this.loadWeekData(this.navigator.getViewWeekKey());
+        } catch (error) {
+            console.error('Errore banca ore:', error);
+            this.ui.showToast('Errore durante il salvataggio della rettifica', 'error');
+        }
+    }
+
+    /**
+     * Apre la pianificazione dei giorni rimanenti della settimana visualizzata
+     * La simulazione lavora su una copia dei dati: nulla viene salvato.
+     */
+    async handlePlanner() {
+        const weekEntries = this.currentWeekData?.toJSON() || {};
+        const dateKeys = this.navigator.getViewWeekInfo().days.map(day => day.dateKey);
+        const days = weekPlannerService.getPlannableDays(weekEntries, dateKeys, this.getTodayDateKey());
+
+        if (days.length === 0) {
+            this.ui.showToast('Nessun giorno da pianificare in questa settimana', 'info');
+            return;
+        }
+
+        await modalManager.openPlannerModal({
+            days,
+            simulate: (plans, targetBalanceMinutes) =>
+                weekPlannerService.simulate(weekEntries, dateKeys, plans, targetBalanceMinutes)
+        });
+    }
+
+    /**
+     * Apre l'elenco delle missioni del mese (da oggi o dalla settimana visualizzata)
+     * ed esporta in CSV il mese scelto, a supporto delle note spese
+     */
+    async handleMissions() {
+        const today = this.getTodayDateKey();
+        const month = this.navigator.isViewingCurrentWeek()
+            ? today.slice(0, 7)
+            : this.navigator.getViewWeekInfo().days[0].dateKey.slice(0, 7);
+
+        const result = await modalManager.openMissionsModal({
+            month,
+            getSummary: selectedMonth => missionService.getMonthSummary(this.allData, selectedMonth)
+        });
+
+        if (result?.action !== 'exportMissions') return;
+
+        const summary = missionService.getMonthSummary(this.allData, result.month);
+        if (summary.missions.length === 0) {
+            this.ui.showToast('Nessuna missione da esportare nel mese', 'info');
+            return;
+        }
+
+        try {
+            exportService.exportMissionsCSV(summary);
+            this.ui.showToast(`Missioni di ${summary.label} esportate`, 'success');
+        } catch (error) {
+            console.error('Errore export missioni:', error);
+            this.ui.showToast('Errore durante l\'export delle missioni', 'error');
+        }
+    }
+
+    /**
+     * Copia dei dati salvati di una settimana (stato per annulla/ripeti)
+     * @param {string} weekKey - Chiave settimana
+     * @returns {Object|null} null se la settimana non ha dati
+     */
+    getWeekState(weekKey) {
+        const data = this.allData[weekKey];
+        return data ? JSON.parse(JSON.stringify(data)) : null;
+    }
+
+    /**
+     * Aggiunge un'operazione alla pila di annullamento e svuota quella di ripristino
+     * @param {string} label - Descrizione dell'operazione (es. "entrata delle 08:05")
+     * @param {Object} weeks - Stati delle settimane toccate {weekKey: {before, after}} (null = settimana senza dati)
+     * @param {Object} [options] - Opzioni
+     * @param {Object|null} [options.adjustments=null] - Rettifiche banca ore {before, after}
+     * @param {Object|null} [options.settings=null] - Sezioni delle impostazioni {section: {before, after}}
+     * @param {boolean} [options.audited=true] - Se il ripristino va registrato nello storico modifiche
+     */
+    pushUndo(label, weeks, { adjustments = null, settings = null, audited = true } = {}) {
+        this.undoStack.push({ label, weeks, adjustments, settings, audited });
+        if (this.undoStack.length > MAX_UNDO_STEPS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Azione "Annulla" per il toast dopo un'operazione
+     * @returns {{label: string, onClick: Function}}
+     */
+    getUndoAction() {
+        return { label: 'Annulla', onClick: () => this.handleUndo() };
+    }
+
+    /**
+     * Annulla l'ultima operazione (pulsante del toast o Ctrl+Z)
+     */
+    async handleUndo() {
+        const item = this.undoStack[this.undoStack.length - 1];
+        if (!item) {
+            this.ui.showToast('Nessuna operazione da annullare', 'info');
+            return;
+        }
+
+        // Se il salvataggio non riesce l'operazione resta nella pila
+        if (!(await this.restoreUndoState(item, 'before'))) {
+            this.showUndoFailure(`Impossibile annullare: ${item.label}`);
+            return;
+        }
+        this.redoStack.push(this.undoStack.pop());
+        this.ui.showToast(`Annullato: ${item.label}`, 'info', UNDO_TOAST_DURATION, {
+            label: 'Ripeti',
+            onClick: () => this.handleRedo()
+        });
+    }
+
+    /**
+     * Ripete l'ultima operazione annullata (pulsante del toast o Ctrl+Shift+Z)
+     */
+    async handleRedo() {
+        const item = this.redoStack[this.redoStack.length - 1];
+        if (!item) {
+            this.ui.showToast('Nessuna operazione da ripetere', 'info');
+            return;
+        }
+
+        if (!(await this.restoreUndoState(item, 'after'))) {
+            this.showUndoFailure(`Impossibile ripetere: ${item.label}`);
+            return;
+        }
+        this.undoStack.push(this.redoStack.pop());
+        this.ui.showToast(`Ripetuto: ${item.label}`, 'info', UNDO_TOAST_DURATION, this.getUndoAction());
+    }
+
+    /**
+     * Riporta le settimane (e le rettifiche) di un'operazione allo stato indicato
+     * Il nuovo stato si costruisce su una copia di `allData`, che lo sostituisce solo
+     * a salvataggio riuscito; rettifiche e impostazioni cambiano anch'esse solo se
+     * salvate. Gli stati sono assoluti: un ripristino interrotto si può ripetere.
+     * @param {Object} item - Operazione della pila
+     * @param {'before'|'after'} side - Stato da ripristinare
+     * @returns {Promise<boolean>} true se tutto è stato salvato
+     */
+    async restoreUndoState(item, side) {
+        const nextData = { ...this.allData };
+        const records = [];
+
+        for (const [weekKey, states] of Object.entries(item.weeks)) {
+            const state = states[side];
+            const weekData = WeekData.fromWeekKey(weekKey, this.allData[weekKey] || {});
+            weekData.restoreFromJSON(state || {}, AUDIT_SOURCES.UNDO);
+            if (item.audited) {
+                records.push(...weekData.takeAuditRecords());
+            }
+
+            if (state) {
+                nextData[weekKey] = JSON.parse(JSON.stringify(state));
+            } else {
+                delete nextData[weekKey];
+            }
+        }
+
+        if (!(await this.storage.saveAllData(nextData))) {
+            return false;
+        }
+        this.allData = nextData;
+        await auditService.append(records);
+        this.emitEntryEvents(records);
+
+        if (item.adjustments && !(await hourBankService.setAdjustments(item.adjustments[side]))) {
+            return false;
+        }
+
+        for (const [section, states] of Object.entries(item.settings || {})) {
+            if (!(await settingsService.update(section, states[side]))) {
+                return false;
+            }
+        }
+
+        // Mostra la settimana modificata
+        const weekKeys = Object.keys(item.weeks);
+        if (weekKeys.length === 1 && weekKeys[0] !== this.navigator.getViewWeekKey()) {
+            this.navigator.goToWeekKey(weekKeys[0]);
+        } else {
+            await this.loadWeekData(this.navigator.getViewWeekKey());
+        }
+        return true;
+    }
+
+    /**
+     * Avvisa di un annulla/ripeti non salvato
+     * Con le scritture bloccate l'avviso di migrazione arriva già dall'evento MIGRATION_FAILED.
+     * @param {string} message - Messaggio
+     */
+    showUndoFailure(message) {
+        if (!this.storage.isWriteBlocked()) {
+            this.ui.showToast(message, 'error');
+        }
+    }
+
+    /**
+     * Mostra lo storico delle modifiche di un giorno
+     * @param {string} dateKey - Data ISO
+     */
+    async handleDayHistory(dateKey) {
+        const records = auditService.getDayHistory(dateKey).map(record => auditService.describeRecord(record));
+
+        await modalManager.openHistoryModal({
+            title: `Storico di ${formatDateWithDay(parseDateISO(dateKey))}`,
+            records
+        });
+    }
+
+    /**
+     * Avvisa della migrazione dei dati non riuscita e propone il ripristino del backup
+     */
+    showMigrationFailure() {
+        const { fromVersion } = this.storage.migrationFailure;
+        this.ui.showToast(
+            `Aggiornamento dei dati dalla versione ${fromVersion} non riuscito: modifiche bloccate fino al ripristino del backup`,
+            'error',
+            MIGRATION_TOAST_DURATION,
+            { label: 'Ripristina backup', onClick: () => this.handleRestoreMigrationBackup() }
+        );
+    }
+
+    /**
+     * Ripristina il backup precedente alla migrazione non riuscita e ricarica i dati
+     */
+    async handleRestoreMigrationBackup() {
+        const { fromVersion } = this.storage.migrationFailure || {};
+        if (!(await this.storage.restoreMigrationBackup())) {
+            this.ui.showToast('Backup precedente all\'aggiornamento non disponibile: esporta i dati prima di continuare', 'error');
+            return;
+        }
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.allData = await this.storage.loadAllData();
+        await this.loadWeekData(this.navigator.getViewWeekKey());
+        this.ui.showToast(`Backup ripristinato: dati alla versione ${fromVersion}`, 'success');
+    }
+
     /**
      * Controlla dati vecchi da pulire
      */
     async checkOldData() {
+        if (this.storage.isWriteBlocked()) return;
+
         const oldWeeks = await this.storage.findOldWeeks(3);
         
         if (oldWeeks.length > 0) {
             const result = await modalManager.openCleanDataModal(oldWeeks);
             
             if (result?.action === 'clean') {
-                // Poi pulisci
+                // Conserva il saldo banca ore maturato nelle settimane eliminate
+                const lastOldWeek = [...oldWeeks].sort().pop();
+                const lastOldDate = WeekData.fromWeekKey(lastOldWeek).getWorkDates().pop();
+                const carried = hourBankService.getBalanceAt(this.allData, lastOldDate);
+
+                // Stato per l'annullamento: settimane eliminate, rettifiche della banca ore e residuo ferie
+                const weeks = Object.fromEntries(oldWeeks
+                    .filter(weekKey => weekKey in this.allData)
+                    .map(weekKey => [weekKey, { before: this.getWeekState(weekKey), after: null }]));
+                const adjustmentsBefore = hourBankService.getAdjustments();
+                const leaveBefore = { ...settingsService.get('leave') };
+
+                // Il residuo ferie dipende dagli anni eliminati: va fissato prima della pulizia
+                await leaveBalanceService.carryOverInto(this.allData, new Date().getFullYear());
+
+                // Poi pulisci (anche lo storico delle modifiche di quelle settimane)
                 const deleted = await this.storage.cleanOldData(oldWeeks);
+                await auditService.removeBefore(timeCalculator.getNextDateKey(lastOldDate));
+
+                if (deleted > 0 && carried !== 0) {
+                    await hourBankService.addAdjustment({
+                        date: lastOldDate,
+                        type: ADJUSTMENT_TYPES.SET,
+                        minutes: carried,
+                        note: 'Riporto da pulizia dati vecchi'
+                    });
+                }
                 
                 // Ricarica dati
                 this.allData = await this.storage.loadAllData();
                 await this.loadWeekData(this.navigator.getViewWeekKey());
-                
-                this.ui.showToast(`Eliminate ${deleted} settimane vecchie`, 'success');
+
+                if (deleted > 0) {
+                    this.pushUndo('pulizia dati vecchi', weeks, {
+                        adjustments: { before: adjustmentsBefore, after: hourBankService.getAdjustments() },
+                        settings: { leave: { before: leaveBefore, after: { ...settingsService.get('leave') } } },
+                        audited: false
+                    });
+                }
+                this.ui.showToast(`Eliminate ${deleted} settimane vecchie`, 'success', UNDO_TOAST_DURATION, deleted > 0 ? this.getUndoAction() : null);
             }
         }
     }
@@ -0,0 +1,123 @@
+/**
+ * AbsenceReason - Catalogo delle causali di assenza
+ *
+ * @description Descrive le causali (ferie, malattia, Legge 104, ...) che
+ * qualificano un'entry `assente` (giornata intera) o `permesso` (oraria).
+ * Ogni causale ha etichetta, icona, codice per gli export, ore predefinite
+ * (null = ore di assenza del profilo contrattuale) e indica se le sue ore
+ * coprono il target. Per aggiungere una causale basta estendere il catalogo:
+ * validazione, modali ed export lo leggono da qui.
+ */
+
+/**
+ * Causale predefinita per le giornate di assenza (dati esistenti senza causale)
+ */
+export const DEFAULT_ABSENCE_REASON_ID = 'assente';
+
+/**
+ * Causale predefinita per i permessi orari
+ */
+export const DEFAULT_LEAVE_REASON_ID = 'permesso-personale';
+
+/**
+ * Catalogo delle causali
+ */
+export const ABSENCE_REASONS = [
+    { id: DEFAULT_ABSENCE_REASON_ID, label: 'Assente', icon: '❌', code: 'ASS', defaultHours: null, countsTowardTarget: true },
+    { id: 'ferie', label: 'Ferie', icon: '🏖️', code: 'FER', defaultHours: null, countsTowardTarget: true },
+    { id: 'malattia', label: 'Malattia', icon: '🤒', code: 'MAL', defaultHours: null, countsTowardTarget: true },
+    { id: 'legge-104', label: 'Legge 104', icon: '🤝', code: 'L104', defaultHours: null, countsTowardTarget: true },
+    { id: 'congedo-parentale', label: 'Congedo parentale', icon: '👶', code: 'CPAR', defaultHours: null, countsTowardTarget: true },
+    { id: 'permesso-studio', label: 'Permesso studio', icon: '📚', code: 'STU', defaultHours: null, countsTowardTarget: true },
+    // Il recupero compensativo non copre il target: le ore si scalano dalla banca ore
+    { id: 'recupero-compensativo', label: 'Recupero compensativo', icon: '🔄', code: 'REC', defaultHours: null, countsTowardTarget: false },
+    { id: 'festivita-soppresse', label: 'Festività soppresse', icon: '🎗️', code: 'FSOP', defaultHours: null, countsTowardTarget: true },
+    { id: DEFAULT_LEAVE_REASON_ID, label: 'Permesso personale', icon: '🕐', code: 'PERS', defaultHours: null, countsTowardTarget: true }
+];
+
+/**
+ * Classe che rappresenta una causale di assenza
+ */
+export class AbsenceReason {
+    /**
+     * @param {Object} data - Dati della causale
+     * @param {string} data.id - Identificativo
+     * @param {string} data.label - Etichetta
+     * @param {string} [data.icon] - Icona
+     * @param {string} [data.code] - Codice per gli export
+     * @param {number|null} [data.defaultHours] - Ore predefinite (null = ore di assenza del profilo)
+     * @param {boolean} [data.countsTowardTarget=true] - Le ore coprono il target
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.label = data.label || data.id;
+        this.icon = data.icon || '❌';
+        this.code = data.code || data.id.toUpperCase();
+        this.defaultHours = typeof data.defaultHours === 'number' ? data.defaultHours : null;
+        this.countsTowardTarget = data.countsTowardTarget !== false;
+    }
+
+    /**
+     * Ore predefinite della causale
+     * @param {number} profileHours - Ore di assenza del profilo per il giorno
+     * @returns {number}
+     */
+    getDefaultHours(profileHours) {
+        return this.defaultHours ?? profileHours;
+    }
+
+    /**
+     * Etichetta con icona (per select e liste)
+     * @returns {string}
+     */
+    getDisplayLabel() {
+        return `${this.icon} ${this.label}`;
+    }
+
+    /**
+     * Ottiene tutte le causali del catalogo
+     * @returns {AbsenceReason[]}
+     */
+    static getAll() {
+        return ABSENCE_REASONS.map(data => new AbsenceReason(data));
+    }
+
+    /**
+     * Cerca una causale per ID
+     * @param {string} id - ID causale
+     * @returns {AbsenceReason|null}
+     */
+    static find(id) {
+        const data = ABSENCE_REASONS.find(reason => reason.id === id);
+        return data ? new AbsenceReason(data) : null;
+    }
+
+    /**
+     * Verifica se un ID appartiene al catalogo
+     * @param {string} id - ID causale
+     * @returns {boolean}
+     */
+    static isValid(id) {
+        return ABSENCE_REASONS.some(reason => reason.id === id);
+    }
+
+    /**
+     * Causale predefinita per un tipo di entry
+     * @param {string} type - 'assente' o 'permesso'
+     * @returns {string}
+     */
+    static getDefaultId(type) {
+        return type === 'permesso' ? DEFAULT_LEAVE_REASON_ID : DEFAULT_ABSENCE_REASON_ID;
+    }
+
+    /**
+     * Risolve la causale di un'entry (senza causale: predefinita del tipo)
+     * @param {Object} entry - Entry assente/permesso
+     * @returns {AbsenceReason}
+     */
+    static forEntry(entry) {
+        return AbsenceReason.find(entry.reason) || AbsenceReason.find(AbsenceReason.getDefaultId(entry.type));
+    }
+}
+
+export default AbsenceReason;
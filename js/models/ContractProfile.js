@@ -0,0 +1,297 @@
+/**
+ * ContractProfile - Model per un profilo contrattuale
+ *
+ * @description Descrive l'orario di lavoro previsto da un contratto:
+ * target giornaliero per ogni giorno della settimana, regola della pausa
+ * automatica e ore predefinite per Smart Working / Assente.
+ * I giorni di rientro pomeridiano seguono una regola comune (target proprio
+ * e pausa sempre obbligatoria) definita nella sezione `rientro` del profilo.
+ */
+
+import { parseDateISO } from '../utils/DateUtils.js';
+
+/**
+ * Giorni lavorativi (0=Dom, 1=Lun, ..., 6=Sab)
+ */
+export const WORK_WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * ID del profilo predefinito (CCNL Funzioni Locali 36h)
+ */
+export const DEFAULT_PROFILE_ID = 'ccnl-36';
+
+/**
+ * ID del profilo personalizzabile dall'utente
+ */
+export const CUSTOM_PROFILE_ID = 'custom';
+
+/**
+ * Regola predefinita dei giorni di rientro (9h con pausa obbligatoria)
+ */
+export const DEFAULT_RIENTRO_RULE = { targetHours: 9, pauseMinutes: 30 };
+
+/**
+ * Crea la regola di un giorno
+ * @param {number} targetHours - Ore target
+ * @param {number} [pauseThresholdHours=0] - Ore lorde oltre cui scatta la pausa (0 = sempre)
+ * @param {number} [pauseMinutes=30] - Minuti di pausa minima
+ * @returns {Object}
+ */
+function dayRule(targetHours, pauseThresholdHours = 0, pauseMinutes = 30) {
+    return { targetHours, pauseMinutes, pauseThresholdHours };
+}
+
+/**
+ * Crea la regola di un giorno di rientro (target e pausa dalla sezione `rientro`)
+ * @returns {Object}
+ */
+function rientroDay() {
+    return { ...dayRule(0), rientro: true };
+}
+
+/**
+ * Profili predefiniti
+ */
+export const BUILTIN_PROFILES = [
+    {
+        id: DEFAULT_PROFILE_ID,
+        name: '36h Funzioni Locali',
+        // Lun–Gio 7h30 con pausa sempre; Ven 6h con pausa solo oltre 6h lorde
+        days: {
+            1: dayRule(7.5),
+            2: dayRule(7.5),
+            3: dayRule(7.5),
+            4: dayRule(7.5),
+            5: dayRule(6, 6)
+        }
+    },
+    {
+        id: 'ccnl-36-rientri',
+        name: '36h con 2 rientri',
+        // Lun/Mer/Ven 6h; Mar/Gio rientro pomeridiano 9h con pausa obbligatoria
+        days: {
+            1: dayRule(6, 6),
+            2: rientroDay(),
+            3: dayRule(6, 6),
+            4: rientroDay(),
+            5: dayRule(6, 6)
+        },
+        rientro: { ...DEFAULT_RIENTRO_RULE }
+    },
+    {
+        id: 'sanita-38',
+        name: '38h Sanità',
+        // 7h36m su 5 giorni, pausa oltre 6h lorde
+        days: {
+            1: dayRule(7.6, 6),
+            2: dayRule(7.6, 6),
+            3: dayRule(7.6, 6),
+            4: dayRule(7.6, 6),
+            5: dayRule(7.6, 6)
+        }
+    },
+    {
+        id: 'part-time-30',
+        name: 'Part-time 30h (83%)',
+        days: {
+            1: dayRule(6, 6),
+            2: dayRule(6, 6),
+            3: dayRule(6, 6),
+            4: dayRule(6, 6),
+            5: dayRule(6, 6)
+        }
+    },
+    {
+        id: 'part-time-18',
+        name: 'Part-time 18h (50%)',
+        days: {
+            1: dayRule(3.6, 6),
+            2: dayRule(3.6, 6),
+            3: dayRule(3.6, 6),
+            4: dayRule(3.6, 6),
+            5: dayRule(3.6, 6)
+        }
+    }
+];
+
+/**
+ * Classe che rappresenta un profilo contrattuale
+ */
+export class ContractProfile {
+    /**
+     * @param {Object} data - Dati del profilo
+     * @param {string} data.id - ID univoco
+     * @param {string} data.name - Nome visualizzato
+     * @param {Object} data.days - Regole per giorno {weekday: {targetHours, pauseMinutes, pauseThresholdHours, rientro?, smartHours?, absentHours?}}
+     * @param {Object} [data.rientro] - Regola dei giorni di rientro {targetHours, pauseMinutes}
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name || data.id;
+        this.rientro = this.normalizeRientroRule(data.rientro);
+        this.days = {};
+
+        for (const weekday of WORK_WEEKDAYS) {
+            this.days[weekday] = this.normalizeDayRule(data.days?.[weekday]);
+        }
+    }
+
+    /**
+     * Normalizza la regola di un giorno (valori mancanti o non validi → 0)
+     * @param {Object} [rule] - Regola grezza
+     * @returns {Object}
+     */
+    normalizeDayRule(rule = {}) {
+        const toHours = (value) => (typeof value === 'number' && value >= 0 ? value : null);
+
+        const normalized = {
+            targetHours: toHours(rule.targetHours) ?? 0,
+            pauseMinutes: toHours(rule.pauseMinutes) ?? 0,
+            pauseThresholdHours: toHours(rule.pauseThresholdHours) ?? 0,
+            rientro: rule.rientro === true
+        };
+
+        if (toHours(rule.smartHours) !== null) {
+            normalized.smartHours = rule.smartHours;
+        }
+        if (toHours(rule.absentHours) !== null) {
+            normalized.absentHours = rule.absentHours;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Normalizza la regola dei giorni di rientro (valori mancanti → predefiniti)
+     * @param {Object} [rule] - Regola grezza
+     * @returns {{targetHours: number, pauseMinutes: number}}
+     */
+    normalizeRientroRule(rule = {}) {
+        const toHours = (value, fallback) => (typeof value === 'number' && value >= 0 ? value : fallback);
+
+        return {
+            targetHours: toHours(rule?.targetHours, DEFAULT_RIENTRO_RULE.targetHours),
+            pauseMinutes: toHours(rule?.pauseMinutes, DEFAULT_RIENTRO_RULE.pauseMinutes)
+        };
+    }
+
+    /**
+     * Ottiene la regola effettiva di un giorno
+     * Nei giorni di rientro target e pausa provengono dalla regola `rientro`
+     * e la pausa è sempre obbligatoria (soglia 0).
+     * @param {string|number} day - Data ISO o giorno della settimana (0-6)
+     * @returns {{targetHours: number, pauseMinutes: number, pauseThresholdHours: number, rientro: boolean, smartHours?: number, absentHours?: number}}
+     */
+    getDayRule(day) {
+        const weekday = typeof day === 'number' ? day : parseDateISO(day).getDay();
+        const rule = this.days[weekday] || this.normalizeDayRule();
+
+        if (!rule.rientro) {
+            return rule;
+        }
+
+        return {
+            ...rule,
+            targetHours: this.rientro.targetHours,
+            pauseMinutes: this.rientro.pauseMinutes,
+            pauseThresholdHours: 0
+        };
+    }
+
+    /**
+     * Verifica se un giorno è di rientro pomeridiano
+     * @param {string|number} day - Data ISO o giorno della settimana
+     * @returns {boolean}
+     */
+    isRientro(day) {
+        return this.getDayRule(day).rientro;
+    }
+
+    /**
+     * Giorni della settimana di rientro
+     * @returns {number[]}
+     */
+    getRientroWeekdays() {
+        return WORK_WEEKDAYS.filter(weekday => this.days[weekday].rientro);
+    }
+
+    /**
+     * Ultimo giorno della settimana con target > 0
+     * @returns {number|null} Giorno della settimana (1-5) o null
+     */
+    getLastWorkingWeekday() {
+        const working = WORK_WEEKDAYS.filter(weekday => this.getTargetHours(weekday) > 0);
+        return working.length > 0 ? working[working.length - 1] : null;
+    }
+
+    /**
+     * Ore target di un giorno
+     * @param {string|number} day - Data ISO o giorno della settimana
+     * @returns {number}
+     */
+    getTargetHours(day) {
+        return this.getDayRule(day).targetHours;
+    }
+
+    /**
+     * Ore predefinite Smart Working (di default uguali al target)
+     * @param {string|number} day - Data ISO o giorno della settimana
+     * @returns {number}
+     */
+    getSmartHours(day) {
+        const rule = this.getDayRule(day);
+        return rule.smartHours ?? rule.targetHours;
+    }
+
+    /**
+     * Ore predefinite Assente (di default uguali al target)
+     * @param {string|number} day - Data ISO o giorno della settimana
+     * @returns {number}
+     */
+    getAbsentHours(day) {
+        const rule = this.getDayRule(day);
+        return rule.absentHours ?? rule.targetHours;
+    }
+
+    /**
+     * Minuti target della settimana (somma dei giorni lavorativi)
+     * @returns {number}
+     */
+    getWeeklyTargetMinutes() {
+        return WORK_WEEKDAYS.reduce(
+            (total, weekday) => total + Math.round(this.getTargetHours(weekday) * 60),
+            0
+        );
+    }
+
+    /**
+     * Converte il profilo in oggetto plain per serializzazione
+     * @returns {Object}
+     */
+    toJSON() {
+        const days = {};
+        for (const weekday of WORK_WEEKDAYS) {
+            days[weekday] = { ...this.days[weekday] };
+        }
+        return { id: this.id, name: this.name, days, rientro: { ...this.rientro } };
+    }
+
+    /**
+     * Crea un profilo da un oggetto plain
+     * @param {Object} data - Dati del profilo
+     * @returns {ContractProfile}
+     */
+    static fromJSON(data) {
+        return new ContractProfile(data);
+    }
+
+    /**
+     * Crea il profilo predefinito
+     * @returns {ContractProfile}
+     */
+    static createDefault() {
+        return new ContractProfile(BUILTIN_PROFILES[0]);
+    }
+}
+
+export default ContractProfile;
@@ -1,27 +1,28 @@
 /**
  * TimeEntry - Model per una singola registrazione oraria
  * 
- * @description Rappresenta una singola entry (entrata, uscita, smart, assente)
- * con validazione incorporata e metodi di utilità.
+ * @description Rappresenta una singola entry (entrata, uscita, smart, assente,
+ * straordinario, permesso orario, permesso breve, reperibilità, intervento, missione e nota del giorno)
+ * con validazione incorporata e metodi di utilità. Ogni entry può portare una nota libera e una
+ * motivazione (JUSTIFICATIONS).
  */
 
-import { validateEntry, normalizeTime, isSpecialType, requiresTime } from '../utils/Validators.js';
+import { validateEntry, normalizeTime, isSpecialType, isMarkerType, isLeaveType, acceptsReason, requiresTime, isOnCallType, isMissionType, isNoteType, getJustificationLabel, hasEndTime, parseTimeToMinutes } from '../utils/Validators.js';
+import { AbsenceReason } from './AbsenceReason.js';
+import { parseDateISO } from '../utils/DateUtils.js';
+import { settingsService } from '../services/SettingsService.js';
 
 /**
- * Ore predefinite per Smart Working
+ * Risolve il giorno della settimana da una data ISO o dal flag venerdì
+ * @param {string|boolean} [day] - Data ISO, oppure true (venerdì) / false (lunedì)
+ * @returns {number} Giorno della settimana (0-6)
  */
-export const SMART_HOURS = {
-    DEFAULT: 7.5,  // Lunedì-Giovedì
-    FRIDAY: 6      // Venerdì
-};
-
-/**
- * Ore predefinite per Assente (= giornata completa)
- */
-export const ABSENT_HOURS = {
-    DEFAULT: 7.5,  // Lunedì-Giovedì (uguale a presenza)
-    FRIDAY: 6      // Venerdì
-};
+function resolveWeekday(day) {
+    if (typeof day === 'string') {
+        return parseDateISO(day).getDay();
+    }
+    return day === true ? 5 : 1;
+}
 
 /**
  * Classe che rappresenta una singola registrazione
@@ -29,42 +30,54 @@ export const ABSENT_HOURS = {
 export class TimeEntry {
     /**
      * @param {Object} data - Dati dell'entry
-     * @param {string} data.type - Tipo: 'entrata', 'uscita', 'smart', 'assente'
-     * @param {string} [data.time] - Orario HH:MM (per entrata/uscita)
-     * @param {number} [data.hours] - Ore assegnate (per smart/assente)
+     * @param {string} data.type - Tipo: 'entrata', 'uscita', 'smart', 'assente', 'straordinario', 'permesso', 'breve', 'reperibilita', 'intervento', 'missione', 'nota'
+     * @param {string} [data.time] - Orario HH:MM (per entrata/uscita; inizio per le fasce; partenza per la missione)
+     * @param {string} [data.endTime] - Fine della fascia HH:MM (per breve e reperibilità; rientro per la missione)
+     * @param {string} [data.destination] - Destinazione (per missione)
+     * @param {number} [data.travelMinutes] - Tempo di viaggio in minuti (per missione)
+     * @param {number} [data.hours] - Ore assegnate (per smart/assente/permesso; per straordinario null = tutta l'eccedenza)
+     * @param {boolean} [data.nextDay] - Uscita del giorno successivo (turno a cavallo della mezzanotte)
+     * @param {string} [data.reason] - Causale del catalogo (per assente/permesso; default del tipo)
+     * @param {string} [data.note] - Nota libera (ogni tipo)
+     * @param {string} [data.justification] - Motivazione (chiave in JUSTIFICATIONS, ogni tipo)
      * @param {string} [data.id] - ID univoco (generato se non fornito)
      * @param {number} [data.createdAt] - Timestamp creazione
      */
     constructor(data) {
-        this.id = data.id || this.generateId();
+        this.id = data.id || TimeEntry.generateId();
         this.type = data.type;
         this.time = requiresTime(data.type) ? normalizeTime(data.time) : null;
-        this.hours = isSpecialType(data.type) ? (data.hours ?? this.getDefaultHours(data.type)) : null;
+        this.endTime = hasEndTime(data.type) ? normalizeTime(data.endTime) : null;
+        if (isSpecialType(data.type)) {
+            this.hours = data.hours ?? this.getDefaultHours(data.type);
+        } else {
+            this.hours = isMarkerType(data.type) || isLeaveType(data.type) ? (data.hours ?? null) : null;
+        }
+        this.nextDay = data.type === 'uscita' && data.nextDay === true;
+        this.reason = acceptsReason(data.type) ? (data.reason || AbsenceReason.getDefaultId(data.type)) : null;
+        this.destination = isMissionType(data.type) ? String(data.destination || '').trim() : null;
+        this.travelMinutes = isMissionType(data.type) ? (data.travelMinutes ?? 0) : null;
+        this.note = String(data.note || '').trim() || null;
+        this.justification = data.justification || null;
         this.createdAt = data.createdAt || Date.now();
     }
 
     /**
-     * Genera un ID univoco per l'entry
+     * Genera un ID univoco per un'entry
      * @returns {string}
      */
-    generateId() {
+    static generateId() {
         return `entry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
     /**
-     * Ottiene le ore predefinite per un tipo speciale
+     * Ottiene le ore predefinite per un tipo speciale dal profilo contrattuale attivo
      * @param {string} type - Tipo di entry
-     * @param {boolean} [isFriday=false] - Se è venerdì
+     * @param {string|boolean} [day=false] - Data ISO, oppure se è venerdì
      * @returns {number}
      */
-    getDefaultHours(type, isFriday = false) {
-        if (type === 'smart') {
-            return isFriday ? SMART_HOURS.FRIDAY : SMART_HOURS.DEFAULT;
-        }
-        if (type === 'assente') {
-            return isFriday ? ABSENT_HOURS.FRIDAY : ABSENT_HOURS.DEFAULT;
-        }
-        return 0;
+    getDefaultHours(type, day = false) {
+        return TimeEntry.getDefaultHoursFor(type, day);
     }
 
     /**
@@ -108,6 +121,86 @@ export class TimeEntry {
         return this.type === 'assente';
     }
 
+    /**
+     * Verifica se è Straordinario autorizzato
+     * @returns {boolean}
+     */
+    isStraordinario() {
+        return this.type === 'straordinario';
+    }
+
+    /**
+     * Verifica se è un Permesso orario
+     * @returns {boolean}
+     */
+    isPermesso() {
+        return this.type === 'permesso';
+    }
+
+    /**
+     * Verifica se è un Permesso breve (fascia oraria da recuperare)
+     * @returns {boolean}
+     */
+    isBreve() {
+        return this.type === 'breve';
+    }
+
+    /**
+     * Verifica se è una fascia di reperibilità o un intervento in reperibilità
+     * @returns {boolean}
+     */
+    isOnCall() {
+        return isOnCallType(this.type);
+    }
+
+    /**
+     * Verifica se è una Missione (trasferta)
+     * @returns {boolean}
+     */
+    isMission() {
+        return isMissionType(this.type);
+    }
+
+    /**
+     * Verifica se è una Nota del giorno
+     * @returns {boolean}
+     */
+    isNote() {
+        return isNoteType(this.type);
+    }
+
+    /**
+     * Etichetta della motivazione allegata
+     * @returns {string} Stringa vuota se non indicata
+     */
+    getJustificationLabel() {
+        return getJustificationLabel(this.justification);
+    }
+
+    /**
+     * Durata della fascia di un permesso breve, di reperibilità o di una missione
+     * La reperibilità con fine non successiva all'inizio termina il giorno dopo.
+     * @returns {number} Minuti (0 se non è una fascia valida)
+     */
+    getSpanMinutes() {
+        if (!hasEndTime(this.type)) return 0;
+        const start = parseTimeToMinutes(this.time);
+        let end = parseTimeToMinutes(this.endTime);
+        if (start === null || end === null) return 0;
+        if (this.isOnCall() && end <= start) {
+            end += 24 * 60;
+        }
+        return end > start ? end - start : 0;
+    }
+
+    /**
+     * Verifica se è un'assenza oraria che convive con le timbrature
+     * @returns {boolean}
+     */
+    isLeave() {
+        return isLeaveType(this.type);
+    }
+
     /**
      * Verifica se è un tipo speciale (smart/assente)
      * @returns {boolean}
@@ -116,6 +209,14 @@ export class TimeEntry {
         return isSpecialType(this.type);
     }
 
+    /**
+     * Verifica se è un marcatore (straordinario) che non entra nel calcolo ore
+     * @returns {boolean}
+     */
+    isMarker() {
+        return isMarkerType(this.type);
+    }
+
     /**
      * Ottiene l'etichetta del tipo in italiano
      * @returns {string}
@@ -125,11 +226,26 @@ export class TimeEntry {
             'entrata': 'Entrata',
             'uscita': 'Uscita',
             'smart': 'Smart Working',
-            'assente': 'Assente'
+            'assente': 'Assente',
+            'straordinario': 'Straordinario',
+            'permesso': 'Permesso orario',
+            'breve': 'Permesso breve',
+            'reperibilita': 'Reperibilità',
+            'intervento': 'Intervento in reperibilità',
+            'missione': 'Missione',
+            'nota': 'Nota del giorno'
         };
         return labels[this.type] || this.type;
     }
 
+    /**
+     * Ottiene la causale di un'assenza o di un permesso
+     * @returns {AbsenceReason|null}
+     */
+    getReason() {
+        return acceptsReason(this.type) ? AbsenceReason.forEntry(this) : null;
+    }
+
     /**
      * Ottiene l'icona del tipo
      * @returns {string}
@@ -139,7 +255,14 @@ export class TimeEntry {
             'entrata': '🟢',
             'uscita': '🔴',
             'smart': '🏠',
-            'assente': '❌'
+            'assente': '❌',
+            'straordinario': '💶',
+            'permesso': '🕐',
+            'breve': '⏸️',
+            'reperibilita': '📟',
+            'intervento': '🚨',
+            'missione': '🧳',
+            'nota': '📝'
         };
         return icons[this.type] || '⚪';
     }
@@ -152,16 +275,63 @@ export class TimeEntry {
     update(updates) {
         if (updates.type !== undefined) {
             this.type = updates.type;
+            // Le ore hanno senso solo per tipi speciali, marcatori e assenze orarie
+            if (!this.hasHours()) {
+                this.hours = null;
+            }
+            if (!this.isUscita()) {
+                this.nextDay = false;
+            }
+            if (!hasEndTime(this.type)) {
+                this.endTime = null;
+            }
+            if (this.isMission()) {
+                this.destination = this.destination ?? '';
+                this.travelMinutes = this.travelMinutes ?? 0;
+            } else {
+                this.destination = null;
+                this.travelMinutes = null;
+            }
+            this.reason = acceptsReason(this.type) ? (this.reason || AbsenceReason.getDefaultId(this.type)) : null;
+        }
+        if (updates.reason !== undefined && acceptsReason(this.type)) {
+            this.reason = updates.reason || AbsenceReason.getDefaultId(this.type);
         }
         if (updates.time !== undefined && requiresTime(this.type)) {
             this.time = normalizeTime(updates.time);
         }
-        if (updates.hours !== undefined && isSpecialType(this.type)) {
+        if (updates.hours !== undefined && this.hasHours()) {
             this.hours = updates.hours;
         }
+        if (updates.nextDay !== undefined && this.isUscita()) {
+            this.nextDay = updates.nextDay === true;
+        }
+        if (updates.endTime !== undefined && hasEndTime(this.type)) {
+            this.endTime = normalizeTime(updates.endTime);
+        }
+        if (updates.destination !== undefined && this.isMission()) {
+            this.destination = String(updates.destination || '').trim();
+        }
+        if (updates.travelMinutes !== undefined && this.isMission()) {
+            this.travelMinutes = updates.travelMinutes ?? 0;
+        }
+        if (updates.note !== undefined) {
+            this.note = String(updates.note || '').trim() || null;
+        }
+        if (updates.justification !== undefined) {
+            this.justification = updates.justification || null;
+        }
         return this;
     }
 
+    /**
+     * Verifica se il tipo porta un numero di ore
+     * @returns {boolean}
+     */
+    hasHours() {
+        return isSpecialType(this.type) || isMarkerType(this.type) || isLeaveType(this.type);
+    }
+
     /**
      * Clona l'entry
      * @returns {TimeEntry}
@@ -170,18 +340,28 @@ export class TimeEntry {
         return new TimeEntry({
             type: this.type,
             time: this.time,
+            endTime: this.endTime,
             hours: this.hours,
-            id: this.generateId(), // Nuovo ID per il clone
+            nextDay: this.nextDay,
+            reason: this.reason,
+            destination: this.destination,
+            travelMinutes: this.travelMinutes,
+            note: this.note,
+            justification: this.justification,
+            id: TimeEntry.generateId(), // Nuovo ID per il clone
             createdAt: Date.now()
         });
     }
 
     /**
      * Converte l'entry in oggetto plain per serializzazione
+     * ID e data di creazione si salvano: identificano la singola timbratura
+     * tra un caricamento e l'altro (modifica, storico, confronto dei dati).
      * @returns {Object}
      */
     toJSON() {
         const json = {
+            id: this.id,
             type: this.type
         };
 
@@ -190,10 +370,38 @@ export class TimeEntry {
             json.time = this.time || null;
         }
 
+        if (hasEndTime(this.type)) {
+            json.endTime = this.endTime || null;
+        }
+
         if (this.hours !== null) {
             json.hours = this.hours;
         }
 
+        if (this.nextDay) {
+            json.nextDay = true;
+        }
+
+        if (this.isMission()) {
+            json.destination = this.destination;
+            json.travelMinutes = this.travelMinutes;
+        }
+
+        if (this.note) {
+            json.note = this.note;
+        }
+
+        if (this.justification) {
+            json.justification = this.justification;
+        }
+
+        // La causale predefinita del tipo non si salva (compatibile con i dati esistenti)
+        if (this.reason && this.reason !== AbsenceReason.getDefaultId(this.type)) {
+            json.reason = this.reason;
+        }
+
+        json.createdAt = this.createdAt;
+
         return json;
     }
 
@@ -206,6 +414,27 @@ export class TimeEntry {
         return new TimeEntry(data);
     }
 
+    /**
+     * Ore predefinite per un tipo speciale secondo il profilo contrattuale in vigore nel giorno
+     * @param {string} type - Tipo di entry
+     * @param {string|boolean} [day=false] - Data ISO, oppure se è venerdì
+     * @param {string} [reasonId] - Causale dell'assenza (ore predefinite proprie, se previste)
+     * @returns {number}
+     */
+    static getDefaultHoursFor(type, day = false, reasonId = null) {
+        const profile = settingsService.getProfileAt(typeof day === 'string' ? day : null);
+        const weekday = resolveWeekday(day);
+
+        if (type === 'smart') {
+            return profile.getSmartHours(weekday);
+        }
+        if (type === 'assente') {
+            const reason = AbsenceReason.find(reasonId) || AbsenceReason.find(AbsenceReason.getDefaultId(type));
+            return reason.getDefaultHours(profile.getAbsentHours(weekday));
+        }
+        return 0;
+    }
+
     /**
      * Crea un'entry di tipo Entrata
      * @param {string} time - Orario HH:MM
@@ -218,34 +447,109 @@ export class TimeEntry {
     /**
      * Crea un'entry di tipo Uscita
      * @param {string} time - Orario HH:MM
+     * @param {boolean} [nextDay=false] - Uscita del giorno successivo (turno notturno)
+     * @returns {TimeEntry}
+     */
+    static createUscita(time, nextDay = false) {
+        return new TimeEntry({ type: 'uscita', time, nextDay });
+    }
+
+    /**
+     * Crea un marcatore di Straordinario autorizzato
+     * @param {number|null} [hours=null] - Ore autorizzate (null = tutta l'eccedenza del giorno)
+     * @returns {TimeEntry}
+     */
+    static createStraordinario(hours = null) {
+        return new TimeEntry({ type: 'straordinario', hours });
+    }
+
+    /**
+     * Crea un Permesso orario da affiancare alle timbrature
+     * @param {number} hours - Ore di permesso
+     * @param {string} [reason] - Causale (default: permesso personale)
+     * @returns {TimeEntry}
+     */
+    static createPermesso(hours, reason = null) {
+        return new TimeEntry({ type: 'permesso', hours, reason });
+    }
+
+    /**
+     * Crea un Permesso breve: fascia oraria dentro la giornata, da recuperare
+     * @param {string} time - Inizio HH:MM
+     * @param {string} endTime - Fine HH:MM
+     * @returns {TimeEntry}
+     */
+    static createBreve(time, endTime) {
+        return new TimeEntry({ type: 'breve', time, endTime });
+    }
+
+    /**
+     * Crea una fascia di Reperibilità (disponibilità fuori orario)
+     * @param {string} time - Inizio HH:MM
+     * @param {string} endTime - Fine HH:MM (se non successiva all'inizio, il giorno dopo)
+     * @returns {TimeEntry}
+     */
+    static createReperibilita(time, endTime) {
+        return new TimeEntry({ type: 'reperibilita', time, endTime });
+    }
+
+    /**
+     * Crea un Intervento svolto durante la reperibilità
+     * @param {string} time - Inizio HH:MM
+     * @param {string} endTime - Fine HH:MM (se non successiva all'inizio, il giorno dopo)
+     * @returns {TimeEntry}
+     */
+    static createIntervento(time, endTime) {
+        return new TimeEntry({ type: 'intervento', time, endTime });
+    }
+
+    /**
+     * Crea una Missione: trasferta con partenza e rientro nello stesso giorno
+     * @param {string} time - Partenza HH:MM
+     * @param {string} endTime - Rientro HH:MM
+     * @param {string} destination - Destinazione
+     * @param {number} [travelMinutes=0] - Tempo di viaggio (andata e ritorno) in minuti
+     * @returns {TimeEntry}
+     */
+    static createMissione(time, endTime, destination, travelMinutes = 0) {
+        return new TimeEntry({ type: 'missione', time, endTime, destination, travelMinutes });
+    }
+
+    /**
+     * Crea una Nota del giorno (testo e/o motivazione, senza orari né ore)
+     * @param {string} note - Testo della nota
+     * @param {string} [justification] - Motivazione (chiave in JUSTIFICATIONS)
      * @returns {TimeEntry}
      */
-    static createUscita(time) {
-        return new TimeEntry({ type: 'uscita', time });
+    static createNota(note, justification = null) {
+        return new TimeEntry({ type: 'nota', note, justification });
     }
 
     /**
-     * Crea un'entry di tipo Smart Working
-     * @param {boolean} [isFriday=false] - Se è venerdì
+     * Crea un'entry di tipo Smart Working con le ore del profilo attivo
+     * @param {string|boolean} [day=false] - Data ISO, oppure se è venerdì
      * @returns {TimeEntry}
      */
-    static createSmart(isFriday = false) {
+    static createSmart(day = false) {
         return new TimeEntry({
             type: 'smart',
-            hours: isFriday ? SMART_HOURS.FRIDAY : SMART_HOURS.DEFAULT
+            hours: TimeEntry.getDefaultHoursFor('smart', day)
         });
     }
 
     /**
-     * Crea un'entry di tipo Assente
-     * L'assenza conta come giornata lavorativa completa per il conteggio settimanale
-     * @param {boolean} [isFriday=false] - Se è venerdì
+     * Crea un'entry di tipo Assente con le ore del profilo attivo
+     * L'assenza conta come giornata lavorativa completa per il conteggio settimanale,
+     * salvo causali che non coprono il target (es. recupero compensativo)
+     * @param {string|boolean} [day=false] - Data ISO, oppure se è venerdì
+     * @param {string} [reason] - Causale (default: assenza generica)
      * @returns {TimeEntry}
      */
-    static createAssente(isFriday = false) {
+    static createAssente(day = false, reason = null) {
         return new TimeEntry({
             type: 'assente',
-            hours: isFriday ? ABSENT_HOURS.FRIDAY : ABSENT_HOURS.DEFAULT
+            hours: TimeEntry.getDefaultHoursFor('assente', day, reason),
+            reason
         });
     }
 }
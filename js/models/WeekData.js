@@ -3,19 +3,56 @@
  * 
  * @description Gestisce la collezione di entry per una settimana,
  * incluse operazioni CRUD, calcoli e validazione.
+ * Ogni modifica (aggiunta, correzione, eliminazione) produce un record di
+ * audit con orario, valori prima e dopo e origine; i record restano in
+ * attesa finché il controller non li salva (vedi AuditService).
  */
 
-import { TimeEntry, SMART_HOURS } from './TimeEntry.js';
+import { TimeEntry } from './TimeEntry.js';
 import { 
     getWeekKey, 
     getWeekNumber,
     getWorkWeekDates, 
     formatDateISO, 
-    isFriday, 
-    parseWeekKey,
-    parseDateISO
+    parseWeekKey
 } from '../utils/DateUtils.js';
 
+/**
+ * Azioni registrate nello storico delle modifiche
+ */
+export const AUDIT_ACTIONS = {
+    ADD: 'add',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+/**
+ * Origine di una modifica
+ */
+export const AUDIT_SOURCES = {
+    BUTTON: 'button',             // Pulsanti Entrata/Uscita (timbratura dal vivo)
+    QUICK_ACTION: 'quick-action', // Pulsanti rapidi Smart/Assente
+    MODAL: 'modal',               // Aggiunta o correzione manuale
+    IMPORT: 'import',             // Import da file JSON
+    UNDO: 'undo'                  // Annulla/Ripeti di un'operazione
+};
+
+/**
+ * Entry di una lista che non compaiono nell'altra (confronto per valore, con ripetizioni)
+ * @param {Object[]} entries - Entry serializzate
+ * @param {Object[]} others - Entry serializzate da sottrarre
+ * @returns {Object[]}
+ */
+function subtractEntries(entries, others) {
+    const remaining = others.map(entry => JSON.stringify(entry));
+    return entries.filter(entry => {
+        const index = remaining.indexOf(JSON.stringify(entry));
+        if (index === -1) return true;
+        remaining.splice(index, 1);
+        return false;
+    });
+}
+
 /**
  * Classe che rappresenta i dati di una settimana
  */
@@ -32,6 +69,9 @@ export class WeekData {
         
         /** @type {Map<string, TimeEntry[]>} Mappa data -> entries */
         this.entries = new Map();
+
+        /** @type {Array<Object>} Record di audit non ancora salvati */
+        this.auditRecords = [];
         
         // Inizializza con i giorni lavorativi
         this.initializeWorkDays();
@@ -72,24 +112,35 @@ export class WeekData {
         return this.entries.get(dateKey) || [];
     }
 
+    /**
+     * Cerca un'entry di un giorno per ID
+     * @param {string} dateKey - Data in formato ISO
+     * @param {string} id - ID dell'entry
+     * @returns {TimeEntry|null}
+     */
+    getEntryById(dateKey, id) {
+        return this.getEntriesForDate(dateKey).find(entry => entry.id === id) || null;
+    }
+
     /**
      * Aggiunge un'entry a un giorno
      * @param {string} dateKey - Data in formato ISO
      * @param {TimeEntry|Object} entry - Entry da aggiungere
+     * @param {string|null} [source=null] - Origine della modifica (AUDIT_SOURCES)
      * @returns {TimeEntry} L'entry aggiunta
      */
-    addEntry(dateKey, entry) {
+    addEntry(dateKey, entry, source = null) {
         // Assicurati che l'entry sia un'istanza di TimeEntry
         const timeEntry = entry instanceof TimeEntry ? entry : new TimeEntry(entry);
         
-        // Verifica se è un tipo speciale (smart/assente)
-        if (timeEntry.isSpecial()) {
-            // I tipi speciali sostituiscono tutte le entry del giorno
-            this.clearDay(dateKey);
+        // Verifica se è un tipo speciale (smart/assente) o una missione
+        if (timeEntry.isSpecial() || timeEntry.isMission()) {
+            // I tipi speciali e la missione sostituiscono tutte le entry del giorno
+            this.clearDay(dateKey, source);
             
-            // Aggiusta le ore per il venerdì
-            if (timeEntry.isSmart() && isFriday(parseDateISO(dateKey))) {
-                timeEntry.hours = SMART_HOURS.FRIDAY;
+            // Senza ore esplicite, usa quelle del profilo per il giorno
+            if (timeEntry.isSpecial() && !(entry instanceof TimeEntry) && entry.hours === undefined) {
+                timeEntry.hours = timeEntry.getDefaultHours(timeEntry.type, dateKey);
             }
         }
         
@@ -99,6 +150,7 @@ export class WeekData {
         }
         
         this.entries.get(dateKey).push(timeEntry);
+        this.recordChange(AUDIT_ACTIONS.ADD, dateKey, null, timeEntry.toJSON(), source);
         
         return timeEntry;
     }
@@ -106,53 +158,99 @@ export class WeekData {
     /**
      * Aggiorna un'entry specifica
      * @param {string} dateKey - Data in formato ISO
-     * @param {number} index - Indice dell'entry
+     * @param {string} id - ID dell'entry
      * @param {Object} updates - Dati da aggiornare
+     * @param {string|null} [source=null] - Origine della modifica (AUDIT_SOURCES)
      * @returns {TimeEntry|null} L'entry aggiornata o null se non trovata
      */
-    updateEntry(dateKey, index, updates) {
+    updateEntry(dateKey, id, updates, source = null) {
         const entries = this.entries.get(dateKey);
-        if (!entries || index < 0 || index >= entries.length) {
+        const index = entries ? entries.findIndex(entry => entry.id === id) : -1;
+        if (index === -1) {
             return null;
         }
         
         const entry = entries[index];
+        const before = entry.toJSON();
         
-        // Se cambia il tipo a speciale, rimuovi le altre entry
-        if (updates.type && ['smart', 'assente'].includes(updates.type) && !entry.isSpecial()) {
+        // Se cambia il tipo a speciale o missione, rimuovi le altre entry
+        if (updates.type && ['smart', 'assente', 'missione'].includes(updates.type) && !entry.isSpecial() && !entry.isMission()) {
+            entries.splice(index, 1);
             const updatedEntry = entry.update(updates);
-            this.clearDay(dateKey);
+            this.clearDay(dateKey, source);
             this.entries.get(dateKey).push(updatedEntry);
+            this.recordChange(AUDIT_ACTIONS.UPDATE, dateKey, before, updatedEntry.toJSON(), source);
             return updatedEntry;
         }
         
-        return entry.update(updates);
+        entry.update(updates);
+        this.recordChange(AUDIT_ACTIONS.UPDATE, dateKey, before, entry.toJSON(), source);
+        return entry;
     }
 
     /**
      * Elimina un'entry specifica
      * @param {string} dateKey - Data in formato ISO
-     * @param {number} index - Indice dell'entry da eliminare
+     * @param {string} id - ID dell'entry da eliminare
+     * @param {string|null} [source=null] - Origine della modifica (AUDIT_SOURCES)
      * @returns {TimeEntry|null} L'entry eliminata o null se non trovata
      */
-    deleteEntry(dateKey, index) {
+    deleteEntry(dateKey, id, source = null) {
         const entries = this.entries.get(dateKey);
-        if (!entries || index < 0 || index >= entries.length) {
+        const index = entries ? entries.findIndex(entry => entry.id === id) : -1;
+        if (index === -1) {
             return null;
         }
         
         const [deleted] = entries.splice(index, 1);
+        this.recordChange(AUDIT_ACTIONS.DELETE, dateKey, deleted.toJSON(), null, source);
         return deleted;
     }
 
     /**
-     * Elimina tutte le entry di un giorno
+     * Elimina le entry di un giorno
+     * La reperibilità è fuori orario e resta anche quando il giorno viene
+     * sostituito da Smart Working, Assenza o Missione; lo stesso vale per le note del giorno.
      * @param {string} dateKey - Data in formato ISO
+     * @param {string|null} [source=null] - Origine della modifica (AUDIT_SOURCES)
      */
-    clearDay(dateKey) {
-        if (this.entries.has(dateKey)) {
-            this.entries.set(dateKey, []);
+    clearDay(dateKey, source = null) {
+        if (!this.entries.has(dateKey)) return;
+
+        const kept = [];
+        for (const entry of this.entries.get(dateKey)) {
+            if (entry.isOnCall() || entry.isNote()) {
+                kept.push(entry);
+            } else {
+                this.recordChange(AUDIT_ACTIONS.DELETE, dateKey, entry.toJSON(), null, source);
+            }
+        }
+        this.entries.set(dateKey, kept);
+    }
+
+    /**
+     * Accoda un record di audit (le correzioni senza effetto non vengono registrate)
+     * @param {string} action - Azione (AUDIT_ACTIONS)
+     * @param {string} dateKey - Data in formato ISO
+     * @param {Object|null} before - Entry prima della modifica
+     * @param {Object|null} after - Entry dopo la modifica
+     * @param {string|null} source - Origine della modifica (AUDIT_SOURCES)
+     */
+    recordChange(action, dateKey, before, after, source) {
+        if (action === AUDIT_ACTIONS.UPDATE && JSON.stringify(before) === JSON.stringify(after)) {
+            return;
         }
+        this.auditRecords.push({ timestamp: Date.now(), dateKey, action, source, before, after });
+    }
+
+    /**
+     * Restituisce e svuota i record di audit in attesa di salvataggio
+     * @returns {Array<{timestamp: number, dateKey: string, action: string, source: string|null, before: Object|null, after: Object|null}>}
+     */
+    takeAuditRecords() {
+        const records = this.auditRecords;
+        this.auditRecords = [];
+        return records;
     }
 
     /**
@@ -166,23 +264,22 @@ export class WeekData {
     }
 
     /**
-     * Verifica se un giorno è di tipo speciale (smart/assente)
+     * Verifica se un giorno è di tipo speciale (smart/assente/missione)
      * @param {string} dateKey - Data in formato ISO
      * @returns {boolean}
      */
     isSpecialDay(dateKey) {
-        const entries = this.entries.get(dateKey);
-        return entries && entries.length === 1 && entries[0].isSpecial();
+        return this.getSpecialDayType(dateKey) !== null;
     }
 
     /**
      * Ottiene il tipo speciale del giorno, se presente
      * @param {string} dateKey - Data in formato ISO
-     * @returns {string|null} 'smart', 'assente', o null
+     * @returns {string|null} 'smart', 'assente', 'missione' o null
      */
     getSpecialDayType(dateKey) {
-        const entries = this.entries.get(dateKey);
-        if (entries && entries.length === 1 && entries[0].isSpecial()) {
+        const entries = (this.entries.get(dateKey) || []).filter(entry => !entry.isOnCall() && !entry.isNote());
+        if (entries.length === 1 && (entries[0].isSpecial() || entries[0].isMission())) {
             return entries[0].type;
         }
         return null;
@@ -251,6 +348,34 @@ export class WeekData {
                 });
             }
         }
+        // Il caricamento di dati salvati non è una modifica
+        this.auditRecords = [];
+    }
+
+    /**
+     * Ripristina la settimana a uno stato salvato (annulla/ripeti)
+     * Per ogni giorno registra l'eliminazione delle entry non più presenti
+     * e l'aggiunta di quelle ripristinate.
+     * @param {Object} data - Dati nel formato {dateKey: [{type, time, hours}]}
+     * @param {string|null} [source=null] - Origine della modifica (AUDIT_SOURCES)
+     */
+    restoreFromJSON(data, source = null) {
+        const restored = WeekData.fromWeekKey(this.weekKey, data);
+        const dateKeys = new Set([...this.entries.keys(), ...restored.entries.keys()]);
+
+        for (const dateKey of dateKeys) {
+            const current = (this.entries.get(dateKey) || []).map(entry => entry.toJSON());
+            const next = (restored.entries.get(dateKey) || []).map(entry => entry.toJSON());
+
+            for (const entry of subtractEntries(current, next)) {
+                this.recordChange(AUDIT_ACTIONS.DELETE, dateKey, entry, null, source);
+            }
+            for (const entry of subtractEntries(next, current)) {
+                this.recordChange(AUDIT_ACTIONS.ADD, dateKey, null, entry, source);
+            }
+        }
+
+        this.entries = restored.entries;
     }
 
     /**
@@ -294,6 +419,32 @@ export class WeekData {
         return count;
     }
 
+    /**
+     * Assegna ID e data di creazione alle entry salvate che ne sono prive
+     * (dati precedenti alla persistenza degli ID). La data di creazione è
+     * quella dell'assegnazione. I dati vengono modificati sul posto.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {number} Entry aggiornate
+     */
+    static assignMissingIds(allData) {
+        const now = Date.now();
+        let assigned = 0;
+
+        for (const weekEntries of Object.values(allData || {})) {
+            for (const entries of Object.values(weekEntries || {})) {
+                for (const entry of Array.isArray(entries) ? entries : []) {
+                    if (entry && typeof entry === 'object' && !entry.id) {
+                        entry.id = TimeEntry.generateId();
+                        entry.createdAt = entry.createdAt || now;
+                        assigned++;
+                    }
+                }
+            }
+        }
+
+        return assigned;
+    }
+
     /**
      * Crea una WeekData da una chiave settimana e dati
      * @param {string} weekKey - Chiave settimana (es. "2026-W05")
@@ -0,0 +1,165 @@
+/**
+ * AuditService - Service per lo storico delle modifiche
+ *
+ * @description Conserva i record di audit prodotti da WeekData a ogni
+ * aggiunta, correzione o eliminazione di una timbratura: data e ora della
+ * modifica, valori prima e dopo e origine (pulsante, azione rapida, modifica
+ * manuale, import, annulla/ripeti). Lo storico di un giorno distingue ciò che è stato
+ * timbrato dal vivo da ciò che è stato corretto a posteriori.
+ */
+
+import { AUDIT_ACTIONS, AUDIT_SOURCES } from '../models/WeekData.js';
+import { TimeEntry } from '../models/TimeEntry.js';
+import { formatDateIT } from '../utils/DateUtils.js';
+
+/**
+ * Etichette delle azioni
+ */
+const ACTION_LABELS = {
+    [AUDIT_ACTIONS.ADD]: 'Aggiunta',
+    [AUDIT_ACTIONS.UPDATE]: 'Correzione',
+    [AUDIT_ACTIONS.DELETE]: 'Eliminazione'
+};
+
+/**
+ * Etichette delle origini
+ */
+const SOURCE_LABELS = {
+    [AUDIT_SOURCES.BUTTON]: 'Pulsante',
+    [AUDIT_SOURCES.QUICK_ACTION]: 'Azione rapida',
+    [AUDIT_SOURCES.MODAL]: 'Modifica manuale',
+    [AUDIT_SOURCES.IMPORT]: 'Import',
+    [AUDIT_SOURCES.UNDO]: 'Annulla/Ripeti'
+};
+
+/**
+ * Classe per gestione storico modifiche
+ */
+export class AuditService {
+    /**
+     * Crea il service
+     */
+    constructor() {
+        /** @type {StorageManager|null} */
+        this.storage = null;
+
+        /** @type {Array<{timestamp: number, dateKey: string, action: string, source: string|null, before: Object|null, after: Object|null}>} */
+        this.records = [];
+    }
+
+    /**
+     * Inizializza il service caricando lo storico salvato
+     * @param {StorageManager} storage - Storage manager
+     * @returns {Promise<Array>} Record caricati
+     */
+    async init(storage) {
+        this.storage = storage;
+        const saved = await storage.loadAuditLog();
+        this.records = Array.isArray(saved) ? saved : [];
+        return this.records;
+    }
+
+    /**
+     * Aggiunge record allo storico e lo salva
+     * @param {Array} records - Record prodotti da WeekData.takeAuditRecords
+     * @returns {Promise<boolean>} Successo del salvataggio
+     */
+    async append(records) {
+        if (!records || records.length === 0) {
+            return true;
+        }
+
+        this.records.push(...records);
+        return this.storage ? this.storage.saveAuditLog(this.records) : true;
+    }
+
+    /**
+     * Storico di un giorno, dal più recente
+     * @param {string} dateKey - Data ISO
+     * @returns {Array} Record del giorno
+     */
+    getDayHistory(dateKey) {
+        return this.records
+            .filter(record => record.dateKey === dateKey)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Numero di modifiche registrate per ogni giorno indicato
+     * @param {string[]} dateKeys - Date ISO
+     * @returns {Object} Oggetto {dateKey: count}
+     */
+    getHistoryCounts(dateKeys) {
+        const counts = Object.fromEntries(dateKeys.map(dateKey => [dateKey, 0]));
+        for (const record of this.records) {
+            if (record.dateKey in counts) {
+                counts[record.dateKey]++;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Elimina lo storico dei giorni precedenti a una data
+     * @param {string} dateKey - Data ISO limite (esclusa)
+     * @returns {Promise<number>} Record eliminati
+     */
+    async removeBefore(dateKey) {
+        const kept = this.records.filter(record => record.dateKey >= dateKey);
+        const removed = this.records.length - kept.length;
+
+        if (removed > 0) {
+            this.records = kept;
+            if (this.storage) {
+                await this.storage.saveAuditLog(this.records);
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Descrive una entry salvata in una riga di testo
+     * @param {Object} entry - Entry serializzata
+     * @returns {string} Es: "Entrata 08:05", "Permesso 10:00–11:30 (Servizio)"
+     */
+    describeEntry(entry) {
+        const timeEntry = TimeEntry.fromJSON(entry);
+        let value = '';
+
+        if (timeEntry.time && timeEntry.endTime) {
+            value = `${timeEntry.time}–${timeEntry.endTime}`;
+        } else if (timeEntry.time) {
+            value = timeEntry.nextDay ? `${timeEntry.time} (+1)` : timeEntry.time;
+        } else if (entry.hours !== undefined && entry.hours !== null) {
+            value = `${entry.hours}h`;
+        }
+
+        const note = [timeEntry.getJustificationLabel(), timeEntry.note].filter(Boolean).join(' - ');
+        return [timeEntry.getTypeLabel(), value, note ? `(${note})` : ''].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Descrive un record per la vista dello storico
+     * @param {Object} record - Record di audit
+     * @returns {{when: string, actionLabel: string, sourceLabel: string, change: string}}
+     */
+    describeRecord(record) {
+        const date = new Date(record.timestamp);
+        const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+        const before = record.before ? this.describeEntry(record.before) : null;
+        const after = record.after ? this.describeEntry(record.after) : null;
+
+        return {
+            when: `${formatDateIT(date)} ${time}`,
+            actionLabel: ACTION_LABELS[record.action] || record.action,
+            sourceLabel: SOURCE_LABELS[record.source] || 'Origine non indicata',
+            change: before && after ? `${before} → ${after}` : (after || before || '')
+        };
+    }
+}
+
+// Esporta istanza singleton
+export const auditService = new AuditService();
+
+export default AuditService;
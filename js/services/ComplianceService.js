@@ -0,0 +1,237 @@
+/**
+ * ComplianceService - Service per le verifiche sull'orario di lavoro
+ *
+ * @description Controlla le registrazioni rispetto ai limiti del D.Lgs. 66/2003:
+ * riposo giornaliero di 11 ore consecutive, durata media settimanale di 48 ore
+ * sul periodo di riferimento, pausa oltre 6 ore di lavoro continuativo.
+ * Le verifiche usano la settimana visualizzata e le settimane adiacenti.
+ * I risultati sono avvisi: non bloccano né modificano le registrazioni.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { getWeekKey, parseDateISO } from '../utils/DateUtils.js';
+import { minutesToTime } from '../utils/Validators.js';
+
+/**
+ * Regole verificate
+ */
+export const COMPLIANCE_RULES = {
+    DAILY_REST: 'daily-rest',           // Art. 7: riposo giornaliero
+    WEEKLY_AVERAGE: 'weekly-average',   // Art. 4: durata media settimanale
+    CONTINUOUS_WORK: 'continuous-work'  // Art. 8: pausa oltre 6 ore
+};
+
+/**
+ * Limiti di legge
+ */
+export const COMPLIANCE_LIMITS = {
+    MIN_DAILY_REST_MINUTES: 11 * 60,
+    MAX_AVERAGE_WEEKLY_MINUTES: 48 * 60,
+    REFERENCE_PERIOD_WEEKS: 17,         // Circa 4 mesi
+    MIN_AVERAGE_WEEKS: 4,               // Settimane con dati necessarie per la media
+    MAX_CONTINUOUS_MINUTES: 6 * 60,
+    MIN_BREAK_MINUTES: 10               // Pausa minima che interrompe il lavoro continuativo
+};
+
+/**
+ * Minuti in un giorno
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Classe per le verifiche di conformità
+ */
+export class ComplianceService {
+    /**
+     * Verifica una settimana
+     * @param {import('../models/WeekData.js').WeekData} weekData - Settimana da verificare
+     * @param {Object} [allData={}] - Tutti i dati {weekKey: {dateKey: [entries]}} per le settimane adiacenti
+     * @returns {Array<{rule: string, dateKey: string|null, minutes: number, message: string}>}
+     */
+    checkWeek(weekData, allData = {}) {
+        const weekEntries = weekData.toJSON();
+        const findings = [];
+
+        for (const dateKey of weekData.getWorkDates()) {
+            const entries = weekEntries[dateKey] || [];
+            const previousKey = timeCalculator.getPreviousDateKey(dateKey);
+            const previousEntries = weekEntries[previousKey] || this.findEntries(allData, previousKey);
+
+            const rest = this.checkDailyRest(previousEntries, entries, dateKey);
+            if (rest) findings.push(rest);
+
+            findings.push(...this.checkContinuousWork(entries, dateKey));
+        }
+
+        const monday = weekData.getWorkDates()[0];
+        const average = this.checkWeeklyAverage(monday, { ...allData, [weekData.weekKey]: weekEntries });
+        if (average) findings.push(average);
+
+        return findings;
+    }
+
+    /**
+     * Verifica il riposo tra l'ultima uscita del giorno precedente e la prima entrata
+     * @param {Array} previousEntries - Entry del giorno precedente
+     * @param {Array} entries - Entry del giorno
+     * @param {string} dateKey - Data ISO del giorno
+     * @returns {Object|null} Avviso o null
+     */
+    checkDailyRest(previousEntries, entries, dateKey) {
+        const previousPairs = timeCalculator.getWorkPairs(previousEntries);
+        const pairs = timeCalculator.getWorkPairs(entries);
+        if (previousPairs.length === 0 || pairs.length === 0) {
+            return null;
+        }
+
+        const lastExit = Math.max(...previousPairs.map(pair => pair.end));
+        const firstEntry = Math.min(...pairs.map(pair => pair.start));
+        // Un'uscita dopo la mezzanotte (oltre le 24:00) riduce il riposo
+        const restMinutes = MINUTES_PER_DAY - lastExit + firstEntry;
+
+        if (restMinutes >= COMPLIANCE_LIMITS.MIN_DAILY_REST_MINUTES) {
+            return null;
+        }
+
+        return {
+            rule: COMPLIANCE_RULES.DAILY_REST,
+            dateKey,
+            minutes: restMinutes,
+            message: `Riposo di ${minutesToTime(restMinutes)} dall'uscita del giorno prima (minimo 11h)`
+        };
+    }
+
+    /**
+     * Verifica i tratti di lavoro continuativo oltre 6 ore senza pausa
+     * Solo una pausa timbrata (tra due coppie, di almeno MIN_BREAK_MINUTES)
+     * interrompe il tratto: la pausa automatica dedotta dal calcolo ore non
+     * dice che la pausa sia stata fruita.
+     * @param {Array} entries - Entry del giorno
+     * @param {string} dateKey - Data ISO
+     * @returns {Array<Object>} Avvisi
+     */
+    checkContinuousWork(entries, dateKey) {
+        const spans = [];
+        for (const pair of timeCalculator.getWorkPairs(entries).sort((a, b) => a.start - b.start)) {
+            const last = spans[spans.length - 1];
+            if (last && pair.start - last.end < COMPLIANCE_LIMITS.MIN_BREAK_MINUTES) {
+                last.end = Math.max(last.end, pair.end);
+            } else {
+                spans.push({ ...pair });
+            }
+        }
+
+        return spans
+            .filter(span => span.end - span.start > COMPLIANCE_LIMITS.MAX_CONTINUOUS_MINUTES)
+            .map(span => ({
+                rule: COMPLIANCE_RULES.CONTINUOUS_WORK,
+                dateKey,
+                minutes: span.end - span.start,
+                message: `${minutesToTime(span.end - span.start)} di lavoro senza pausa (${minutesToTime(span.start)}–${minutesToTime(span.end % MINUTES_PER_DAY)}, massimo 6h)`
+            }));
+    }
+
+    /**
+     * Verifica la media settimanale sul periodo di riferimento che termina con la settimana
+     * Contano solo le settimane con registrazioni; le giornate di assenza non sono lavoro.
+     * Con meno di MIN_AVERAGE_WEEKS settimane con dati la media non è indicativa.
+     * @param {string} mondayKey - Data ISO del lunedì dell'ultima settimana del periodo
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {Object|null} Avviso o null
+     */
+    checkWeeklyAverage(mondayKey, allData) {
+        let totalMinutes = 0;
+        let weeksWithData = 0;
+
+        for (const weekKey of this.getReferenceWeekKeys(mondayKey)) {
+            const minutes = this.getWeekWorkedMinutes(allData[weekKey]);
+            if (minutes === null) continue;
+            totalMinutes += minutes;
+            weeksWithData++;
+        }
+
+        if (weeksWithData < COMPLIANCE_LIMITS.MIN_AVERAGE_WEEKS) {
+            return null;
+        }
+
+        const averageMinutes = Math.round(totalMinutes / weeksWithData);
+        if (averageMinutes <= COMPLIANCE_LIMITS.MAX_AVERAGE_WEEKLY_MINUTES) {
+            return null;
+        }
+
+        return {
+            rule: COMPLIANCE_RULES.WEEKLY_AVERAGE,
+            dateKey: null,
+            minutes: averageMinutes,
+            message: `Media di ${minutesToTime(averageMinutes)} a settimana nelle ultime ${weeksWithData} settimane con dati (massimo 48h)`
+        };
+    }
+
+    /**
+     * Chiavi delle settimane del periodo di riferimento (dalla più recente)
+     * @param {string} mondayKey - Data ISO del lunedì dell'ultima settimana
+     * @returns {string[]}
+     */
+    getReferenceWeekKeys(mondayKey) {
+        const monday = parseDateISO(mondayKey);
+        const weekKeys = [];
+
+        for (let i = 0; i < COMPLIANCE_LIMITS.REFERENCE_PERIOD_WEEKS; i++) {
+            weekKeys.push(getWeekKey(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 7 * i)));
+        }
+
+        return weekKeys;
+    }
+
+    /**
+     * Minuti lavorati in una settimana, escluse le giornate di assenza e i permessi orari
+     * I turni notturni contano per la parte che ricade nella settimana.
+     * @param {Object} [weekEntries] - Oggetto {dateKey: [entries]}
+     * @returns {number|null} Minuti o null se la settimana non ha registrazioni
+     */
+    getWeekWorkedMinutes(weekEntries) {
+        const days = Object.entries(weekEntries || {}).filter(([, entries]) => entries?.length > 0);
+        if (days.length === 0) {
+            return null;
+        }
+
+        return days.reduce((total, [dateKey, entries]) => {
+            const isAbsence = timeCalculator.getWorkEntries(entries).some(entry => entry.type === 'assente');
+            if (isAbsence) return total;
+            const dayHours = timeCalculator.calculateDayHours(entries, dateKey, timeCalculator.getDayContext(weekEntries, dateKey));
+            return total + dayHours.minutes - dayHours.leaveMinutes;
+        }, 0) + Object.entries(timeCalculator.getOvernightSpill(weekEntries))
+            .filter(([dateKey]) => parseDateISO(dateKey).getDay() !== 1)
+            .reduce((total, [, minutes]) => total + minutes, 0);
+    }
+
+    /**
+     * Cerca le entry di una data in tutte le settimane
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} dateKey - Data ISO
+     * @returns {Array}
+     */
+    findEntries(allData, dateKey) {
+        for (const weekEntries of Object.values(allData || {})) {
+            if (weekEntries?.[dateKey]) {
+                return weekEntries[dateKey];
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Filtra gli avvisi di un giorno
+     * @param {Array<Object>} findings - Avvisi della settimana
+     * @param {string} dateKey - Data ISO
+     * @returns {Array<Object>}
+     */
+    getFindingsForDate(findings, dateKey) {
+        return (findings || []).filter(finding => finding.dateKey === dateKey);
+    }
+}
+
+// Esporta istanza singleton
+export const complianceService = new ComplianceService();
+
+export default ComplianceService;
@@ -1,26 +1,38 @@
 /**
  * ExportService - Service per esportazione dati
  * 
- * @description Gestisce l'esportazione dei dati in formato JSON e CSV,
- * e l'importazione da file JSON.
+ * @description Gestisce l'esportazione dei dati in formato JSON e CSV
+ * (settimana, riepilogo annuale e missioni del mese) e l'importazione da file JSON.
+ * La reperibilità ha una sezione propria in coda ai CSV. Il JSON porta la
+ * versione dello schema e le impostazioni legate ai dati (es. rettifiche
+ * della banca ore); i file di versioni precedenti vengono migrati
+ * all'import (vedi SchemaMigrations).
  */
 
-import { formatDateIT, DAY_NAMES, parseWeekKey, getWorkWeekDates, formatDateISO } from '../utils/DateUtils.js';
-import { validateImportData } from '../utils/Validators.js';
+import { formatDateIT, DAY_NAMES, parseWeekKey, getWorkWeekDates, formatDateISO, parseDateISO } from '../utils/DateUtils.js';
+import { validateImportData, acceptsReason, isOnCallType, isMissionType, isNoteType, getJustificationLabel } from '../utils/Validators.js';
+import { AbsenceReason } from '../models/AbsenceReason.js';
 import { timeCalculator } from './TimeCalculator.js';
+import { mealVoucherService } from './MealVoucherService.js';
+import { leaveBalanceService } from './LeaveBalanceService.js';
+import { RECOVERY_STATUS } from './ShortLeaveService.js';
+import { holidayService } from './HolidayService.js';
+import { onCallService } from './OnCallService.js';
+import { createExportFile, readExportFile, migrateData } from '../storage/SchemaMigrations.js';
 
 /**
  * Classe per operazioni di export/import
  */
 export class ExportService {
     /**
-     * Esporta tutti i dati in formato JSON
+     * Esporta tutti i dati in formato JSON (con la versione dello schema)
      * @param {Object} data - Dati da esportare
      * @param {string} [filename] - Nome file (opzionale)
+     * @param {Object|null} [settings=null] - Impostazioni legate ai dati (vedi SettingsService.getPortableSettings)
      * @returns {void}
      */
-    exportJSON(data, filename = null) {
-        const json = JSON.stringify(data, null, 2);
+    exportJSON(data, filename = null, settings = null) {
+        const json = JSON.stringify(createExportFile(data, settings), null, 2);
         const blob = new Blob([json], { type: 'application/json' });
         
         // Genera nome file se non specificato
@@ -33,10 +45,44 @@ export class ExportService {
      * Esporta i dati di una settimana in formato CSV
      * @param {string} weekKey - Chiave settimana
      * @param {Object} weekData - Dati della settimana
+     * @param {Object} [options] - Opzioni
+     * @param {Object} [options.overtimeUsedByYear] - Straordinario già riconosciuto per anno {year: minuti}
      * @returns {void}
      */
-    exportCSV(weekKey, weekData) {
-        const csv = this.generateCSV(weekKey, weekData);
+    exportCSV(weekKey, weekData, options = {}) {
+        const csv = this.generateCSV(weekKey, weekData, options);
+        this.downloadCSV(csv, this.generateFilename('csv', weekKey));
+    }
+
+    /**
+     * Esporta il riepilogo annuale in formato CSV
+     * @param {number} year - Anno
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {Array} balances - Saldi di ferie e permessi (vedi LeaveBalanceService.getBalances)
+     * @param {Array} [shortLeaves=[]] - Permessi brevi dell'anno (vedi ShortLeaveService.getRecoveryLedger)
+     * @returns {void}
+     */
+    exportYearCSV(year, allData, balances, shortLeaves = []) {
+        const csv = this.generateYearCSV(year, allData, balances, shortLeaves);
+        this.downloadCSV(csv, `riepilogo-annuale-${year}.csv`);
+    }
+
+    /**
+     * Esporta le missioni di un mese in formato CSV (supporto alle note spese)
+     * @param {Object} summary - Riepilogo del mese (vedi MissionService.getMonthSummary)
+     * @returns {void}
+     */
+    exportMissionsCSV(summary) {
+        const csv = this.generateMissionsCSV(summary);
+        this.downloadCSV(csv, `missioni-${summary.month}.csv`);
+    }
+
+    /**
+     * Scarica un contenuto CSV leggibile da Excel
+     * @param {string} csv - Contenuto CSV
+     * @param {string} fileName - Nome file
+     */
+    downloadCSV(csv, fileName) {
         // UTF-8 BOM + encoding corretto per Excel
         const BOM = '\uFEFF';
         const csvContent = BOM + csv;
@@ -44,66 +90,176 @@ export class ExportService {
         const encoder = new TextEncoder();
         const csvBytes = encoder.encode(csvContent);
         const blob = new Blob([csvBytes], { type: 'text/csv;charset=utf-8' });
-        
-        const fileName = this.generateFilename('csv', weekKey);
+
         this.downloadBlob(blob, fileName);
     }
 
+    /**
+     * Genera il contenuto CSV del riepilogo annuale:
+     * assenze per causale, saldi di ferie e permessi, recupero dei permessi brevi,
+     * reperibilità per mese
+     * @param {number} year - Anno
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {Array} balances - Saldi di ferie e permessi (vedi LeaveBalanceService.getBalances)
+     * @param {Array} [shortLeaves=[]] - Permessi brevi dell'anno (vedi ShortLeaveService.getRecoveryLedger)
+     * @returns {string} Contenuto CSV
+     */
+    generateYearCSV(year, allData, balances, shortLeaves = []) {
+        const SEP = ';';
+        const lines = [];
+        const formatNumber = value => String(leaveBalanceService.round(value)).replace('.', ',');
+
+        lines.push(['RIEPILOGO ANNUALE', String(year)].join(SEP));
+        lines.push('');
+
+        // Assenze per causale, nell'ordine del catalogo
+        lines.push(['Causale', 'Codice', 'Giorni', 'Ore'].join(SEP));
+        const usage = leaveBalanceService.getYearUsage(allData, year);
+        for (const reason of AbsenceReason.getAll()) {
+            const item = usage[reason.id];
+            if (!item) continue;
+            lines.push([reason.label, reason.code, formatNumber(item.days), formatNumber(item.hours)].join(SEP));
+        }
+        lines.push('');
+
+        // Saldi di ferie e permessi
+        lines.push(['Ferie e permessi', 'Unità', 'Spettanti', 'Riporto', 'Fruiti', 'Residuo'].join(SEP));
+        for (const balance of balances) {
+            lines.push([
+                balance.label,
+                balance.unit === 'hours' ? 'Ore' : 'Giorni',
+                formatNumber(balance.entitled),
+                formatNumber(balance.carriedOver),
+                formatNumber(balance.used),
+                formatNumber(balance.remaining)
+            ].join(SEP));
+        }
+
+        // Permessi brevi e relativo recupero
+        if (shortLeaves.length > 0) {
+            const statusLabels = {
+                [RECOVERY_STATUS.RECOVERED]: 'Recuperato',
+                [RECOVERY_STATUS.OPEN]: 'Da recuperare',
+                [RECOVERY_STATUS.DUE_SOON]: 'In scadenza',
+                [RECOVERY_STATUS.EXPIRED]: 'Non recuperato'
+            };
+
+            lines.push('');
+            lines.push(['Permessi brevi', 'Durata', 'Recuperato', 'Da recuperare', 'Scadenza', 'Stato'].join(SEP));
+            for (const leave of shortLeaves) {
+                lines.push([
+                    this.formatDateCSV(parseDateISO(leave.dateKey)),
+                    this.minutesToTimeString(leave.minutes),
+                    this.minutesToTimeString(leave.recoveredMinutes),
+                    this.minutesToTimeString(leave.remainingMinutes),
+                    this.formatDateCSV(parseDateISO(leave.deadline)),
+                    statusLabels[leave.status]
+                ].join(SEP));
+            }
+        }
+
+        // Reperibilità e interventi per mese
+        const onCallMonths = Array.from({ length: 12 }, (_, index) => `${year}-${String(index + 1).padStart(2, '0')}`)
+            .map(month => onCallService.getMonthTotals(allData, month))
+            .filter(month => month.availabilityMinutes > 0 || month.interventionCount > 0);
+        if (onCallMonths.length > 0) {
+            lines.push('');
+            lines.push(['Reperibilità', 'Ore disponibilità', 'Ore interventi', 'Interventi'].join(SEP));
+            for (const month of onCallMonths) {
+                lines.push([
+                    month.label,
+                    this.minutesToTimeString(month.availabilityMinutes),
+                    this.minutesToTimeString(month.interventionMinutes),
+                    String(month.interventionCount)
+                ].join(SEP));
+            }
+        }
+
+        return lines.join('\n');
+    }
+
     /**
      * Genera il contenuto CSV per una settimana
      * Usa punto e virgola come separatore per compatibilità Excel italiano
      * @param {string} weekKey - Chiave settimana
      * @param {Object} weekData - Dati della settimana
+     * @param {Object} [options] - Opzioni
+     * @param {Object} [options.overtimeUsedByYear] - Straordinario già riconosciuto per anno {year: minuti}
      * @returns {string} Contenuto CSV
      */
-    generateCSV(weekKey, weekData) {
+    generateCSV(weekKey, weekData, options = {}) {
         const SEP = ';';
         const lines = [];
         
         // Header
-        lines.push(['Data', 'Giorno', 'Tipo', 'Orario', 'Ore Lavorate'].join(SEP));
+        lines.push(['Data', 'Giorno', 'Tipo', 'Causale', 'Orario', 'Ore Lavorate', 'Straordinario', 'Buono pasto', 'Note'].join(SEP));
         
         // Parse week key per ottenere le date
         const { year, week } = parseWeekKey(weekKey);
         const dates = getWorkWeekDates(year, week);
         
-        let totalMinutes = 0;
+        let voucherCount = 0;
+
+        // Straordinario riconosciuto per giorno (entro il tetto annuo)
+        const capMinutes = timeCalculator.getOvertimeCapMinutes();
+        const usedByYear = { ...(options.overtimeUsedByYear || {}) };
         
         // Per ogni giorno lavorativo
         for (const date of dates) {
             const dateKey = formatDateISO(date);
-            const entries = weekData[dateKey] || [];
+            // La reperibilità va nella sua sezione in fondo
+            const entries = (weekData[dateKey] || []).filter(entry => !isOnCallType(entry.type));
             const dayName = DAY_NAMES[date.getDay()];
             // Formato data con zeri iniziali per evitare ambiguità in Excel
             const dateStr = this.formatDateCSV(date);
             
-            // Calcola ore del giorno
-            const dayHours = timeCalculator.calculateDayHours(entries, dateKey);
-            totalMinutes += dayHours.minutes;
+            // Calcola ore del giorno (con la coda del turno notturno del giorno prima)
+            const dayContext = timeCalculator.getDayContext(weekData, dateKey);
+            const dayHours = timeCalculator.calculateDayHours(entries, dateKey, dayContext);
+
+            const dayYear = dateKey.slice(0, 4);
+            const { overtimeMinutes } = timeCalculator.calculateDayOvertime(
+                entries, dateKey, capMinutes - (usedByYear[dayYear] || 0), dayContext
+            );
+            usedByYear[dayYear] = (usedByYear[dayYear] || 0) + overtimeMinutes;
+            const overtime = overtimeMinutes > 0 ? this.minutesToTimeString(overtimeMinutes) : '';
+
+            const hasVoucher = mealVoucherService.checkDay(entries, dateKey).eligible;
+            const voucher = hasVoucher ? 'Sì' : '';
+            if (hasVoucher) voucherCount++;
             
             if (entries.length === 0) {
-                // Giorno senza registrazioni
-                lines.push([dateStr, dayName, '-', '-', '-'].join(SEP));
+                // Giorno senza registrazioni (festivo o vuoto)
+                const holiday = holidayService.getHoliday(dateKey);
+                lines.push([dateStr, dayName, holiday ? `Festivo - ${holiday.name}` : '-', '', '-', '-', '', '', ''].join(SEP));
             } else {
                 // Prima entry con ore calcolate
                 const firstEntry = entries[0];
-                const firstType = this.getTypeLabel(firstEntry.type);
-                const firstValue = firstEntry.time || (firstEntry.hours !== undefined ? `${firstEntry.hours}h` : '--:--');
+                const firstType = this.getEntryLabel(firstEntry);
+                const firstCode = this.getReasonCode(firstEntry);
+                const firstValue = this.formatEntryValue(firstEntry);
+                const firstNote = this.formatNote(firstEntry);
                 
                 if (entries.length === 1) {
-                    lines.push([dateStr, dayName, firstType, firstValue, dayHours.formatted].join(SEP));
+                    lines.push([dateStr, dayName, firstType, firstCode, firstValue, dayHours.formatted, overtime, voucher, firstNote].join(SEP));
                 } else {
                     // Più entry: la prima con le ore, le altre senza
-                    lines.push([dateStr, dayName, firstType, firstValue, ''].join(SEP));
+                    lines.push([dateStr, dayName, firstType, firstCode, firstValue, '', '', '', firstNote].join(SEP));
                     
                     for (let i = 1; i < entries.length; i++) {
                         const entry = entries[i];
-                        const type = this.getTypeLabel(entry.type);
-                        const value = entry.time || (entry.hours !== undefined ? `${entry.hours}h` : '--:--');
+                        const type = this.getEntryLabel(entry);
+                        const value = this.formatEntryValue(entry);
                         
                         // Ultima entry ha le ore calcolate
-                        const hours = i === entries.length - 1 ? dayHours.formatted : '';
-                        lines.push([dateStr, dayName, type, value, hours].join(SEP));
+                        const isLast = i === entries.length - 1;
+                        lines.push([
+                            dateStr, dayName, type, this.getReasonCode(entry), value,
+                            isLast ? dayHours.formatted : '',
+                            isLast ? overtime : '',
+                            isLast ? voucher : '',
+                            this.formatNote(entry)
+                        ].join(SEP));
                     }
                 }
             }
@@ -112,17 +268,140 @@ export class ExportService {
         // Riga vuota e totali
         lines.push('');
         
-        // Totali
+        // Totali (con la coda sul sabato del turno notturno del venerdì)
+        const totalMinutes = timeCalculator.calculateWeekTotal(weekData).minutes;
         const totalFormatted = this.minutesToTimeString(totalMinutes);
-        const balance = timeCalculator.calculateBalance(totalMinutes);
+        const targetMinutes = timeCalculator.getWeeklyTargetMinutes(dates.map(date => formatDateISO(date)));
+        const balance = timeCalculator.calculateBalance(totalMinutes, targetMinutes);
         
-        lines.push(['', '', '', 'TOTALE SETTIMANA', totalFormatted].join(SEP));
-        lines.push(['', '', '', 'ORE RICHIESTE', '36:00'].join(SEP));
-        lines.push(['', '', '', 'SALDO', balance.formatted].join(SEP));
+        lines.push(['', '', '', '', 'TOTALE SETTIMANA', totalFormatted].join(SEP));
+        lines.push(['', '', '', '', 'ORE RICHIESTE', this.minutesToTimeString(targetMinutes)].join(SEP));
+        lines.push(['', '', '', '', 'SALDO', balance.formatted].join(SEP));
+
+        const split = timeCalculator.calculateWeekOvertime(weekData, options.overtimeUsedByYear, dates.map(date => formatDateISO(date)));
+        const flexSign = split.flexMinutes >= 0 ? '+' : '-';
+        lines.push(['', '', '', '', 'DI CUI FLESSIBILITÀ', `${flexSign}${this.minutesToTimeString(split.flexMinutes)}`].join(SEP));
+        lines.push(['', '', '', '', 'DI CUI STRAORDINARIO', this.minutesToTimeString(split.overtimeMinutes)].join(SEP));
+        lines.push(['', '', '', '', 'BUONI PASTO', String(voucherCount)].join(SEP));
+        lines.push(['', '', '', '', 'PROFILO', timeCalculator.getProfile(formatDateISO(dates[0])).name].join(SEP));
+
+        lines.push(...this.generateOnCallSection(dates, weekData));
         
         return lines.join('\n');
     }
 
+    /**
+     * Genera il contenuto CSV delle missioni di un mese
+     * @param {Object} summary - Riepilogo del mese (vedi MissionService.getMonthSummary)
+     * @returns {string} Contenuto CSV
+     */
+    generateMissionsCSV(summary) {
+        const SEP = ';';
+        const lines = [];
+
+        lines.push(['MISSIONI', summary.label].join(SEP));
+        lines.push('');
+        lines.push(['Data', 'Giorno', 'Destinazione', 'Partenza', 'Rientro', 'Viaggio', 'Viaggio conteggiato', 'Ore conteggiate'].join(SEP));
+
+        for (const mission of summary.missions) {
+            const date = parseDateISO(mission.dateKey);
+            lines.push([
+                this.formatDateCSV(date),
+                DAY_NAMES[date.getDay()],
+                // Il separatore nella destinazione spezzerebbe la colonna
+                mission.destination.replaceAll(SEP, ','),
+                mission.departure,
+                mission.return,
+                this.minutesToTimeString(mission.travelMinutes),
+                this.minutesToTimeString(mission.countedTravelMinutes),
+                this.minutesToTimeString(mission.minutes)
+            ].join(SEP));
+        }
+
+        lines.push('');
+        lines.push(['', '', '', '', 'NUMERO MISSIONI', String(summary.missions.length)].join(SEP));
+        lines.push(['', '', '', '', 'TOTALE VIAGGIO', this.minutesToTimeString(summary.travelMinutes)].join(SEP));
+        lines.push(['', '', '', '', 'TOTALE ORE', this.minutesToTimeString(summary.minutes)].join(SEP));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Sezione CSV della reperibilità di una settimana (vuota se non ce n'è)
+     * @param {Date[]} dates - Giorni della settimana
+     * @param {Object} weekData - Dati della settimana
+     * @param {string} [separator=';'] - Separatore
+     * @returns {string[]} Righe CSV
+     */
+    generateOnCallSection(dates, weekData, separator = ';') {
+        const lines = [];
+        for (const date of dates) {
+            const dateKey = formatDateISO(date);
+            for (const entry of (weekData[dateKey] || []).filter(item => isOnCallType(item.type))) {
+                lines.push([
+                    this.formatDateCSV(date),
+                    DAY_NAMES[date.getDay()],
+                    this.getTypeLabel(entry.type),
+                    this.formatEntryValue(entry),
+                    this.minutesToTimeString(onCallService.getMinutes(entry)),
+                    this.formatNote(entry)
+                ].join(separator));
+            }
+        }
+        if (lines.length === 0) {
+            return lines;
+        }
+
+        const totals = onCallService.getTotals(weekData);
+        return [
+            '',
+            'REPERIBILITÀ',
+            ['Data', 'Giorno', 'Tipo', 'Fascia', 'Durata', 'Note'].join(separator),
+            ...lines,
+            '',
+            ['', '', '', 'TOTALE REPERIBILITÀ', this.minutesToTimeString(totals.availabilityMinutes)].join(separator),
+            ['', '', '', 'TOTALE INTERVENTI', this.minutesToTimeString(totals.interventionMinutes)].join(separator),
+            ['', '', '', 'NUMERO INTERVENTI', String(totals.interventionCount)].join(separator)
+        ];
+    }
+
+    /**
+     * Formatta il valore di un'entry (orario, ore o eccedenza per lo straordinario; vuoto per le note del giorno)
+     * @param {Object} entry - Entry
+     * @returns {string}
+     */
+    formatEntryValue(entry) {
+        if (isNoteType(entry.type)) {
+            return '';
+        }
+        if (entry.time && entry.endTime) {
+            // Reperibilità che termina il giorno dopo
+            return isOnCallType(entry.type) && entry.endTime <= entry.time
+                ? `${entry.time}–${entry.endTime} (+1)`
+                : `${entry.time}–${entry.endTime}`;
+        }
+        if (entry.time) {
+            return entry.nextDay ? `${entry.time} (+1)` : entry.time;
+        }
+        if (entry.hours !== undefined && entry.hours !== null) {
+            return `${entry.hours}h`;
+        }
+        return entry.type === 'straordinario' ? 'Eccedenza' : '--:--';
+    }
+
+    /**
+     * Motivazione e nota di un'entry su una sola riga, senza separatori CSV
+     * @param {Object} entry - Entry
+     * @returns {string} Stringa vuota se l'entry non ha note
+     */
+    formatNote(entry) {
+        return [getJustificationLabel(entry.justification), entry.note]
+            .filter(Boolean)
+            .join(' - ')
+            .replace(/\s*[\r\n]+\s*/g, ' ')
+            .replaceAll(';', ',');
+    }
+
     /**
      * Formatta una data per il CSV con zeri iniziali (DD/MM/YYYY)
      * @param {Date} date - Data da formattare
@@ -138,43 +417,14 @@ export class ExportService {
     /**
      * Importa dati da file JSON
      * @param {File} file - File da importare
-     * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+     * @returns {Promise<{success: boolean, data?: Object, settings?: Object|null, fromVersion?: number, error?: string}>}
      */
     async importJSON(file) {
         return new Promise((resolve) => {
             const reader = new FileReader();
             
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    
-                    // Valida la struttura
-                    const validation = validateImportData(data);
-                    
-                    if (!validation.valid) {
-                        resolve({
-                            success: false,
-                            error: `Dati non validi: ${validation.errors.join(', ')}`
-                        });
-                        return;
-                    }
-                    
-                    // Warning se presenti (non bloccanti)
-                    if (validation.warnings.length > 0) {
-                        console.warn('Avvisi importazione:', validation.warnings);
-                    }
-                    
-                    resolve({
-                        success: true,
-                        data: data,
-                        warnings: validation.warnings
-                    });
-                } catch (error) {
-                    resolve({
-                        success: false,
-                        error: `Errore parsing JSON: ${error.message}`
-                    });
-                }
+            reader.onload = async (e) => {
+                resolve(await this.parseImportData(e.target.result));
             };
             
             reader.onerror = () => {
@@ -188,6 +438,62 @@ export class ExportService {
         });
     }
 
+    /**
+     * Legge il contenuto di un file JSON da importare
+     * Il file senza versione è della versione 1. I dati vengono portati alla
+     * versione corrente dello schema e poi validati; il file resta invariato
+     * e fa da copia dei dati originali.
+     * @param {string} text - Contenuto del file
+     * @returns {Promise<{success: boolean, data?: Object, settings?: Object|null, fromVersion?: number, warnings?: string[], error?: string}>}
+     *   `fromVersion` è la versione dello schema del file, `settings` le impostazioni esportate con i dati
+     */
+    async parseImportData(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            return {
+                success: false,
+                error: `Errore parsing JSON: ${error.message}`
+            };
+        }
+
+        const file = readExportFile(json);
+        if (!file.valid) {
+            return { success: false, error: file.error };
+        }
+
+        let data;
+        try {
+            data = await migrateData(file.data, file.version);
+        } catch (error) {
+            return { success: false, error: `Errore aggiornamento dati: ${error.message}` };
+        }
+
+        // Valida la struttura della versione corrente
+        const validation = validateImportData(data);
+        
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: `Dati non validi: ${validation.errors.join(', ')}`
+            };
+        }
+        
+        // Warning se presenti (non bloccanti)
+        if (validation.warnings.length > 0) {
+            console.warn('Avvisi importazione:', validation.warnings);
+        }
+        
+        return {
+            success: true,
+            data: data,
+            settings: file.settings,
+            fromVersion: file.version,
+            warnings: validation.warnings
+        };
+    }
+
     /**
      * Genera il nome file per l'export
      * @param {string} extension - Estensione file (json, csv)
@@ -233,11 +539,40 @@ export class ExportService {
             'entrata': 'Entrata',
             'uscita': 'Uscita',
             'smart': 'Smart Working',
-            'assente': 'Assente'
+            'assente': 'Assente',
+            'straordinario': 'Straordinario',
+            'permesso': 'Permesso orario',
+            'breve': 'Permesso breve',
+            'reperibilita': 'Reperibilità',
+            'intervento': 'Intervento in reperibilità',
+            'missione': 'Missione',
+            'nota': 'Nota del giorno'
         };
         return labels[type] || type;
     }
 
+    /**
+     * Etichetta di un'entry: per assenze e permessi la causale del catalogo,
+     * per le missioni la destinazione
+     * @param {Object} entry - Entry
+     * @returns {string}
+     */
+    getEntryLabel(entry) {
+        if (isMissionType(entry.type)) {
+            return `${this.getTypeLabel(entry.type)} - ${String(entry.destination || '').replaceAll(';', ',')}`;
+        }
+        return acceptsReason(entry.type) ? AbsenceReason.forEntry(entry).label : this.getTypeLabel(entry.type);
+    }
+
+    /**
+     * Codice della causale per gli export (vuoto per timbrature e altri tipi)
+     * @param {Object} entry - Entry
+     * @returns {string}
+     */
+    getReasonCode(entry) {
+        return acceptsReason(entry.type) ? AbsenceReason.forEntry(entry).code : '';
+    }
+
     /**
      * Converte minuti in formato HH:MM
      * @param {number} minutes - Minuti totali
@@ -263,35 +598,47 @@ export class ExportService {
         lines.push('');
         
         const dates = getWorkWeekDates(year, week);
-        let totalMinutes = 0;
         
         for (const date of dates) {
             const dateKey = formatDateISO(date);
             const entries = weekData[dateKey] || [];
             const dayName = DAY_NAMES[date.getDay()];
-            const dayHours = timeCalculator.calculateDayHours(entries, dateKey);
-            
-            totalMinutes += dayHours.minutes;
+            const dayHours = timeCalculator.calculateDayHours(entries, dateKey, timeCalculator.getDayContext(weekData, dateKey));
             
-            lines.push(`${dayName} ${formatDateIT(date, false)}`);
+            const holiday = holidayService.getHoliday(dateKey);
+            lines.push(`${dayName} ${formatDateIT(date, false)}${holiday ? ` - ${holiday.name}` : ''}`);
             
             if (entries.length === 0) {
-                lines.push('  - Nessuna registrazione');
+                lines.push(holiday ? '  - Festivo' : '  - Nessuna registrazione');
             } else {
                 for (const entry of entries) {
-                    const value = entry.time || (entry.hours !== undefined ? `${entry.hours}h` : '--:--');
-                    lines.push(`  ${this.getTypeLabel(entry.type)}: ${value}`);
+                    const value = this.formatEntryValue(entry);
+                    const note = this.formatNote(entry);
+                    lines.push(`  ${this.getEntryLabel(entry)}${value ? `: ${value}` : ''}${note ? ` (${note})` : ''}`);
                 }
                 lines.push(`  → Ore: ${dayHours.formatted}`);
             }
             lines.push('');
         }
         
-        const balance = timeCalculator.calculateBalance(totalMinutes);
+        const totalMinutes = timeCalculator.calculateWeekTotal(weekData).minutes;
+        const targetMinutes = timeCalculator.getWeeklyTargetMinutes(dates.map(date => formatDateISO(date)));
+        const balance = timeCalculator.calculateBalance(totalMinutes, targetMinutes);
         
         lines.push('-----------------------------------');
-        lines.push(`TOTALE: ${this.minutesToTimeString(totalMinutes)} / 36:00`);
+        lines.push(`TOTALE: ${this.minutesToTimeString(totalMinutes)} / ${this.minutesToTimeString(targetMinutes)}`);
         lines.push(`SALDO: ${balance.formatted}`);
+
+        const split = timeCalculator.calculateWeekOvertime(weekData, {}, dates.map(date => formatDateISO(date)));
+        if (split.overtimeMinutes > 0) {
+            lines.push(`  di cui straordinario: ${this.minutesToTimeString(split.overtimeMinutes)}`);
+        }
+        lines.push(`PROFILO: ${timeCalculator.getProfile(formatDateISO(dates[0])).name}`);
+
+        const onCall = onCallService.getTotals(weekData);
+        if (onCall.availabilityMinutes > 0 || onCall.interventionCount > 0) {
+            lines.push(`REPERIBILITÀ: ${this.minutesToTimeString(onCall.availabilityMinutes)} (interventi ${onCall.interventionCount}, ${this.minutesToTimeString(onCall.interventionMinutes)})`);
+        }
         
         return lines.join('\n');
     }
@@ -0,0 +1,189 @@
+/**
+ * HolidayService - Service per le festività
+ *
+ * @description Calcola le festività di un anno: le feste nazionali a data
+ * fissa, il Lunedì dell'Angelo (dalla data della Pasqua) e il santo patrono
+ * del comune configurato nella sezione `holidays` delle impostazioni.
+ * Nei giorni festivi il target giornaliero è zero: le ore lavorate valgono
+ * come eccedenza e il target settimanale si riduce.
+ */
+
+import { settingsService } from './SettingsService.js';
+import { formatDateISO } from '../utils/DateUtils.js';
+
+/**
+ * Tipo di festività
+ */
+export const HOLIDAY_KINDS = {
+    NATIONAL: 'national',
+    EASTER: 'easter',       // Lunedì dell'Angelo
+    PATRON: 'patron'        // Santo patrono del comune
+};
+
+/**
+ * Feste nazionali a data fissa (MM-DD)
+ * `fromYear` indica le festività istituite o ripristinate da un certo anno.
+ */
+export const NATIONAL_HOLIDAYS = [
+    { date: '01-01', name: 'Capodanno' },
+    { date: '01-06', name: 'Epifania' },
+    { date: '04-25', name: 'Festa della Liberazione' },
+    { date: '05-01', name: 'Festa del Lavoro' },
+    { date: '06-02', name: 'Festa della Repubblica' },
+    { date: '08-15', name: 'Ferragosto' },
+    { date: '10-04', name: 'San Francesco d\'Assisi', fromYear: 2026 },
+    { date: '11-01', name: 'Ognissanti' },
+    { date: '12-08', name: 'Immacolata Concezione' },
+    { date: '12-25', name: 'Natale' },
+    { date: '12-26', name: 'Santo Stefano' }
+];
+
+/**
+ * Santi patroni dei principali comuni (suggerimenti per le impostazioni)
+ */
+export const PATRON_SAINTS = [
+    { municipality: 'Ancona', name: 'San Ciriaco', date: '05-04' },
+    { municipality: 'Aosta', name: 'San Grato', date: '09-07' },
+    { municipality: 'Bari', name: 'San Nicola', date: '12-06' },
+    { municipality: 'Bergamo', name: 'Sant\'Alessandro', date: '08-26' },
+    { municipality: 'Bologna', name: 'San Petronio', date: '10-04' },
+    { municipality: 'Brescia', name: 'Santi Faustino e Giovita', date: '02-15' },
+    { municipality: 'Cagliari', name: 'San Saturnino', date: '10-30' },
+    { municipality: 'Campobasso', name: 'San Giorgio', date: '04-23' },
+    { municipality: 'Catania', name: 'Sant\'Agata', date: '02-05' },
+    { municipality: 'Catanzaro', name: 'San Vitaliano', date: '07-16' },
+    { municipality: 'Firenze', name: 'San Giovanni Battista', date: '06-24' },
+    { municipality: 'Genova', name: 'San Giovanni Battista', date: '06-24' },
+    { municipality: 'L\'Aquila', name: 'San Massimo', date: '06-10' },
+    { municipality: 'Milano', name: 'Sant\'Ambrogio', date: '12-07' },
+    { municipality: 'Modena', name: 'San Geminiano', date: '01-31' },
+    { municipality: 'Napoli', name: 'San Gennaro', date: '09-19' },
+    { municipality: 'Padova', name: 'Sant\'Antonio', date: '06-13' },
+    { municipality: 'Palermo', name: 'Santa Rosalia', date: '07-15' },
+    { municipality: 'Parma', name: 'Sant\'Ilario', date: '01-13' },
+    { municipality: 'Perugia', name: 'San Costanzo', date: '01-29' },
+    { municipality: 'Pisa', name: 'San Ranieri', date: '06-17' },
+    { municipality: 'Potenza', name: 'San Gerardo', date: '05-30' },
+    { municipality: 'Reggio Calabria', name: 'San Giorgio', date: '04-23' },
+    { municipality: 'Roma', name: 'Santi Pietro e Paolo', date: '06-29' },
+    { municipality: 'Salerno', name: 'San Matteo', date: '09-21' },
+    { municipality: 'Torino', name: 'San Giovanni Battista', date: '06-24' },
+    { municipality: 'Trento', name: 'San Vigilio', date: '06-26' },
+    { municipality: 'Trieste', name: 'San Giusto', date: '11-03' },
+    { municipality: 'Venezia', name: 'San Marco', date: '04-25' },
+    { municipality: 'Verona', name: 'San Zeno', date: '05-21' }
+];
+
+/**
+ * Classe per gestione festività
+ */
+export class HolidayService {
+    /**
+     * Cerca il santo patrono di un comune nel catalogo
+     * @param {string} municipality - Nome del comune
+     * @returns {Object|null} Voce di PATRON_SAINTS
+     */
+    findPatronSaint(municipality) {
+        const name = String(municipality || '').trim().toLowerCase();
+        return PATRON_SAINTS.find(saint => saint.municipality.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Santo patrono configurato nelle impostazioni
+     * @returns {{municipality: string, date: string, name: string}|null}
+     */
+    getPatron() {
+        const { patronMunicipality, patronDate } = settingsService.get('holidays');
+        if (!/^\d{2}-\d{2}$/.test(patronDate || '')) {
+            return null;
+        }
+
+        const municipality = String(patronMunicipality || '').trim();
+        const saint = this.findPatronSaint(municipality);
+        const saintName = saint?.date === patronDate ? saint.name : 'Santo patrono';
+
+        return {
+            municipality,
+            date: patronDate,
+            name: municipality ? `${saintName} (${municipality})` : saintName
+        };
+    }
+
+    /**
+     * Calcola la domenica di Pasqua (algoritmo di Meeus/Jones/Butcher, calendario gregoriano)
+     * @param {number} year - Anno
+     * @returns {Date}
+     */
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Festività di un anno, in ordine di data
+     * Se il patrono coincide con una festa nazionale resta la festa nazionale.
+     * @param {number} year - Anno
+     * @returns {Array<{dateKey: string, name: string, kind: string}>}
+     */
+    getHolidays(year) {
+        const holidays = new Map();
+
+        for (const holiday of NATIONAL_HOLIDAYS) {
+            if (holiday.fromYear && year < holiday.fromYear) continue;
+            const dateKey = `${year}-${holiday.date}`;
+            holidays.set(dateKey, { dateKey, name: holiday.name, kind: HOLIDAY_KINDS.NATIONAL });
+        }
+
+        const easter = this.getEasterSunday(year);
+        const easterMonday = formatDateISO(new Date(easter.getFullYear(), easter.getMonth(), easter.getDate() + 1));
+        holidays.set(easterMonday, { dateKey: easterMonday, name: 'Lunedì dell\'Angelo', kind: HOLIDAY_KINDS.EASTER });
+
+        const patron = this.getPatron();
+        const patronKey = patron ? `${year}-${patron.date}` : null;
+        if (patronKey && !holidays.has(patronKey)) {
+            holidays.set(patronKey, { dateKey: patronKey, name: patron.name, kind: HOLIDAY_KINDS.PATRON });
+        }
+
+        return [...holidays.values()].sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+    }
+
+    /**
+     * Festività di una data
+     * @param {string} dateKey - Data ISO
+     * @returns {{dateKey: string, name: string, kind: string}|null}
+     */
+    getHoliday(dateKey) {
+        const year = Number(String(dateKey).slice(0, 4));
+        if (!Number.isInteger(year)) {
+            return null;
+        }
+        return this.getHolidays(year).find(holiday => holiday.dateKey === dateKey) || null;
+    }
+
+    /**
+     * Verifica se una data è festiva
+     * @param {string} dateKey - Data ISO
+     * @returns {boolean}
+     */
+    isHoliday(dateKey) {
+        return this.getHoliday(dateKey) !== null;
+    }
+}
+
+// Esporta istanza singleton
+export const holidayService = new HolidayService();
+
+export default HolidayService;
@@ -0,0 +1,272 @@
+/**
+ * HourBankService - Service per la banca ore
+ *
+ * @description Costruisce il registro (ledger) della banca ore a partire da
+ * tutti i dati salvati: il saldo di ogni giorno lavorativo si accumula tra
+ * settimane, mesi e anni. Le rettifiche manuali (es. azzeramento HR a fine
+ * trimestre) sono salvate nelle impostazioni, sezione `hourBank`.
+ * Il target di ogni giorno è quello del profilo contrattuale in vigore quel giorno.
+ */
+
+import { WeekData } from '../models/WeekData.js';
+import { timeCalculator } from './TimeCalculator.js';
+import { settingsService } from './SettingsService.js';
+import { validateDate, minutesToTime } from '../utils/Validators.js';
+import { parseDateISO, MONTH_NAMES } from '../utils/DateUtils.js';
+
+/**
+ * Tipi di rettifica manuale
+ */
+export const ADJUSTMENT_TYPES = {
+    SET: 'set',   // Imposta il saldo a un valore (es. azzeramento)
+    ADD: 'add'    // Aggiunge/sottrae minuti al saldo
+};
+
+/**
+ * Classe per gestione banca ore
+ */
+export class HourBankService {
+    /**
+     * Ottiene le rettifiche manuali ordinate per data
+     * @returns {Array<{id: string, date: string, type: string, minutes: number, note: string}>}
+     */
+    getAdjustments() {
+        const adjustments = settingsService.get('hourBank').adjustments || [];
+        return [...adjustments].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Aggiunge una rettifica manuale
+     * @param {Object} adjustment - Rettifica {date, type, minutes, note?}
+     * @returns {Promise<boolean>}
+     */
+    async addAdjustment({ date, type, minutes, note = '' }) {
+        const validation = this.validateAdjustment({ date, type, minutes });
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        const adjustment = {
+            id: `adj-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            date,
+            type,
+            minutes,
+            note: String(note).trim()
+        };
+
+        const adjustments = [...(settingsService.get('hourBank').adjustments || []), adjustment];
+        return settingsService.update('hourBank', { adjustments });
+    }
+
+    /**
+     * Valida una rettifica manuale
+     * @param {Object} adjustment - Rettifica {date, type, minutes}
+     * @returns {{valid: boolean, error?: string}}
+     */
+    validateAdjustment({ date, type, minutes }) {
+        if (!validateDate(date).valid) {
+            return { valid: false, error: 'Data rettifica non valida' };
+        }
+        if (!Object.values(ADJUSTMENT_TYPES).includes(type)) {
+            return { valid: false, error: `Tipo rettifica non valido: ${type}` };
+        }
+        if (!Number.isInteger(minutes)) {
+            return { valid: false, error: 'Minuti rettifica non validi' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Aggiunge le rettifiche importate da un file che non sono già presenti (per ID)
+     * @param {Array} [adjustments] - Rettifiche del file (sezione `hourBank` delle impostazioni)
+     * @returns {Promise<number>} Rettifiche aggiunte
+     */
+    async mergeAdjustments(adjustments) {
+        const current = settingsService.get('hourBank').adjustments || [];
+        const known = new Set(current.map(adjustment => adjustment.id));
+        const added = (Array.isArray(adjustments) ? adjustments : [])
+            .filter(adjustment => adjustment && typeof adjustment.id === 'string' && !known.has(adjustment.id))
+            .filter(adjustment => this.validateAdjustment(adjustment).valid)
+            .map(({ id, date, type, minutes, note }) => ({ id, date, type, minutes, note: String(note || '').trim() }));
+
+        if (added.length > 0) {
+            await settingsService.update('hourBank', { adjustments: [...current, ...added] });
+        }
+        return added.length;
+    }
+
+    /**
+     * Sostituisce tutte le rettifiche manuali (ripristino da annulla/ripeti)
+     * @param {Array} adjustments - Rettifiche salvate in precedenza
+     * @returns {Promise<boolean>}
+     */
+    async setAdjustments(adjustments) {
+        return settingsService.update('hourBank', { adjustments: [...adjustments] });
+    }
+
+    /**
+     * Rimuove una rettifica manuale
+     * @param {string} id - ID rettifica
+     * @returns {Promise<boolean>}
+     */
+    async removeAdjustment(id) {
+        const adjustments = (settingsService.get('hourBank').adjustments || [])
+            .filter(adjustment => adjustment.id !== id);
+        return settingsService.update('hourBank', { adjustments });
+    }
+
+    /**
+     * Calcola il saldo di ogni giorno lavorativo delle settimane presenti
+     * Le settimane senza dati non partecipano alla banca ore. Lo straordinario
+     * autorizzato (entro il tetto annuo) è pagato e non entra nel saldo.
+     * I turni notturni sono attribuiti ai giorni a cavallo della mezzanotte,
+     * anche tra settimane diverse o su giorni senza registrazioni.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {Array<{date: string, minutes: number}>} Ordinato per data
+     */
+    getDailyBalances(allData) {
+        const workDays = [];
+
+        for (const [weekKey, weekEntries] of Object.entries(allData || {})) {
+            let weekData;
+            try {
+                weekData = WeekData.fromWeekKey(weekKey, weekEntries);
+            } catch (e) {
+                console.warn(`Banca ore: settimana ignorata ${weekKey}`, e);
+                continue;
+            }
+            if (weekData.isEmpty()) continue;
+
+            for (const dateKey of weekData.getWorkDates()) {
+                const entries = weekData.getEntriesForDate(dateKey).map(entry => entry.toJSON());
+                workDays.push({ date: dateKey, entries });
+            }
+        }
+
+        const daysEntries = Object.fromEntries(workDays.map(({ date, entries }) => [date, entries]));
+        for (const date of Object.keys(timeCalculator.getOvernightSpill(daysEntries))) {
+            workDays.push({ date, entries: [] });
+        }
+
+        workDays.sort((a, b) => a.date.localeCompare(b.date));
+
+        // Il tetto annuo dello straordinario si consuma in ordine cronologico
+        const capMinutes = timeCalculator.getOvertimeCapMinutes();
+        const usedByYear = {};
+
+        return workDays.map(({ date, entries }) => {
+            const year = date.slice(0, 4);
+            const remaining = capMinutes - (usedByYear[year] || 0);
+            const context = timeCalculator.getDayContext(daysEntries, date);
+            const { overtimeMinutes } = timeCalculator.calculateDayOvertime(entries, date, remaining, context);
+            usedByYear[year] = (usedByYear[year] || 0) + overtimeMinutes;
+
+            const worked = timeCalculator.calculateDayHours(entries, date, context).minutes;
+            const target = timeCalculator.hoursToMinutes(timeCalculator.getDailyTarget(date));
+            return { date, minutes: worked - target - overtimeMinutes };
+        });
+    }
+
+    /**
+     * Costruisce il registro cronologico della banca ore
+     * A parità di data la rettifica si applica dopo il saldo del giorno.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {Array} [adjustments] - Rettifiche (default: quelle salvate)
+     * @returns {Array<{date: string, kind: string, minutes: number, balance: number, adjustment?: Object}>}
+     */
+    buildLedger(allData, adjustments = this.getAdjustments()) {
+        const events = [
+            ...this.getDailyBalances(allData).map(day => ({ ...day, kind: 'day' })),
+            ...adjustments.map(adjustment => ({
+                date: adjustment.date,
+                kind: 'adjustment',
+                minutes: adjustment.minutes,
+                adjustment
+            }))
+        ];
+
+        const kindOrder = { day: 0, adjustment: 1 };
+        events.sort((a, b) => a.date.localeCompare(b.date) || kindOrder[a.kind] - kindOrder[b.kind]);
+
+        let balance = 0;
+        return events.map(event => {
+            const before = balance;
+            if (event.kind === 'adjustment' && event.adjustment.type === ADJUSTMENT_TYPES.SET) {
+                balance = event.minutes;
+            } else {
+                balance += event.minutes;
+            }
+            return { ...event, minutes: balance - before, balance };
+        });
+    }
+
+    /**
+     * Saldo banca ore al termine di una data (inclusa)
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} dateKey - Data ISO
+     * @returns {number} Minuti
+     */
+    getBalanceAt(allData, dateKey) {
+        const ledger = this.buildLedger(allData).filter(event => event.date <= dateKey);
+        return ledger.length > 0 ? ledger[ledger.length - 1].balance : 0;
+    }
+
+    /**
+     * Saldo riportato all'inizio di una settimana (esclusa la settimana stessa)
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} weekKey - Chiave settimana
+     * @returns {number} Minuti
+     */
+    getCarriedOver(allData, weekKey) {
+        const monday = WeekData.fromWeekKey(weekKey).getWorkDates()[0];
+        const ledger = this.buildLedger(allData).filter(event => event.date < monday);
+        return ledger.length > 0 ? ledger[ledger.length - 1].balance : 0;
+    }
+
+    /**
+     * Riepilogo mensile (conguaglio) della banca ore
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {Array<{month: string, label: string, balanceMinutes: number, adjustmentMinutes: number, closingMinutes: number}>}
+     */
+    getMonthlySettlement(allData) {
+        const months = new Map();
+
+        for (const event of this.buildLedger(allData)) {
+            const month = event.date.slice(0, 7);
+            if (!months.has(month)) {
+                const date = parseDateISO(`${month}-01`);
+                months.set(month, {
+                    month,
+                    label: `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`,
+                    balanceMinutes: 0,
+                    adjustmentMinutes: 0,
+                    closingMinutes: 0
+                });
+            }
+
+            const summary = months.get(month);
+            if (event.kind === 'day') {
+                summary.balanceMinutes += event.minutes;
+            } else {
+                summary.adjustmentMinutes += event.minutes;
+            }
+            summary.closingMinutes = event.balance;
+        }
+
+        return Array.from(months.values());
+    }
+
+    /**
+     * Formatta un saldo con segno (+HH:MM / -HH:MM)
+     * @param {number} minutes - Minuti
+     * @returns {string}
+     */
+    formatBalance(minutes) {
+        return `${minutes >= 0 ? '+' : ''}${minutesToTime(minutes)}`;
+    }
+}
+
+// Esporta istanza singleton
+export const hourBankService = new HourBankService();
+
+export default HourBankService;
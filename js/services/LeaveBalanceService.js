@@ -0,0 +1,215 @@
+/**
+ * LeaveBalanceService - Service per i saldi di ferie e permessi
+ *
+ * @description Calcola per ogni anno i saldi delle spettanze (ferie, festività
+ * soppresse, permessi personali) configurate nella sezione `leave` delle
+ * impostazioni. I giorni e le ore fruiti si ricavano dalle entry `assente` e
+ * `permesso` con la causale corrispondente. Il residuo ferie passa all'anno
+ * successivo; festività soppresse e permessi si perdono a fine anno.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { settingsService } from './SettingsService.js';
+import { AbsenceReason } from '../models/AbsenceReason.js';
+import { acceptsReason, minutesToTime } from '../utils/Validators.js';
+
+/**
+ * Spettanze annue monitorate
+ * `unit` indica se il saldo è in giorni o in ore, `setting` la chiave
+ * della spettanza nelle impostazioni, `carryOver` se il residuo passa all'anno dopo.
+ */
+export const LEAVE_BALANCES = [
+    { id: 'ferie', reasonId: 'ferie', label: 'Ferie', icon: '🏖️', unit: 'days', setting: 'ferieDays', carryOver: true },
+    { id: 'festivita-soppresse', reasonId: 'festivita-soppresse', label: 'Festività soppresse', icon: '🎗️', unit: 'days', setting: 'festivitaSoppresseDays', carryOver: false },
+    { id: 'permessi', reasonId: 'permesso-personale', label: 'Permessi personali', icon: '🕐', unit: 'hours', setting: 'permessiHours', carryOver: false }
+];
+
+/**
+ * Classe per gestione saldi ferie e permessi
+ */
+export class LeaveBalanceService {
+    /**
+     * Ottiene le spettanze annue dalle impostazioni
+     * @returns {{ferieDays: number, festivitaSoppresseDays: number, permessiHours: number, carryOverYear: number|null, carryOverFerieDays: number}}
+     */
+    getEntitlements() {
+        const leave = settingsService.get('leave');
+        const toNumber = (value, fallback) => (typeof value === 'number' && value >= 0 ? value : fallback);
+
+        return {
+            ferieDays: toNumber(leave.ferieDays, 32),
+            festivitaSoppresseDays: toNumber(leave.festivitaSoppresseDays, 4),
+            permessiHours: toNumber(leave.permessiHours, 18),
+            carryOverYear: Number.isInteger(leave.carryOverYear) ? leave.carryOverYear : null,
+            carryOverFerieDays: typeof leave.carryOverFerieDays === 'number' ? leave.carryOverFerieDays : 0
+        };
+    }
+
+    /**
+     * Somma le assenze dell'anno per causale
+     * Una giornata di assenza vale un giorno; un permesso orario vale la quota
+     * delle ore di assenza del profilo per quel giorno.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno
+     * @returns {Object<string, {days: number, hours: number, dayEquivalent: number}>} Uso per ID causale
+     */
+    getYearUsage(allData, year) {
+        const usage = {};
+
+        for (const weekEntries of Object.values(allData || {})) {
+            for (const [dateKey, entries] of Object.entries(weekEntries || {})) {
+                if (!dateKey.startsWith(`${year}-`)) continue;
+
+                for (const entry of entries || []) {
+                    if (!acceptsReason(entry.type)) continue;
+
+                    const reasonId = AbsenceReason.forEntry(entry).id;
+                    const item = usage[reasonId] || (usage[reasonId] = { days: 0, hours: 0, dayEquivalent: 0 });
+                    const hours = Number(entry.hours) || 0;
+                    item.hours += hours;
+
+                    if (entry.type === 'assente') {
+                        item.days += 1;
+                        item.dayEquivalent += 1;
+                    } else {
+                        const dayHours = timeCalculator.getAbsentHours(dateKey);
+                        item.dayEquivalent += dayHours > 0 ? hours / dayHours : 0;
+                    }
+                }
+            }
+        }
+
+        return usage;
+    }
+
+    /**
+     * Calcola i saldi di un anno
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno
+     * @returns {Array<{id: string, label: string, icon: string, unit: string, entitled: number, carriedOver: number, used: number, remaining: number}>}
+     */
+    getBalances(allData, year) {
+        const entitlements = this.getEntitlements();
+        const usage = this.getYearUsage(allData, year);
+
+        return LEAVE_BALANCES.map(balance => {
+            const entitled = entitlements[balance.setting];
+            const carriedOver = this.getCarriedOver(allData, year, balance);
+            const used = this.getUsed(usage, balance);
+
+            return {
+                id: balance.id,
+                label: balance.label,
+                icon: balance.icon,
+                unit: balance.unit,
+                entitled,
+                carriedOver,
+                used,
+                remaining: this.round(entitled + carriedOver - used)
+            };
+        });
+    }
+
+    /**
+     * Fissa il residuo ferie di un anno come residuo iniziale
+     * Da chiamare prima di eliminare i dati degli anni precedenti, che
+     * altrimenti non concorrerebbero più al riporto. Non tocca un residuo
+     * iniziale già riferito a quell'anno o a uno successivo.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}} prima della pulizia
+     * @param {number} year - Primo anno i cui dati restano completi
+     * @returns {Promise<boolean>} true se le impostazioni sono cambiate
+     */
+    async carryOverInto(allData, year) {
+        const { carryOverYear } = this.getEntitlements();
+        if (carryOverYear !== null && carryOverYear >= year) {
+            return false;
+        }
+
+        const ferie = LEAVE_BALANCES.find(balance => balance.carryOver);
+        await settingsService.update('leave', {
+            carryOverYear: year,
+            carryOverFerieDays: this.getCarriedOver(allData, year, ferie)
+        });
+        return true;
+    }
+
+    /**
+     * Residuo riportato dall'anno precedente
+     * Nell'anno del residuo iniziale vale il valore impostato; negli anni
+     * successivi il residuo (anche negativo) dell'anno prima.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno
+     * @param {Object} balance - Spettanza di LEAVE_BALANCES
+     * @returns {number}
+     */
+    getCarriedOver(allData, year, balance) {
+        if (!balance.carryOver) {
+            return 0;
+        }
+
+        const entitlements = this.getEntitlements();
+        const startYear = entitlements.carryOverYear ?? this.getFirstYear(allData);
+        if (startYear === null || year < startYear) {
+            return 0;
+        }
+
+        let carried = startYear === entitlements.carryOverYear ? entitlements.carryOverFerieDays : 0;
+        for (let current = startYear; current < year; current++) {
+            const used = this.getUsed(this.getYearUsage(allData, current), balance);
+            carried = this.round(entitlements[balance.setting] + carried - used);
+        }
+
+        return carried;
+    }
+
+    /**
+     * Quantità fruita di una spettanza
+     * @param {Object} usage - Uso per causale (vedi getYearUsage)
+     * @param {Object} balance - Spettanza di LEAVE_BALANCES
+     * @returns {number} Giorni o ore
+     */
+    getUsed(usage, balance) {
+        const item = usage[balance.reasonId];
+        if (!item) return 0;
+        return this.round(balance.unit === 'hours' ? item.hours : item.dayEquivalent);
+    }
+
+    /**
+     * Primo anno con registrazioni
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {number|null}
+     */
+    getFirstYear(allData) {
+        const years = Object.values(allData || {})
+            .flatMap(weekEntries => Object.keys(weekEntries || {}))
+            .map(dateKey => Number(dateKey.slice(0, 4)));
+        return years.length > 0 ? Math.min(...years) : null;
+    }
+
+    /**
+     * Arrotonda a due decimali
+     * @param {number} value - Valore
+     * @returns {number}
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Formatta una quantità nella sua unità (es. "2,5 gg", "18:00 h")
+     * @param {number} value - Giorni o ore
+     * @param {string} unit - 'days' o 'hours'
+     * @returns {string}
+     */
+    formatAmount(value, unit) {
+        if (unit === 'hours') {
+            return `${minutesToTime(Math.round(value * 60))} h`;
+        }
+        return `${String(this.round(value)).replace('.', ',')} gg`;
+    }
+}
+
+// Esporta istanza singleton
+export const leaveBalanceService = new LeaveBalanceService();
+
+export default LeaveBalanceService;
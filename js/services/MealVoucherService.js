@@ -0,0 +1,136 @@
+/**
+ * MealVoucherService - Service per i buoni pasto
+ *
+ * @description Determina se un giorno matura il buono pasto secondo la regola
+ * configurabile (sezione `mealVoucher` delle impostazioni): lavoro oltre la
+ * soglia con una pausa reale timbrata nella fascia indicata, oppure giorno di
+ * rientro pomeridiano. Smart working e assenze non maturano il buono.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { settingsService } from './SettingsService.js';
+import { parseTimeToMinutes } from '../utils/Validators.js';
+import { parseDateISO, MONTH_NAMES } from '../utils/DateUtils.js';
+
+/**
+ * Motivi di maturazione del buono
+ */
+export const VOUCHER_REASONS = {
+    PAUSE: 'pause',     // Lavoro oltre soglia con pausa nella fascia
+    RIENTRO: 'rientro'  // Giorno di rientro pomeridiano
+};
+
+/**
+ * Classe per gestione buoni pasto
+ */
+export class MealVoucherService {
+    /**
+     * Ottiene la regola di maturazione dalle impostazioni
+     * @returns {{minWorkedMinutes: number, minPauseMinutes: number, windowStart: number|null, windowEnd: number|null, rientroDays: boolean}}
+     */
+    getRule() {
+        const rule = settingsService.get('mealVoucher');
+        const toNumber = (value, fallback) => (typeof value === 'number' && value >= 0 ? value : fallback);
+
+        return {
+            minWorkedMinutes: timeCalculator.hoursToMinutes(toNumber(rule.minWorkedHours, 6)),
+            minPauseMinutes: toNumber(rule.minPauseMinutes, 30),
+            windowStart: parseTimeToMinutes(rule.pauseWindowStart),
+            windowEnd: parseTimeToMinutes(rule.pauseWindowEnd),
+            rientroDays: rule.rientroDays !== false
+        };
+    }
+
+    /**
+     * Verifica se un giorno matura il buono pasto
+     * @param {Array} entries - Entry del giorno
+     * @param {string} dateKey - Data ISO
+     * @returns {{eligible: boolean, reason: string|null}}
+     */
+    checkDay(entries, dateKey) {
+        const notEligible = { eligible: false, reason: null };
+        const workEntries = timeCalculator.getWorkEntries(entries);
+        // In missione il pasto si rimborsa con la trasferta
+        if (workEntries.some(entry => ['smart', 'assente', 'missione'].includes(entry.type))) {
+            return notEligible;
+        }
+
+        // Conta il lavoro del turno iniziato nel giorno, anche se prosegue dopo la mezzanotte;
+        // i permessi orari non sono lavoro
+        const dayHours = timeCalculator.calculateDayHours(entries, dateKey);
+        const shiftMinutes = dayHours.minutes + dayHours.overnightMinutes - dayHours.leaveMinutes;
+        if (dayHours.hasIncomplete || shiftMinutes === 0) {
+            return notEligible;
+        }
+
+        const rule = this.getRule();
+        if (rule.rientroDays && timeCalculator.isRientro(dateKey)) {
+            return { eligible: true, reason: VOUCHER_REASONS.RIENTRO };
+        }
+
+        // Pausa reale: solo con più coppie (la pausa automatica non conta)
+        if (shiftMinutes <= rule.minWorkedMinutes || dayHours.breakMinutes < rule.minPauseMinutes) {
+            return notEligible;
+        }
+
+        return this.getWindowPauseMinutes(entries, rule) >= rule.minPauseMinutes
+            ? { eligible: true, reason: VOUCHER_REASONS.PAUSE }
+            : notEligible;
+    }
+
+    /**
+     * Pausa reale più lunga compresa nella fascia della regola
+     * @param {Array} entries - Entry del giorno
+     * @param {Object} [rule] - Regola (default: impostazioni)
+     * @returns {number} Minuti della pausa dentro la fascia
+     */
+    getWindowPauseMinutes(entries, rule = this.getRule()) {
+        const pairs = timeCalculator.getWorkPairs(entries).sort((a, b) => a.start - b.start);
+        const windowStart = rule.windowStart ?? 0;
+        const windowEnd = rule.windowEnd ?? 24 * 60;
+        let longest = 0;
+
+        for (let i = 0; i < pairs.length - 1; i++) {
+            const pauseStart = Math.max(pairs[i].end, windowStart);
+            const pauseEnd = Math.min(pairs[i + 1].start, windowEnd);
+            longest = Math.max(longest, pauseEnd - pauseStart);
+        }
+
+        return longest;
+    }
+
+    /**
+     * Conta i buoni maturati in un insieme di giorni
+     * @param {Object} daysEntries - Oggetto {dateKey: [entries]}
+     * @returns {number}
+     */
+    countDays(daysEntries) {
+        return Object.entries(daysEntries || {})
+            .filter(([dateKey, entries]) => this.checkDay(entries, dateKey).eligible)
+            .length;
+    }
+
+    /**
+     * Conta i buoni maturati in un mese
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} month - Mese in formato YYYY-MM
+     * @returns {{month: string, label: string, count: number}}
+     */
+    getMonthlyCount(allData, month) {
+        let count = 0;
+        for (const weekEntries of Object.values(allData || {})) {
+            const monthDays = Object.fromEntries(
+                Object.entries(weekEntries || {}).filter(([dateKey]) => dateKey.startsWith(`${month}-`))
+            );
+            count += this.countDays(monthDays);
+        }
+
+        const date = parseDateISO(`${month}-01`);
+        return { month, label: MONTH_NAMES[date.getMonth()], count };
+    }
+}
+
+// Esporta istanza singleton
+export const mealVoucherService = new MealVoucherService();
+
+export default MealVoucherService;
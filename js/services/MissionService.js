@@ -0,0 +1,73 @@
+/**
+ * MissionService - Service per le missioni
+ *
+ * @description Raccoglie le missioni (entry `missione`: trasferta con
+ * partenza, rientro, destinazione e tempo di viaggio) per mese, come
+ * documentazione a supporto delle note spese. Le ore conteggiate seguono
+ * TimeCalculator.getMissionMinutes e la regola del viaggio configurata
+ * nella sezione `mission` delle impostazioni.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { MONTH_NAMES, parseDateISO } from '../utils/DateUtils.js';
+
+/**
+ * Classe per gestione missioni
+ */
+export class MissionService {
+    /**
+     * Missioni di un mese, in ordine di data
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} month - Mese in formato YYYY-MM
+     * @returns {Array<{dateKey: string, destination: string, departure: string, return: string, travelMinutes: number, countedTravelMinutes: number, minutes: number}>}
+     */
+    getMonthMissions(allData, month) {
+        const missions = [];
+
+        for (const weekEntries of Object.values(allData || {})) {
+            for (const [dateKey, entries] of Object.entries(weekEntries || {})) {
+                if (!dateKey.startsWith(`${month}-`)) continue;
+
+                for (const entry of entries || []) {
+                    if (entry.type !== 'missione') continue;
+                    const hours = timeCalculator.getMissionMinutes(entry, dateKey);
+                    missions.push({
+                        dateKey,
+                        destination: entry.destination || '',
+                        departure: entry.time,
+                        return: entry.endTime,
+                        travelMinutes: hours.travelMinutes,
+                        countedTravelMinutes: hours.countedTravelMinutes,
+                        minutes: hours.minutes
+                    });
+                }
+            }
+        }
+
+        return missions.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+    }
+
+    /**
+     * Riepilogo delle missioni di un mese
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} month - Mese in formato YYYY-MM
+     * @returns {{month: string, label: string, missions: Array, travelMinutes: number, minutes: number}}
+     */
+    getMonthSummary(allData, month) {
+        const missions = this.getMonthMissions(allData, month);
+        const date = parseDateISO(`${month}-01`);
+
+        return {
+            month,
+            label: `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`,
+            missions,
+            travelMinutes: missions.reduce((total, mission) => total + mission.travelMinutes, 0),
+            minutes: missions.reduce((total, mission) => total + mission.minutes, 0)
+        };
+    }
+}
+
+// Esporta istanza singleton
+export const missionService = new MissionService();
+
+export default MissionService;
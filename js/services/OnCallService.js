@@ -0,0 +1,117 @@
+/**
+ * OnCallService - Service per la reperibilità
+ *
+ * @description Calcola i totali della reperibilità (entry `reperibilita`,
+ * fascia di disponibilità fuori orario) e degli interventi svolti al suo
+ * interno (entry `intervento`). Le due voci sono retribuite a parte: non
+ * entrano nelle ore lavorate né nel saldo settimanale e hanno totali propri
+ * per settimana e per mese. Una fascia con fine non successiva all'inizio
+ * termina il giorno dopo e resta registrata sul giorno di inizio.
+ */
+
+import { parseTimeToMinutes } from '../utils/Validators.js';
+import { MONTH_NAMES, parseDateISO } from '../utils/DateUtils.js';
+
+/**
+ * Minuti in un giorno
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Classe per gestione reperibilità
+ */
+export class OnCallService {
+    /**
+     * Fascia di un'entry di reperibilità in minuti dalla mezzanotte del giorno
+     * @param {Object} entry - Entry `reperibilita` o `intervento`
+     * @returns {{start: number, end: number}|null} Fine oltre 24:00 se termina il giorno dopo
+     */
+    getRange(entry) {
+        const start = parseTimeToMinutes(entry.time);
+        const end = parseTimeToMinutes(entry.endTime);
+        if (start === null || end === null || start === end) {
+            return null;
+        }
+        return { start, end: end > start ? end : end + MINUTES_PER_DAY };
+    }
+
+    /**
+     * Durata di un'entry di reperibilità
+     * @param {Object} entry - Entry `reperibilita` o `intervento`
+     * @returns {number} Minuti
+     */
+    getMinutes(entry) {
+        const range = this.getRange(entry);
+        return range ? range.end - range.start : 0;
+    }
+
+    /**
+     * Totali di reperibilità di un insieme di giorni
+     * @param {Object} daysEntries - Oggetto {dateKey: [entries]}
+     * @returns {{availabilityMinutes: number, interventionMinutes: number, interventionCount: number}}
+     */
+    getTotals(daysEntries) {
+        const totals = { availabilityMinutes: 0, interventionMinutes: 0, interventionCount: 0 };
+
+        for (const entries of Object.values(daysEntries || {})) {
+            for (const entry of entries || []) {
+                if (entry.type === 'reperibilita') {
+                    totals.availabilityMinutes += this.getMinutes(entry);
+                } else if (entry.type === 'intervento') {
+                    totals.interventionMinutes += this.getMinutes(entry);
+                    totals.interventionCount++;
+                }
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Totali di reperibilità di un mese (per giorno di inizio della fascia)
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} month - Mese in formato YYYY-MM
+     * @returns {{month: string, label: string, availabilityMinutes: number, interventionMinutes: number, interventionCount: number}}
+     */
+    getMonthTotals(allData, month) {
+        const monthDays = {};
+        for (const weekEntries of Object.values(allData || {})) {
+            for (const [dateKey, entries] of Object.entries(weekEntries || {})) {
+                if (dateKey.startsWith(`${month}-`)) {
+                    monthDays[dateKey] = entries;
+                }
+            }
+        }
+
+        const date = parseDateISO(`${month}-01`);
+        return { month, label: MONTH_NAMES[date.getMonth()], ...this.getTotals(monthDays) };
+    }
+
+    /**
+     * Cerca la fascia di reperibilità del giorno che contiene un intervento
+     * Un intervento dopo la mezzanotte ricade nella fascia notturna iniziata nel giorno.
+     * @param {Array} entries - Entry del giorno
+     * @param {Object} intervention - Intervento {time, endTime}
+     * @returns {Object|null} Entry `reperibilita` che lo contiene
+     */
+    findWindow(entries, intervention) {
+        const range = this.getRange(intervention);
+        if (!range) {
+            return null;
+        }
+
+        return (entries || []).find(entry => {
+            if (entry.type !== 'reperibilita') return false;
+            const window = this.getRange(entry);
+            if (!window) return false;
+            return [0, MINUTES_PER_DAY].some(offset =>
+                range.start + offset >= window.start && range.end + offset <= window.end
+            );
+        }) || null;
+    }
+}
+
+// Esporta istanza singleton
+export const onCallService = new OnCallService();
+
+export default OnCallService;
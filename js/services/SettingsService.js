@@ -0,0 +1,343 @@
+/**
+ * SettingsService - Service per le impostazioni utente
+ *
+ * @description Mantiene in memoria le impostazioni (profilo contrattuale attivo,
+ * profili personalizzati, rettifiche banca ore, tetto straordinario, arrotondamento
+ * cartellino, regola buoni pasto, spettanze di ferie e permessi, santo patrono,
+ * quote di smart working, fascia della pausa, regola del viaggio in missione) e le persiste
+ * tramite StorageManager.
+ * Le impostazioni sono organizzate per sezione: `{ contract: {...}, ... }`.
+ * Il profilo contrattuale vale per periodi (`contract.profilePeriods`): ogni
+ * cambio di profilo decorre dal lunedì di una settimana e conserva le regole
+ * del profilo, così le settimane precedenti mantengono i target di allora.
+ */
+
+import { eventBus, EVENTS } from '../utils/EventBus.js';
+import { formatDateISO, parseDateISO, getToday, getWeekStartDate, getWeekYear, getWeekNumber } from '../utils/DateUtils.js';
+import { validateDate } from '../utils/Validators.js';
+import {
+    ContractProfile,
+    BUILTIN_PROFILES,
+    DEFAULT_PROFILE_ID
+} from '../models/ContractProfile.js';
+
+/**
+ * Impostazioni predefinite
+ */
+export const DEFAULT_SETTINGS = {
+    contract: {
+        activeProfileId: DEFAULT_PROFILE_ID,
+        customProfiles: [],
+        profilePeriods: []      // [{from: 'YYYY-MM-DD'|null, profile: {...}}], from null = dall'inizio
+    },
+    hourBank: {
+        adjustments: []
+    },
+    overtime: {
+        annualCapHours: 180
+    },
+    rounding: {
+        stepMinutes: 0,         // Passo di arrotondamento (0 = nessuno)
+        toleranceMinutes: 0,    // Tolleranza sulla prima entrata (0 = nessuna)
+        toleranceStart: '08:00' // Orario nominale di entrata per la tolleranza
+    },
+    mealVoucher: {
+        minWorkedHours: 6,        // Ore nette oltre cui matura il buono
+        minPauseMinutes: 30,      // Pausa reale minima nella fascia
+        pauseWindowStart: '12:00',
+        pauseWindowEnd: '15:00',
+        rientroDays: true         // Il rientro pomeridiano matura sempre il buono
+    },
+    leave: {
+        ferieDays: 32,            // Giorni di ferie annui
+        festivitaSoppresseDays: 4,
+        permessiHours: 18,        // Ore di permesso personale annue
+        carryOverYear: null,      // Anno a cui si riferisce il residuo iniziale
+        carryOverFerieDays: 0     // Ferie residue dall'anno precedente a carryOverYear
+    },
+    holidays: {
+        patronMunicipality: '',   // Comune del santo patrono
+        patronDate: null          // Giorno del patrono (MM-DD, null = nessuno)
+    },
+    smartWorking: {
+        monthlyMaxDays: 8,        // Giorni di smart working nel mese (null = nessun limite)
+        weeklyMaxDays: null,      // Giorni di smart working nella settimana
+        weeklyMinPresenceDays: null // Giorni minimi in presenza nella settimana
+    },
+    pause: {
+        windowStart: null,        // Fascia in cui deve cadere la pausa (null = qualsiasi ora)
+        windowEnd: null
+    },
+    mission: {
+        travelRule: 'target'      // Viaggio in missione: 'full', 'target' (fino al target del giorno), 'none'
+    }
+};
+
+/**
+ * Sezioni esportate nei file JSON insieme ai dati
+ */
+const PORTABLE_SECTIONS = ['contract', 'hourBank'];
+
+/**
+ * Lunedì della settimana di una data
+ * @param {string} dateKey - Data ISO
+ * @returns {string} Data ISO
+ */
+function getWeekMonday(dateKey) {
+    const date = parseDateISO(dateKey);
+    return formatDateISO(getWeekStartDate(getWeekYear(date), getWeekNumber(date)));
+}
+
+/**
+ * Classe per gestione impostazioni
+ */
+export class SettingsService {
+    constructor() {
+        /** @type {import('../storage/StorageManager.js').StorageManager|null} */
+        this.storage = null;
+
+        /** @type {Object} */
+        this.settings = this.createDefaults();
+
+        /** @type {Map<string, ContractProfile>} Cache dei profili per periodo */
+        this.profileCache = new Map();
+    }
+
+    /**
+     * Crea una copia profonda delle impostazioni predefinite
+     * @returns {Object}
+     */
+    createDefaults() {
+        return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    }
+
+    /**
+     * Carica le impostazioni dallo storage
+     * @param {import('../storage/StorageManager.js').StorageManager} storage - Storage manager inizializzato
+     * @returns {Promise<Object>}
+     */
+    async init(storage) {
+        this.storage = storage;
+        const saved = await storage.loadSettings();
+        this.load(saved);
+        return this.settings;
+    }
+
+    /**
+     * Applica impostazioni salvate sopra ai valori predefiniti
+     * @param {Object|null} saved - Impostazioni salvate
+     */
+    load(saved) {
+        const settings = this.createDefaults();
+
+        if (saved && typeof saved === 'object') {
+            for (const [section, values] of Object.entries(saved)) {
+                if (values && typeof values === 'object' && !Array.isArray(values)) {
+                    settings[section] = { ...(settings[section] || {}), ...values };
+                }
+            }
+        }
+
+        this.settings = settings;
+        this.profileCache.clear();
+    }
+
+    /**
+     * Ottiene una sezione delle impostazioni
+     * @param {string} section - Nome sezione
+     * @returns {Object}
+     */
+    get(section) {
+        return this.settings[section] || {};
+    }
+
+    /**
+     * Aggiorna una sezione delle impostazioni e la persiste
+     * @param {string} section - Nome sezione
+     * @param {Object} values - Valori da unire alla sezione
+     * @returns {Promise<boolean>}
+     */
+    async update(section, values) {
+        const settings = { ...this.settings, [section]: { ...this.get(section), ...values } };
+
+        // Le impostazioni in memoria cambiano solo a salvataggio riuscito
+        const saved = this.storage ? await this.storage.saveSettings(settings) : true;
+        if (!saved) {
+            return false;
+        }
+
+        this.settings = settings;
+        this.profileCache.clear();
+        eventBus.emit(EVENTS.SETTINGS_CHANGED, { section, settings: this.settings });
+        return true;
+    }
+
+    /**
+     * Copia delle sezioni che accompagnano i dati nei file esportati
+     * @returns {Object} Oggetto {section: values}
+     */
+    getPortableSettings() {
+        return JSON.parse(JSON.stringify(
+            Object.fromEntries(PORTABLE_SECTIONS.map(section => [section, this.get(section)]))
+        ));
+    }
+
+    /**
+     * Ottiene tutti i profili disponibili (predefiniti + personalizzati)
+     * @returns {ContractProfile[]}
+     */
+    getProfiles() {
+        const custom = this.get('contract').customProfiles || [];
+        return [...BUILTIN_PROFILES, ...custom].map(data => ContractProfile.fromJSON(data));
+    }
+
+    /**
+     * Ottiene un profilo per ID
+     * @param {string} profileId - ID profilo
+     * @returns {ContractProfile|null}
+     */
+    getProfile(profileId) {
+        return this.getProfiles().find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Ottiene il profilo contrattuale attivo (in vigore oggi)
+     * @returns {ContractProfile}
+     */
+    getActiveProfile() {
+        return this.getProfileAt(formatDateISO(getToday()));
+    }
+
+    /**
+     * Periodi del profilo contrattuale, in ordine di decorrenza
+     * @returns {Array<{from: string|null, profile: Object}>}
+     */
+    getProfilePeriods() {
+        return [...(this.get('contract').profilePeriods || [])]
+            .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+    }
+
+    /**
+     * Ottiene il profilo contrattuale in vigore in una data
+     * Senza periodi vale il profilo attivo; se l'ID salvato non esiste più,
+     * ricade sul profilo predefinito.
+     * @param {string|null} [dateKey] - Data ISO (default oggi)
+     * @returns {ContractProfile}
+     */
+    getProfileAt(dateKey = null) {
+        const day = typeof dateKey === 'string' ? dateKey : formatDateISO(getToday());
+        const period = this.getProfilePeriods().filter(item => item.from === null || item.from <= day).pop();
+        const cacheKey = period ? (period.from ?? '') : '-';
+
+        if (!this.profileCache.has(cacheKey)) {
+            const { activeProfileId } = this.get('contract');
+            this.profileCache.set(cacheKey, period
+                ? ContractProfile.fromJSON(period.profile)
+                : this.getProfile(activeProfileId) || ContractProfile.createDefault());
+        }
+        return this.profileCache.get(cacheKey);
+    }
+
+    /**
+     * Imposta il profilo attivo a partire da una data
+     * Il periodo decorre dal lunedì della settimana della data e conserva le
+     * regole del profilo; senza data il profilo vale dall'inizio. Le settimane
+     * precedenti mantengono il profilo in vigore allora.
+     * @param {string} profileId - ID profilo
+     * @param {string|null} [from=null] - Data ISO di decorrenza
+     * @returns {Promise<boolean>}
+     */
+    async setActiveProfile(profileId, from = null) {
+        const profile = this.getProfile(profileId);
+        if (!profile || (from !== null && !validateDate(from).valid)) {
+            return false;
+        }
+
+        const start = from === null ? null : getWeekMonday(from);
+        let periods = this.getProfilePeriods();
+
+        // Il profilo usato finora resta in vigore prima del primo cambio
+        if (periods.length === 0 && start !== null) {
+            periods.push({ from: null, profile: this.getProfileAt(start).toJSON() });
+        }
+        periods = periods.filter(period => period.from !== start);
+
+        // Nessun periodo nuovo se le regole non cambiano rispetto al periodo precedente
+        const previous = periods.filter(period => start !== null && (period.from === null || period.from < start)).pop();
+        if (!previous || JSON.stringify(previous.profile) !== JSON.stringify(profile.toJSON())) {
+            periods.push({ from: start, profile: profile.toJSON() });
+        }
+
+        return this.update('contract', { activeProfileId: profileId, profilePeriods: periods });
+    }
+
+    /**
+     * Unisce le impostazioni del contratto importate da un file
+     * Si aggiungono i profili personalizzati e i periodi non presenti (per ID e
+     * decorrenza); senza periodi salvati vale anche il profilo attivo del file.
+     * @param {Object} [contract] - Sezione `contract` del file
+     * @returns {Promise<number>} Profili e periodi aggiunti
+     */
+    async mergeContract(contract) {
+        if (!contract || typeof contract !== 'object') {
+            return 0;
+        }
+
+        const current = this.get('contract');
+        const customProfiles = [...(current.customProfiles || [])];
+        const knownProfiles = new Set(this.getProfiles().map(profile => profile.id));
+        const addedProfiles = (Array.isArray(contract.customProfiles) ? contract.customProfiles : [])
+            .filter(profile => profile && typeof profile.id === 'string' && !knownProfiles.has(profile.id))
+            .map(profile => ContractProfile.fromJSON(profile).toJSON());
+        customProfiles.push(...addedProfiles);
+
+        const periods = this.getProfilePeriods();
+        const knownStarts = new Set(periods.map(period => period.from));
+        const addedPeriods = (Array.isArray(contract.profilePeriods) ? contract.profilePeriods : [])
+            .filter(period => period && period.profile && typeof period.profile === 'object')
+            .filter(period => period.from === null || validateDate(period.from).valid)
+            .filter(period => !knownStarts.has(period.from))
+            .map(period => ({ from: period.from, profile: ContractProfile.fromJSON(period.profile).toJSON() }));
+
+        const values = {};
+        if (addedProfiles.length > 0) {
+            values.customProfiles = customProfiles;
+        }
+        if (addedPeriods.length > 0) {
+            values.profilePeriods = [...periods, ...addedPeriods];
+        }
+        const importedActive = [...knownProfiles, ...addedProfiles.map(profile => profile.id)].includes(contract.activeProfileId);
+        if (periods.length === 0 && importedActive && contract.activeProfileId !== current.activeProfileId) {
+            values.activeProfileId = contract.activeProfileId;
+        }
+
+        if (Object.keys(values).length === 0) {
+            return 0;
+        }
+        await this.update('contract', values);
+        return addedProfiles.length + addedPeriods.length;
+    }
+
+    /**
+     * Salva (crea o sostituisce) un profilo personalizzato
+     * @param {Object} profileData - Dati del profilo {id, name, days}
+     * @returns {Promise<boolean>}
+     */
+    async saveCustomProfile(profileData) {
+        if (BUILTIN_PROFILES.some(profile => profile.id === profileData.id)) {
+            return false;
+        }
+
+        const profile = ContractProfile.fromJSON(profileData).toJSON();
+        const customProfiles = (this.get('contract').customProfiles || [])
+            .filter(existing => existing.id !== profile.id);
+        customProfiles.push(profile);
+
+        return this.update('contract', { customProfiles });
+    }
+}
+
+// Esporta istanza singleton
+export const settingsService = new SettingsService();
+
+export default SettingsService;
@@ -0,0 +1,194 @@
+/**
+ * ShortLeaveService - Service per i permessi brevi
+ *
+ * @description I permessi brevi (entry `breve`, fascia oraria dentro la
+ * giornata) hanno un tetto di 36 ore l'anno e vanno recuperati entro il mese
+ * successivo. Il servizio costruisce il registro dei recuperi: ogni giorno
+ * con delta positivo (`calculateDayDelta`) salda in ordine cronologico i
+ * permessi ancora aperti e non scaduti. I permessi non recuperati alla
+ * scadenza restano a debito.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { parseDateISO, formatDateISO, daysDifference } from '../utils/DateUtils.js';
+
+/**
+ * Limiti dei permessi brevi
+ */
+export const SHORT_LEAVE_LIMITS = {
+    ANNUAL_CAP_MINUTES: 36 * 60,
+    DEADLINE_WARNING_DAYS: 7    // Preavviso sulla scadenza del recupero
+};
+
+/**
+ * Stato del recupero di un permesso breve
+ */
+export const RECOVERY_STATUS = {
+    RECOVERED: 'recovered',
+    OPEN: 'open',
+    DUE_SOON: 'due-soon',   // Scadenza entro il preavviso
+    EXPIRED: 'expired'      // Scaduto con minuti da recuperare
+};
+
+/**
+ * Classe per gestione permessi brevi
+ */
+export class ShortLeaveService {
+    /**
+     * Raccoglie tutti i giorni registrati in un unico oggetto
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {Object} Oggetto {dateKey: [entries]}
+     */
+    getDaysEntries(allData) {
+        const days = {};
+        for (const weekEntries of Object.values(allData || {})) {
+            Object.assign(days, weekEntries || {});
+        }
+        return days;
+    }
+
+    /**
+     * Minuti di permesso breve registrati in un giorno
+     * @param {Array} entries - Entry del giorno
+     * @returns {number}
+     */
+    getDayMinutes(entries) {
+        return timeCalculator.getShortLeaveSplit(entries).minutes;
+    }
+
+    /**
+     * Minuti di permesso breve usati in un anno
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno
+     * @param {Object} [exclude] - Entry da non contare (in modifica) {dateKey, id}
+     * @returns {number}
+     */
+    getYearMinutes(allData, year, exclude = null) {
+        return Object.entries(this.getDaysEntries(allData))
+            .filter(([dateKey]) => dateKey.startsWith(`${year}-`))
+            .reduce((total, [dateKey, entries]) => total + this.getDayMinutes(
+                exclude?.dateKey === dateKey ? entries.filter(entry => entry.id !== exclude.id) : entries
+            ), 0);
+    }
+
+    /**
+     * Verifica se un nuovo permesso breve rientra nel tetto annuo
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} dateKey - Data del permesso
+     * @param {number} minutes - Durata del permesso
+     * @param {Object} [exclude] - Entry sostituita (in modifica) {dateKey, id}
+     * @returns {{allowed: boolean, usedMinutes: number, remainingMinutes: number}}
+     */
+    checkAnnualCap(allData, dateKey, minutes, exclude = null) {
+        const usedMinutes = this.getYearMinutes(allData, Number(dateKey.slice(0, 4)), exclude);
+        const remainingMinutes = Math.max(0, SHORT_LEAVE_LIMITS.ANNUAL_CAP_MINUTES - usedMinutes);
+        return { allowed: minutes <= remainingMinutes, usedMinutes, remainingMinutes };
+    }
+
+    /**
+     * Scadenza del recupero: ultimo giorno del mese successivo
+     * @param {string} dateKey - Data del permesso
+     * @returns {string} Data ISO
+     */
+    getRecoveryDeadline(dateKey) {
+        const date = parseDateISO(dateKey);
+        return formatDateISO(new Date(date.getFullYear(), date.getMonth() + 2, 0));
+    }
+
+    /**
+     * Costruisce il registro dei recuperi
+     * I minuti positivi di un giorno saldano prima i permessi più vecchi; un
+     * permesso scaduto non riceve più recuperi. I giorni con timbrature incomplete
+     * (compreso il turno in corso) non recuperano.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} today - Data ISO di riferimento per lo stato
+     * @returns {Array<{dateKey: string, minutes: number, recoveredMinutes: number, remainingMinutes: number, deadline: string, recoveries: Array<{dateKey: string, minutes: number}>, status: string}>}
+     */
+    getRecoveryLedger(allData, today) {
+        const days = this.getDaysEntries(allData);
+        const debts = [];
+
+        for (const dateKey of Object.keys(days).sort()) {
+            const entries = days[dateKey];
+            const minutes = this.getDayMinutes(entries);
+            if (minutes > 0) {
+                debts.push({ dateKey, minutes, recoveredMinutes: 0, deadline: this.getRecoveryDeadline(dateKey), recoveries: [] });
+            }
+
+            const delta = timeCalculator.calculateDayDelta(entries, dateKey, timeCalculator.getDayContext(days, dateKey));
+            if (!delta || delta.minutes <= 0 || delta.hasIncomplete) continue;
+
+            let available = delta.minutes;
+            for (const debt of debts) {
+                if (available === 0) break;
+                const open = debt.minutes - debt.recoveredMinutes;
+                if (open === 0 || dateKey > debt.deadline) continue;
+
+                const paid = Math.min(open, available);
+                debt.recoveredMinutes += paid;
+                debt.recoveries.push({ dateKey, minutes: paid });
+                available -= paid;
+            }
+        }
+
+        return debts.map(debt => {
+            const remainingMinutes = debt.minutes - debt.recoveredMinutes;
+            return { ...debt, remainingMinutes, status: this.getStatus(remainingMinutes, debt.deadline, today) };
+        });
+    }
+
+    /**
+     * Stato del recupero di un permesso
+     * @param {number} remainingMinutes - Minuti ancora da recuperare
+     * @param {string} deadline - Scadenza ISO
+     * @param {string} today - Data ISO di riferimento
+     * @returns {string} Valore di RECOVERY_STATUS
+     */
+    getStatus(remainingMinutes, deadline, today) {
+        if (remainingMinutes === 0) return RECOVERY_STATUS.RECOVERED;
+        if (today > deadline) return RECOVERY_STATUS.EXPIRED;
+
+        const daysLeft = daysDifference(parseDateISO(today), parseDateISO(deadline));
+        return daysLeft <= SHORT_LEAVE_LIMITS.DEADLINE_WARNING_DAYS ? RECOVERY_STATUS.DUE_SOON : RECOVERY_STATUS.OPEN;
+    }
+
+    /**
+     * Riepilogo dei permessi brevi: ore usate nell'anno, minuti da recuperare
+     * e scaduti (di tutti gli anni), prossima scadenza e avvisi
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno
+     * @param {string} today - Data ISO di riferimento
+     * @returns {{year: number, usedMinutes: number, capMinutes: number, openMinutes: number, expiredMinutes: number, nextDeadline: string|null, warnings: Array}}
+     */
+    getSummary(allData, year, today) {
+        const ledger = this.getRecoveryLedger(allData, today);
+        const pending = ledger.filter(debt => debt.status !== RECOVERY_STATUS.RECOVERED);
+        const open = pending.filter(debt => debt.status !== RECOVERY_STATUS.EXPIRED);
+
+        return {
+            year,
+            usedMinutes: this.getYearMinutes(allData, year),
+            capMinutes: SHORT_LEAVE_LIMITS.ANNUAL_CAP_MINUTES,
+            openMinutes: open.reduce((total, debt) => total + debt.remainingMinutes, 0),
+            expiredMinutes: pending
+                .filter(debt => debt.status === RECOVERY_STATUS.EXPIRED)
+                .reduce((total, debt) => total + debt.remainingMinutes, 0),
+            nextDeadline: open.length > 0 ? open[0].deadline : null,
+            warnings: this.getDeadlineWarnings(ledger)
+        };
+    }
+
+    /**
+     * Permessi con scadenza del recupero vicina
+     * @param {Array} ledger - Registro dei recuperi (vedi getRecoveryLedger)
+     * @returns {Array} Voci del registro in stato DUE_SOON
+     */
+    getDeadlineWarnings(ledger) {
+        return ledger.filter(debt => debt.status === RECOVERY_STATUS.DUE_SOON);
+    }
+}
+
+// Esporta istanza singleton
+export const shortLeaveService = new ShortLeaveService();
+
+export default ShortLeaveService;
@@ -0,0 +1,170 @@
+/**
+ * SmartWorkingService - Service per le quote di smart working
+ *
+ * @description Conta i giorni di smart working (entry `smart`) rispetto alle
+ * quote dell'accordo individuale configurate nella sezione `smartWorking`
+ * delle impostazioni: massimo di giorni nel mese, massimo nella settimana e
+ * minimo di giorni in presenza nella settimana. Una quota a null non è
+ * applicata. Il servizio non blocca la registrazione: restituisce gli avvisi
+ * da confermare prima di salvare.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { holidayService } from './HolidayService.js';
+import { settingsService } from './SettingsService.js';
+import {
+    MONTH_NAMES,
+    parseDateISO,
+    formatDateISO,
+    getWeekNumber,
+    getWeekYear,
+    getWorkWeekDates
+} from '../utils/DateUtils.js';
+
+/**
+ * Quota superata da una nuova giornata di smart working
+ */
+export const SMART_QUOTA_KINDS = {
+    MONTHLY_MAX: 'monthly-max',         // Giorni di smart nel mese
+    WEEKLY_MAX: 'weekly-max',           // Giorni di smart nella settimana
+    WEEKLY_PRESENCE: 'weekly-presence'  // Giorni minimi in presenza nella settimana
+};
+
+/**
+ * Classe per gestione quote smart working
+ */
+export class SmartWorkingService {
+    /**
+     * Ottiene le quote dalle impostazioni (null = quota non applicata)
+     * @returns {{monthlyMaxDays: number|null, weeklyMaxDays: number|null, weeklyMinPresenceDays: number|null}}
+     */
+    getQuotas() {
+        const quotas = settingsService.get('smartWorking');
+        const toQuota = value => (Number.isInteger(value) && value >= 0 ? value : null);
+
+        return {
+            monthlyMaxDays: toQuota(quotas.monthlyMaxDays),
+            weeklyMaxDays: toQuota(quotas.weeklyMaxDays),
+            weeklyMinPresenceDays: toQuota(quotas.weeklyMinPresenceDays)
+        };
+    }
+
+    /**
+     * Raccoglie tutti i giorni registrati in un unico oggetto
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @returns {Object} Oggetto {dateKey: [entries]}
+     */
+    getDaysEntries(allData) {
+        const days = {};
+        for (const weekEntries of Object.values(allData || {})) {
+            Object.assign(days, weekEntries || {});
+        }
+        return days;
+    }
+
+    /**
+     * Verifica se il giorno è in smart working
+     * @param {Array} entries - Entry del giorno
+     * @returns {boolean}
+     */
+    isSmartDay(entries) {
+        return (entries || []).some(entry => entry.type === 'smart');
+    }
+
+    /**
+     * Verifica se il giorno è un'assenza a giornata intera
+     * @param {Array} entries - Entry del giorno
+     * @returns {boolean}
+     */
+    isAbsentDay(entries) {
+        return (entries || []).some(entry => entry.type === 'assente');
+    }
+
+    /**
+     * Giorni di smart working in un mese
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} month - Mese in formato YYYY-MM
+     * @returns {{month: string, label: string, usedDays: number, maxDays: number|null}}
+     */
+    getMonthUsage(allData, month) {
+        const usedDays = Object.entries(this.getDaysEntries(allData))
+            .filter(([dateKey, entries]) => dateKey.startsWith(`${month}-`) && this.isSmartDay(entries))
+            .length;
+
+        const date = parseDateISO(`${month}-01`);
+        return { month, label: MONTH_NAMES[date.getMonth()], usedDays, maxDays: this.getQuotas().monthlyMaxDays };
+    }
+
+    /**
+     * Giorni della settimana di una data: lavorativi (non festivi e con target),
+     * in smart working e in assenza
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} dateKey - Data ISO della settimana
+     * @returns {{workingDays: string[], smartDays: string[], absentDays: string[]}}
+     */
+    getWeekUsage(allData, dateKey) {
+        const date = parseDateISO(dateKey);
+        const days = this.getDaysEntries(allData);
+        const workingDays = getWorkWeekDates(getWeekYear(date), getWeekNumber(date))
+            .map(day => formatDateISO(day))
+            .filter(day => !holidayService.isHoliday(day) && timeCalculator.getDailyTarget(day) > 0);
+
+        return {
+            workingDays,
+            smartDays: workingDays.filter(day => this.isSmartDay(days[day])),
+            absentDays: workingDays.filter(day => this.isAbsentDay(days[day]))
+        };
+    }
+
+    /**
+     * Verifica le quote prima di registrare lo smart working in una data
+     * Il giorno indicato conta come smart working (le sue registrazioni
+     * vengono sostituite); se era già in smart non cambia nulla e non ci sono avvisi.
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {string} dateKey - Data dello smart working
+     * @returns {Array<{kind: string, message: string}>} Avvisi sulle quote superate
+     */
+    checkSmartDay(allData, dateKey) {
+        const quotas = this.getQuotas();
+        const warnings = [];
+
+        if (this.isSmartDay(this.getDaysEntries(allData)[dateKey])) {
+            return warnings;
+        }
+
+        const month = this.getMonthUsage(allData, dateKey.slice(0, 7));
+        if (quotas.monthlyMaxDays !== null && month.usedDays + 1 > quotas.monthlyMaxDays) {
+            warnings.push({
+                kind: SMART_QUOTA_KINDS.MONTHLY_MAX,
+                message: `Smart working a ${month.label}: ${month.usedDays + 1} giorni su ${quotas.monthlyMaxDays} consentiti.`
+            });
+        }
+
+        const week = this.getWeekUsage(allData, dateKey);
+        const smartDays = week.smartDays.length + 1;
+        if (quotas.weeklyMaxDays !== null && smartDays > quotas.weeklyMaxDays) {
+            warnings.push({
+                kind: SMART_QUOTA_KINDS.WEEKLY_MAX,
+                message: `Smart working nella settimana: ${smartDays} giorni su ${quotas.weeklyMaxDays} consentiti.`
+            });
+        }
+
+        // Giorni ancora disponibili per la presenza: né smart né assenza
+        const presenceDays = week.workingDays
+            .filter(day => day !== dateKey && !week.smartDays.includes(day) && !week.absentDays.includes(day))
+            .length;
+        if (quotas.weeklyMinPresenceDays !== null && presenceDays < quotas.weeklyMinPresenceDays) {
+            warnings.push({
+                kind: SMART_QUOTA_KINDS.WEEKLY_PRESENCE,
+                message: `Presenza nella settimana: restano ${presenceDays} giorni su ${quotas.weeklyMinPresenceDays} richiesti.`
+            });
+        }
+
+        return warnings;
+    }
+}
+
+// Esporta istanza singleton
+export const smartWorkingService = new SmartWorkingService();
+
+export default SmartWorkingService;
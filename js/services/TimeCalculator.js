@@ -3,13 +3,23 @@
  * 
  * @description Gestisce tutti i calcoli relativi alle ore lavorate:
  * ore giornaliere, pause automatiche, totali settimanali e saldi.
+ * Target e regole pausa provengono dal profilo contrattuale attivo.
+ * Il saldo si divide in flessibilità (credito orario) e straordinario
+ * autorizzato, entro il tetto annuo impostato. Arrotondamento e tolleranza
+ * del cartellino si applicano solo in fase di calcolo. Nei giorni festivi
+ * il target è zero. Nelle missioni il tempo di viaggio conta secondo la
+ * regola della sezione `mission` delle impostazioni.
  */
 
-import { parseTimeToMinutes, minutesToTime } from '../utils/Validators.js';
-import { isFriday, parseDateISO } from '../utils/DateUtils.js';
+import { parseTimeToMinutes, minutesToTime, isMarkerType, isLeaveType, isSpanType, isOnCallType, isMissionType, isNoteType, acceptsReason } from '../utils/Validators.js';
+import { AbsenceReason } from '../models/AbsenceReason.js';
+import { parseDateISO, formatDateISO } from '../utils/DateUtils.js';
+import { settingsService } from './SettingsService.js';
+import { holidayService } from './HolidayService.js';
 
 /**
- * Configurazione ore e pause
+ * Valori del profilo predefinito (36h Funzioni Locali).
+ * Mantenuti come riferimento: i calcoli leggono sempre il profilo attivo.
  */
 export const CONFIG = {
     WEEKLY_TARGET_HOURS: 36,           // Ore settimanali target
@@ -23,40 +33,172 @@ export const CONFIG = {
     // Verifica: 7.5 * 4 + 6 = 36h ✓
 };
 
+/**
+ * Minuti in un giorno
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Minuti in cui una fascia si sovrappone a un insieme di fasce
+ * @param {{start: number, end: number}} span - Fascia
+ * @param {Array<{start: number, end: number}>} ranges - Fasce di confronto
+ * @returns {number}
+ */
+function overlapMinutes(span, ranges) {
+    return ranges.reduce((total, range) =>
+        total + Math.max(0, Math.min(span.end, range.end) - Math.max(span.start, range.start)), 0);
+}
+
+/**
+ * Primo valore di un intervallo per cui una condizione monotona (falsa, poi vera) è vera
+ * @param {number} from - Inizio (incluso)
+ * @param {number} to - Fine (esclusa)
+ * @param {function(number): boolean} predicate - Condizione
+ * @returns {number} `to` se la condizione non è mai vera
+ */
+function findFirst(from, to, predicate) {
+    let low = from;
+    let high = to;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (predicate(middle)) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Motivi per cui una timbratura resta senza controparte
+ */
+export const ORPHAN_REASONS = {
+    OPEN: 'open',                   // Ultima entrata in attesa di uscita (turno in corso)
+    MISSING_EXIT: 'missing-exit',   // Entrata seguita da un'altra entrata
+    MISSING_ENTRY: 'missing-entry', // Uscita senza entrata aperta
+    INVALID_TIME: 'invalid-time'    // Orario mancante o non valido
+};
+
+/**
+ * Motivi per cui la pausa viene detratta in automatico
+ */
+export const PAUSE_REASONS = {
+    NO_BREAK: 'no-break',               // Nessuna pausa timbrata
+    SHORT_BREAK: 'short-break',         // Pausa timbrata più corta del minimo
+    OUTSIDE_WINDOW: 'outside-window'    // Pausa (in parte) fuori dalla fascia della pausa
+};
+
+/**
+ * Regole di conteggio del tempo di viaggio in missione
+ */
+export const MISSION_TRAVEL_RULES = {
+    FULL: 'full',       // Il viaggio conta tutto come lavoro
+    TARGET: 'target',   // Il viaggio conta solo fino a completare il target del giorno
+    NONE: 'none'        // Il viaggio non conta
+};
+
 /**
  * Classe per calcoli temporali
  */
 export class TimeCalculator {
+    /**
+     * Ottiene il profilo contrattuale in vigore in una data
+     * @param {string|null} [dateKey] - Data ISO (default oggi)
+     * @returns {import('../models/ContractProfile.js').ContractProfile}
+     */
+    getProfile(dateKey = null) {
+        return settingsService.getProfileAt(dateKey);
+    }
+
     /**
      * Calcola le ore lavorate per un giorno
      * @param {Array} entries - Array di entry per il giorno
      * @param {string} dateKey - Data in formato ISO (per determinare venerdì)
-     * @returns {{minutes: number, formatted: string, hasIncomplete: boolean}}
+     * @param {Object} [options] - Opzioni
+     * @param {boolean} [options.raw=false] - Calcola sugli orari grezzi, senza arrotondamento
+     * @param {Array} [options.previousEntries] - Entry del giorno precedente (turno notturno in arrivo)
+     * @returns {{minutes: number, formatted: string, hasIncomplete: boolean, overnightMinutes: number, carryInMinutes: number, leaveMinutes: number, orphans: Array}}
+     *   `orphans` usa gli indici dell'array `entries` ricevuto (vedi pairEntries);
+     *   con timbrature anche `pauseMinutes` (pausa detratta), `validBreakMinutes` e `pauseReason` (PAUSE_REASONS)
      */
-    calculateDayHours(entries, dateKey) {
-        if (!entries || entries.length === 0) {
-            return { minutes: 0, formatted: '00:00', hasIncomplete: false };
+    calculateDayHours(entries, dateKey, options = {}) {
+        // Minuti dopo la mezzanotte di un turno iniziato il giorno precedente
+        const carryInMinutes = options.previousEntries?.length
+            ? this.calculateDayHours(options.previousEntries, this.getPreviousDateKey(dateKey), { raw: options.raw }).overnightMinutes
+            : 0;
+
+        // I marcatori (straordinario), le note del giorno e la reperibilità non sono timbrature
+        const workEntries = this.getWorkEntries(entries);
+
+        // Permessi orari: si sommano al totale senza passare dalla regola della pausa.
+        // I permessi brevi non coprono il target: il giorno resta in deficit fino al recupero
+        const leaveMinutes = this.getLeaveMinutes(workEntries);
+        const dayEntries = workEntries.filter(entry => !isLeaveType(entry.type) && !isSpanType(entry.type));
+
+        if (dayEntries.length === 0) {
+            const minutes = carryInMinutes + leaveMinutes;
+            return {
+                minutes,
+                formatted: minutesToTime(minutes),
+                hasIncomplete: false,
+                overnightMinutes: 0,
+                carryInMinutes,
+                leaveMinutes,
+                orphans: []
+            };
+        }
+
+        // Missione: ore dalla partenza al rientro, con il viaggio secondo la regola
+        if (dayEntries.length === 1 && isMissionType(dayEntries[0].type)) {
+            const minutes = this.getMissionMinutes(dayEntries[0], dateKey).minutes + carryInMinutes + leaveMinutes;
+            return {
+                minutes,
+                formatted: minutesToTime(minutes),
+                hasIncomplete: false,
+                overnightMinutes: 0,
+                carryInMinutes,
+                leaveMinutes,
+                orphans: []
+            };
         }
 
         // Verifica se è un giorno speciale (smart/assente)
-        if (entries.length === 1) {
-            const entry = entries[0];
+        if (dayEntries.length === 1) {
+            const entry = dayEntries[0];
             if (entry.type === 'smart' || entry.type === 'assente') {
-                const hours = entry.hours || 0;
-                const minutes = Math.round(hours * 60);
+                const hours = this.countsTowardTarget(entry) ? (entry.hours || 0) : 0;
+                const minutes = Math.round(hours * 60) + carryInMinutes + leaveMinutes;
                 return {
                     minutes,
                     formatted: minutesToTime(minutes),
-                    hasIncomplete: false
+                    hasIncomplete: false,
+                    overnightMinutes: 0,
+                    carryInMinutes,
+                    leaveMinutes,
+                    orphans: []
                 };
             }
         }
 
         // Calcola ore da coppie entrata/uscita
-        const { workedMinutes, hasIncomplete, pairCount, breakMinutes } = this.calculatePairMinutes(entries);
+        const { workedMinutes: pairMinutes, hasIncomplete, pairCount, breakMinutes: pairBreakMinutes, breaks, overnightMinutes: overnightGross, orphans } =
+            this.calculatePairMinutes(entries, options);
+
+        // La fascia di un permesso breve non è lavoro (se non si è timbrato) né pausa
+        const shortLeave = this.getShortLeaveSplit(entries);
+        const workedMinutes = Math.max(0, pairMinutes - shortLeave.workedOverlap);
+        const breakMinutes = Math.max(0, pairBreakMinutes - shortLeave.breakOverlap);
 
-        const requiredPauseMinutes = this.getRequiredPauseMinutes(workedMinutes, dateKey, pairCount, breakMinutes);
-        const netMinutes = Math.max(0, workedMinutes - requiredPauseMinutes);
+        // Con la fascia della pausa configurata, le pause fuori fascia non riducono la detrazione
+        const pauseWindow = this.getPauseWindow();
+        const validBreakMinutes = pauseWindow ? this.getWindowBreakMinutes(breaks, entries, pauseWindow) : breakMinutes;
+
+        // La pausa resta sul giorno di inizio turno; oltre la mezzanotte va il lavoro netto residuo
+        const requiredPauseMinutes = this.getRequiredPauseMinutes(workedMinutes, dateKey, pairCount, validBreakMinutes);
+        const shiftMinutes = Math.max(0, workedMinutes - requiredPauseMinutes);
+        const overnightMinutes = Math.min(overnightGross, shiftMinutes);
+        const netMinutes = shiftMinutes - overnightMinutes + carryInMinutes + leaveMinutes;
 
         return {
             minutes: netMinutes,
@@ -64,53 +206,460 @@ export class TimeCalculator {
             hasIncomplete,
             grossMinutes: workedMinutes,
             pauseApplied: requiredPauseMinutes > 0,
-            breakMinutes: pairCount > 1 ? breakMinutes : requiredPauseMinutes
+            breakMinutes: pairCount > 1 ? breakMinutes : requiredPauseMinutes,
+            pauseMinutes: requiredPauseMinutes,
+            validBreakMinutes,
+            pauseReason: this.getPauseReason(requiredPauseMinutes, pairCount, breakMinutes, validBreakMinutes),
+            overnightMinutes,
+            carryInMinutes,
+            leaveMinutes,
+            orphans
+        };
+    }
+
+    /**
+     * Regola del tempo di viaggio in missione dalle impostazioni
+     * @returns {string} Valore di MISSION_TRAVEL_RULES
+     */
+    getMissionTravelRule() {
+        const { travelRule } = settingsService.get('mission');
+        return Object.values(MISSION_TRAVEL_RULES).includes(travelRule) ? travelRule : MISSION_TRAVEL_RULES.TARGET;
+    }
+
+    /**
+     * Calcola le ore di una missione
+     * La giornata dalla partenza al rientro vale come una coppia unica: la pausa
+     * si calcola sull'intera trasferta e si toglie dall'attività fuori sede;
+     * il viaggio si aggiunge secondo la regola configurata.
+     * @param {Object} entry - Entry `missione`
+     * @param {string} dateKey - Data in formato ISO
+     * @returns {{spanMinutes: number, travelMinutes: number, pauseMinutes: number, activityMinutes: number, countedTravelMinutes: number, minutes: number}}
+     */
+    getMissionMinutes(entry, dateKey) {
+        const start = parseTimeToMinutes(entry.time);
+        const end = parseTimeToMinutes(entry.endTime);
+        const spanMinutes = start !== null && end !== null && end > start ? end - start : 0;
+        const travelMinutes = Math.min(spanMinutes, Math.max(0, entry.travelMinutes || 0));
+
+        const pauseMinutes = this.getRequiredPauseMinutes(spanMinutes, dateKey);
+        const activityMinutes = Math.max(0, spanMinutes - travelMinutes - pauseMinutes);
+
+        let countedTravelMinutes = travelMinutes;
+        const rule = this.getMissionTravelRule();
+        if (rule === MISSION_TRAVEL_RULES.NONE) {
+            countedTravelMinutes = 0;
+        } else if (rule === MISSION_TRAVEL_RULES.TARGET) {
+            const targetMinutes = this.hoursToMinutes(this.getDailyTarget(dateKey));
+            countedTravelMinutes = Math.min(travelMinutes, Math.max(0, targetMinutes - activityMinutes));
+        }
+
+        return {
+            spanMinutes,
+            travelMinutes,
+            pauseMinutes,
+            activityMinutes,
+            countedTravelMinutes,
+            minutes: activityMinutes + countedTravelMinutes
         };
     }
 
+    /**
+     * Minuti di permesso orario che coprono il target nel giorno
+     * @param {Array} entries - Entry del giorno
+     * @returns {number}
+     */
+    getLeaveMinutes(entries) {
+        return (entries || [])
+            .filter(entry => isLeaveType(entry.type) && this.countsTowardTarget(entry))
+            .reduce((total, entry) => total + Math.round((entry.hours || 0) * 60), 0);
+    }
+
+    /**
+     * Suddivide le fasce dei permessi brevi rispetto alle timbrature del giorno
+     * La parte dentro una coppia entrata/uscita (permesso preso senza timbrare)
+     * va tolta dal lavoro; la parte tra due coppie va tolta dalla pausa.
+     * @param {Array} entries - Entry del giorno
+     * @returns {{minutes: number, workedOverlap: number, breakOverlap: number}}
+     */
+    getShortLeaveSplit(entries) {
+        const result = { minutes: 0, workedOverlap: 0, breakOverlap: 0 };
+        const spans = this.getShortLeaveSpans(entries);
+        if (spans.length === 0) {
+            return result;
+        }
+
+        const pairs = this.getWorkPairs(entries).sort((a, b) => a.start - b.start);
+        const gaps = pairs.slice(1).map((pair, i) => ({ start: pairs[i].end, end: pair.start }));
+
+        for (const span of spans) {
+            result.minutes += span.end - span.start;
+            result.workedOverlap += overlapMinutes(span, pairs);
+            result.breakOverlap += overlapMinutes(span, gaps);
+        }
+        return result;
+    }
+
+    /**
+     * Fasce valide dei permessi brevi del giorno
+     * @param {Array} entries - Entry del giorno
+     * @returns {Array<{start: number, end: number}>} Minuti dalla mezzanotte
+     */
+    getShortLeaveSpans(entries) {
+        return (entries || [])
+            .filter(entry => isSpanType(entry.type))
+            .map(entry => ({ start: parseTimeToMinutes(entry.time), end: parseTimeToMinutes(entry.endTime) }))
+            .filter(span => span.start !== null && span.end !== null && span.end > span.start);
+    }
+
+    /**
+     * Fascia oraria in cui deve cadere la pausa, dalle impostazioni
+     * @returns {{start: number, end: number}|null} null = pausa valida a qualsiasi ora
+     */
+    getPauseWindow() {
+        const { windowStart, windowEnd } = settingsService.get('pause');
+        const start = parseTimeToMinutes(windowStart);
+        const end = parseTimeToMinutes(windowEnd);
+        return start !== null && end !== null && end > start ? { start, end } : null;
+    }
+
+    /**
+     * Minuti di pausa reale dentro la fascia della pausa
+     * Le fasce dei permessi brevi non sono pausa e non vengono conteggiate.
+     * @param {Array<{start: number, end: number}>} breaks - Pause tra coppie (da calculatePairMinutes)
+     * @param {Array} entries - Entry del giorno
+     * @param {{start: number, end: number}} window - Fascia della pausa
+     * @returns {number}
+     */
+    getWindowBreakMinutes(breaks, entries, window) {
+        const spans = this.getShortLeaveSpans(entries);
+
+        return breaks.reduce((total, pause) => {
+            const start = Math.max(pause.start, window.start);
+            const end = Math.min(pause.end, window.end);
+            if (end <= start) return total;
+
+            const range = { start, end };
+            return total + Math.max(0, end - start - spans.reduce((sum, span) => sum + overlapMinutes(span, [range]), 0));
+        }, 0);
+    }
+
+    /**
+     * Motivo della pausa detratta in automatico
+     * @param {number} pauseMinutes - Pausa detratta
+     * @param {number} pairCount - Coppie entrata/uscita complete
+     * @param {number} breakMinutes - Pausa reale tra coppie
+     * @param {number} validBreakMinutes - Pausa reale dentro la fascia
+     * @returns {string|null} Valore di PAUSE_REASONS (null = nessuna detrazione)
+     */
+    getPauseReason(pauseMinutes, pairCount, breakMinutes, validBreakMinutes) {
+        if (pauseMinutes <= 0) {
+            return null;
+        }
+        if (pairCount <= 1 || breakMinutes <= 0) {
+            return PAUSE_REASONS.NO_BREAK;
+        }
+        return validBreakMinutes < breakMinutes ? PAUSE_REASONS.OUTSIDE_WINDOW : PAUSE_REASONS.SHORT_BREAK;
+    }
+
+    /**
+     * Verifica se le ore di un'entry coprono il target (causale dell'assenza)
+     * @param {Object} entry - Entry del giorno
+     * @returns {boolean}
+     */
+    countsTowardTarget(entry) {
+        return !acceptsReason(entry.type) || AbsenceReason.forEntry(entry).countsTowardTarget;
+    }
+
+    /**
+     * Data ISO del giorno precedente
+     * @param {string} dateKey - Data ISO
+     * @returns {string}
+     */
+    getPreviousDateKey(dateKey) {
+        const date = parseDateISO(dateKey);
+        return formatDateISO(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1));
+    }
+
+    /**
+     * Data ISO del giorno successivo
+     * @param {string} dateKey - Data ISO
+     * @returns {string}
+     */
+    getNextDateKey(dateKey) {
+        const date = parseDateISO(dateKey);
+        return formatDateISO(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+    }
+
+    /**
+     * Opzioni di calcolo di un giorno dentro un insieme di giorni (turno notturno del giorno prima)
+     * @param {Object} daysEntries - Oggetto {dateKey: [entries]}
+     * @param {string} dateKey - Data ISO
+     * @returns {{previousEntries: Array}}
+     */
+    getDayContext(daysEntries, dateKey) {
+        return { previousEntries: daysEntries?.[this.getPreviousDateKey(dateKey)] || [] };
+    }
+
+    /**
+     * Minuti notturni che ricadono su date assenti dall'insieme (es. sabato dopo il turno del venerdì)
+     * @param {Object} daysEntries - Oggetto {dateKey: [entries]}
+     * @returns {Object} {dateKey: minuti}
+     */
+    getOvernightSpill(daysEntries) {
+        const spill = {};
+
+        for (const [dateKey, entries] of Object.entries(daysEntries || {})) {
+            const nextKey = this.getNextDateKey(dateKey);
+            if (daysEntries[nextKey]) continue;
+
+            const { overnightMinutes } = this.calculateDayHours(entries, dateKey, this.getDayContext(daysEntries, dateKey));
+            if (overnightMinutes > 0) {
+                spill[nextKey] = overnightMinutes;
+            }
+        }
+
+        return spill;
+    }
+
+    /**
+     * Filtra le entry che concorrono al calcolo delle ore (esclusi i marcatori,
+     * le note del giorno e la reperibilità, che ha totali propri: vedi OnCallService)
+     * @param {Array} entries - Array di entry
+     * @returns {Array}
+     */
+    getWorkEntries(entries) {
+        return (entries || []).filter(entry => !isMarkerType(entry.type) && !isOnCallType(entry.type) && !isNoteType(entry.type));
+    }
+
+    /**
+     * Abbina le timbrature del giorno in ordine cronologico
+     * Le timbrature sono ordinate per orario (le uscite `nextDay` dopo le 24:00; a parità
+     * di orario l'uscita precede l'entrata) e ogni uscita chiude l'entrata aperta più
+     * recente. Le timbrature senza controparte sono restituite singolarmente con
+     * l'indice originale nell'array, così la UI può evidenziare l'entry esatta.
+     * Gli altri tipi (smart, assente, marcatori) sono ignorati.
+     * @param {Array} entries - Array di entry del giorno
+     * @returns {{pairs: Array<{start: number, end: number, entrataIndex: number, uscitaIndex: number}>, orphans: Array<{index: number, type: string, reason: string}>}}
+     */
+    pairEntries(entries) {
+        const punches = [];
+        const orphans = [];
+
+        (entries || []).forEach((entry, index) => {
+            if (entry.type !== 'entrata' && entry.type !== 'uscita') return;
+
+            const minutes = entry.type === 'uscita' ? this.getExitMinutes(entry) : parseTimeToMinutes(entry.time);
+            if (minutes === null) {
+                orphans.push({ index, type: entry.type, reason: ORPHAN_REASONS.INVALID_TIME });
+                return;
+            }
+            punches.push({ index, type: entry.type, minutes });
+        });
+
+        punches.sort((a, b) =>
+            a.minutes - b.minutes ||
+            (a.type === b.type ? 0 : a.type === 'uscita' ? -1 : 1) ||
+            a.index - b.index
+        );
+
+        const pairs = [];
+        let open = null;
+
+        for (const punch of punches) {
+            if (punch.type === 'entrata') {
+                if (open) {
+                    orphans.push({ index: open.index, type: open.type, reason: ORPHAN_REASONS.MISSING_EXIT });
+                }
+                open = punch;
+            } else if (open) {
+                pairs.push({ start: open.minutes, end: punch.minutes, entrataIndex: open.index, uscitaIndex: punch.index });
+                open = null;
+            } else {
+                orphans.push({ index: punch.index, type: punch.type, reason: ORPHAN_REASONS.MISSING_ENTRY });
+            }
+        }
+
+        // L'ultima entrata senza uscita è un turno in corso
+        if (open) {
+            orphans.push({ index: open.index, type: open.type, reason: ORPHAN_REASONS.OPEN });
+        }
+
+        orphans.sort((a, b) => a.index - b.index);
+        return { pairs, orphans };
+    }
+
+    /**
+     * Verifica se le timbrature spaiate indicano solo un turno ancora in corso
+     * @param {Array<{reason: string}>} orphans - Timbrature spaiate (da pairEntries)
+     * @returns {boolean}
+     */
+    isInProgress(orphans) {
+        return (orphans || []).length > 0 && orphans.every(orphan => orphan.reason === ORPHAN_REASONS.OPEN);
+    }
+
+    /**
+     * Ottiene gli intervalli di lavoro entrata→uscita del giorno
+     * Usa lo stesso abbinamento cronologico di calculatePairMinutes (vedi pairEntries).
+     * Un'uscita del giorno dopo (`nextDay`) vale oltre le 24:00.
+     * @param {Array} entries - Array di entry
+     * @returns {Array<{start: number, end: number}>} Minuti dalla mezzanotte (coppie valide)
+     */
+    getWorkPairs(entries) {
+        return this.pairEntries(entries).pairs
+            .filter(pair => pair.end > pair.start)
+            .map(({ start, end }) => ({ start, end }));
+    }
+
+    /**
+     * Minuti di un'uscita dalla mezzanotte del giorno di inizio turno
+     * @param {Object} entry - Entry uscita
+     * @returns {number|null}
+     */
+    getExitMinutes(entry) {
+        const minutes = parseTimeToMinutes(entry.time);
+        if (minutes === null) return null;
+        return entry.nextDay ? minutes + MINUTES_PER_DAY : minutes;
+    }
+
     /**
      * Calcola i minuti da coppie entrata/uscita
+     * Arrotondamento e tolleranza del cartellino si applicano qui: gli orari salvati restano grezzi.
+     * Le uscite del giorno dopo (`nextDay`) chiudono un turno a cavallo della mezzanotte:
+     * i minuti lordi oltre le 24:00 sono restituiti in `overnightMinutes`.
+     * Le coppie sono abbinate in ordine cronologico (pairEntries); le timbrature spaiate
+     * non entrano nel calcolo e sono restituite in `orphans`.
      * @param {Array} entries - Array di entry
-     * @returns {{workedMinutes: number, hasIncomplete: boolean, pairCount: number}}
+     * @param {Object} [options] - Opzioni
+     * @param {boolean} [options.raw=false] - Ignora arrotondamento e tolleranza
+     * @returns {{workedMinutes: number, hasIncomplete: boolean, pairCount: number, breakMinutes: number, breaks: Array<{start: number, end: number}>, overnightMinutes: number, orphans: Array}}
      */
-    calculatePairMinutes(entries) {
+    calculatePairMinutes(entries, options = {}) {
         let workedMinutes = 0;
-        let hasIncomplete = false;
         let breakMinutes = 0;
+        let overnightMinutes = 0;
+        const breaks = [];
 
-        // Separa entrate e uscite
-        const entrate = entries.filter(e => e.type === 'entrata').map(e => e.time);
-        const uscite = entries.filter(e => e.type === 'uscita').map(e => e.time);
+        const { pairs, orphans } = this.pairEntries(entries);
 
-        // Verifica se ci sono entrate non accoppiate
-        if (entrate.length > uscite.length) {
-            hasIncomplete = true;
-        }
+        // Orari di ogni coppia, arrotondati secondo la policy del cartellino
+        const policy = options.raw ? null : this.getRoundingPolicy();
+        const times = pairs.map((pair, i) => (policy && pair.end > pair.start
+            ? this.roundPair(pair.start, pair.end, i === 0, policy)
+            : { start: pair.start, end: pair.end }));
 
         // Calcola per ogni coppia
-        const pairs = Math.min(entrate.length, uscite.length);
-        for (let i = 0; i < pairs; i++) {
-            const entrataMinutes = parseTimeToMinutes(entrate[i]);
-            const uscitaMinutes = parseTimeToMinutes(uscite[i]);
-
-            if (entrataMinutes !== null && uscitaMinutes !== null) {
-                const diff = uscitaMinutes - entrataMinutes;
-                if (diff > 0) {
-                    workedMinutes += diff;
-                }
+        times.forEach(({ start, end }, i) => {
+            const diff = end - start;
+            if (diff > 0) {
+                workedMinutes += diff;
+                overnightMinutes += Math.max(0, end - Math.max(start, MINUTES_PER_DAY));
             }
 
             // Calcola pausa tra coppie consecutive (gap tra uscita[i] e entrata[i+1])
-            if (i < pairs - 1) {
-                const exitMin = parseTimeToMinutes(uscite[i]);
-                const nextEntryMin = parseTimeToMinutes(entrate[i + 1]);
-                if (exitMin !== null && nextEntryMin !== null && nextEntryMin > exitMin) {
-                    breakMinutes += (nextEntryMin - exitMin);
-                }
+            const next = times[i + 1];
+            if (next && next.start > end) {
+                breakMinutes += next.start - end;
+                breaks.push({ start: end, end: next.start });
+            }
+        });
+
+        return {
+            workedMinutes,
+            hasIncomplete: orphans.length > 0,
+            pairCount: pairs.length,
+            breakMinutes,
+            breaks,
+            overnightMinutes,
+            orphans
+        };
+    }
+
+    /**
+     * Ottiene la policy di arrotondamento del cartellino dalle impostazioni
+     * @returns {{stepMinutes: number, toleranceMinutes: number, toleranceStart: number|null}}
+     */
+    getRoundingPolicy() {
+        const { stepMinutes, toleranceMinutes, toleranceStart } = settingsService.get('rounding');
+        const toMinutes = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+
+        return {
+            stepMinutes: toMinutes(stepMinutes),
+            toleranceMinutes: toMinutes(toleranceMinutes),
+            toleranceStart: parseTimeToMinutes(toleranceStart)
+        };
+    }
+
+    /**
+     * Verifica se arrotondamento o tolleranza sono attivi
+     * @returns {boolean}
+     */
+    isRoundingActive() {
+        const policy = this.getRoundingPolicy();
+        return policy.stepMinutes > 0 || (policy.toleranceMinutes > 0 && policy.toleranceStart !== null);
+    }
+
+    /**
+     * Arrotonda una coppia entrata/uscita: entrata per eccesso, uscita per difetto
+     * Se la prima entrata cade nella tolleranza vale come orario nominale e
+     * l'uscita si riduce dello stesso ritardo (recupero a fine giornata).
+     * @param {number} start - Minuti entrata
+     * @param {number} end - Minuti uscita
+     * @param {boolean} isFirst - Prima coppia del giorno
+     * @param {Object} [policy] - Policy (default: impostazioni)
+     * @returns {{start: number, end: number}}
+     */
+    roundPair(start, end, isFirst, policy = this.getRoundingPolicy()) {
+        const entry = this.roundEntryMinutes(start, isFirst, policy);
+        const roundedEnd = this.roundToStep(end - entry.shiftMinutes, policy.stepMinutes, 'down');
+        return { start: entry.minutes, end: Math.max(entry.minutes, roundedEnd) };
+    }
+
+    /**
+     * Arrotonda un'entrata applicando la tolleranza sulla prima del giorno
+     * @param {number} minutes - Minuti entrata
+     * @param {boolean} isFirst - Prima entrata del giorno
+     * @param {Object} policy - Policy di arrotondamento
+     * @returns {{minutes: number, shiftMinutes: number}} Entrata conteggiata e ritardo assorbito
+     */
+    roundEntryMinutes(minutes, isFirst, policy) {
+        let shiftMinutes = 0;
+
+        if (isFirst && policy.toleranceMinutes > 0 && policy.toleranceStart !== null) {
+            const lateness = minutes - policy.toleranceStart;
+            if (lateness > 0 && lateness <= policy.toleranceMinutes) {
+                shiftMinutes = lateness;
+                minutes = policy.toleranceStart;
             }
         }
 
-        return { workedMinutes, hasIncomplete, pairCount: pairs, breakMinutes };
+        return { minutes: this.roundToStep(minutes, policy.stepMinutes, 'up'), shiftMinutes };
+    }
+
+    /**
+     * Arrotonda minuti al passo indicato
+     * @param {number} minutes - Minuti
+     * @param {number} step - Passo in minuti (0 = nessun arrotondamento)
+     * @param {'up'|'down'} direction - Direzione
+     * @returns {number}
+     */
+    roundToStep(minutes, step, direction) {
+        if (!step) {
+            return minutes;
+        }
+        const round = direction === 'up' ? Math.ceil : Math.floor;
+        return round(minutes / step) * step;
+    }
+
+    /**
+     * Primo orario di uscita che, dopo l'arrotondamento, copre il lordo richiesto
+     * @param {number} entrataMinutes - Minuti della prima entrata (grezzi)
+     * @param {number} grossMinutes - Minuti lordi da coprire
+     * @returns {number} Minuti uscita
+     */
+    getExitForGrossMinutes(entrataMinutes, grossMinutes) {
+        const policy = this.getRoundingPolicy();
+        const entry = this.roundEntryMinutes(entrataMinutes, true, policy);
+        return this.roundToStep(entry.minutes + grossMinutes, policy.stepMinutes, 'up') + entry.shiftMinutes;
     }
 
     /**
@@ -149,12 +698,10 @@ export class TimeCalculator {
             return 0;
         }
 
-        if (isFriday(parseDateISO(dateKey))) {
-            const pauseThresholdMinutes = this.hoursToMinutes(CONFIG.PAUSE_THRESHOLD_HOURS);
-            return workedMinutes > pauseThresholdMinutes ? CONFIG.PAUSE_MINUTES : 0;
-        }
-
-        return CONFIG.PAUSE_MINUTES;
+        // Soglia 0 = pausa sempre dovuta (es. Lun–Gio), altrimenti solo oltre la soglia lorda
+        const { pauseMinutes, pauseThresholdHours } = this.getProfile(dateKey).getDayRule(dateKey);
+        const pauseThresholdMinutes = this.hoursToMinutes(pauseThresholdHours);
+        return workedMinutes > pauseThresholdMinutes ? pauseMinutes : 0;
     }
 
     /**
@@ -169,6 +716,9 @@ export class TimeCalculator {
 
     /**
      * Calcola il totale settimanale
+     * I turni notturni sono divisi tra i giorni a cavallo della mezzanotte; i minuti che
+     * ricadono su un giorno senza registrazioni della stessa settimana (es. sabato) sono
+     * inclusi, quelli della domenica notte passano al lunedì della settimana successiva.
      * @param {Object} weekEntries - Oggetto {dateKey: [entries]}
      * @returns {{minutes: number, formatted: string, byDay: Object}}
      */
@@ -177,11 +727,17 @@ export class TimeCalculator {
         const byDay = {};
 
         for (const [dateKey, entries] of Object.entries(weekEntries)) {
-            const dayResult = this.calculateDayHours(entries, dateKey);
+            const dayResult = this.calculateDayHours(entries, dateKey, this.getDayContext(weekEntries, dateKey));
             byDay[dateKey] = dayResult;
             totalMinutes += dayResult.minutes;
         }
 
+        for (const [dateKey, minutes] of Object.entries(this.getOvernightSpill(weekEntries))) {
+            if (parseDateISO(dateKey).getDay() === 1) continue; // Lunedì: settimana successiva
+            byDay[dateKey] = { minutes, formatted: minutesToTime(minutes), hasIncomplete: false, overnightMinutes: 0, carryInMinutes: minutes, leaveMinutes: 0, orphans: [] };
+            totalMinutes += minutes;
+        }
+
         return {
             minutes: totalMinutes,
             formatted: minutesToTime(totalMinutes),
@@ -189,13 +745,27 @@ export class TimeCalculator {
         };
     }
 
+    /**
+     * Ottiene i minuti target della settimana dal profilo in vigore nella settimana
+     * @param {string[]} [dateKeys=[]] - Date della settimana: i festivi ne riducono il target (senza date, settimana corrente)
+     * @returns {number}
+     */
+    getWeeklyTargetMinutes(dateKeys = []) {
+        const profile = this.getProfile(dateKeys[0] ?? null);
+        const holidayMinutes = dateKeys
+            .filter(dateKey => holidayService.isHoliday(dateKey))
+            .reduce((total, dateKey) => total + this.hoursToMinutes(profile.getTargetHours(dateKey)), 0);
+        return profile.getWeeklyTargetMinutes() - holidayMinutes;
+    }
+
     /**
      * Calcola il saldo settimanale rispetto al target
      * @param {number} workedMinutes - Minuti lavorati
+     * @param {number} [targetMinutes] - Target settimanale (default: profilo attivo)
      * @returns {{minutes: number, formatted: string, isPositive: boolean, isNeutral: boolean}}
      */
-    calculateBalance(workedMinutes) {
-        const balanceMinutes = workedMinutes - CONFIG.WEEKLY_TARGET_MINUTES;
+    calculateBalance(workedMinutes, targetMinutes = this.getWeeklyTargetMinutes()) {
+        const balanceMinutes = workedMinutes - targetMinutes;
         const sign = balanceMinutes >= 0 ? '+' : '';
         
         return {
@@ -244,10 +814,11 @@ export class TimeCalculator {
     /**
      * Calcola le ore rimanenti per raggiungere il target settimanale
      * @param {number} workedMinutes - Minuti già lavorati
+     * @param {number} [targetMinutes] - Target settimanale (default: profilo attivo)
      * @returns {{minutes: number, formatted: string}}
      */
-    calculateRemaining(workedMinutes) {
-        const remaining = Math.max(0, CONFIG.WEEKLY_TARGET_MINUTES - workedMinutes);
+    calculateRemaining(workedMinutes, targetMinutes = this.getWeeklyTargetMinutes()) {
+        const remaining = Math.max(0, targetMinutes - workedMinutes);
         return {
             minutes: remaining,
             formatted: minutesToTime(remaining)
@@ -256,12 +827,14 @@ export class TimeCalculator {
 
     /**
      * Stima l'ora di uscita per raggiungere un target giornaliero
+     * La pausa segue la regola del giorno nel profilo in vigore.
      * @param {string} entrataTime - Ora di entrata (HH:MM)
      * @param {number} targetHours - Ore target
-     * @param {boolean} includePause - Se includere la pausa
+     * @param {string} dateKey - Data in formato ISO
+     * @param {boolean} [includePause=true] - Se includere la pausa
      * @returns {string} Ora di uscita stimata
      */
-    estimateExitTime(entrataTime, targetHours, includePause = true) {
+    estimateExitTime(entrataTime, targetHours, dateKey, includePause = true) {
         const entrataMinutes = parseTimeToMinutes(entrataTime);
         if (entrataMinutes === null) {
             return '--:--';
@@ -269,7 +842,7 @@ export class TimeCalculator {
 
         let targetMinutes = this.hoursToMinutes(targetHours);
         if (includePause) {
-            targetMinutes += this.getRequiredPauseMinutes(targetMinutes, '1970-01-05');
+            targetMinutes += this.getRequiredPauseMinutes(targetMinutes, dateKey);
         }
 
         const exitMinutes = entrataMinutes + targetMinutes;
@@ -282,39 +855,60 @@ export class TimeCalculator {
      * @returns {number} Ore Smart
      */
     getSmartHours(dateKey) {
-        return isFriday(parseDateISO(dateKey)) 
-            ? CONFIG.SMART_HOURS_FRIDAY 
-            : CONFIG.SMART_HOURS_DEFAULT;
+        return this.getProfile(dateKey).getSmartHours(dateKey);
     }
 
     /**
-     * Ottiene le ore target per un giorno
+     * Ottiene le ore Assente per un giorno
+     * @param {string} dateKey - Data in formato ISO
+     * @returns {number} Ore Assente
+     */
+    getAbsentHours(dateKey) {
+        return this.getProfile(dateKey).getAbsentHours(dateKey);
+    }
+
+    /**
+     * Ottiene le ore target per un giorno (zero nei festivi)
      * @param {string} dateKey - Data in formato ISO
      * @returns {number} Ore target
      */
     getDailyTarget(dateKey) {
-        return isFriday(parseDateISO(dateKey))
-            ? CONFIG.FRIDAY_TARGET_HOURS
-            : CONFIG.DAILY_TARGET_HOURS;
+        if (holidayService.isHoliday(dateKey)) {
+            return 0;
+        }
+        return this.getProfile(dateKey).getTargetHours(dateKey);
+    }
+
+    /**
+     * Verifica se un giorno è di rientro pomeridiano nel profilo in vigore
+     * Nei festivi non c'è rientro.
+     * @param {string} dateKey - Data in formato ISO
+     * @returns {boolean}
+     */
+    isRientro(dateKey) {
+        return this.getProfile(dateKey).isRientro(dateKey) && !holidayService.isHoliday(dateKey);
     }
 
     /**
      * Calcola il delta giornaliero (minuti extra/deficit rispetto al target)
      * @param {Array} entries - Array di entry per il giorno
      * @param {string} dateKey - Data in formato ISO
-     * @returns {{minutes: number, formatted: string, isPositive: boolean, isNegative: boolean, isNeutral: boolean, hasIncomplete: boolean}|null}
+     * @param {Object} [options] - Opzioni di calcolo del giorno (vedi calculateDayHours)
+     * @returns {{minutes: number, formatted: string, isPositive: boolean, isNegative: boolean, isNeutral: boolean, hasIncomplete: boolean, isInProgress: boolean}|null}
      */
-    calculateDayDelta(entries, dateKey) {
-        if (!entries || entries.length === 0) {
-            return null; // Nessuna entry, nessun delta
+    calculateDayDelta(entries, dateKey, options = {}) {
+        // Nessuna entry (o solo marcatori e reperibilità), nessun delta
+        const workEntries = this.getWorkEntries(entries);
+        if (workEntries.length === 0) {
+            return null;
         }
 
-        // Non mostrare delta per giorni assente
-        if (entries.length === 1 && entries[0].type === 'assente') {
+        // Non mostrare delta per giorni assente (salvo causali che non coprono il target)
+        if (workEntries.length === 1 && workEntries[0].type === 'assente' && this.countsTowardTarget(workEntries[0])) {
             return null;
         }
 
-        const dayHours = this.calculateDayHours(entries, dateKey);
+        const dayHours = this.calculateDayHours(entries, dateKey, options);
         const targetMinutes = this.hoursToMinutes(this.getDailyTarget(dateKey));
         const deltaMinutes = dayHours.minutes - targetMinutes;
 
@@ -324,7 +918,122 @@ export class TimeCalculator {
             isPositive: deltaMinutes > 0,
             isNegative: deltaMinutes < 0,
             isNeutral: deltaMinutes === 0,
-            hasIncomplete: dayHours.hasIncomplete
+            hasIncomplete: dayHours.hasIncomplete,
+            isInProgress: this.isInProgress(dayHours.orphans)
+        };
+    }
+
+    /**
+     * Tetto annuo dello straordinario in minuti
+     * @returns {number}
+     */
+    getOvertimeCapMinutes() {
+        const { annualCapHours } = settingsService.get('overtime');
+        return typeof annualCapHours === 'number' && annualCapHours >= 0
+            ? this.hoursToMinutes(annualCapHours)
+            : Infinity;
+    }
+
+    /**
+     * Divide l'eccedenza giornaliera tra straordinario autorizzato e flessibilità
+     * Lo straordinario è l'eccedenza marcata (tutta o fino alle ore autorizzate),
+     * limitata a quanto resta del tetto annuo; il resto del delta è flessibilità.
+     * @param {Array} entries - Array di entry per il giorno
+     * @param {string} dateKey - Data in formato ISO
+     * @param {number} [remainingCapMinutes=Infinity] - Minuti di tetto annuo ancora disponibili
+     * @param {Object} [options] - Opzioni di calcolo del giorno (vedi calculateDayHours)
+     * @returns {{overtimeMinutes: number, flexMinutes: number, requestedMinutes: number, overCapMinutes: number}}
+     */
+    calculateDayOvertime(entries, dateKey, remainingCapMinutes = Infinity, options = {}) {
+        const result = { overtimeMinutes: 0, flexMinutes: 0, requestedMinutes: 0, overCapMinutes: 0 };
+
+        const delta = this.calculateDayDelta(entries, dateKey, options);
+        if (!delta || delta.hasIncomplete) {
+            return result;
+        }
+
+        result.flexMinutes = delta.minutes;
+
+        const marks = (entries || []).filter(entry => entry.type === 'straordinario');
+        const excessMinutes = Math.max(0, delta.minutes);
+        if (marks.length === 0 || excessMinutes === 0) {
+            return result;
+        }
+
+        // Un marcatore senza ore autorizza tutta l'eccedenza del giorno
+        const wholeDay = marks.some(entry => entry.hours === undefined || entry.hours === null);
+        const authorisedMinutes = wholeDay
+            ? excessMinutes
+            : marks.reduce((total, entry) => total + this.hoursToMinutes(entry.hours), 0);
+
+        result.requestedMinutes = Math.min(authorisedMinutes, excessMinutes);
+        result.overtimeMinutes = Math.max(0, Math.min(result.requestedMinutes, remainingCapMinutes));
+        result.overCapMinutes = result.requestedMinutes - result.overtimeMinutes;
+        result.flexMinutes = delta.minutes - result.overtimeMinutes;
+
+        return result;
+    }
+
+    /**
+     * Straordinario richiesto (senza tetto) nelle date di un anno
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno solare
+     * @param {string} [beforeDateKey] - Considera solo le date precedenti (esclusa)
+     * @returns {number} Minuti
+     */
+    calculateRequestedOvertime(allData, year, beforeDateKey = null) {
+        let total = 0;
+
+        for (const weekEntries of Object.values(allData || {})) {
+            for (const [dateKey, entries] of Object.entries(weekEntries || {})) {
+                if (!dateKey.startsWith(`${year}-`)) continue;
+                if (beforeDateKey && dateKey >= beforeDateKey) continue;
+                total += this.calculateDayOvertime(entries, dateKey, Infinity, this.getDayContext(weekEntries, dateKey)).requestedMinutes;
+            }
+        }
+
+        return total;
+    }
+
+    /**
+     * Straordinario riconosciuto nell'anno (entro il tetto) prima di una data
+     * @param {Object} allData - Dati {weekKey: {dateKey: [entries]}}
+     * @param {number} year - Anno solare
+     * @param {string} [beforeDateKey] - Considera solo le date precedenti (esclusa)
+     * @returns {number} Minuti
+     */
+    calculateYearOvertime(allData, year, beforeDateKey = null) {
+        return Math.min(this.getOvertimeCapMinutes(), this.calculateRequestedOvertime(allData, year, beforeDateKey));
+    }
+
+    /**
+     * Divide il saldo settimanale tra straordinario e flessibilità
+     * @param {Object} weekEntries - Oggetto {dateKey: [entries]}
+     * @param {Object} [usedByYear={}] - Straordinario già riconosciuto per anno prima della settimana {year: minuti}
+     * @param {string[]} [dateKeys=[]] - Date della settimana (per i festivi, vedi getWeeklyTargetMinutes)
+     * @returns {{overtimeMinutes: number, flexMinutes: number, overCapMinutes: number}}
+     */
+    calculateWeekOvertime(weekEntries, usedByYear = {}, dateKeys = []) {
+        const capMinutes = this.getOvertimeCapMinutes();
+        const used = { ...usedByYear };
+        let overtimeMinutes = 0;
+        let overCapMinutes = 0;
+
+        for (const dateKey of Object.keys(weekEntries).sort()) {
+            const year = dateKey.slice(0, 4);
+            const remaining = capMinutes - (used[year] || 0);
+            const day = this.calculateDayOvertime(weekEntries[dateKey], dateKey, remaining, this.getDayContext(weekEntries, dateKey));
+
+            used[year] = (used[year] || 0) + day.overtimeMinutes;
+            overtimeMinutes += day.overtimeMinutes;
+            overCapMinutes += day.overCapMinutes;
+        }
+
+        const balance = this.calculateBalance(this.calculateWeekTotal(weekEntries).minutes, this.getWeeklyTargetMinutes(dateKeys));
+        return {
+            overtimeMinutes,
+            flexMinutes: balance.minutes - overtimeMinutes,
+            overCapMinutes
         };
     }
 
@@ -349,59 +1058,139 @@ export class TimeCalculator {
     }
 
     /**
-     * Calcola il suggerimento di uscita per l'ultimo giorno (venerdì)
-     * basandosi sui minuti extra accumulati lun-gio.
+     * Calcola l'uscita suggerita per un giorno con un turno aperto
+     * Simula l'uscita con le stesse regole del calcolo del giorno (pausa,
+     * arrotondamento, permessi) e restituisce il primo orario in cui si
+     * raggiunge il target del giorno e quello in cui la settimana va in pari.
+     * @param {Array} entries - Entry del giorno
+     * @param {string} dateKey - Data in formato ISO
+     * @param {Object} [options] - Opzioni
+     * @param {Object} [options.weekEntries] - Oggetto {dateKey: [entries]} per il saldo settimanale
+     * @param {string[]} [options.dateKeys=[]] - Date della settimana (per i festivi)
+     * @returns {{openTime: string, targetMinutes: number, targetExit: Object|null, weekExit: Object|null}|null}
+     *   Le uscite sono `{minutes, time, nextDay}` con `minutes` dalla mezzanotte del giorno (oltre 24:00 il giorno dopo)
+     */
+    calculateDayExitSuggestion(entries, dateKey, options = {}) {
+        const open = this.pairEntries(entries).orphans.find(orphan => orphan.reason === ORPHAN_REASONS.OPEN);
+        if (!open) return null;
+
+        const openTime = entries[open.index].time;
+        const openMinutes = parseTimeToMinutes(openTime);
+        const dayContext = options.weekEntries ? this.getDayContext(options.weekEntries, dateKey) : {};
+        const targetMinutes = this.hoursToMinutes(this.getDailyTarget(dateKey));
+
+        // Minuti che il giorno deve coprire perché il saldo della settimana vada a zero
+        let weekGoalMinutes = null;
+        if (options.weekEntries) {
+            const week = this.calculateWeekTotal({ ...options.weekEntries, [dateKey]: entries });
+            const otherMinutes = week.minutes - (week.byDay[dateKey]?.minutes || 0);
+            weekGoalMinutes = this.getWeeklyTargetMinutes(options.dateKeys || []) - otherMinutes;
+        }
+
+        return {
+            openTime,
+            targetMinutes,
+            targetExit: this.findExitForMinutes(entries, dateKey, openMinutes, targetMinutes, dayContext),
+            weekExit: weekGoalMinutes === null
+                ? null
+                : this.findExitForMinutes(entries, dateKey, openMinutes, weekGoalMinutes, dayContext)
+        };
+    }
+
+    /**
+     * Primo orario di uscita con cui il giorno raggiunge i minuti indicati
+     * I minuti del giorno crescono con l'uscita e calano solo quando scatta la
+     * pausa: la ricerca è per bisezione su ogni tratto a pausa costante.
+     * @param {Array} entries - Entry del giorno (con l'entrata aperta)
+     * @param {string} dateKey - Data in formato ISO
+     * @param {number} openMinutes - Minuti dell'entrata aperta
+     * @param {number} goalMinutes - Minuti da raggiungere
+     * @param {Object} [options] - Opzioni di calcolo del giorno (vedi calculateDayHours)
+     * @returns {{minutes: number, time: string, nextDay: boolean}|null} Null se non raggiungibile entro 24 ore
+     */
+    findExitForMinutes(entries, dateKey, openMinutes, goalMinutes, options = {}) {
+        const lastExit = openMinutes + MINUTES_PER_DAY;
+        const toExit = minutes => ({
+            minutes,
+            time: minutesToTime(minutes % MINUTES_PER_DAY),
+            nextDay: minutes >= MINUTES_PER_DAY
+        });
+        const dayAt = minutes => {
+            const { time, nextDay } = toExit(minutes);
+            return this.calculateDayHours([...entries, { type: 'uscita', time, nextDay }], dateKey, options);
+        };
+        const reached = minutes => {
+            const day = dayAt(minutes);
+            return day.minutes + day.overnightMinutes >= goalMinutes;
+        };
+
+        let segmentStart = openMinutes;
+        while (segmentStart < lastExit) {
+            const pauseMinutes = dayAt(segmentStart).pauseMinutes ?? 0;
+            const segmentEnd = findFirst(segmentStart + 1, lastExit, minutes => (dayAt(minutes).pauseMinutes ?? 0) !== pauseMinutes);
+            const exit = findFirst(segmentStart, segmentEnd, reached);
+
+            if (exit < segmentEnd) {
+                return toExit(exit);
+            }
+            segmentStart = segmentEnd;
+        }
+        return null;
+    }
+
+    /**
+     * Calcola il suggerimento di uscita per l'ultimo giorno lavorativo del profilo
+     * (di norma il venerdì) basandosi sui minuti extra accumulati nei giorni precedenti.
+     * Il delta di ogni giorno segue il target del profilo, compresi i rientri;
+     * conta solo la flessibilità, non lo straordinario autorizzato.
      * @param {Object} weekEntries - Oggetto {dateKey: [entries]}
-     * @returns {{exitTime: string, extraMinutes: number, fridayTarget: number, fridayDateKey: string, hasFridayEntrata: boolean}|null}
+     * @returns {{exitTime: string, extraMinutes: number, fridayTargetMinutes: number, fridayDateKey: string, hasFridayEntrata: boolean}|null}
      */
     calculateFridayExitSuggestion(weekEntries) {
         const sortedDates = Object.keys(weekEntries).sort();
         if (sortedDates.length === 0) return null;
 
-        // Trova il venerdì (ultimo giorno lavorativo)
-        const fridayDateKey = sortedDates.find(dk => isFriday(parseDateISO(dk)));
-        if (!fridayDateKey) return null;
+        // Trova l'ultimo giorno lavorativo secondo il profilo in vigore nella settimana
+        const lastWeekday = this.getProfile(sortedDates[0]).getLastWorkingWeekday();
+        const fridayDateKey = sortedDates.find(dk => parseDateISO(dk).getDay() === lastWeekday);
+        if (!fridayDateKey || holidayService.isHoliday(fridayDateKey)) return null;
 
-        // Calcola extra accumulati lun-gio (giorni prima del venerdì)
+        // Calcola extra accumulati nei giorni precedenti
         let extraMinutes = 0;
         for (const dateKey of sortedDates) {
-            if (dateKey === fridayDateKey) continue;
+            if (dateKey >= fridayDateKey) continue;
             const entries = weekEntries[dateKey];
-            if (!entries || entries.length === 0) continue;
-            const delta = this.calculateDayDelta(entries, dateKey);
-            if (delta && !delta.hasIncomplete) {
-                extraMinutes += delta.minutes;
-            }
+            if (this.getWorkEntries(entries).length === 0) continue;
+            // Lo straordinario autorizzato è pagato: non riduce il target
+            extraMinutes += this.calculateDayOvertime(entries, dateKey, Infinity, this.getDayContext(weekEntries, dateKey)).flexMinutes;
         }
 
         // Verifica se venerdì ha un'entrata
         const fridayEntries = weekEntries[fridayDateKey] || [];
         const hasFridayEntrata = fridayEntries.some(e => e.type === 'entrata');
         const hasFridayUscita = fridayEntries.some(e => e.type === 'uscita');
-        const isFridaySpecial = fridayEntries.length === 1 && 
-            (fridayEntries[0].type === 'smart' || fridayEntries[0].type === 'assente');
+        const fridayWorkEntries = this.getWorkEntries(fridayEntries);
+        const isFridaySpecial = fridayWorkEntries.length === 1 && 
+            ['smart', 'assente', 'missione'].includes(fridayWorkEntries[0].type);
 
-        // Non suggerire se venerdì è smart/assente o ha già l'uscita completata
+        // Non suggerire se venerdì è smart/assente/missione o ha già l'uscita completata
         if (isFridaySpecial) return null;
 
-        const fridayTargetMinutes = this.hoursToMinutes(CONFIG.FRIDAY_TARGET_HOURS);
+        const fridayTargetMinutes = this.hoursToMinutes(this.getDailyTarget(fridayDateKey));
         // Il target del venerdì può essere ridotto dai minuti extra accumulati
         const adjustedTarget = Math.max(0, fridayTargetMinutes - extraMinutes);
 
         // Se c'è un'entrata, calcola ora uscita
-        // Se il target netto > 6h, bisogna aggiungere 30min di pausa obbligatoria
+        // Se il target netto supera la soglia del profilo, si aggiunge la pausa obbligatoria
         let exitTime = null;
         if (hasFridayEntrata && !hasFridayUscita) {
             const entrataEntry = fridayEntries.find(e => e.type === 'entrata');
             if (entrataEntry) {
                 const entrataMin = parseTimeToMinutes(entrataEntry.time);
                 if (entrataMin !== null) {
-                    let grossTarget = adjustedTarget;
-                    if (adjustedTarget > this.hoursToMinutes(CONFIG.PAUSE_THRESHOLD_HOURS)) {
-                        grossTarget += CONFIG.PAUSE_MINUTES;
-                    }
-                    const exitMin = entrataMin + grossTarget;
-                    exitTime = minutesToTime(exitMin);
+                    const grossTarget = adjustedTarget + this.getMinimumPauseMinutes(adjustedTarget, fridayDateKey);
+                    const exitMin = this.getExitForGrossMinutes(entrataMin, grossTarget);
+                    exitTime = minutesToTime(exitMin % MINUTES_PER_DAY);
                 }
             }
         }
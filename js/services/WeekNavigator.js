@@ -20,6 +20,7 @@ import {
     isToday
 } from '../utils/DateUtils.js';
 import { eventBus, EVENTS } from '../utils/EventBus.js';
+import { holidayService } from './HolidayService.js';
 
 /**
  * Classe per navigazione settimane
@@ -207,7 +208,8 @@ export class WeekNavigator {
                 dateKey: formatDateISO(date),
                 label: formatDateWithDay(date),
                 isToday: isToday(date),
-                dayOfWeek: date.getDay()
+                dayOfWeek: date.getDay(),
+                holiday: holidayService.getHoliday(formatDateISO(date))
             }))
         };
     }
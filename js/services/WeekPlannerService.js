@@ -0,0 +1,167 @@
+/**
+ * WeekPlannerService - Service per la pianificazione della settimana
+ *
+ * @description Simula i giorni rimanenti della settimana a partire da un
+ * piano (presenza con orario di entrata, smart working o assenza) e calcola
+ * l'uscita necessaria ogni giorno per chiudere la settimana al saldo scelto.
+ * Le ore mancanti si ripartiscono tra i giorni di presenza in proporzione al
+ * loro target; la pausa obbligatoria e l'arrotondamento del cartellino
+ * seguono le stesse regole di calculateFridayExitSuggestion.
+ * La simulazione non modifica le registrazioni.
+ */
+
+import { timeCalculator } from './TimeCalculator.js';
+import { holidayService } from './HolidayService.js';
+import { settingsService } from './SettingsService.js';
+import { parseTimeToMinutes, minutesToTime } from '../utils/Validators.js';
+
+/**
+ * Modalità di un giorno pianificato
+ */
+export const PLAN_MODES = {
+    WORK: 'work',       // Presenza con orario di entrata
+    SMART: 'smart',     // Smart working (ore del profilo)
+    ABSENT: 'assente'   // Ferie o altra assenza a giornata intera
+};
+
+/**
+ * Minuti in un giorno
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Classe per la pianificazione della settimana
+ */
+export class WeekPlannerService {
+    /**
+     * Orario di entrata proposto (orario nominale del cartellino)
+     * @returns {string} HH:MM
+     */
+    getDefaultEntryTime() {
+        return settingsService.get('rounding').toleranceStart || '08:00';
+    }
+
+    /**
+     * Giorni della settimana ancora da pianificare
+     * Sono i giorni lavorativi da oggi in poi, non festivi, senza registrazioni
+     * o con la sola entrata del turno in corso (orario di entrata bloccato).
+     * @param {Object} weekEntries - Oggetto {dateKey: [entries]}
+     * @param {string[]} dateKeys - Date della settimana
+     * @param {string} today - Data ISO di oggi
+     * @returns {Array<{dateKey: string, mode: string, entryTime: string, lockedEntry: boolean}>}
+     */
+    getPlannableDays(weekEntries, dateKeys, today) {
+        const days = [];
+
+        for (const dateKey of dateKeys) {
+            if (dateKey < today || holidayService.isHoliday(dateKey) || timeCalculator.getDailyTarget(dateKey) <= 0) {
+                continue;
+            }
+
+            const entries = timeCalculator.getWorkEntries(weekEntries[dateKey] || []);
+            const openEntry = entries.length === 1 && entries[0].type === 'entrata' ? entries[0] : null;
+            if (entries.length > 0 && !openEntry) continue;
+
+            days.push({
+                dateKey,
+                mode: PLAN_MODES.WORK,
+                entryTime: openEntry ? openEntry.time : this.getDefaultEntryTime(),
+                lockedEntry: Boolean(openEntry)
+            });
+        }
+
+        return days;
+    }
+
+    /**
+     * Simula la settimana con il piano indicato
+     * @param {Object} weekEntries - Oggetto {dateKey: [entries]}
+     * @param {string[]} dateKeys - Date della settimana (per i festivi)
+     * @param {Array<{dateKey: string, mode: string, entryTime?: string}>} plans - Giorni pianificati
+     * @param {number} [targetBalanceMinutes=0] - Saldo settimanale da raggiungere
+     * @returns {{targetMinutes: number, fixedMinutes: number, plannedMinutes: number, balanceMinutes: number, days: Array<{dateKey: string, mode: string, entryTime: string|null, minutes: number, exitTime: string|null, nextDay: boolean}>}}
+     */
+    simulate(weekEntries, dateKeys, plans, targetBalanceMinutes = 0) {
+        const plannedKeys = new Set(plans.map(plan => plan.dateKey));
+        const fixedEntries = Object.fromEntries(
+            Object.entries(weekEntries).filter(([dateKey]) => !plannedKeys.has(dateKey))
+        );
+
+        const weeklyTargetMinutes = timeCalculator.getWeeklyTargetMinutes(dateKeys);
+        const targetMinutes = weeklyTargetMinutes + targetBalanceMinutes;
+        const fixedMinutes = timeCalculator.calculateWeekTotal(fixedEntries).minutes;
+
+        // Smart e assenze valgono le ore del profilo; il resto va coperto con la presenza
+        const days = plans.map(plan => ({
+            dateKey: plan.dateKey,
+            mode: plan.mode,
+            entryTime: plan.mode === PLAN_MODES.WORK ? plan.entryTime : null,
+            minutes: this.getFixedPlanMinutes(plan),
+            exitTime: null,
+            nextDay: false
+        }));
+
+        const workDays = days.filter(day => day.mode === PLAN_MODES.WORK);
+        const coveredMinutes = days.reduce((total, day) => total + day.minutes, 0);
+        const neededMinutes = Math.max(0, targetMinutes - fixedMinutes - coveredMinutes);
+        const shares = this.splitMinutes(neededMinutes, workDays.map(day => timeCalculator.getDailyTarget(day.dateKey)));
+
+        workDays.forEach((day, index) => {
+            day.minutes = shares[index];
+            const entryMinutes = parseTimeToMinutes(day.entryTime);
+            if (day.minutes === 0 || entryMinutes === null) return;
+
+            const grossMinutes = day.minutes + timeCalculator.getMinimumPauseMinutes(day.minutes, day.dateKey);
+            const exitMinutes = timeCalculator.getExitForGrossMinutes(entryMinutes, grossMinutes);
+            day.exitTime = minutesToTime(exitMinutes % MINUTES_PER_DAY);
+            day.nextDay = exitMinutes >= MINUTES_PER_DAY;
+        });
+
+        const plannedMinutes = days.reduce((total, day) => total + day.minutes, 0);
+        return {
+            targetMinutes,
+            fixedMinutes,
+            plannedMinutes,
+            balanceMinutes: fixedMinutes + plannedMinutes - weeklyTargetMinutes,
+            days
+        };
+    }
+
+    /**
+     * Minuti di un giorno pianificato in smart o assente
+     * @param {Object} plan - Giorno pianificato
+     * @returns {number}
+     */
+    getFixedPlanMinutes(plan) {
+        if (plan.mode === PLAN_MODES.SMART) {
+            return timeCalculator.hoursToMinutes(timeCalculator.getSmartHours(plan.dateKey));
+        }
+        if (plan.mode === PLAN_MODES.ABSENT) {
+            return timeCalculator.hoursToMinutes(timeCalculator.getAbsentHours(plan.dateKey));
+        }
+        return 0;
+    }
+
+    /**
+     * Ripartisce i minuti in proporzione ai pesi (l'ultimo giorno prende il resto)
+     * Con pesi tutti nulli la ripartizione è in parti uguali.
+     * @param {number} minutes - Minuti da ripartire
+     * @param {number[]} weights - Pesi (target giornalieri)
+     * @returns {number[]}
+     */
+    splitMinutes(minutes, weights) {
+        if (weights.length === 0) {
+            return [];
+        }
+
+        const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+        const shares = weights.map(weight => Math.round(minutes * (totalWeight > 0 ? weight / totalWeight : 1 / weights.length)));
+        shares[shares.length - 1] += minutes - shares.reduce((total, share) => total + share, 0);
+        return shares;
+    }
+}
+
+// Esporta istanza singleton
+export const weekPlannerService = new WeekPlannerService();
+
+export default WeekPlannerService;
@@ -216,9 +216,10 @@ export class IndexedDBAdapter {
     /**
      * Crea un backup completo
      * @param {Object} data - Dati da salvare nel backup
+     * @param {number|null} [schemaVersion=null] - Versione dello schema dei dati
      * @returns {Promise<number>} ID del backup creato
      */
-    async createBackup(data) {
+    async createBackup(data, schemaVersion = null) {
         if (!this.isReady()) {
             throw new Error('IndexedDB non inizializzato');
         }
@@ -227,6 +228,9 @@ export class IndexedDBAdapter {
             timestamp: Date.now(),
             data: data
         };
+        if (schemaVersion !== null) {
+            backup.schemaVersion = schemaVersion;
+        }
 
         const transaction = this.db.transaction([STORE_BACKUPS], 'readwrite');
         const store = transaction.objectStore(STORE_BACKUPS);
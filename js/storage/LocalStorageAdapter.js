@@ -6,6 +6,10 @@
  */
 
 const STORAGE_KEY = 'workTimeData';
+const SETTINGS_KEY = 'workTimeSettings';
+const AUDIT_KEY = 'workTimeAudit';
+const SCHEMA_VERSION_KEY = 'workTimeSchemaVersion';
+const MIGRATION_BACKUP_KEY = 'workTimeMigrationBackup';
 const BACKUP_TIME_KEY = 'workTimeLastBackup';
 const SAVE_COUNT_KEY = 'workTimeSaveCount';
 
@@ -76,6 +80,147 @@ export class LocalStorageAdapter {
         }
     }
 
+    /**
+     * Salva le impostazioni utente
+     * @param {Object} settings - Impostazioni da salvare
+     * @returns {Promise<boolean>}
+     */
+    async saveSettings(settings) {
+        if (!this.isAvailable) {
+            throw new Error('LocalStorage non disponibile');
+        }
+
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+            return true;
+        } catch (e) {
+            console.error('Errore salvataggio impostazioni localStorage:', e);
+            throw e;
+        }
+    }
+
+    /**
+     * Carica le impostazioni utente
+     * @returns {Promise<Object|null>}
+     */
+    async loadSettings() {
+        if (!this.isAvailable) {
+            return null;
+        }
+
+        try {
+            const settings = localStorage.getItem(SETTINGS_KEY);
+            return settings ? JSON.parse(settings) : null;
+        } catch (e) {
+            console.error('Errore caricamento impostazioni localStorage:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Salva lo storico delle modifiche
+     * @param {Array} records - Record di audit
+     * @returns {Promise<boolean>}
+     */
+    async saveAuditLog(records) {
+        if (!this.isAvailable) {
+            throw new Error('LocalStorage non disponibile');
+        }
+
+        try {
+            localStorage.setItem(AUDIT_KEY, JSON.stringify(records));
+            return true;
+        } catch (e) {
+            console.error('Errore salvataggio storico localStorage:', e);
+            throw e;
+        }
+    }
+
+    /**
+     * Carica lo storico delle modifiche
+     * @returns {Promise<Array|null>}
+     */
+    async loadAuditLog() {
+        if (!this.isAvailable) {
+            return null;
+        }
+
+        try {
+            const records = localStorage.getItem(AUDIT_KEY);
+            return records ? JSON.parse(records) : null;
+        } catch (e) {
+            console.error('Errore caricamento storico localStorage:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Salva la versione dello schema dei dati
+     * @param {number} version - Versione dello schema
+     * @returns {Promise<boolean>}
+     */
+    async saveSchemaVersion(version) {
+        if (!this.isAvailable) {
+            throw new Error('LocalStorage non disponibile');
+        }
+
+        localStorage.setItem(SCHEMA_VERSION_KEY, String(version));
+        return true;
+    }
+
+    /**
+     * Carica la versione dello schema dei dati
+     * @returns {Promise<number|null>} null se non ancora salvata
+     */
+    async loadSchemaVersion() {
+        if (!this.isAvailable) return null;
+
+        const version = localStorage.getItem(SCHEMA_VERSION_KEY);
+        return version ? parseInt(version, 10) : null;
+    }
+
+    /**
+     * Salva il backup dei dati prima di un passo di migrazione
+     * Un backup per versione di partenza: {timestamp, schemaVersion, data}.
+     * @param {number} version - Versione dei dati salvati nel backup
+     * @param {Object} data - Dati da salvare
+     * @returns {Promise<boolean>}
+     */
+    async saveMigrationBackup(version, data) {
+        if (!this.isAvailable) {
+            throw new Error('LocalStorage non disponibile');
+        }
+
+        try {
+            localStorage.setItem(`${MIGRATION_BACKUP_KEY}_v${version}`, JSON.stringify({
+                timestamp: Date.now(),
+                schemaVersion: version,
+                data
+            }));
+            return true;
+        } catch (e) {
+            console.error('Errore backup migrazione localStorage:', e);
+            throw e;
+        }
+    }
+
+    /**
+     * Carica il backup salvato prima della migrazione da una versione
+     * @param {number} version - Versione dei dati del backup
+     * @returns {Promise<{timestamp: number, schemaVersion: number, data: Object}|null>}
+     */
+    async loadMigrationBackup(version) {
+        if (!this.isAvailable) return null;
+
+        try {
+            const backup = localStorage.getItem(`${MIGRATION_BACKUP_KEY}_v${version}`);
+            return backup ? JSON.parse(backup) : null;
+        } catch (e) {
+            console.error('Errore caricamento backup migrazione:', e);
+            return null;
+        }
+    }
+
     /**
      * Salva i dati di una settimana specifica
      * @param {string} weekKey - Chiave settimana (es. "2026-W05")
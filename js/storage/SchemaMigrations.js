@@ -0,0 +1,154 @@
+/**
+ * SchemaMigrations - Versione dello schema dati e migrazioni
+ *
+ * @description I dati salvati e i file JSON esportati portano la versione
+ * dello schema (`SCHEMA_VERSION`); i dati senza versione sono della versione 1.
+ * I dati di una versione precedente passano, in ordine, per i passi di
+ * `MIGRATIONS`: ogni passo porta i dati alla propria versione ed è una
+ * funzione pura che riceve {weekKey: {dateKey: [entries]}} e restituisce una
+ * copia aggiornata senza modificare l'originale. Chi salva i dati migrati
+ * (StorageManager) fa un backup prima di ogni passo.
+ */
+
+import { WeekData } from '../models/WeekData.js';
+
+/**
+ * Versione corrente dello schema dati
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Versione dei dati salvati o esportati prima dell'introduzione della versione
+ */
+export const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * Copia profonda dei dati
+ * @param {Object} data - Dati {weekKey: {dateKey: [entries]}}
+ * @returns {Object}
+ */
+function cloneData(data) {
+    return JSON.parse(JSON.stringify(data || {}));
+}
+
+/**
+ * Passi di migrazione, in ordine di versione
+ * @type {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'ID e data di creazione persistenti delle entry',
+        migrate(data) {
+            const migrated = cloneData(data);
+            WeekData.assignMissingIds(migrated);
+            return migrated;
+        }
+    }
+];
+
+/**
+ * Passi da applicare ai dati di una versione
+ * @param {number} fromVersion - Versione dei dati
+ * @returns {Array} Passi successivi alla versione, in ordine
+ */
+export function getPendingMigrations(fromVersion) {
+    return MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Porta i dati alla versione corrente applicando in ordine i passi mancanti
+ * @param {Object} data - Dati {weekKey: {dateKey: [entries]}}
+ * @param {number} fromVersion - Versione dei dati
+ * @param {Function} [beforeStep] - async (step, data, version) chiamata prima di ogni passo
+ *   con i dati e la versione di partenza (es. backup); se fallisce la migrazione si interrompe
+ * @returns {Promise<Object>} Dati alla versione corrente
+ */
+export async function migrateData(data, fromVersion, beforeStep = null) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Versione dei dati ${fromVersion} più recente di quella dell'app (${SCHEMA_VERSION})`);
+    }
+
+    let current = data;
+    let version = fromVersion;
+
+    for (const step of getPendingMigrations(fromVersion)) {
+        if (beforeStep) {
+            await beforeStep(step, current, version);
+        }
+        current = step.migrate(current);
+        version = step.version;
+    }
+
+    return current;
+}
+
+/**
+ * Contenuto di un file JSON esportato: dati con la versione dello schema
+ * @param {Object} data - Dati {weekKey: {dateKey: [entries]}}
+ * @param {Object|null} [settings=null] - Sezioni delle impostazioni legate ai dati (es. `hourBank`)
+ * @returns {{schemaVersion: number, exportedAt: string, data: Object, settings?: Object}}
+ */
+export function createExportFile(data, settings = null) {
+    const file = {
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data
+    };
+    if (settings) {
+        file.settings = settings;
+    }
+    return file;
+}
+
+/**
+ * Verifica che un valore sia un oggetto (non array)
+ * @param {*} value - Valore
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Legge un file JSON importato: formato con versione o dati senza versione (v1)
+ * I file senza versione possono essere `{data, settings}` (impostazioni
+ * esportate prima del versionamento) oppure i soli dati.
+ * @param {Object} json - Contenuto del file
+ * @returns {{valid: boolean, version?: number, data?: Object, settings?: Object|null, error?: string}}
+ */
+export function readExportFile(json) {
+    if (!json || typeof json !== 'object' || !('schemaVersion' in json)) {
+        if (isPlainObject(json?.data) && isPlainObject(json?.settings)) {
+            return { valid: true, version: LEGACY_SCHEMA_VERSION, data: json.data, settings: json.settings };
+        }
+        return { valid: true, version: LEGACY_SCHEMA_VERSION, data: json, settings: null };
+    }
+
+    if (!Number.isInteger(json.schemaVersion) || json.schemaVersion < LEGACY_SCHEMA_VERSION) {
+        return { valid: false, error: 'Versione dello schema non valida' };
+    }
+
+    if (json.schemaVersion > SCHEMA_VERSION) {
+        return { valid: false, error: 'File creato da una versione più recente dell\'app: aggiorna l\'app prima di importarlo' };
+    }
+
+    if (!json.data || typeof json.data !== 'object') {
+        return { valid: false, error: 'File senza dati' };
+    }
+
+    const settings = isPlainObject(json.settings) ? json.settings : null;
+    return { valid: true, version: json.schemaVersion, data: json.data, settings };
+}
+
+export default {
+    SCHEMA_VERSION,
+    LEGACY_SCHEMA_VERSION,
+    MIGRATIONS,
+    getPendingMigrations,
+    migrateData,
+    createExportFile,
+    readExportFile
+};
@@ -3,15 +3,23 @@
  * 
  * @description Coordina l'accesso ai dati tra localStorage (primary) e
  * IndexedDB (backup). Implementa dual storage con fallback automatico.
+ * All'avvio porta i dati salvati alla versione corrente dello schema
+ * (vedi SchemaMigrations), con un backup prima di ogni passo. Se la
+ * migrazione fallisce le scritture restano bloccate finché non si
+ * ripristina il backup precedente alla migrazione.
  */
 
 import { LocalStorageAdapter } from './LocalStorageAdapter.js';
 import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, migrateData, createExportFile } from './SchemaMigrations.js';
 import { eventBus, EVENTS } from '../utils/EventBus.js';
 import { parseWeekKey, getWeekStartDate } from '../utils/DateUtils.js';
 
 const OLD_DATA_CHECK_DAYS = 30;   // Controllo dati vecchi ogni N giorni
 const OLD_DATA_THRESHOLD_MONTHS = 3; // Soglia per dati "vecchi"
+const SETTINGS_META_KEY = 'settings'; // Chiave metadati IndexedDB per le impostazioni
+const AUDIT_META_KEY = 'auditLog';    // Chiave metadati IndexedDB per lo storico delle modifiche
+const SCHEMA_META_KEY = 'schemaVersion'; // Chiave metadati IndexedDB per la versione dello schema
 
 export class StorageManager {
     constructor() {
@@ -19,6 +27,9 @@ export class StorageManager {
         this.indexedDB = new IndexedDBAdapter();
         this.isInitialized = false;
         this.useIndexedDB = false;
+
+        /** @type {{fromVersion: number, error: Error}|null} Migrazione fallita: scritture bloccate */
+        this.migrationFailure = null;
     }
 
     /**
@@ -40,6 +51,9 @@ export class StorageManager {
             console.warn('StorageManager: IndexedDB non disponibile, uso solo localStorage');
         }
 
+        // Porta i dati alla versione corrente dello schema
+        await this.migrateSchema();
+
         this.isInitialized = true;
         return lsReady;
     }
@@ -65,12 +79,182 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Porta i dati salvati alla versione corrente dello schema
+     * I dati senza versione sono della versione 1; senza dati si parte dalla
+     * versione corrente. Prima di ogni passo salva un backup dei dati; se la
+     * migrazione fallisce le scritture si bloccano (vedi restoreMigrationBackup).
+     * @returns {Promise<number>} Versione dei dati salvati
+     */
+    async migrateSchema() {
+        const data = await this.loadAllData();
+        const savedVersion = await this.loadSchemaVersion();
+        const version = savedVersion ?? (Object.keys(data).length > 0 ? LEGACY_SCHEMA_VERSION : SCHEMA_VERSION);
+
+        if (version >= SCHEMA_VERSION) {
+            if (savedVersion === null) {
+                await this.saveSchemaVersion(version);
+            }
+            return version;
+        }
+
+        try {
+            const migrated = await migrateData(data, version, (step, stepData, stepVersion) =>
+                this.createMigrationBackup(stepVersion, stepData)
+            );
+
+            if (!(await this.saveAllData(migrated))) {
+                throw new Error('Salvataggio dei dati migrati non riuscito');
+            }
+            await this.saveSchemaVersion(SCHEMA_VERSION);
+
+            console.log(`StorageManager: Dati migrati dalla versione ${version} alla ${SCHEMA_VERSION}`);
+            return SCHEMA_VERSION;
+        } catch (e) {
+            console.error('Errore migrazione schema:', e);
+            this.migrationFailure = { fromVersion: version, error: e };
+            eventBus.emit(EVENTS.MIGRATION_FAILED, { ...this.migrationFailure, toVersion: SCHEMA_VERSION });
+            return version;
+        }
+    }
+
+    /**
+     * Indica se le scritture sono bloccate da una migrazione fallita
+     * @returns {boolean}
+     */
+    isWriteBlocked() {
+        return this.migrationFailure !== null;
+    }
+
+    /**
+     * Rifiuta una scrittura bloccata e ripete l'avviso della migrazione fallita
+     * @returns {boolean} Sempre false
+     */
+    rejectBlockedWrite() {
+        console.warn('StorageManager: Scrittura bloccata, migrazione dei dati non riuscita');
+        eventBus.emit(EVENTS.MIGRATION_FAILED, { ...this.migrationFailure, toVersion: SCHEMA_VERSION });
+        return false;
+    }
+
+    /**
+     * Carica il backup salvato prima della migrazione da una versione
+     * (localStorage, poi l'ultimo backup IndexedDB di quella versione)
+     * @param {number} version - Versione dei dati del backup
+     * @returns {Promise<{timestamp: number, schemaVersion: number, data: Object}|null>}
+     */
+    async loadMigrationBackup(version) {
+        const lsBackup = await this.localStorage.loadMigrationBackup(version);
+        if (lsBackup) {
+            return lsBackup;
+        }
+
+        if (this.useIndexedDB && this.indexedDB.isReady()) {
+            const backups = await this.indexedDB.getAllBackups();
+            return backups
+                .filter(backup => backup.schemaVersion === version)
+                .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Ripristina i dati salvati prima della migrazione fallita e sblocca le scritture
+     * I dati tornano alla versione di partenza: la migrazione si riprova al prossimo avvio.
+     * @returns {Promise<boolean>} false se non c'è una migrazione fallita o il backup manca
+     */
+    async restoreMigrationBackup() {
+        const failure = this.migrationFailure;
+        if (!failure) {
+            return false;
+        }
+
+        const backup = await this.loadMigrationBackup(failure.fromVersion);
+        if (!backup) {
+            return false;
+        }
+
+        this.migrationFailure = null;
+        if (await this.saveAllData(backup.data) && await this.saveSchemaVersion(backup.schemaVersion)) {
+            console.log(`StorageManager: Ripristinato il backup della versione ${backup.schemaVersion}`);
+            return true;
+        }
+
+        this.migrationFailure = failure;
+        return false;
+    }
+
+    /**
+     * Salva il backup dei dati prima di un passo di migrazione
+     * (localStorage sempre, IndexedDB se disponibile)
+     * @param {number} version - Versione dei dati
+     * @param {Object} data - Dati da salvare nel backup
+     * @returns {Promise<void>}
+     */
+    async createMigrationBackup(version, data) {
+        if (this.localStorage.isAvailable) {
+            await this.localStorage.saveMigrationBackup(version, data);
+        }
+
+        if (this.useIndexedDB) {
+            await this.indexedDB.createBackup(data, version);
+        }
+
+        eventBus.emit(EVENTS.BACKUP_CREATED, { reason: 'migration', schemaVersion: version });
+    }
+
+    /**
+     * Salva la versione dello schema dei dati
+     * @param {number} version - Versione dello schema
+     * @returns {Promise<boolean>}
+     */
+    async saveSchemaVersion(version) {
+        try {
+            await this.localStorage.saveSchemaVersion(version);
+
+            if (this.useIndexedDB) {
+                await this.indexedDB.setMeta(SCHEMA_META_KEY, version);
+            }
+
+            return true;
+        } catch (e) {
+            console.error('Errore salvataggio versione schema:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Carica la versione dello schema dei dati
+     * @returns {Promise<number|null>} null se mai salvata (dati precedenti al versionamento)
+     */
+    async loadSchemaVersion() {
+        try {
+            const lsVersion = await this.localStorage.loadSchemaVersion();
+            if (lsVersion !== null) {
+                return lsVersion;
+            }
+
+            if (this.useIndexedDB && this.indexedDB.isReady()) {
+                return (await this.indexedDB.getMeta(SCHEMA_META_KEY)) ?? null;
+            }
+
+            return null;
+        } catch (e) {
+            console.error('Errore caricamento versione schema:', e);
+            return null;
+        }
+    }
+
     /**
      * Salva tutti i dati
      * @param {Object} data - Dati da salvare
      * @returns {Promise<boolean>}
      */
     async saveAllData(data) {
+        if (this.isWriteBlocked()) {
+            return this.rejectBlockedWrite();
+        }
+
         try {
             // Salva sempre su localStorage (primary)
             await this.localStorage.saveAllData(data);
@@ -130,6 +314,112 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Salva le impostazioni utente (profilo contrattuale, ecc.)
+     * Come per i dati, si scrive su localStorage e, se disponibile, su IndexedDB.
+     * @param {Object} settings - Impostazioni da salvare
+     * @returns {Promise<boolean>}
+     */
+    async saveSettings(settings) {
+        if (this.isWriteBlocked()) {
+            return this.rejectBlockedWrite();
+        }
+
+        try {
+            await this.localStorage.saveSettings(settings);
+
+            if (this.useIndexedDB) {
+                await this.indexedDB.setMeta(SETTINGS_META_KEY, settings);
+            }
+
+            eventBus.emit(EVENTS.DATA_SAVED, { timestamp: Date.now() });
+
+            return true;
+        } catch (e) {
+            console.error('Errore salvataggio impostazioni:', e);
+            eventBus.emit(EVENTS.APP_ERROR, { 
+                message: 'Errore salvataggio impostazioni', 
+                error: e 
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Carica le impostazioni utente
+     * localStorage come primary, IndexedDB come fallback.
+     * @returns {Promise<Object|null>}
+     */
+    async loadSettings() {
+        try {
+            const lsSettings = await this.localStorage.loadSettings();
+            if (lsSettings) {
+                return lsSettings;
+            }
+
+            if (this.useIndexedDB && this.indexedDB.isReady()) {
+                return await this.indexedDB.getMeta(SETTINGS_META_KEY);
+            }
+
+            return null;
+        } catch (e) {
+            console.error('Errore caricamento impostazioni:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Salva lo storico delle modifiche alle timbrature
+     * Come per i dati, si scrive su localStorage e, se disponibile, su IndexedDB.
+     * @param {Array} records - Record di audit
+     * @returns {Promise<boolean>}
+     */
+    async saveAuditLog(records) {
+        if (this.isWriteBlocked()) {
+            return this.rejectBlockedWrite();
+        }
+
+        try {
+            await this.localStorage.saveAuditLog(records);
+
+            if (this.useIndexedDB) {
+                await this.indexedDB.setMeta(AUDIT_META_KEY, records);
+            }
+
+            return true;
+        } catch (e) {
+            console.error('Errore salvataggio storico:', e);
+            eventBus.emit(EVENTS.APP_ERROR, { 
+                message: 'Errore salvataggio storico modifiche', 
+                error: e 
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Carica lo storico delle modifiche alle timbrature
+     * localStorage come primary, IndexedDB come fallback.
+     * @returns {Promise<Array>}
+     */
+    async loadAuditLog() {
+        try {
+            const lsRecords = await this.localStorage.loadAuditLog();
+            if (lsRecords) {
+                return lsRecords;
+            }
+
+            if (this.useIndexedDB && this.indexedDB.isReady()) {
+                return (await this.indexedDB.getMeta(AUDIT_META_KEY)) || [];
+            }
+
+            return [];
+        } catch (e) {
+            console.error('Errore caricamento storico:', e);
+            return [];
+        }
+    }
+
     /**
      * Salva i dati di una settimana
      * @param {string} weekKey - Chiave settimana
@@ -215,14 +505,23 @@ export class StorageManager {
 
     /**
      * Trova settimane più vecchie di N mesi
+     * Conserva comunque l'anno in corso e il dicembre precedente: saldi annui
+     * (ferie, straordinario, permessi brevi) e recuperi in scadenza a gennaio
+     * si ricalcolano dalle entry.
      * @param {number} months - Numero di mesi
+     * @param {Date} [today] - Data di riferimento
      * @returns {Promise<string[]>} Chiavi delle settimane vecchie
      */
-    async findOldWeeks(months = OLD_DATA_THRESHOLD_MONTHS) {
+    async findOldWeeks(months = OLD_DATA_THRESHOLD_MONTHS, today = new Date()) {
         const weekKeys = await this.getWeekKeys();
-        const cutoffDate = new Date();
+        const cutoffDate = new Date(today);
         cutoffDate.setMonth(cutoffDate.getMonth() - months);
 
+        const keepFrom = new Date(today.getFullYear() - 1, 11, 1);
+        if (keepFrom < cutoffDate) {
+            cutoffDate.setTime(keepFrom.getTime());
+        }
+
         const oldWeeks = [];
         
         for (const weekKey of weekKeys) {
@@ -260,8 +559,8 @@ export class StorageManager {
                 }
             }
 
-            if (deleted > 0) {
-                await this.saveAllData(allData);
+            if (deleted > 0 && !(await this.saveAllData(allData))) {
+                return 0;
             }
 
             return deleted;
@@ -278,6 +577,11 @@ export class StorageManager {
      * @returns {Promise<{success: boolean, imported: number, existing: number}>}
      */
     async importData(importData, merge = true) {
+        if (this.isWriteBlocked()) {
+            this.rejectBlockedWrite();
+            return { success: false, imported: 0, existing: 0 };
+        }
+
         try {
             let existing = 0;
             let imported = 0;
@@ -308,12 +612,12 @@ export class StorageManager {
     }
 
     /**
-     * Esporta tutti i dati in formato JSON
+     * Esporta tutti i dati in formato JSON (con la versione dello schema)
      * @returns {Promise<string>}
      */
     async exportData() {
         const data = await this.loadAllData();
-        return JSON.stringify(data, null, 2);
+        return JSON.stringify(createExportFile(data), null, 2);
     }
 }
 
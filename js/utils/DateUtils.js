@@ -254,7 +254,8 @@ export function getCurrentWeek() {
 export function daysDifference(date1, date2) {
     const d1 = new Date(date1.getFullYear(), date1.getMonth(), date1.getDate());
     const d2 = new Date(date2.getFullYear(), date2.getMonth(), date2.getDate());
-    return Math.floor((d2 - d1) / 86400000);
+    // Arrotonda: i giorni del cambio d'ora durano 23 o 25 ore
+    return Math.round((d2 - d1) / 86400000);
 }
 
 /**
@@ -145,6 +145,10 @@ export const EVENTS = {
     DATA_LOADED: 'storage:loaded',
     BACKUP_CREATED: 'storage:backupCreated',
     BACKUP_NEEDED: 'storage:backupNeeded',
+    MIGRATION_FAILED: 'storage:migrationFailed',
+    
+    // Settings events
+    SETTINGS_CHANGED: 'settings:changed',
     
     // UI events
     TOAST_SHOW: 'ui:toast',
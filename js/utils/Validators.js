@@ -3,23 +3,91 @@
  * 
  * @description Validatori per orari, date, tipi di entry e dati JSON.
  * Utilizzati per garantire integrità dei dati in input.
+ * Le causali di assenza sono validate sul catalogo di AbsenceReason.
  */
 
+import { AbsenceReason } from '../models/AbsenceReason.js';
+
 /**
  * Tipi di entry validi
  */
-export const VALID_ENTRY_TYPES = ['entrata', 'uscita', 'smart', 'assente'];
+export const VALID_ENTRY_TYPES = ['entrata', 'uscita', 'smart', 'assente', 'straordinario', 'permesso', 'breve', 'reperibilita', 'intervento', 'missione', 'nota'];
 
 /**
- * Tipi che richiedono un orario
+ * Tipi che richiedono un orario (per le fasce è l'inizio, per la missione la partenza)
  */
-export const TIME_REQUIRED_TYPES = ['entrata', 'uscita'];
+export const TIME_REQUIRED_TYPES = ['entrata', 'uscita', 'breve', 'reperibilita', 'intervento', 'missione'];
 
 /**
  * Tipi speciali (non richiedono orario)
  */
 export const SPECIAL_TYPES = ['smart', 'assente'];
 
+/**
+ * Tipi marcatore: annotano la giornata senza sostituire le timbrature
+ * e senza entrare nel calcolo delle ore lavorate
+ */
+export const MARKER_TYPES = ['straordinario'];
+
+/**
+ * Tipi di assenza oraria: convivono con le timbrature e aggiungono
+ * le proprie ore al totale del giorno
+ */
+export const LEAVE_TYPES = ['permesso'];
+
+/**
+ * Tipi qualificati da una causale del catalogo (AbsenceReason)
+ */
+export const REASON_TYPES = ['assente', 'permesso'];
+
+/**
+ * Tipi a fascia oraria (inizio `time`, fine `endTime`) dentro una giornata
+ * lavorativa: non sono lavoro né pausa e non coprono il target
+ */
+export const SPAN_TYPES = ['breve'];
+
+/**
+ * Tipi di reperibilità: fascia di disponibilità fuori orario e interventi
+ * svolti al suo interno. La fascia può terminare il giorno dopo (fine non
+ * successiva all'inizio); non entrano nelle ore lavorate né nel saldo
+ */
+export const ON_CALL_TYPES = ['reperibilita', 'intervento'];
+
+/**
+ * Tipi di missione: giornata di trasferta con partenza (`time`), rientro
+ * (`endTime`), destinazione e tempo di viaggio. Come smart e assenza
+ * sostituisce le timbrature del giorno
+ */
+export const MISSION_TYPES = ['missione'];
+
+/**
+ * Lunghezza massima della destinazione di una missione
+ */
+export const MAX_DESTINATION_LENGTH = 80;
+
+/**
+ * Tipi nota: annotano la giornata con un testo e una motivazione, senza
+ * orari né ore. Restano anche quando il giorno viene sostituito
+ */
+export const NOTE_TYPES = ['nota'];
+
+/**
+ * Motivazioni che si possono allegare a qualsiasi entry o giornata
+ */
+export const JUSTIFICATIONS = {
+    servizio: 'Esigenze di servizio',
+    autorizzata: 'Autorizzata dal responsabile',
+    personale: 'Motivi personali',
+    salute: 'Motivi di salute',
+    trasporti: 'Disservizio dei trasporti',
+    altro: 'Altro'
+};
+
+/**
+ * Lunghezza massima di una nota
+ */
+export const MAX_NOTE_LENGTH = 200;
+
 /**
  * Valida un orario in formato HH:MM
  * @param {string} time - Orario da validare
@@ -115,12 +183,100 @@ export function isSpecialType(type) {
     return SPECIAL_TYPES.includes(type);
 }
 
+/**
+ * Verifica se è un tipo marcatore (straordinario)
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function isMarkerType(type) {
+    return MARKER_TYPES.includes(type);
+}
+
+/**
+ * Verifica se è un tipo di assenza oraria (permesso)
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function isLeaveType(type) {
+    return LEAVE_TYPES.includes(type);
+}
+
+/**
+ * Verifica se un tipo accetta una causale di assenza
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function acceptsReason(type) {
+    return REASON_TYPES.includes(type);
+}
+
+/**
+ * Verifica se è un tipo a fascia oraria (permesso breve)
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function isSpanType(type) {
+    return SPAN_TYPES.includes(type);
+}
+
+/**
+ * Verifica se è un tipo di reperibilità (disponibilità o intervento)
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function isOnCallType(type) {
+    return ON_CALL_TYPES.includes(type);
+}
+
+/**
+ * Verifica se è un tipo di missione (trasferta)
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function isMissionType(type) {
+    return MISSION_TYPES.includes(type);
+}
+
+/**
+ * Verifica se è una nota del giorno
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function isNoteType(type) {
+    return NOTE_TYPES.includes(type);
+}
+
+/**
+ * Etichetta di una motivazione
+ * @param {string|null} justification - Chiave in JUSTIFICATIONS
+ * @returns {string} Etichetta o stringa vuota se assente o sconosciuta
+ */
+export function getJustificationLabel(justification) {
+    return Object.hasOwn(JUSTIFICATIONS, justification || '') ? JUSTIFICATIONS[justification] : '';
+}
+
+/**
+ * Verifica se il tipo ha un orario di fine (permesso breve, reperibilità, missione)
+ * @param {string} type - Tipo di entry
+ * @returns {boolean}
+ */
+export function hasEndTime(type) {
+    return isSpanType(type) || isOnCallType(type) || isMissionType(type);
+}
+
 /**
  * Valida un'entry completa
  * @param {Object} entry - Entry da validare
  * @param {string} entry.type - Tipo di entry
  * @param {string} [entry.time] - Orario (richiesto per entrata/uscita)
- * @param {number} [entry.hours] - Ore (per smart/assente)
+ * @param {number} [entry.hours] - Ore (per smart/assente/permesso, facoltative per straordinario)
+ * @param {boolean} [entry.nextDay] - Uscita del giorno successivo
+ * @param {string} [entry.reason] - Causale (per assente/permesso)
+ * @param {string} [entry.endTime] - Fine della fascia (per breve e reperibilità), rientro (per missione)
+ * @param {string} [entry.destination] - Destinazione (per missione)
+ * @param {number} [entry.travelMinutes] - Tempo di viaggio in minuti (per missione)
+ * @param {string} [entry.note] - Nota libera (ogni tipo)
+ * @param {string} [entry.justification] - Motivazione (chiave in JUSTIFICATIONS, ogni tipo)
  * @returns {{valid: boolean, errors: string[]}}
  */
 export function validateEntry(entry) {
@@ -151,12 +307,133 @@ export function validateEntry(entry) {
         }
     }
 
+    // Ore facoltative per i marcatori (assenti = tutta l'eccedenza del giorno)
+    if (isMarkerType(entry.type) && entry.hours !== undefined && entry.hours !== null) {
+        if (typeof entry.hours !== 'number' || entry.hours <= 0) {
+            errors.push('Ore straordinario non valide');
+        }
+    }
+
+    // Ore obbligatorie per le assenze orarie
+    if (isLeaveType(entry.type)) {
+        if (typeof entry.hours !== 'number' || entry.hours <= 0) {
+            errors.push('Ore permesso non valide');
+        }
+    }
+
+    // Causale dal catalogo, solo per assenze e permessi
+    if (entry.reason !== undefined && entry.reason !== null) {
+        if (!acceptsReason(entry.type)) {
+            errors.push('Causale ammessa solo per assenze e permessi');
+        } else if (!AbsenceReason.isValid(entry.reason)) {
+            errors.push(`Causale non valida: ${entry.reason}`);
+        }
+    }
+
+    // Fascia oraria: fine obbligatoria e successiva all'inizio
+    if (isSpanType(entry.type)) {
+        const endValidation = validateTime(entry.endTime);
+        if (!endValidation.valid) {
+            errors.push(`Fine permesso: ${endValidation.error}`);
+        } else if (validateTime(entry.time).valid && parseTimeToMinutes(entry.endTime) <= parseTimeToMinutes(entry.time)) {
+            errors.push('La fine del permesso deve essere successiva all\'inizio');
+        }
+    } else if (isOnCallType(entry.type)) {
+        // Reperibilità: la fine prima dell'inizio cade il giorno dopo
+        const endValidation = validateTime(entry.endTime);
+        if (!endValidation.valid) {
+            errors.push(`Fine reperibilità: ${endValidation.error}`);
+        } else if (parseTimeToMinutes(entry.endTime) === parseTimeToMinutes(entry.time)) {
+            errors.push('La fine della reperibilità deve essere diversa dall\'inizio');
+        }
+    } else if (isMissionType(entry.type)) {
+        errors.push(...validateMission(entry));
+    } else if (entry.endTime !== undefined && entry.endTime !== null) {
+        errors.push('Orario di fine ammesso solo per permessi brevi, reperibilità e missioni');
+    }
+
+    // Il giorno successivo vale solo per le uscite
+    if (entry.nextDay !== undefined && (typeof entry.nextDay !== 'boolean' || (entry.nextDay && entry.type !== 'uscita'))) {
+        errors.push('Giorno successivo ammesso solo per le uscite');
+    }
+
+    // ID e data di creazione (assenti nei dati precedenti alla loro persistenza)
+    if (entry.id !== undefined && (typeof entry.id !== 'string' || !entry.id.trim())) {
+        errors.push('ID entry non valido');
+    }
+    if (entry.createdAt !== undefined && !Number.isFinite(entry.createdAt)) {
+        errors.push('Data di creazione non valida');
+    }
+
+    errors.push(...validateNote(entry));
+
     return {
         valid: errors.length === 0,
         errors
     };
 }
 
+/**
+ * Valida rientro, destinazione e tempo di viaggio di una missione
+ * Il rientro è nello stesso giorno della partenza: una trasferta di più
+ * giorni si registra giorno per giorno.
+ * @param {Object} entry - Entry `missione`
+ * @returns {string[]} Errori
+ */
+function validateMission(entry) {
+    const errors = [];
+
+    const endValidation = validateTime(entry.endTime);
+    const spanMinutes = parseTimeToMinutes(entry.endTime) - parseTimeToMinutes(entry.time);
+    if (!endValidation.valid) {
+        errors.push(`Rientro: ${endValidation.error}`);
+    } else if (validateTime(entry.time).valid && spanMinutes <= 0) {
+        errors.push('Il rientro deve essere successivo alla partenza');
+    }
+
+    const destination = typeof entry.destination === 'string' ? entry.destination.trim() : '';
+    if (!destination) {
+        errors.push('Destinazione della missione richiesta');
+    } else if (destination.length > MAX_DESTINATION_LENGTH) {
+        errors.push(`Destinazione troppo lunga (massimo ${MAX_DESTINATION_LENGTH} caratteri)`);
+    }
+
+    const travel = entry.travelMinutes ?? 0;
+    if (!Number.isInteger(travel) || travel < 0 || (spanMinutes > 0 && travel > spanMinutes)) {
+        errors.push('Tempo di viaggio non valido');
+    }
+
+    return errors;
+}
+
+/**
+ * Valida nota e motivazione, ammesse su ogni entry
+ * La nota del giorno deve avere almeno un testo o una motivazione.
+ * @param {Object} entry - Entry
+ * @returns {string[]} Errori
+ */
+function validateNote(entry) {
+    const errors = [];
+
+    if (entry.note !== undefined && entry.note !== null) {
+        if (typeof entry.note !== 'string') {
+            errors.push('Nota non valida');
+        } else if (entry.note.length > MAX_NOTE_LENGTH) {
+            errors.push(`Nota troppo lunga (massimo ${MAX_NOTE_LENGTH} caratteri)`);
+        }
+    }
+
+    if (entry.justification !== undefined && entry.justification !== null && !getJustificationLabel(entry.justification)) {
+        errors.push(`Motivazione non valida: ${entry.justification}`);
+    }
+
+    if (isNoteType(entry.type) && !String(entry.note || '').trim() && !entry.justification) {
+        errors.push('La nota del giorno richiede un testo o una motivazione');
+    }
+
+    return errors;
+}
+
 /**
  * Valida una chiave settimana ISO
  * @param {string} weekKey - Chiave da validare
@@ -235,11 +512,14 @@ export function validateImportData(data) {
 
 /**
  * Valida che l'uscita sia dopo l'entrata
+ * Un'uscita del giorno successivo (turno notturno) è sempre successiva,
+ * purché il turno non superi le 24 ore.
  * @param {string} entrataTime - Orario entrata
  * @param {string} uscitaTime - Orario uscita
+ * @param {boolean} [nextDay=false] - Uscita del giorno successivo
  * @returns {{valid: boolean, error?: string}}
  */
-export function validateTimeSequence(entrataTime, uscitaTime) {
+export function validateTimeSequence(entrataTime, uscitaTime, nextDay = false) {
     const entrata = parseTimeToMinutes(entrataTime);
     const uscita = parseTimeToMinutes(uscitaTime);
 
@@ -247,8 +527,15 @@ export function validateTimeSequence(entrataTime, uscitaTime) {
         return { valid: false, error: 'Orari non validi' };
     }
 
+    if (nextDay) {
+        if (uscita >= entrata) {
+            return { valid: false, error: 'Un turno non può superare le 24 ore' };
+        }
+        return { valid: true };
+    }
+
     if (uscita <= entrata) {
-        return { valid: false, error: 'L\'uscita deve essere successiva all\'entrata' };
+        return { valid: false, error: 'L\'uscita deve essere successiva all\'entrata (per un turno notturno indica il giorno successivo)' };
     }
 
     return { valid: true };
@@ -279,6 +566,22 @@ export function minutesToTime(totalMinutes) {
     return `${sign}${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 }
 
+/**
+ * Converte una durata con segno (+H:MM, -HH:MM, HH:MM) in minuti
+ * Le ore non sono limitate a 23 (es. saldi banca ore "+40:15").
+ * @param {string} value - Durata
+ * @returns {number|null} Minuti (con segno) o null se invalida
+ */
+export function parseSignedDuration(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^([+-])?(\d{1,3}):([0-5]\d)$/);
+    if (!match) return null;
+
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
 /**
  * Sanitizza una stringa per prevenire XSS
  * @param {string} str - Stringa da sanitizzare
@@ -298,17 +601,29 @@ export default {
     VALID_ENTRY_TYPES,
     TIME_REQUIRED_TYPES,
     SPECIAL_TYPES,
+    MARKER_TYPES,
+    LEAVE_TYPES,
+    REASON_TYPES,
+    SPAN_TYPES,
+    ON_CALL_TYPES,
     validateTime,
     normalizeTime,
     validateDate,
     validateEntryType,
     requiresTime,
     isSpecialType,
+    isMarkerType,
+    isLeaveType,
+    acceptsReason,
+    isSpanType,
+    isOnCallType,
+    hasEndTime,
     validateEntry,
     validateWeekKey,
     validateImportData,
     validateTimeSequence,
     parseTimeToMinutes,
     minutesToTime,
+    parseSignedDuration,
     sanitizeString
 };
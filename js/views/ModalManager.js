@@ -2,11 +2,14 @@
  * ModalManager - Gestione modali dell'applicazione
  * 
  * @description Gestisce apertura, chiusura e interazione con le modali:
- * edit entry, conferme e pulizia dati.
+ * edit entry, conferme, pulizia dati, banca ore, pianificazione, missioni e impostazioni.
  */
 
 import { eventBus, EVENTS } from '../utils/EventBus.js';
-import { validateTime, requiresTime } from '../utils/Validators.js';
+import { validateTime, normalizeTime, requiresTime, isMarkerType, isLeaveType, isSpanType, isOnCallType, isMissionType, isNoteType, hasEndTime, acceptsReason, JUSTIFICATIONS, MAX_NOTE_LENGTH, minutesToTime, sanitizeString, parseSignedDuration, parseTimeToMinutes } from '../utils/Validators.js';
+import { DAY_NAMES, DAY_NAMES_SHORT, formatDateIT, parseDateISO } from '../utils/DateUtils.js';
+import { ContractProfile, WORK_WEEKDAYS, CUSTOM_PROFILE_ID, DEFAULT_RIENTRO_RULE } from '../models/ContractProfile.js';
+import { AbsenceReason } from '../models/AbsenceReason.js';
 
 /**
  * Classe per gestione modali
@@ -34,6 +37,11 @@ export class ModalManager {
         this.registerModal('addEntry', document.getElementById('addEntryModal'));
         this.registerModal('confirm', document.getElementById('confirmModal'));
         this.registerModal('cleanData', document.getElementById('cleanDataModal'));
+        this.registerModal('settings', document.getElementById('settingsModal'));
+        this.registerModal('hourBank', document.getElementById('hourBankModal'));
+        this.registerModal('planner', document.getElementById('plannerModal'));
+        this.registerModal('missions', document.getElementById('missionsModal'));
+        this.registerModal('history', document.getElementById('historyModal'));
         
         // Setup event listeners globali
         this.setupGlobalListeners();
@@ -110,6 +118,15 @@ export class ModalManager {
             case 'clean':
                 this.close({ action: 'clean' });
                 break;
+            case 'saveSettings':
+                this.handleSaveSettings();
+                break;
+            case 'addAdjustment':
+                this.handleAddAdjustment();
+                break;
+            case 'exportMissions':
+                this.handleExportMissions();
+                break;
         }
     }
 
@@ -189,6 +206,8 @@ export class ModalManager {
             const typeSelect = modal.querySelector('#addType');
             const timeInput = modal.querySelector('#addTime');
             const timeGroup = modal.querySelector('#addTimeGroup');
+            const hoursGroup = modal.querySelector('#addHoursGroup');
+            const hoursInput = modal.querySelector('#addHours');
 
             // Imposta data (default: oggi)
             const today = new Date().toISOString().split('T')[0];
@@ -212,13 +231,41 @@ export class ModalManager {
             // Salva il valore corrente per Android picker issue
             this._lastTimeValue = timeInput.value;
 
+            hoursInput.value = '';
+            modal.querySelector('#addNextDay').checked = false;
+            const endTimeGroup = modal.querySelector('#addEndTimeGroup');
+            modal.querySelector('#addEndTime').value = '';
+            const missionGroup = modal.querySelector('#addMissionGroup');
+            modal.querySelector('#addDestination').value = '';
+            modal.querySelector('#addTravel').value = '';
+            this.populateJustificationSelect(modal.querySelector('#addJustification'));
+            modal.querySelector('#addNote').value = '';
+
+            const reasonGroup = modal.querySelector('#addReasonGroup');
+            const reasonSelect = modal.querySelector('#addReason');
+            this.populateReasonSelect(reasonSelect);
+            reasonSelect.value = AbsenceReason.getDefaultId(type);
+
             // Mostra/nascondi campo orario in base al tipo
             this.updateTimeFieldVisibility(typeSelect.value, timeGroup, timeInput);
+            this.updateHoursFieldVisibility(typeSelect.value, hoursGroup);
+            this.updateNextDayVisibility(typeSelect.value, modal.querySelector('#addNextDayGroup'));
+            this.updateReasonFieldVisibility(typeSelect.value, reasonGroup);
+            this.updateSpanFieldVisibility(typeSelect.value, timeGroup, endTimeGroup);
+            this.updateMissionFieldVisibility(typeSelect.value, missionGroup);
 
             // Listener per cambio tipo
             const typeChangeHandler = () => {
                 const newType = typeSelect.value;
                 this.updateTimeFieldVisibility(newType, timeGroup, timeInput);
+                this.updateHoursFieldVisibility(newType, hoursGroup);
+                this.updateNextDayVisibility(newType, modal.querySelector('#addNextDayGroup'));
+                this.updateReasonFieldVisibility(newType, reasonGroup);
+                this.updateSpanFieldVisibility(newType, timeGroup, endTimeGroup);
+                this.updateMissionFieldVisibility(newType, missionGroup);
+                if (acceptsReason(newType)) {
+                    reasonSelect.value = AbsenceReason.getDefaultId(newType);
+                }
                 
                 // Aggiorna orario default quando cambia tipo
                 if ((newType === 'entrata' || newType === 'uscita') && !timeInput.value) {
@@ -248,11 +295,10 @@ export class ModalManager {
      * Apre la modale di modifica entry
      * @param {Object} options - Opzioni
      * @param {string} options.date - Data ISO
-     * @param {number} options.index - Indice entry
-     * @param {Object} options.entry - Entry da modificare
+     * @param {Object} options.entry - Entry da modificare (identificata dal suo ID)
      * @returns {Promise<Object|null>}
      */
-    openEditModal({ date, index, entry }) {
+    openEditModal({ date, entry }) {
         return new Promise((resolve) => {
             this.currentResolver = resolve;
             
@@ -268,19 +314,48 @@ export class ModalManager {
             const typeSelect = modal.querySelector('#editType');
             const timeInput = modal.querySelector('#editTime');
             const timeGroup = modal.querySelector('#timeGroup');
-            const indexInput = modal.querySelector('#editIndex');
+            const idInput = modal.querySelector('#editId');
+            const hoursGroup = modal.querySelector('#editHoursGroup');
+            const hoursInput = modal.querySelector('#editHours');
 
             dateInput.value = date;
             typeSelect.value = entry.type;
             timeInput.value = entry.time || '';
-            indexInput.value = index;
+            idInput.value = entry.id;
+            hoursInput.value = (isMarkerType(entry.type) || isLeaveType(entry.type)) && entry.hours ? entry.hours : '';
+            const nextDayGroup = modal.querySelector('#editNextDayGroup');
+            modal.querySelector('#editNextDay').checked = entry.nextDay === true;
+            const endTimeGroup = modal.querySelector('#editEndTimeGroup');
+            modal.querySelector('#editEndTime').value = entry.endTime || '';
+            const missionGroup = modal.querySelector('#editMissionGroup');
+            modal.querySelector('#editDestination').value = entry.destination || '';
+            modal.querySelector('#editTravel').value = isMissionType(entry.type) ? (entry.travelMinutes ?? 0) : '';
+            const justificationSelect = modal.querySelector('#editJustification');
+            this.populateJustificationSelect(justificationSelect);
+            justificationSelect.value = entry.justification || '';
+            modal.querySelector('#editNote').value = entry.note || '';
+
+            const reasonGroup = modal.querySelector('#editReasonGroup');
+            const reasonSelect = modal.querySelector('#editReason');
+            this.populateReasonSelect(reasonSelect);
+            reasonSelect.value = acceptsReason(entry.type) ? AbsenceReason.forEntry(entry).id : AbsenceReason.getDefaultId('assente');
 
             // Mostra/nascondi campo orario in base al tipo
             this.updateTimeFieldVisibility(typeSelect.value, timeGroup, timeInput);
+            this.updateHoursFieldVisibility(typeSelect.value, hoursGroup);
+            this.updateNextDayVisibility(typeSelect.value, nextDayGroup);
+            this.updateReasonFieldVisibility(typeSelect.value, reasonGroup);
+            this.updateSpanFieldVisibility(typeSelect.value, timeGroup, endTimeGroup);
+            this.updateMissionFieldVisibility(typeSelect.value, missionGroup);
 
             // Listener per cambio tipo
             const typeChangeHandler = () => {
                 this.updateTimeFieldVisibility(typeSelect.value, timeGroup, timeInput);
+                this.updateHoursFieldVisibility(typeSelect.value, hoursGroup);
+                this.updateNextDayVisibility(typeSelect.value, nextDayGroup);
+                this.updateReasonFieldVisibility(typeSelect.value, reasonGroup);
+                this.updateSpanFieldVisibility(typeSelect.value, timeGroup, endTimeGroup);
+                this.updateMissionFieldVisibility(typeSelect.value, missionGroup);
             };
             typeSelect.addEventListener('change', typeChangeHandler);
 
@@ -305,6 +380,217 @@ export class ModalManager {
         }
     }
 
+    /**
+     * Mostra il campo ore per i marcatori (ore autorizzate, facoltative)
+     * e per i permessi orari (ore di permesso, obbligatorie)
+     * @param {string} type - Tipo entry
+     * @param {HTMLElement} hoursGroup - Container campo ore
+     */
+    updateHoursFieldVisibility(type, hoursGroup) {
+        const isLeave = isLeaveType(type);
+        hoursGroup.hidden = !isMarkerType(type) && !isLeave;
+        hoursGroup.querySelector('label').textContent = isLeave ? 'Ore di permesso' : 'Ore autorizzate';
+        hoursGroup.querySelector('.form-hint').hidden = isLeave;
+        const hoursInput = hoursGroup.querySelector('input');
+        hoursInput.placeholder = isLeave ? 'Es. 2' : 'Tutta l\'eccedenza';
+        hoursInput.required = isLeave;
+    }
+
+    /**
+     * Legge e valida il campo ore secondo il tipo
+     * @param {string} type - Tipo entry
+     * @param {HTMLInputElement} hoursInput - Input ore
+     * @returns {{valid: boolean, hours: number|null, error?: string}}
+     */
+    readEntryHours(type, hoursInput) {
+        const result = this.readOptionalHours(hoursInput);
+        if (isLeaveType(type)) {
+            return result.valid && result.hours !== null
+                ? result
+                : { valid: false, hours: null, error: 'Indica le ore di permesso' };
+        }
+        if (isMarkerType(type)) {
+            return result.valid ? result : { ...result, error: 'Ore non valide' };
+        }
+        return { valid: true, hours: null };
+    }
+
+    /**
+     * Popola una select con le causali del catalogo
+     * @param {HTMLSelectElement} select - Select da popolare
+     */
+    populateReasonSelect(select) {
+        select.innerHTML = AbsenceReason.getAll()
+            .map(reason => `<option value="${sanitizeString(reason.id)}">${sanitizeString(reason.getDisplayLabel())}</option>`)
+            .join('');
+    }
+
+    /**
+     * Popola una select con le motivazioni (prima voce: nessuna)
+     * @param {HTMLSelectElement} select - Select da popolare
+     */
+    populateJustificationSelect(select) {
+        select.innerHTML = '<option value="">Nessuna motivazione</option>' + Object.entries(JUSTIFICATIONS)
+            .map(([id, label]) => `<option value="${sanitizeString(id)}">${sanitizeString(label)}</option>`)
+            .join('');
+        select.value = '';
+    }
+
+    /**
+     * Legge e valida nota e motivazione (la nota del giorno ne richiede almeno una)
+     * @param {string} type - Tipo entry
+     * @param {HTMLTextAreaElement} noteInput - Campo nota
+     * @param {HTMLSelectElement} justificationSelect - Select motivazione
+     * @returns {{valid: boolean, note: string|null, justification: string|null, field?: HTMLElement, error?: string}}
+     */
+    readEntryNote(type, noteInput, justificationSelect) {
+        const note = noteInput.value.trim() || null;
+        const justification = justificationSelect.value || null;
+
+        if (note && note.length > MAX_NOTE_LENGTH) {
+            return { valid: false, note: null, justification: null, field: noteInput, error: `Massimo ${MAX_NOTE_LENGTH} caratteri` };
+        }
+        if (isNoteType(type) && !note && !justification) {
+            return { valid: false, note: null, justification: null, field: noteInput, error: 'Scrivi una nota o scegli una motivazione' };
+        }
+
+        return { valid: true, note, justification };
+    }
+
+    /**
+     * Mostra la causale solo per assenze e permessi
+     * @param {string} type - Tipo entry
+     * @param {HTMLElement} reasonGroup - Container select causale
+     */
+    updateReasonFieldVisibility(type, reasonGroup) {
+        reasonGroup.hidden = !acceptsReason(type);
+    }
+
+    /**
+     * Mostra l'opzione "giorno successivo" solo per le uscite
+     * @param {string} type - Tipo entry
+     * @param {HTMLElement} nextDayGroup - Container checkbox
+     */
+    updateNextDayVisibility(type, nextDayGroup) {
+        nextDayGroup.hidden = type !== 'uscita';
+    }
+
+    /**
+     * Mostra la fine della fascia per permessi brevi, reperibilità e missioni (l'orario diventa l'inizio)
+     * @param {string} type - Tipo entry
+     * @param {HTMLElement} timeGroup - Container campo orario
+     * @param {HTMLElement} endTimeGroup - Container campo fine
+     */
+    updateSpanFieldVisibility(type, timeGroup, endTimeGroup) {
+        const isRange = hasEndTime(type);
+        const isOnCall = isOnCallType(type);
+        const isMission = isMissionType(type);
+        endTimeGroup.hidden = !isRange;
+        endTimeGroup.querySelector('input').required = isRange;
+
+        let endLabel = 'Fine permesso';
+        let endHint = 'Da recuperare entro la fine del mese successivo (massimo 36 ore l\'anno)';
+        if (isOnCall) {
+            endLabel = 'Fine fascia';
+            endHint = 'Se la fine precede l\'inizio, la fascia termina il giorno dopo. Non conta nel saldo settimanale';
+        } else if (isMission) {
+            endLabel = 'Rientro';
+            endHint = 'Rientro nello stesso giorno: una trasferta di più giorni si registra giorno per giorno';
+        }
+        endTimeGroup.querySelector('label').textContent = endLabel;
+        endTimeGroup.querySelector('.form-hint').textContent = endHint;
+
+        let timeLabel = 'Orario';
+        if (isOnCall) timeLabel = 'Inizio fascia';
+        else if (isMission) timeLabel = 'Partenza';
+        else if (isSpanType(type)) timeLabel = 'Inizio permesso';
+        timeGroup.querySelector('label').textContent = timeLabel;
+    }
+
+    /**
+     * Mostra destinazione e tempo di viaggio solo per le missioni
+     * @param {string} type - Tipo entry
+     * @param {HTMLElement} missionGroup - Container campi missione
+     */
+    updateMissionFieldVisibility(type, missionGroup) {
+        const isMission = isMissionType(type);
+        missionGroup.hidden = !isMission;
+        missionGroup.querySelector('input[type="text"]').required = isMission;
+    }
+
+    /**
+     * Legge e valida destinazione e tempo di viaggio di una missione
+     * @param {string} type - Tipo entry
+     * @param {string} time - Partenza HH:MM
+     * @param {string|null} endTime - Rientro HH:MM
+     * @param {HTMLInputElement} destinationInput - Input destinazione
+     * @param {HTMLInputElement} travelInput - Input tempo di viaggio
+     * @returns {{valid: boolean, destination: string|null, travelMinutes: number|null, field?: HTMLElement, error?: string}}
+     */
+    readEntryMission(type, time, endTime, destinationInput, travelInput) {
+        if (!isMissionType(type)) {
+            return { valid: true, destination: null, travelMinutes: null };
+        }
+
+        const destination = destinationInput.value.trim();
+        if (!destination) {
+            return { valid: false, destination: null, travelMinutes: null, field: destinationInput, error: 'Indica la destinazione' };
+        }
+
+        const travelMinutes = travelInput.value === '' ? 0 : Number(travelInput.value);
+        const spanMinutes = parseTimeToMinutes(endTime) - parseTimeToMinutes(time);
+        if (!Number.isInteger(travelMinutes) || travelMinutes < 0 || travelMinutes > spanMinutes) {
+            return { valid: false, destination: null, travelMinutes: null, field: travelInput, error: 'Il viaggio non può superare la durata della missione' };
+        }
+
+        return { valid: true, destination, travelMinutes };
+    }
+
+    /**
+     * Legge e valida la fine della fascia di un permesso breve o di reperibilità
+     * @param {string} type - Tipo entry
+     * @param {string} time - Inizio HH:MM
+     * @param {HTMLInputElement} endTimeInput - Input fine
+     * @returns {{valid: boolean, endTime: string|null, error?: string}}
+     */
+    readEntryEndTime(type, time, endTimeInput) {
+        if (!hasEndTime(type)) {
+            return { valid: true, endTime: null };
+        }
+        const endTime = normalizeTime(endTimeInput.value);
+        if (!endTime) {
+            let error = 'Indica la fine del permesso';
+            if (isOnCallType(type)) error = 'Indica la fine della fascia';
+            else if (isMissionType(type)) error = 'Indica l\'orario di rientro';
+            return { valid: false, endTime: null, error };
+        }
+        // La reperibilità può terminare il giorno dopo
+        if (isOnCallType(type)) {
+            return parseTimeToMinutes(endTime) === parseTimeToMinutes(time)
+                ? { valid: false, endTime: null, error: 'La fine deve essere diversa dall\'inizio' }
+                : { valid: true, endTime };
+        }
+        if (parseTimeToMinutes(endTime) <= parseTimeToMinutes(time)) {
+            return { valid: false, endTime: null, error: 'La fine deve essere successiva all\'inizio' };
+        }
+        return { valid: true, endTime };
+    }
+
+    /**
+     * Legge le ore autorizzate facoltative
+     * @param {HTMLInputElement} hoursInput - Input ore
+     * @returns {{valid: boolean, hours: number|null}}
+     */
+    readOptionalHours(hoursInput) {
+        if (hoursInput.value === '') {
+            return { valid: true, hours: null };
+        }
+        const hours = parseFloat(hoursInput.value);
+        return Number.isFinite(hours) && hours > 0
+            ? { valid: true, hours }
+            : { valid: false, hours: null };
+    }
+
     /**
      * Gestisce il salvataggio della modale edit
      */
@@ -316,7 +602,8 @@ export class ModalManager {
         const dateInput = modal.querySelector('#editDate');
         const typeSelect = modal.querySelector('#editType');
         const timeInput = modal.querySelector('#editTime');
-        const indexInput = modal.querySelector('#editIndex');
+        const idInput = modal.querySelector('#editId');
+        const hoursInput = modal.querySelector('#editHours');
 
         // Validazione
         const type = typeSelect.value;
@@ -330,6 +617,35 @@ export class ModalManager {
             }
         }
 
+        const entryHours = this.readEntryHours(type, hoursInput);
+        if (!entryHours.valid) {
+            this.showFieldError(hoursInput, entryHours.error);
+            return;
+        }
+
+        const endTimeInput = modal.querySelector('#editEndTime');
+        const entryEnd = this.readEntryEndTime(type, time, endTimeInput);
+        if (!entryEnd.valid) {
+            this.showFieldError(endTimeInput, entryEnd.error);
+            return;
+        }
+
+        const mission = this.readEntryMission(
+            type, time, entryEnd.endTime,
+            modal.querySelector('#editDestination'),
+            modal.querySelector('#editTravel')
+        );
+        if (!mission.valid) {
+            this.showFieldError(mission.field, mission.error);
+            return;
+        }
+
+        const entryNote = this.readEntryNote(type, modal.querySelector('#editNote'), modal.querySelector('#editJustification'));
+        if (!entryNote.valid) {
+            this.showFieldError(entryNote.field, entryNote.error);
+            return;
+        }
+
         // Cleanup listener
         if (this._editTypeHandler) {
             typeSelect.removeEventListener('change', this._editTypeHandler);
@@ -339,9 +655,17 @@ export class ModalManager {
         this.close({
             action: 'save',
             date: dateInput.value,
-            index: parseInt(indexInput.value, 10),
+            id: idInput.value,
             type: type,
-            time: requiresTime(type) ? time : null
+            time: requiresTime(type) ? time : null,
+            hours: entryHours.hours,
+            nextDay: type === 'uscita' && modal.querySelector('#editNextDay').checked,
+            reason: acceptsReason(type) ? modal.querySelector('#editReason').value : null,
+            endTime: entryEnd.endTime,
+            destination: mission.destination,
+            travelMinutes: mission.travelMinutes,
+            note: entryNote.note,
+            justification: entryNote.justification
         });
     }
 
@@ -375,6 +699,36 @@ export class ModalManager {
             }
         }
 
+        const hoursInput = modal.querySelector('#addHours');
+        const entryHours = this.readEntryHours(type, hoursInput);
+        if (!entryHours.valid) {
+            this.showFieldError(hoursInput, entryHours.error);
+            return;
+        }
+
+        const endTimeInput = modal.querySelector('#addEndTime');
+        const entryEnd = this.readEntryEndTime(type, time, endTimeInput);
+        if (!entryEnd.valid) {
+            this.showFieldError(endTimeInput, entryEnd.error);
+            return;
+        }
+
+        const mission = this.readEntryMission(
+            type, time, entryEnd.endTime,
+            modal.querySelector('#addDestination'),
+            modal.querySelector('#addTravel')
+        );
+        if (!mission.valid) {
+            this.showFieldError(mission.field, mission.error);
+            return;
+        }
+
+        const entryNote = this.readEntryNote(type, modal.querySelector('#addNote'), modal.querySelector('#addJustification'));
+        if (!entryNote.valid) {
+            this.showFieldError(entryNote.field, entryNote.error);
+            return;
+        }
+
         // Cleanup listener
         if (this._addTypeHandler) {
             typeSelect.removeEventListener('change', this._addTypeHandler);
@@ -392,7 +746,15 @@ export class ModalManager {
             action: 'add',
             date: date,
             type: type,
-            time: requiresTime(type) ? time : null
+            time: requiresTime(type) ? time : null,
+            hours: entryHours.hours,
+            nextDay: type === 'uscita' && modal.querySelector('#addNextDay').checked,
+            reason: acceptsReason(type) ? modal.querySelector('#addReason').value : null,
+            endTime: entryEnd.endTime,
+            destination: mission.destination,
+            travelMinutes: mission.travelMinutes,
+            note: entryNote.note,
+            justification: entryNote.justification
         });
     }
 
@@ -404,7 +766,7 @@ export class ModalManager {
         if (!modal) return;
 
         const dateInput = modal.querySelector('#editDate');
-        const indexInput = modal.querySelector('#editIndex');
+        const idInput = modal.querySelector('#editId');
 
         // Cleanup listener
         const typeSelect = modal.querySelector('#editType');
@@ -416,7 +778,7 @@ export class ModalManager {
         this.close({
             action: 'delete',
             date: dateInput.value,
-            index: parseInt(indexInput.value, 10)
+            id: idInput.value
         });
     }
 
@@ -476,6 +838,775 @@ export class ModalManager {
         });
     }
 
+    /**
+     * Apre la modale banca ore (conguaglio mensile e rettifiche)
+     * @param {Object} options - Opzioni
+     * @param {Array} options.months - Riepilogo mensile {label, balanceMinutes, adjustmentMinutes, closingMinutes}
+     * @param {Array} options.adjustments - Rettifiche {id, date, type, minutes, note}
+     * @param {string} options.today - Data ISO predefinita per nuova rettifica
+     * @returns {Promise<Object|null>}
+     */
+    openHourBankModal({ months, adjustments, today }) {
+        return new Promise((resolve) => {
+            this.currentResolver = resolve;
+
+            const modal = this.open('hourBank');
+            if (!modal) {
+                resolve(null);
+                return;
+            }
+
+            if (this._hourBankHandler) {
+                this._hourBankHandler();
+                this._hourBankHandler = null;
+            }
+
+            const formatSigned = (minutes) => `${minutes >= 0 ? '+' : ''}${minutesToTime(minutes)}`;
+
+            const monthsList = modal.querySelector('#hourBankMonths');
+            monthsList.innerHTML = months.length === 0
+                ? '<li class="ledger-empty">Nessun dato registrato</li>'
+                : months.slice().reverse().map(month => `
+                    <li class="ledger-item">
+                        <span>
+                            ${sanitizeString(month.label)}
+                            <span class="ledger-item-detail">Saldo mese ${formatSigned(month.balanceMinutes)}${month.adjustmentMinutes !== 0 ? ` · Rettifiche ${formatSigned(month.adjustmentMinutes)}` : ''}</span>
+                        </span>
+                        <span class="ledger-item-value">${formatSigned(month.closingMinutes)}</span>
+                    </li>
+                `).join('');
+
+            const adjustmentsList = modal.querySelector('#hourBankAdjustments');
+            adjustmentsList.innerHTML = adjustments.length === 0
+                ? '<li class="ledger-empty">Nessuna rettifica</li>'
+                : adjustments.map(adjustment => `
+                    <li class="ledger-item">
+                        <span>
+                            ${formatDateIT(parseDateISO(adjustment.date))} · ${adjustment.type === 'set' ? 'Saldo impostato a' : 'Rettifica'}
+                            <span class="ledger-item-detail">${sanitizeString(adjustment.note || '')}</span>
+                        </span>
+                        <span class="ledger-item-value">${formatSigned(adjustment.minutes)}</span>
+                        <button type="button" class="btn btn-remove" data-adjustment-id="${sanitizeString(adjustment.id)}" aria-label="Elimina rettifica">🗑️</button>
+                    </li>
+                `).join('');
+
+            modal.querySelector('#adjustmentDate').value = today;
+            modal.querySelector('#adjustmentType').value = 'set';
+            modal.querySelector('#adjustmentValue').value = '';
+            modal.querySelector('#adjustmentNote').value = '';
+
+            // Eliminazione rettifica (event delegation)
+            const removeHandler = (e) => {
+                const button = e.target.closest('[data-adjustment-id]');
+                if (!button) return;
+                this._hourBankHandler?.();
+                this._hourBankHandler = null;
+                this.close({ action: 'removeAdjustment', id: button.dataset.adjustmentId });
+            };
+            adjustmentsList.addEventListener('click', removeHandler);
+
+            this._hourBankHandler = () => {
+                adjustmentsList.removeEventListener('click', removeHandler);
+            };
+        });
+    }
+
+    /**
+     * Apre la modale di pianificazione dei giorni rimanenti
+     * Ogni modifica ricalcola le uscite tramite `simulate`; la modale non salva nulla.
+     * @param {Object} options - Opzioni
+     * @param {Array<{dateKey: string, mode: string, entryTime: string, lockedEntry: boolean}>} options.days - Giorni da pianificare
+     * @param {Function} options.simulate - (plans, targetBalanceMinutes) => risultato di WeekPlannerService.simulate
+     * @returns {Promise<null>} Si risolve alla chiusura
+     */
+    openPlannerModal({ days, simulate }) {
+        return new Promise((resolve) => {
+            this.currentResolver = resolve;
+
+            const modal = this.open('planner');
+            if (!modal) {
+                resolve(null);
+                return;
+            }
+
+            if (this._plannerHandler) {
+                this._plannerHandler();
+                this._plannerHandler = null;
+            }
+
+            const formatSigned = (minutes) => `${minutes >= 0 ? '+' : ''}${minutesToTime(minutes)}`;
+            const targetInput = modal.querySelector('#plannerTarget');
+            const daysList = modal.querySelector('#plannerDays');
+            const summary = modal.querySelector('#plannerSummary');
+
+            targetInput.value = '';
+            daysList.innerHTML = days.map(day => {
+                const date = parseDateISO(day.dateKey);
+                return `
+                    <li class="planner-day" data-date="${day.dateKey}">
+                        <span>${DAY_NAMES[date.getDay()]} ${formatDateIT(date, false)}</span>
+                        <select name="mode" aria-label="Tipo di giornata">
+                            <option value="work">🏢 Presenza</option>
+                            <option value="smart"${day.lockedEntry ? ' disabled' : ''}>🏠 Smart</option>
+                            <option value="assente"${day.lockedEntry ? ' disabled' : ''}>🏖️ Assente</option>
+                        </select>
+                        <input type="time" name="entryTime" value="${day.entryTime}" aria-label="Orario di entrata"${day.lockedEntry ? ' disabled title="Entrata già timbrata"' : ''}>
+                        <span class="planner-exit"></span>
+                    </li>
+                `;
+            }).join('');
+
+            const update = () => {
+                const plans = [...daysList.querySelectorAll('.planner-day')].map(row => ({
+                    dateKey: row.dataset.date,
+                    mode: row.querySelector('[name="mode"]').value,
+                    entryTime: row.querySelector('[name="entryTime"]').value
+                }));
+                plans.forEach((plan, index) => {
+                    daysList.children[index].querySelector('[name="entryTime"]').hidden = plan.mode !== 'work';
+                });
+
+                const targetBalanceMinutes = targetInput.value.trim() === '' ? 0 : parseSignedDuration(targetInput.value);
+                if (targetBalanceMinutes === null) {
+                    summary.textContent = 'Saldo non valido (es. 00:00, +1:30, -2:15)';
+                    return;
+                }
+
+                const result = simulate(plans, targetBalanceMinutes);
+                result.days.forEach((day, index) => {
+                    const exit = daysList.children[index].querySelector('.planner-exit');
+                    if (day.mode !== 'work') {
+                        exit.textContent = `${minutesToTime(day.minutes)} dal profilo`;
+                    } else if (!day.exitTime) {
+                        exit.textContent = 'Nessuna ora necessaria';
+                    } else {
+                        exit.innerHTML = `Esci alle <strong>${day.exitTime}</strong>${day.nextDay ? ' (giorno dopo)' : ''} · ${minutesToTime(day.minutes)} di lavoro`;
+                    }
+                });
+                summary.textContent = `Saldo a fine settimana: ${formatSigned(result.balanceMinutes)}`
+                    + (result.balanceMinutes > targetBalanceMinutes ? ' (già oltre il saldo scelto)' : '');
+            };
+            update();
+
+            daysList.addEventListener('input', update);
+            targetInput.addEventListener('input', update);
+
+            this._plannerHandler = () => {
+                daysList.removeEventListener('input', update);
+                targetInput.removeEventListener('input', update);
+            };
+        });
+    }
+
+    /**
+     * Apre la modale delle missioni del mese
+     * @param {Object} options - Opzioni
+     * @param {string} options.month - Mese proposto (YYYY-MM)
+     * @param {Function} options.getSummary - (month) => riepilogo {label, missions, travelMinutes, minutes}
+     * @returns {Promise<{action: string, month: string}|null>} Richiesta di export del mese
+     */
+    openMissionsModal({ month, getSummary }) {
+        return new Promise((resolve) => {
+            this.currentResolver = resolve;
+
+            const modal = this.open('missions');
+            if (!modal) {
+                resolve(null);
+                return;
+            }
+
+            if (this._missionsHandler) {
+                this._missionsHandler();
+                this._missionsHandler = null;
+            }
+
+            const monthInput = modal.querySelector('#missionsMonth');
+            const list = modal.querySelector('#missionsList');
+            const summary = modal.querySelector('#missionsSummary');
+            monthInput.value = month;
+
+            const update = () => {
+                if (!/^\d{4}-\d{2}$/.test(monthInput.value)) return;
+
+                const result = getSummary(monthInput.value);
+                list.innerHTML = result.missions.length === 0
+                    ? '<li class="ledger-empty">Nessuna missione nel mese</li>'
+                    : result.missions.map(mission => `
+                        <li class="ledger-item">
+                            <span>
+                                ${formatDateIT(parseDateISO(mission.dateKey))} · ${sanitizeString(mission.destination)}
+                                <span class="ledger-item-detail">${mission.departure}–${mission.return} · viaggio ${minutesToTime(mission.travelMinutes)}</span>
+                            </span>
+                            <span class="ledger-item-value">${minutesToTime(mission.minutes)}</span>
+                        </li>
+                    `).join('');
+                summary.textContent = result.missions.length === 0
+                    ? ''
+                    : `${result.label}: ${result.missions.length} missioni, ${minutesToTime(result.minutes)} ore conteggiate`;
+            };
+            update();
+
+            monthInput.addEventListener('change', update);
+            this._missionsHandler = () => monthInput.removeEventListener('change', update);
+        });
+    }
+
+    /**
+     * Gestisce la richiesta di export dalla modale missioni
+     */
+    handleExportMissions() {
+        const modal = this.modals.get('missions');
+        if (!modal) return;
+
+        const monthInput = modal.querySelector('#missionsMonth');
+        if (!/^\d{4}-\d{2}$/.test(monthInput.value)) {
+            this.showFieldError(monthInput, 'Seleziona un mese');
+            return;
+        }
+
+        if (this._missionsHandler) {
+            this._missionsHandler();
+            this._missionsHandler = null;
+        }
+
+        this.close({ action: 'exportMissions', month: monthInput.value });
+    }
+
+    /**
+     * Apre lo storico delle modifiche di un giorno
+     * @param {Object} options - Opzioni
+     * @param {string} options.title - Titolo (giorno)
+     * @param {Array<{when: string, actionLabel: string, sourceLabel: string, change: string}>} options.records - Modifiche, dalla più recente
+     * @returns {Promise<null>} Si risolve alla chiusura
+     */
+    openHistoryModal({ title, records }) {
+        return new Promise((resolve) => {
+            this.currentResolver = resolve;
+
+            const modal = this.open('history');
+            if (!modal) {
+                resolve(null);
+                return;
+            }
+
+            modal.querySelector('#historyTitle').textContent = title;
+            modal.querySelector('#historyList').innerHTML = records.length === 0
+                ? '<li class="ledger-empty">Nessuna modifica registrata</li>'
+                : records.map(record => `
+                    <li class="ledger-item">
+                        <span>
+                            ${record.actionLabel}: ${sanitizeString(record.change)}
+                            <span class="ledger-item-detail">${record.when} · ${record.sourceLabel}</span>
+                        </span>
+                    </li>
+                `).join('');
+        });
+    }
+
+    /**
+     * Gestisce l'aggiunta di una rettifica dalla modale banca ore
+     */
+    handleAddAdjustment() {
+        const modal = this.modals.get('hourBank');
+        if (!modal) return;
+
+        const dateInput = modal.querySelector('#adjustmentDate');
+        const valueInput = modal.querySelector('#adjustmentValue');
+
+        if (!dateInput.value) {
+            this.showFieldError(dateInput, 'Seleziona una data');
+            return;
+        }
+
+        const minutes = parseSignedDuration(valueInput.value);
+        if (minutes === null) {
+            this.showFieldError(valueInput, 'Formato non valido (es. +1:30)');
+            return;
+        }
+
+        if (this._hourBankHandler) {
+            this._hourBankHandler();
+            this._hourBankHandler = null;
+        }
+
+        this.close({
+            action: 'addAdjustment',
+            adjustment: {
+                date: dateInput.value,
+                type: modal.querySelector('#adjustmentType').value,
+                minutes,
+                note: modal.querySelector('#adjustmentNote').value
+            }
+        });
+    }
+
+    /**
+     * Apre la modale impostazioni (profilo contrattuale)
+     * @param {Object} options - Opzioni
+     * @param {Object[]} options.profiles - Profili disponibili (plain object)
+     * @param {string} options.activeProfileId - ID profilo attivo
+     * @param {string} options.profileFrom - Data ISO proposta per la decorrenza di un cambio di profilo
+     * @param {Array<{from: string|null, name: string}>} options.profilePeriods - Periodi del profilo, in ordine
+     * @param {Object} options.customProfile - Profilo personalizzato da modificare
+     * @param {number} options.overtimeCapHours - Tetto annuo straordinario
+     * @param {Object} options.rounding - Arrotondamento cartellino {stepMinutes, toleranceMinutes, toleranceStart}
+     * @param {Object} options.mealVoucher - Regola buono pasto {minWorkedHours, minPauseMinutes, pauseWindowStart, pauseWindowEnd, rientroDays}
+     * @param {Object} options.leave - Spettanze {ferieDays, festivitaSoppresseDays, permessiHours, carryOverYear, carryOverFerieDays}
+     * @param {number} options.currentYear - Anno proposto per il residuo iniziale se non impostato
+     * @param {Object} options.holidays - Santo patrono {patronMunicipality, patronDate}
+     * @param {Array<{municipality: string, name: string, date: string}>} options.patronSaints - Patroni suggeriti
+     * @param {Object} options.smartWorking - Quote smart working {monthlyMaxDays, weeklyMaxDays, weeklyMinPresenceDays}
+     * @param {Object} options.pause - Fascia della pausa {windowStart, windowEnd}
+     * @param {Object} options.mission - Regola del viaggio in missione {travelRule}
+     * @returns {Promise<Object|null>}
+     */
+    openSettingsModal({ profiles, activeProfileId, profileFrom, profilePeriods, customProfile, overtimeCapHours, rounding, mealVoucher, leave, currentYear, holidays, patronSaints, smartWorking, pause, mission }) {
+        return new Promise((resolve) => {
+            this.currentResolver = resolve;
+
+            const modal = this.open('settings');
+            if (!modal) {
+                resolve(null);
+                return;
+            }
+
+            // Rimuovi listener di un'apertura precedente chiusa senza salvare
+            if (this._settingsHandlers) {
+                this._settingsHandlers();
+                this._settingsHandlers = null;
+            }
+
+            const profileSelect = modal.querySelector('#settingsProfile');
+            const customGroup = modal.querySelector('#settingsCustomGroup');
+            const customName = modal.querySelector('#settingsCustomName');
+            const weekdaysContainer = modal.querySelector('#settingsWeekdays');
+            const summary = modal.querySelector('#settingsProfileSummary');
+
+            // Il profilo personalizzato compare sempre in fondo alla lista
+            const options = profiles.filter(p => p.id !== CUSTOM_PROFILE_ID);
+            profileSelect.innerHTML = [...options, customProfile]
+                .map(p => `<option value="${sanitizeString(p.id)}">${p.id === CUSTOM_PROFILE_ID ? '✏️ ' : ''}${sanitizeString(p.name)}</option>`)
+                .join('');
+            profileSelect.value = activeProfileId;
+            modal.querySelector('#settingsProfileFrom').value = profileFrom;
+            modal.querySelector('#settingsProfileHistory').textContent = profilePeriods.length > 1
+                ? 'Storico: ' + profilePeriods
+                    .map(period => `${period.from ? `dal ${formatDateIT(parseDateISO(period.from))}` : 'dall\'inizio'} ${period.name}`)
+                    .join(' · ')
+                : 'Le settimane precedenti mantengono il profilo in vigore allora';
+
+            modal.querySelector('#settingsOvertimeCap').value = overtimeCapHours;
+            modal.querySelector('#settingsRoundingStep').value = String(rounding.stepMinutes);
+            modal.querySelector('#settingsTolerance').value = rounding.toleranceMinutes;
+            modal.querySelector('#settingsToleranceStart').value = rounding.toleranceStart;
+            modal.querySelector('#settingsPauseWindowStart').value = pause.windowStart || '';
+            modal.querySelector('#settingsPauseWindowEnd').value = pause.windowEnd || '';
+            modal.querySelector('#settingsMissionTravel').value = mission.travelRule;
+            modal.querySelector('#settingsVoucherHours').value = mealVoucher.minWorkedHours;
+            modal.querySelector('#settingsVoucherPause').value = mealVoucher.minPauseMinutes;
+            modal.querySelector('#settingsVoucherWindowStart').value = mealVoucher.pauseWindowStart;
+            modal.querySelector('#settingsVoucherWindowEnd').value = mealVoucher.pauseWindowEnd;
+            modal.querySelector('#settingsVoucherRientro').checked = mealVoucher.rientroDays;
+            modal.querySelector('#settingsLeaveFerie').value = leave.ferieDays;
+            modal.querySelector('#settingsLeaveFestivita').value = leave.festivitaSoppresseDays;
+            modal.querySelector('#settingsLeavePermessi').value = leave.permessiHours;
+            modal.querySelector('#settingsLeaveCarryDays').value = leave.carryOverFerieDays;
+            modal.querySelector('#settingsLeaveCarryYear').value = leave.carryOverYear ?? currentYear;
+
+            const patronInput = modal.querySelector('#settingsPatronMunicipality');
+            const patronDay = modal.querySelector('#settingsPatronDay');
+            const patronMonth = modal.querySelector('#settingsPatronMonth');
+            const [month, day] = (holidays.patronDate || '').split('-');
+            modal.querySelector('#settingsPatronList').innerHTML = patronSaints
+                .map(saint => `<option value="${sanitizeString(saint.municipality)}">${sanitizeString(saint.name)}</option>`)
+                .join('');
+            patronInput.value = holidays.patronMunicipality || '';
+            patronDay.value = day ? Number(day) : '';
+            patronMonth.value = month ? Number(month) : '';
+            modal.querySelector('#settingsSmartMonthly').value = smartWorking.monthlyMaxDays ?? '';
+            modal.querySelector('#settingsSmartWeekly').value = smartWorking.weeklyMaxDays ?? '';
+            modal.querySelector('#settingsSmartPresence').value = smartWorking.weeklyMinPresenceDays ?? '';
+            customName.value = customProfile.name;
+            weekdaysContainer.innerHTML = this.renderWeekdayRows(customProfile);
+
+            const updateView = () => {
+                const isCustom = profileSelect.value === CUSTOM_PROFILE_ID;
+                customGroup.hidden = !isCustom;
+                this.syncRientroRows(weekdaysContainer);
+
+                const selected = isCustom
+                    ? this.readCustomProfile(modal)
+                    : profiles.find(p => p.id === profileSelect.value);
+                const profile = ContractProfile.fromJSON(selected);
+                const rientri = profile.getRientroWeekdays().map(weekday => DAY_NAMES_SHORT[weekday]);
+                summary.textContent = `Totale settimanale: ${minutesToTime(profile.getWeeklyTargetMinutes())}`
+                    + (rientri.length > 0 ? ` · Rientri: ${rientri.join(', ')}` : '');
+            };
+            updateView();
+
+            // Un comune del catalogo propone il giorno del suo patrono
+            const fillPatronDate = () => {
+                const name = patronInput.value.trim().toLowerCase();
+                const saint = patronSaints.find(item => item.municipality.toLowerCase() === name);
+                if (!saint) return;
+                const [saintMonth, saintDay] = saint.date.split('-');
+                patronDay.value = Number(saintDay);
+                patronMonth.value = Number(saintMonth);
+            };
+
+            profileSelect.addEventListener('change', updateView);
+            weekdaysContainer.addEventListener('input', updateView);
+            patronInput.addEventListener('change', fillPatronDate);
+
+            // Salva riferimenti per cleanup
+            this._settingsHandlers = () => {
+                profileSelect.removeEventListener('change', updateView);
+                weekdaysContainer.removeEventListener('input', updateView);
+                patronInput.removeEventListener('change', fillPatronDate);
+            };
+        });
+    }
+
+    /**
+     * Genera le righe per giorno del profilo personalizzato
+     * più la riga con la regola comune dei giorni di rientro
+     * @param {Object} profile - Profilo (plain object)
+     * @returns {string} HTML
+     */
+    renderWeekdayRows(profile) {
+        const header = `
+            <div class="weekday-row weekday-row-header">
+                <span></span>
+                <span>Ore target</span>
+                <span>Pausa (min)</span>
+                <span>Pausa oltre (h)</span>
+                <span>Rientro</span>
+            </div>
+        `;
+
+        const rows = WORK_WEEKDAYS.map(weekday => {
+            const rule = profile.days[weekday];
+            return `
+                <div class="weekday-row" data-weekday="${weekday}">
+                    <span class="weekday-label">${DAY_NAMES_SHORT[weekday]}</span>
+                    <input type="number" min="0" max="24" step="0.01" name="targetHours" value="${rule.targetHours}" aria-label="Ore target ${DAY_NAMES_SHORT[weekday]}">
+                    <input type="number" min="0" max="120" step="5" name="pauseMinutes" value="${rule.pauseMinutes}" aria-label="Pausa ${DAY_NAMES_SHORT[weekday]}">
+                    <input type="number" min="0" max="24" step="0.5" name="pauseThresholdHours" value="${rule.pauseThresholdHours}" aria-label="Soglia pausa ${DAY_NAMES_SHORT[weekday]}">
+                    <input type="checkbox" name="rientro" ${rule.rientro ? 'checked' : ''} aria-label="Rientro ${DAY_NAMES_SHORT[weekday]}">
+                </div>
+            `;
+        }).join('');
+
+        const rientro = profile.rientro || DEFAULT_RIENTRO_RULE;
+        const rientroRow = `
+            <div class="weekday-row weekday-row-rientro" data-rientro-rule>
+                <span class="weekday-label">Rientro</span>
+                <input type="number" min="0" max="24" step="0.01" name="targetHours" value="${rientro.targetHours}" aria-label="Ore target giorni di rientro">
+                <input type="number" min="0" max="120" step="5" name="pauseMinutes" value="${rientro.pauseMinutes}" aria-label="Pausa giorni di rientro">
+                <span class="weekday-row-header">sempre</span>
+                <span></span>
+            </div>
+        `;
+
+        return header + rows + rientroRow;
+    }
+
+    /**
+     * Disabilita target e pausa dei giorni di rientro (usano la regola comune)
+     * @param {HTMLElement} container - Contenitore righe giorni
+     */
+    syncRientroRows(container) {
+        container.querySelectorAll('.weekday-row[data-weekday]').forEach(row => {
+            const isRientro = row.querySelector('[name="rientro"]').checked;
+            row.querySelectorAll('input[type="number"]').forEach(input => {
+                input.disabled = isRientro;
+            });
+        });
+    }
+
+    /**
+     * Legge il profilo personalizzato dal form
+     * @param {HTMLElement} modal - Elemento modale
+     * @returns {Object} Profilo (plain object)
+     */
+    readCustomProfile(modal) {
+        const readNumber = (row, name) => {
+            const value = parseFloat(row.querySelector(`[name="${name}"]`).value);
+            return Number.isFinite(value) && value >= 0 ? value : 0;
+        };
+
+        const days = {};
+        modal.querySelectorAll('.weekday-row[data-weekday]').forEach(row => {
+            days[row.dataset.weekday] = {
+                targetHours: readNumber(row, 'targetHours'),
+                pauseMinutes: readNumber(row, 'pauseMinutes'),
+                pauseThresholdHours: readNumber(row, 'pauseThresholdHours'),
+                rientro: row.querySelector('[name="rientro"]').checked
+            };
+        });
+
+        const rientroRow = modal.querySelector('[data-rientro-rule]');
+        const rientro = {
+            targetHours: readNumber(rientroRow, 'targetHours'),
+            pauseMinutes: readNumber(rientroRow, 'pauseMinutes')
+        };
+
+        const name = modal.querySelector('#settingsCustomName').value.trim();
+        return { id: CUSTOM_PROFILE_ID, name: name || 'Personalizzato', days, rientro };
+    }
+
+    /**
+     * Gestisce il salvataggio della modale impostazioni
+     */
+    handleSaveSettings() {
+        const modal = this.modals.get('settings');
+        if (!modal) return;
+
+        const profileId = modal.querySelector('#settingsProfile').value;
+        const customProfile = this.readCustomProfile(modal);
+
+        const profileFromInput = modal.querySelector('#settingsProfileFrom');
+        const profileFrom = profileFromInput.value;
+        if (!profileFrom) {
+            this.showFieldError(profileFromInput, 'Seleziona la data di decorrenza del profilo');
+            return;
+        }
+
+        const capInput = modal.querySelector('#settingsOvertimeCap');
+        const overtimeCapHours = parseFloat(capInput.value);
+        if (!Number.isFinite(overtimeCapHours) || overtimeCapHours < 0) {
+            this.showFieldError(capInput, 'Inserisci un numero di ore valido');
+            return;
+        }
+
+        const toleranceInput = modal.querySelector('#settingsTolerance');
+        const toleranceMinutes = Number(toleranceInput.value || 0);
+        if (!Number.isInteger(toleranceMinutes) || toleranceMinutes < 0 || toleranceMinutes > 60) {
+            this.showFieldError(toleranceInput, 'Tolleranza tra 0 e 60 minuti');
+            return;
+        }
+
+        const toleranceStartInput = modal.querySelector('#settingsToleranceStart');
+        const toleranceStart = normalizeTime(toleranceStartInput.value);
+        if (toleranceMinutes > 0 && !toleranceStart) {
+            this.showFieldError(toleranceStartInput, 'Inserisci l\'orario nominale di entrata');
+            return;
+        }
+
+        const pause = this.readPauseWindow(modal);
+        if (!pause) return;
+
+        const mealVoucher = this.readMealVoucherRule(modal);
+        if (!mealVoucher) return;
+
+        const leave = this.readLeaveEntitlements(modal);
+        if (!leave) return;
+
+        const holidays = this.readPatronHoliday(modal);
+        if (!holidays) return;
+
+        const smartWorking = this.readSmartWorkingQuotas(modal);
+        if (!smartWorking) return;
+
+        // Cleanup listener
+        if (this._settingsHandlers) {
+            this._settingsHandlers();
+            this._settingsHandlers = null;
+        }
+
+        this.close({
+            action: 'saveSettings',
+            profileId,
+            profileFrom,
+            customProfile,
+            overtimeCapHours,
+            rounding: {
+                stepMinutes: Number(modal.querySelector('#settingsRoundingStep').value),
+                toleranceMinutes,
+                toleranceStart: toleranceStart || '08:00'
+            },
+            pause,
+            mission: { travelRule: modal.querySelector('#settingsMissionTravel').value },
+            mealVoucher,
+            leave,
+            holidays,
+            smartWorking
+        });
+    }
+
+    /**
+     * Legge e valida la fascia della pausa dalla modale impostazioni
+     * @param {HTMLElement} modal - Modale impostazioni
+     * @returns {Object|null} Sezione `pause` o null se non valida (errore mostrato sul campo)
+     */
+    readPauseWindow(modal) {
+        const startInput = modal.querySelector('#settingsPauseWindowStart');
+        const endInput = modal.querySelector('#settingsPauseWindowEnd');
+
+        // Entrambi vuoti: pausa valida a qualsiasi ora
+        if (startInput.value === '' && endInput.value === '') {
+            return { windowStart: null, windowEnd: null };
+        }
+
+        const windowStart = normalizeTime(startInput.value);
+        const windowEnd = normalizeTime(endInput.value);
+        if (!windowStart) {
+            this.showFieldError(startInput, 'Orario non valido');
+            return null;
+        }
+        if (!windowEnd || windowEnd <= windowStart) {
+            this.showFieldError(endInput, 'La fascia deve terminare dopo l\'inizio');
+            return null;
+        }
+
+        return { windowStart, windowEnd };
+    }
+
+    /**
+     * Legge e valida la regola del buono pasto dalla modale impostazioni
+     * @param {HTMLElement} modal - Modale impostazioni
+     * @returns {Object|null} Regola o null se non valida (errore mostrato sul campo)
+     */
+    readMealVoucherRule(modal) {
+        const hoursInput = modal.querySelector('#settingsVoucherHours');
+        const minWorkedHours = parseFloat(hoursInput.value);
+        if (!Number.isFinite(minWorkedHours) || minWorkedHours < 0) {
+            this.showFieldError(hoursInput, 'Inserisci un numero di ore valido');
+            return null;
+        }
+
+        const pauseInput = modal.querySelector('#settingsVoucherPause');
+        const minPauseMinutes = Number(pauseInput.value);
+        if (!Number.isInteger(minPauseMinutes) || minPauseMinutes < 0) {
+            this.showFieldError(pauseInput, 'Inserisci i minuti di pausa');
+            return null;
+        }
+
+        const startInput = modal.querySelector('#settingsVoucherWindowStart');
+        const endInput = modal.querySelector('#settingsVoucherWindowEnd');
+        const pauseWindowStart = normalizeTime(startInput.value);
+        const pauseWindowEnd = normalizeTime(endInput.value);
+        if (!pauseWindowStart) {
+            this.showFieldError(startInput, 'Orario non valido');
+            return null;
+        }
+        if (!pauseWindowEnd || pauseWindowEnd <= pauseWindowStart) {
+            this.showFieldError(endInput, 'La fascia deve terminare dopo l\'inizio');
+            return null;
+        }
+
+        return {
+            minWorkedHours,
+            minPauseMinutes,
+            pauseWindowStart,
+            pauseWindowEnd,
+            rientroDays: modal.querySelector('#settingsVoucherRientro').checked
+        };
+    }
+
+    /**
+     * Legge e valida le spettanze di ferie e permessi dalla modale impostazioni
+     * @param {HTMLElement} modal - Modale impostazioni
+     * @returns {Object|null} Spettanze o null se non valide (errore mostrato sul campo)
+     */
+    readLeaveEntitlements(modal) {
+        const fields = [
+            ['ferieDays', '#settingsLeaveFerie', 'Inserisci i giorni di ferie'],
+            ['festivitaSoppresseDays', '#settingsLeaveFestivita', 'Inserisci i giorni di festività soppresse'],
+            ['permessiHours', '#settingsLeavePermessi', 'Inserisci le ore di permesso']
+        ];
+
+        const leave = {};
+        for (const [key, selector, message] of fields) {
+            const input = modal.querySelector(selector);
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value) || value < 0) {
+                this.showFieldError(input, message);
+                return null;
+            }
+            leave[key] = value;
+        }
+
+        // Il residuo può essere negativo (ferie anticipate)
+        const carryDaysInput = modal.querySelector('#settingsLeaveCarryDays');
+        const carryOverFerieDays = parseFloat(carryDaysInput.value || 0);
+        if (!Number.isFinite(carryOverFerieDays)) {
+            this.showFieldError(carryDaysInput, 'Inserisci i giorni residui');
+            return null;
+        }
+
+        const carryYearInput = modal.querySelector('#settingsLeaveCarryYear');
+        const carryOverYear = Number(carryYearInput.value);
+        if (!Number.isInteger(carryOverYear) || carryOverYear < 2000 || carryOverYear > 2100) {
+            this.showFieldError(carryYearInput, 'Anno non valido');
+            return null;
+        }
+
+        // Senza residuo iniziale il riporto parte dal primo anno con registrazioni
+        return { ...leave, carryOverFerieDays, carryOverYear: carryOverFerieDays !== 0 ? carryOverYear : null };
+    }
+
+    /**
+     * Legge e valida il santo patrono dalla modale impostazioni
+     * @param {HTMLElement} modal - Modale impostazioni
+     * @returns {Object|null} Sezione `holidays` o null se non valida (errore mostrato sul campo)
+     */
+    readPatronHoliday(modal) {
+        const patronMunicipality = modal.querySelector('#settingsPatronMunicipality').value.trim();
+        const dayInput = modal.querySelector('#settingsPatronDay');
+        const monthInput = modal.querySelector('#settingsPatronMonth');
+
+        // Giorno e mese vuoti: nessun patrono festivo
+        if (dayInput.value === '' && monthInput.value === '') {
+            return { patronMunicipality, patronDate: null };
+        }
+
+        const month = Number(monthInput.value);
+        if (!Number.isInteger(month) || month < 1 || month > 12) {
+            this.showFieldError(monthInput, 'Mese non valido');
+            return null;
+        }
+
+        // Anno bisestile di riferimento: il 29 febbraio è ammesso
+        const day = Number(dayInput.value);
+        if (!Number.isInteger(day) || day < 1 || day > new Date(2024, month, 0).getDate()) {
+            this.showFieldError(dayInput, 'Giorno non valido');
+            return null;
+        }
+
+        return {
+            patronMunicipality,
+            patronDate: `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+        };
+    }
+
+    /**
+     * Legge e valida le quote di smart working dalla modale impostazioni
+     * @param {HTMLElement} modal - Modale impostazioni
+     * @returns {Object|null} Sezione `smartWorking` o null se non valida (errore mostrato sul campo)
+     */
+    readSmartWorkingQuotas(modal) {
+        const fields = [
+            ['monthlyMaxDays', '#settingsSmartMonthly'],
+            ['weeklyMaxDays', '#settingsSmartWeekly'],
+            ['weeklyMinPresenceDays', '#settingsSmartPresence']
+        ];
+
+        // Campo vuoto: quota non applicata
+        const quotas = {};
+        for (const [key, selector] of fields) {
+            const input = modal.querySelector(selector);
+            const value = input.value === '' ? null : Number(input.value);
+            if (value !== null && (!Number.isInteger(value) || value < 0)) {
+                this.showFieldError(input, 'Inserisci un numero intero di giorni');
+                return null;
+            }
+            quotas[key] = value;
+        }
+
+        return quotas;
+    }
+
     /**
      * Verifica se una modale è aperta
      * @param {string} [name] - Nome modale specifica
@@ -6,9 +6,12 @@
  */
 
 import { eventBus, EVENTS } from '../utils/EventBus.js';
-import { formatDateWithDay, formatDateISO, isToday, isFriday, MONTH_NAMES } from '../utils/DateUtils.js';
-import { sanitizeString } from '../utils/Validators.js';
-import { timeCalculator, CONFIG } from '../services/TimeCalculator.js';
+import { formatDateWithDay, formatDateISO, formatDateIT, isToday, isFriday, parseDateISO, MONTH_NAMES } from '../utils/DateUtils.js';
+import { sanitizeString, minutesToTime, acceptsReason, isOnCallType, isNoteType, getJustificationLabel } from '../utils/Validators.js';
+import { AbsenceReason } from '../models/AbsenceReason.js';
+import { timeCalculator, ORPHAN_REASONS, PAUSE_REASONS } from '../services/TimeCalculator.js';
+import { mealVoucherService, VOUCHER_REASONS } from '../services/MealVoucherService.js';
+import { leaveBalanceService } from '../services/LeaveBalanceService.js';
 
 /**
  * Classe per gestione UI
@@ -22,16 +25,27 @@ export class UIManager {
      * @param {Function} options.onAssente - Callback per click Assente
      * @param {Function} options.onPrevWeek - Callback per navigazione indietro
      * @param {Function} options.onNextWeek - Callback per navigazione avanti
-     * @param {Function} options.onEditEntry - Callback per modifica entry
+     * @param {Function} options.onEditEntry - Callback per modifica entry (data, ID, entry)
      * @param {Function} options.onAddEntry - Callback per aggiunta entry su giorno specifico
      * @param {Function} options.onExportJSON - Callback per export JSON
      * @param {Function} options.onExportExcel - Callback per export Excel
+     * @param {Function} options.onExportYear - Callback per export riepilogo annuale
      * @param {Function} options.onImport - Callback per import
      * @param {Function} options.onBackup - Callback per backup
+     * @param {Function} options.onSettings - Callback per impostazioni
+     * @param {Function} options.onHourBank - Callback per dettaglio banca ore
+     * @param {Function} options.onPlanner - Callback per pianificazione dei giorni rimanenti
+     * @param {Function} options.onMissions - Callback per elenco missioni del mese
+     * @param {Function} options.onDayHistory - Callback per storico modifiche di un giorno
+     * @param {Function} options.onUndo - Callback per annullare l'ultima operazione
+     * @param {Function} options.onRedo - Callback per ripetere l'operazione annullata
      */
     constructor(options = {}) {
         this.callbacks = options;
         this.hasShownEditHintToast = false;
+
+        /** @type {number|null} Timer di chiusura del toast */
+        this.toastTimer = null;
         
         // Riferimenti DOM
         this.elements = {
@@ -40,7 +54,23 @@ export class UIManager {
             currentWeekBadge: document.getElementById('currentWeekBadge'),
             weekDays: document.getElementById('weekDays'),
             totalHours: document.getElementById('totalHours'),
+            targetHours: document.getElementById('targetHours'),
             balanceHours: document.getElementById('balanceHours'),
+            flexHours: document.getElementById('flexHours'),
+            overtimeHours: document.getElementById('overtimeHours'),
+            overtimeYear: document.getElementById('overtimeYear'),
+            hourBankTotal: document.getElementById('hourBankTotal'),
+            hourBankCarried: document.getElementById('hourBankCarried'),
+            mealVouchers: document.getElementById('mealVouchers'),
+            smartWorkingDays: document.getElementById('smartWorkingDays'),
+            missionsCount: document.getElementById('missionsCount'),
+            onCallRow: document.getElementById('onCallRow'),
+            onCallTotals: document.getElementById('onCallTotals'),
+            compliancePanel: document.getElementById('compliancePanel'),
+            complianceList: document.getElementById('complianceList'),
+            leavePanel: document.getElementById('leavePanel'),
+            leaveYear: document.getElementById('leaveYear'),
+            leaveList: document.getElementById('leaveList'),
             toast: document.getElementById('toast'),
             
             // Buttons
@@ -53,9 +83,14 @@ export class UIManager {
             nextWeekBtn: document.getElementById('nextWeekBtn'),
             exportJsonBtn: document.getElementById('exportJsonBtn'),
             exportExcelBtn: document.getElementById('exportExcelBtn'),
+            exportYearBtn: document.getElementById('exportYearBtn'),
             importBtn: document.getElementById('importBtn'),
             importFile: document.getElementById('importFile'),
             backupBtn: document.getElementById('backupBtn'),
+            settingsBtn: document.getElementById('settingsBtn'),
+            hourBankBtn: document.getElementById('hourBankBtn'),
+            plannerBtn: document.getElementById('plannerBtn'),
+            missionsBtn: document.getElementById('missionsBtn'),
             installBtn: document.getElementById('installBtn')
         };
 
@@ -68,6 +103,47 @@ export class UIManager {
     init() {
         this.setupEventListeners();
         this.setupPWAInstall();
+        this.startExitCountdown();
+    }
+
+    /**
+     * Avvia l'aggiornamento al minuto dei conti alla rovescia di uscita
+     * Il primo aggiornamento è allineato all'inizio del minuto successivo.
+     */
+    startExitCountdown() {
+        const now = new Date();
+        const untilNextMinute = (60 - now.getSeconds()) * 1000 - now.getMilliseconds();
+
+        setTimeout(() => {
+            this.updateExitCountdowns();
+            this.exitCountdownTimer = setInterval(() => this.updateExitCountdowns(), 60 * 1000);
+        }, untilNextMinute);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.updateExitCountdowns();
+            }
+        });
+    }
+
+    /**
+     * Aggiorna i conti alla rovescia dei giorni con turno aperto
+     * Il conto alla rovescia vale solo per oggi; negli altri giorni resta l'orario suggerito.
+     */
+    updateExitCountdowns() {
+        const now = new Date();
+        const todayKey = formatDateISO(now);
+        const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+        document.querySelectorAll('.exit-countdown[data-exit-minutes]').forEach(element => {
+            const isToday = element.dataset.date === todayKey;
+            const remaining = Number(element.dataset.exitMinutes) - nowMinutes;
+            element.hidden = !isToday;
+            element.classList.toggle('is-reached', isToday && remaining <= 0);
+            element.textContent = remaining <= 0
+                ? '✓ raggiunto'
+                : `tra ${timeCalculator.formatHoursReadable(remaining)}`;
+        });
     }
 
     /**
@@ -114,6 +190,10 @@ export class UIManager {
             callbacks.onExportExcel?.();
         });
 
+        elements.exportYearBtn?.addEventListener('click', () => {
+            callbacks.onExportYear?.();
+        });
+
         elements.importBtn?.addEventListener('click', () => {
             elements.importFile?.click();
         });
@@ -130,6 +210,35 @@ export class UIManager {
             callbacks.onBackup?.();
         });
 
+        elements.settingsBtn?.addEventListener('click', () => {
+            callbacks.onSettings?.();
+        });
+
+        elements.hourBankBtn?.addEventListener('click', () => {
+            callbacks.onHourBank?.();
+        });
+
+        elements.plannerBtn?.addEventListener('click', () => {
+            callbacks.onPlanner?.();
+        });
+
+        elements.missionsBtn?.addEventListener('click', () => {
+            callbacks.onMissions?.();
+        });
+
+        // Annulla/ripeti da tastiera, fuori dai campi di testo e dalle modali
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest?.('input, textarea, select') || document.querySelector('.modal.is-open')) return;
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                callbacks.onRedo?.();
+            } else {
+                callbacks.onUndo?.();
+            }
+        });
+
         // Subscribe to events
         eventBus.on(EVENTS.TOAST_SHOW, (data) => {
             this.showToast(data.message, data.type);
@@ -391,8 +500,12 @@ export class UIManager {
      * Aggiorna la vista della settimana
      * @param {Object} weekInfo - Info settimana
      * @param {Object} weekData - Dati della settimana
+     * @param {Object|null} [context] - Contesto totali (vedi updateTotals)
+     * @param {Array} [context.compliance] - Avvisi di conformità della settimana
+     * @param {Object} [context.leaveBalances] - Saldi di ferie e permessi dell'anno {year, balances}
+     * @param {Object} [context.shortLeave] - Riepilogo permessi brevi (vedi ShortLeaveService.getSummary)
      */
-    renderWeek(weekInfo, weekData) {
+    renderWeek(weekInfo, weekData, context = null) {
         // Aggiorna header settimana
         this.elements.weekLabel.textContent = `Settimana ${weekInfo.week}`;
         this.elements.yearLabel.textContent = weekInfo.year;
@@ -408,58 +521,114 @@ export class UIManager {
         }
 
         // Render giorni
-        this.renderDays(weekInfo.days, weekData);
+        const compliance = context?.compliance || [];
+        this.renderDays(weekInfo.days, weekData, compliance, context?.historyCounts || {});
 
         // Suggerimento uscita venerdì
         this.renderFridayExitHint(weekInfo, weekData);
 
-        // Calcola e mostra totali
-        this.updateTotals(weekData);
+        // Calcola e mostra totali (i festivi riducono il target)
+        this.updateTotals(weekData, context, weekInfo.days.map(day => day.dateKey));
+
+        // Elenco avvisi di conformità
+        this.renderCompliance(compliance);
+
+        // Saldi di ferie e permessi
+        if (context?.leaveBalances) {
+            this.renderLeaveBalances(context.leaveBalances, context.shortLeave);
+        }
     }
 
     /**
      * Render dei giorni della settimana
      * @param {Array} days - Info giorni
      * @param {Object} weekData - Dati settimana
+     * @param {Array} [compliance=[]] - Avvisi di conformità della settimana
+     * @param {Object} [historyCounts={}] - Modifiche registrate per giorno {dateKey: count}
      */
-    renderDays(days, weekData) {
+    renderDays(days, weekData, compliance = [], historyCounts = {}) {
         const container = this.elements.weekDays;
         container.innerHTML = '';
 
+        const dateKeys = days.map(day => day.dateKey);
         for (const day of days) {
             const entries = weekData[day.dateKey] || [];
-            const dayCard = this.createDayCard(day, entries);
+            const warnings = compliance.filter(finding => finding.dateKey === day.dateKey);
+            const exitSuggestion = timeCalculator.calculateDayExitSuggestion(entries, day.dateKey, { weekEntries: weekData, dateKeys });
+            const dayCard = this.createDayCard(day, entries, warnings, timeCalculator.getDayContext(weekData, day.dateKey), exitSuggestion, historyCounts[day.dateKey] || 0);
             container.appendChild(dayCard);
         }
+
+        this.updateExitCountdowns();
     }
 
     /**
      * Crea la card di un giorno
      * @param {Object} day - Info giorno
      * @param {Array} entries - Entry del giorno
+     * @param {Array} [warnings=[]] - Avvisi di conformità del giorno
+     * @param {Object} [dayContext={}] - Opzioni di calcolo (entry del giorno precedente per i turni notturni)
+     * @param {Object|null} [exitSuggestion=null] - Uscita suggerita con turno aperto (vedi calculateDayExitSuggestion)
+     * @param {number} [historyCount=0] - Modifiche registrate nello storico del giorno
      * @returns {HTMLElement}
      */
-    createDayCard(day, entries) {
+    createDayCard(day, entries, warnings = [], dayContext = {}, exitSuggestion = null, historyCount = 0) {
         const card = document.createElement('article');
         card.className = 'day-card';
         
         if (day.isToday) {
             card.classList.add('is-today');
         }
+        if (day.holiday) {
+            card.classList.add('is-holiday');
+        }
 
         // Calcola ore del giorno
-        const dayHours = timeCalculator.calculateDayHours(entries, day.dateKey);
+        const dayHours = timeCalculator.calculateDayHours(entries, day.dateKey, dayContext);
+
+        // Ore da orari grezzi, se l'arrotondamento del cartellino le modifica
+        let rawHoursHTML = '';
+        if (timeCalculator.isRoundingActive()) {
+            const rawHours = timeCalculator.calculateDayHours(entries, day.dateKey, { ...dayContext, raw: true });
+            if (rawHours.minutes !== dayHours.minutes) {
+                rawHoursHTML = `<span class="day-hours-raw" title="Ore dalle timbrature esatte">esatte ${rawHours.formatted}</span>`;
+            }
+        }
 
         // Calcola delta giornaliero (minuti extra/deficit)
-        const delta = timeCalculator.calculateDayDelta(entries, day.dateKey);
+        const delta = timeCalculator.calculateDayDelta(entries, day.dateKey, dayContext);
         let deltaHTML = '';
         if (delta && !delta.hasIncomplete) {
             const deltaClass = delta.isPositive ? 'delta-positive' : delta.isNegative ? 'delta-negative' : 'delta-neutral';
             deltaHTML = `<span class="day-delta ${deltaClass}">${delta.formatted}</span>`;
-        } else if (delta && delta.hasIncomplete) {
+        } else if (delta && delta.isInProgress) {
             deltaHTML = `<span class="day-delta delta-in-progress">in corso…</span>`;
+        } else if (delta && delta.hasIncomplete) {
+            deltaHTML = `<span class="day-delta delta-unmatched" title="Ci sono timbrature senza controparte">da verificare</span>`;
         }
 
+        // Quota di eccedenza autorizzata come straordinario
+        const overtime = timeCalculator.calculateDayOvertime(entries, day.dateKey, Infinity, dayContext);
+        if (overtime.requestedMinutes > 0) {
+            deltaHTML += `<span class="day-delta delta-overtime" title="Straordinario autorizzato">💶 ${timeCalculator.formatDeltaMinutes(overtime.requestedMinutes)}</span>`;
+        }
+
+        // Tag rientro pomeridiano (dal profilo contrattuale)
+        const rientroHTML = timeCalculator.isRientro(day.dateKey)
+            ? `<span class="day-tag" title="Rientro pomeridiano: pausa obbligatoria">Rientro</span>`
+            : '';
+
+        // Festività: giorno non lavorativo, le ore registrate sono eccedenza
+        const holidayHTML = day.holiday
+            ? `<span class="day-tag day-tag-holiday" title="Giorno festivo: nessun orario dovuto">🎉 ${sanitizeString(day.holiday.name)}</span>`
+            : '';
+
+        // Buono pasto maturato
+        const voucher = mealVoucherService.checkDay(entries, day.dateKey);
+        const voucherHTML = voucher.eligible
+            ? `<span class="day-tag day-tag-voucher" title="Buono pasto maturato${voucher.reason === VOUCHER_REASONS.RIENTRO ? ' (rientro)' : ''}">🍽️</span>`
+            : '';
+
         // Header
         const header = document.createElement('header');
         header.className = 'day-header';
@@ -467,9 +636,13 @@ export class UIManager {
             <div>
                 <span class="day-name">${this.getDayName(day.dayOfWeek)}</span>
                 <span class="day-date">${this.formatDate(day.date)}</span>
+                ${holidayHTML}
+                ${rientroHTML}
+                ${voucherHTML}
             </div>
             <div class="day-hours-wrapper">
-                <span class="day-hours">${dayHours.formatted}</span>
+                ${rawHoursHTML}
+                <span class="day-hours"${this.getDayHoursTitle(dayHours, rawHoursHTML)}>${dayHours.formatted}</span>
                 ${deltaHTML}
             </div>
         `;
@@ -482,7 +655,7 @@ export class UIManager {
         if (entries.length === 0) {
             entriesContainer.classList.add('empty', 'clickable');
             entriesContainer.innerHTML = `
-                <span class="empty-text">Nessuna registrazione</span>
+                <span class="empty-text">${day.holiday ? 'Festivo' : 'Nessuna registrazione'}</span>
                 <span class="add-hint">+ Tocca per aggiungere</span>
             `;
             
@@ -503,8 +676,13 @@ export class UIManager {
                 }
             });
         } else {
+            // Timbrature spaiate (abbinamento cronologico); l'entrata aperta di oggi è un turno in corso
+            const orphans = new Map(timeCalculator.pairEntries(entries).orphans
+                .filter(orphan => !(day.isToday && orphan.reason === ORPHAN_REASONS.OPEN))
+                .map(orphan => [orphan.index, orphan]));
+
             entries.forEach((entry, index) => {
-                const entryEl = this.createEntryItem(entry, day.dateKey, index);
+                const entryEl = this.createEntryItem(entry, day.dateKey, orphans.get(index));
                 entriesContainer.appendChild(entryEl);
             });
             
@@ -521,44 +699,168 @@ export class UIManager {
         }
 
         card.appendChild(entriesContainer);
+
+        // Motivo della pausa detratta in automatico
+        if (dayHours.pauseReason) {
+            const pauseNote = document.createElement('p');
+            pauseNote.className = 'day-pause-note';
+            pauseNote.textContent = `☕ ${this.getPauseNote(dayHours)}`;
+            card.appendChild(pauseNote);
+        }
+
+        // Uscita suggerita con turno aperto
+        if (exitSuggestion?.targetExit) {
+            card.appendChild(this.createExitHint(day.dateKey, exitSuggestion));
+        }
+
+        // Avvisi D.Lgs. 66/2003
+        if (warnings.length > 0) {
+            card.classList.add('has-warnings');
+            const warningsList = document.createElement('ul');
+            warningsList.className = 'day-warnings';
+            warningsList.innerHTML = warnings
+                .map(warning => `<li class="day-warning">⚠️ ${sanitizeString(warning.message)}</li>`)
+                .join('');
+            card.appendChild(warningsList);
+        }
+
+        // Storico modifiche del giorno
+        if (historyCount > 0) {
+            const historyBtn = document.createElement('button');
+            historyBtn.className = 'day-history-link';
+            historyBtn.textContent = `🕘 Storico modifiche (${historyCount}) ›`;
+            historyBtn.addEventListener('click', () => {
+                this.callbacks.onDayHistory?.(day.dateKey);
+            });
+            card.appendChild(historyBtn);
+        }
+
         return card;
     }
 
+    /**
+     * Crea il suggerimento di uscita di un giorno con turno aperto
+     * @param {string} dateKey - Data ISO
+     * @param {Object} suggestion - Risultato di calculateDayExitSuggestion
+     * @returns {HTMLElement}
+     */
+    createExitHint(dateKey, suggestion) {
+        const formatExit = (label, exit) => `
+            ${label}: <strong>${exit.time}</strong>${exit.nextDay ? ' (+1)' : ''}
+            <span class="exit-countdown" data-date="${dateKey}" data-exit-minutes="${exit.minutes}"></span>
+        `;
+
+        const parts = [formatExit('Target giornata', suggestion.targetExit)];
+        if (suggestion.weekExit) {
+            parts.push(formatExit('Settimana in pari', suggestion.weekExit));
+        }
+
+        const hint = document.createElement('div');
+        hint.className = 'day-exit-hint';
+        hint.innerHTML = `
+            <span class="friday-hint-icon">🕐</span>
+            <span class="friday-hint-text">${parts.join(' · ')}</span>
+        `;
+        return hint;
+    }
+
+    /**
+     * Attributo title delle ore del giorno (arrotondamento e turni notturni)
+     * @param {Object} dayHours - Risultato di calculateDayHours
+     * @param {string} rawHoursHTML - Markup delle ore esatte (vuoto se non mostrate)
+     * @returns {string}
+     */
+    getDayHoursTitle(dayHours, rawHoursHTML) {
+        const notes = [];
+        if (rawHoursHTML) notes.push('Ore cartellino (arrotondate)');
+        if (dayHours.carryInMinutes > 0) notes.push(`di cui ${minutesToTime(dayHours.carryInMinutes)} dal turno notturno del giorno prima`);
+        if (dayHours.overnightMinutes > 0) notes.push(`${minutesToTime(dayHours.overnightMinutes)} dopo la mezzanotte conteggiate sul giorno dopo`);
+        return notes.length > 0 ? ` title="${notes.join('; ')}"` : '';
+    }
+
+    /**
+     * Spiega perché la pausa è stata detratta
+     * @param {Object} dayHours - Risultato di calculateDayHours
+     * @returns {string}
+     */
+    getPauseNote(dayHours) {
+        const deducted = `Pausa detratta ${dayHours.pauseMinutes} min`;
+
+        if (dayHours.pauseReason === PAUSE_REASONS.OUTSIDE_WINDOW) {
+            const window = timeCalculator.getPauseWindow();
+            const range = window ? ` ${minutesToTime(window.start)}–${minutesToTime(window.end)}` : '';
+            return dayHours.validBreakMinutes > 0
+                ? `${deducted}: solo ${dayHours.validBreakMinutes} min di pausa nella fascia${range}`
+                : `${deducted}: pausa timbrata fuori dalla fascia${range}`;
+        }
+        if (dayHours.pauseReason === PAUSE_REASONS.SHORT_BREAK) {
+            return `${deducted}: pausa timbrata di ${dayHours.validBreakMinutes} min, sotto il minimo`;
+        }
+        return `${deducted}: nessuna pausa timbrata`;
+    }
+
+    /**
+     * Markup di motivazione e nota allegate a un'entry
+     * @param {Object} entry - Dati entry
+     * @returns {string} Stringa vuota se l'entry non ha note
+     */
+    getEntryNoteHTML(entry) {
+        const text = [getJustificationLabel(entry.justification), entry.note].filter(Boolean).join(' · ');
+        return text ? `<span class="entry-detail entry-note">💬 ${sanitizeString(text)}</span>` : '';
+    }
+
     /**
      * Crea l'elemento di una singola entry
      * @param {Object} entry - Dati entry
      * @param {string} dateKey - Data ISO
-     * @param {number} index - Indice entry
+     * @param {{reason: string}} [orphan] - Presente se la timbratura non ha controparte
      * @returns {HTMLElement}
      */
-    createEntryItem(entry, dateKey, index) {
+    createEntryItem(entry, dateKey, orphan = null) {
         const item = document.createElement('div');
         item.className = 'entry-item';
+        if (orphan) {
+            item.classList.add('entry-orphan');
+        }
 
         // Gestisci correttamente il display value
         let displayValue;
-        if (entry.time) {
-            displayValue = entry.time;
+        if (entry.time && entry.endTime) {
+            // Permesso breve o reperibilità: fascia oraria (la reperibilità può finire il giorno dopo)
+            displayValue = isOnCallType(entry.type) && entry.endTime <= entry.time
+                ? `${entry.time}–${entry.endTime} (+1)`
+                : `${entry.time}–${entry.endTime}`;
+        } else if (entry.time) {
+            // Uscita del giorno dopo (turno a cavallo della mezzanotte)
+            displayValue = entry.nextDay ? `${entry.time} (+1)` : entry.time;
         } else if (entry.hours !== undefined && entry.hours !== null) {
             displayValue = `${entry.hours}h`;
+        } else if (entry.type === 'straordinario') {
+            // Marcatore senza ore: vale tutta l'eccedenza del giorno
+            displayValue = 'Eccedenza';
+        } else if (isNoteType(entry.type)) {
+            displayValue = '📝';
         } else {
             // Fallback per entry incomplete (es. entrata senza orario)
             displayValue = '--:--';
         }
-        const typeLabel = this.getTypeLabel(entry.type);
+        const typeLabel = this.getTypeLabel(entry.type, entry.reason);
         const typeClass = `type-${entry.type}`;
 
         item.innerHTML = `
             <div class="entry-info">
                 <span class="entry-time">${sanitizeString(displayValue)}</span>
                 <span class="entry-type ${typeClass}">${typeLabel}</span>
+                ${entry.type === 'missione' ? `<span class="entry-detail">${sanitizeString(entry.destination || '')} · viaggio ${minutesToTime(entry.travelMinutes || 0)}</span>` : ''}
+                ${this.getEntryNoteHTML(entry)}
+                ${orphan ? `<span class="entry-orphan-label">${this.getOrphanLabel(orphan.reason)}</span>` : ''}
             </div>
             <button type="button" class="entry-edit-btn" aria-label="Correggi registrazione" title="Solo correzione manuale">Correggi</button>
         `;
 
         const editBtn = item.querySelector('.entry-edit-btn');
         const handleEdit = () => {
-            this.callbacks.onEditEntry?.(dateKey, index, entry);
+            this.callbacks.onEditEntry?.(dateKey, entry.id, entry);
         };
 
         editBtn?.addEventListener('click', (e) => {
@@ -587,33 +889,194 @@ export class UIManager {
     /**
      * Aggiorna i totali della settimana
      * @param {Object} weekData - Dati settimana
+     * @param {Object|null} [context] - Dati oltre la settimana
+     * @param {number} context.carriedMinutes - Riporto banca ore
+     * @param {Object} context.overtimeUsedByYear - Straordinario già riconosciuto per anno {year: minuti}
+     * @param {{year: number, usedMinutes: number, capMinutes: number}} context.overtimeYear - Progressivo annuo
+     * @param {Array<{label: string, count: number}>} context.mealVouchers - Buoni pasto dei mesi della settimana
+     * @param {Array<{label: string, usedDays: number, maxDays: number|null}>} context.smartWorking - Smart working dei mesi della settimana
+     * @param {{week: Object, months: Array}} context.onCall - Totali della reperibilità (vedi OnCallService.getTotals)
+     * @param {Array<{label: string, missions: Array}>} context.missions - Missioni dei mesi della settimana
+     * @param {string[]} [dateKeys=[]] - Date della settimana (per i festivi)
      */
-    updateTotals(weekData) {
+    updateTotals(weekData, context = null, dateKeys = []) {
         const weekTotal = timeCalculator.calculateWeekTotal(weekData);
-        const balance = timeCalculator.calculateBalance(weekTotal.minutes);
+        const targetMinutes = timeCalculator.getWeeklyTargetMinutes(dateKeys);
+        const balance = timeCalculator.calculateBalance(weekTotal.minutes, targetMinutes);
+        const split = timeCalculator.calculateWeekOvertime(weekData, context?.overtimeUsedByYear, dateKeys);
 
         this.elements.totalHours.textContent = weekTotal.formatted;
+        if (this.elements.targetHours) {
+            this.elements.targetHours.textContent = minutesToTime(targetMinutes);
+            this.elements.targetHours.title = timeCalculator.getProfile(dateKeys[0] ?? null).name;
+        }
         this.elements.balanceHours.textContent = balance.formatted;
+        this.setBalanceClass(this.elements.balanceHours, balance.minutes);
+
+        // Saldo diviso tra flessibilità e straordinario autorizzato
+        if (this.elements.flexHours) {
+            this.elements.flexHours.textContent = this.formatSigned(split.flexMinutes);
+            this.setBalanceClass(this.elements.flexHours, split.flexMinutes);
+            this.elements.overtimeHours.textContent = minutesToTime(split.overtimeMinutes);
+            this.elements.overtimeHours.title = split.overCapMinutes > 0
+                ? `${minutesToTime(split.overCapMinutes)} oltre il tetto annuo, conteggiate come flessibilità`
+                : '';
+
+            const overtimeYear = context?.overtimeYear;
+            this.elements.overtimeYear.textContent = overtimeYear && Number.isFinite(overtimeYear.capMinutes)
+                ? `${overtimeYear.year}: ${minutesToTime(overtimeYear.usedMinutes)} / ${minutesToTime(overtimeYear.capMinutes)}`
+                : '';
+            this.elements.overtimeYear.classList.toggle('is-over-cap', split.overCapMinutes > 0);
+        }
 
-        // Aggiorna classe per colore
-        this.elements.balanceHours.classList.remove('balance-positive', 'balance-negative', 'balance-neutral');
-        
-        if (balance.isPositive) {
-            this.elements.balanceHours.classList.add('balance-positive');
-        } else if (balance.isNegative) {
-            this.elements.balanceHours.classList.add('balance-negative');
+        // Banca ore: riporto delle settimane precedenti + flessibilità della settimana
+        if (context && this.elements.hourBankTotal) {
+            const runningMinutes = context.carriedMinutes + split.flexMinutes;
+            this.elements.hourBankTotal.textContent = this.formatSigned(runningMinutes);
+            this.setBalanceClass(this.elements.hourBankTotal, runningMinutes);
+            this.elements.hourBankCarried.textContent = `riporto ${this.formatSigned(context.carriedMinutes)}`;
+        }
+
+        // Buoni pasto maturati nei mesi della settimana
+        if (context?.mealVouchers && this.elements.mealVouchers) {
+            this.elements.mealVouchers.textContent = context.mealVouchers
+                .map(({ label, count }) => `${label}: ${count}`)
+                .join(' · ');
+        }
+
+        // Giorni di smart working usati rispetto alla quota mensile
+        if (context?.smartWorking && this.elements.smartWorkingDays) {
+            this.elements.smartWorkingDays.textContent = context.smartWorking
+                .map(({ label, usedDays, maxDays }) => `${label}: ${usedDays}${maxDays !== null ? `/${maxDays}` : ''}`)
+                .join(' · ');
+            this.elements.smartWorkingDays.classList.toggle(
+                'is-over-cap',
+                context.smartWorking.some(({ usedDays, maxDays }) => maxDays !== null && usedDays > maxDays)
+            );
+        }
+
+        // Missioni registrate nei mesi della settimana (etichetta senza anno)
+        if (context?.missions && this.elements.missionsCount) {
+            this.elements.missionsCount.textContent = context.missions
+                .map(({ label, missions }) => `${label.split(' ')[0]}: ${missions.length}`)
+                .join(' · ');
+        }
+
+        // Reperibilità: fuori dal saldo, con totali propri per settimana e mese
+        if (context?.onCall && this.elements.onCallRow) {
+            const formatOnCall = (label, totals) => `${label}: ${minutesToTime(totals.availabilityMinutes)}` +
+                (totals.interventionCount > 0 ? `, interventi ${totals.interventionCount} (${minutesToTime(totals.interventionMinutes)})` : '');
+            const months = context.onCall.months.filter(month => month.availabilityMinutes > 0 || month.interventionCount > 0);
+
+            this.elements.onCallRow.hidden = months.length === 0;
+            this.elements.onCallTotals.textContent = [
+                formatOnCall('Settimana', context.onCall.week),
+                ...months.map(month => formatOnCall(month.label, month))
+            ].join(' · ');
+        }
+    }
+
+    /**
+     * Mostra l'elenco degli avvisi di conformità della settimana
+     * @param {Array} compliance - Avvisi {rule, dateKey, message}
+     */
+    renderCompliance(compliance) {
+        const { compliancePanel, complianceList } = this.elements;
+        if (!compliancePanel) return;
+
+        compliancePanel.hidden = compliance.length === 0;
+        complianceList.innerHTML = compliance.map(finding => {
+            const day = finding.dateKey
+                ? `<strong>${this.getDayName(parseDateISO(finding.dateKey).getDay())}</strong> · `
+                : '';
+            return `<li class="compliance-item">${day}${sanitizeString(finding.message)}</li>`;
+        }).join('');
+    }
+
+    /**
+     * Mostra i saldi di ferie e permessi dell'anno
+     * @param {{year: number, balances: Array}} leaveBalances - Saldi (vedi LeaveBalanceService.getBalances)
+     * @param {Object|null} [shortLeave] - Riepilogo permessi brevi (vedi ShortLeaveService.getSummary)
+     */
+    renderLeaveBalances({ year, balances }, shortLeave = null) {
+        const { leavePanel, leaveYear, leaveList } = this.elements;
+        if (!leavePanel) return;
+
+        leaveYear.textContent = year;
+        leaveList.innerHTML = balances.map(balance => {
+            const format = value => leaveBalanceService.formatAmount(value, balance.unit);
+            const carried = balance.carriedOver !== 0 ? ` + riporto ${format(balance.carriedOver)}` : '';
+            return `
+                <li class="leave-item${balance.remaining < 0 ? ' is-over' : ''}">
+                    <span class="leave-label">${balance.icon} ${sanitizeString(balance.label)}</span>
+                    <span class="leave-remaining">${format(balance.remaining)}</span>
+                    <span class="leave-detail">spettanti ${format(balance.entitled)}${carried} · fruiti ${format(balance.used)}</span>
+                </li>`;
+        }).join('') + (shortLeave ? this.renderShortLeaveItem(shortLeave) : '');
+    }
+
+    /**
+     * Riga dei permessi brevi: ore residue sul tetto annuo e minuti da recuperare
+     * @param {Object} shortLeave - Riepilogo (vedi ShortLeaveService.getSummary)
+     * @returns {string} HTML
+     */
+    renderShortLeaveItem(shortLeave) {
+        const remaining = shortLeave.capMinutes - shortLeave.usedMinutes;
+        const details = [`usati ${minutesToTime(shortLeave.usedMinutes)} h`];
+
+        if (shortLeave.openMinutes > 0) {
+            const deadline = formatDateIT(parseDateISO(shortLeave.nextDeadline), false);
+            details.push(`da recuperare ${minutesToTime(shortLeave.openMinutes)} entro il ${deadline}`);
+        }
+        if (shortLeave.expiredMinutes > 0) {
+            details.push(`${minutesToTime(shortLeave.expiredMinutes)} non recuperate`);
+        }
+
+        const classes = ['leave-item'];
+        if (remaining < 0) classes.push('is-over');
+        if (shortLeave.warnings.length > 0 || shortLeave.expiredMinutes > 0) classes.push('is-due-soon');
+
+        return `
+                <li class="${classes.join(' ')}">
+                    <span class="leave-label">⏸️ Permessi brevi</span>
+                    <span class="leave-remaining">${minutesToTime(remaining)} h</span>
+                    <span class="leave-detail">${details.join(' · ')}</span>
+                </li>`;
+    }
+
+    /**
+     * Applica la classe colore di un saldo
+     * @param {HTMLElement} element - Elemento
+     * @param {number} minutes - Saldo in minuti
+     */
+    setBalanceClass(element, minutes) {
+        element.classList.remove('balance-positive', 'balance-negative', 'balance-neutral');
+        if (minutes > 0) {
+            element.classList.add('balance-positive');
+        } else if (minutes < 0) {
+            element.classList.add('balance-negative');
         } else {
-            this.elements.balanceHours.classList.add('balance-neutral');
+            element.classList.add('balance-neutral');
         }
     }
 
+    /**
+     * Formatta minuti con segno (+HH:MM / -HH:MM)
+     * @param {number} minutes - Minuti
+     * @returns {string}
+     */
+    formatSigned(minutes) {
+        return `${minutes >= 0 ? '+' : ''}${minutesToTime(minutes)}`;
+    }
+
     /**
      * Mostra un toast notification
      * @param {string} message - Messaggio
      * @param {string} [type='info'] - Tipo: success, error, warning, info
      * @param {number} [duration=3000] - Durata in ms
+     * @param {{label: string, onClick: Function}|null} [action=null] - Azione del toast (es. Annulla)
      */
-    showToast(message, type = 'info', duration = 3000) {
+    showToast(message, type = 'info', duration = 3000, action = null) {
         const toast = this.elements.toast;
         
         // Reset classi
@@ -624,10 +1087,23 @@ export class UIManager {
         }
         
         toast.textContent = message;
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.classList.remove('is-visible');
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
         toast.classList.add('is-visible');
 
-        // Auto-hide
-        setTimeout(() => {
+        // Auto-hide (un nuovo toast riparte da capo)
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
             toast.classList.remove('is-visible');
         }, duration);
     }
@@ -652,20 +1128,47 @@ export class UIManager {
     }
 
     /**
-     * Ottiene l'etichetta del tipo entry
+     * Ottiene l'etichetta del tipo entry (per assenze e permessi, la causale)
      * @param {string} type - Tipo
+     * @param {string|null} [reasonId] - Causale dell'entry
      * @returns {string}
      */
-    getTypeLabel(type) {
+    getTypeLabel(type, reasonId = null) {
+        if (acceptsReason(type)) {
+            return AbsenceReason.forEntry({ type, reason: reasonId }).label;
+        }
+
         const labels = {
             'entrata': 'Entrata',
             'uscita': 'Uscita',
             'smart': 'Smart Working',
-            'assente': 'Assente'
+            'assente': 'Assente',
+            'straordinario': 'Straordinario',
+            'permesso': 'Permesso',
+            'breve': 'Permesso breve',
+            'reperibilita': 'Reperibilità',
+            'intervento': 'Intervento',
+            'missione': 'Missione',
+            'nota': 'Nota del giorno'
         };
         return labels[type] || type;
     }
 
+    /**
+     * Ottiene l'etichetta di una timbratura spaiata
+     * @param {string} reason - Motivo (ORPHAN_REASONS)
+     * @returns {string}
+     */
+    getOrphanLabel(reason) {
+        const labels = {
+            [ORPHAN_REASONS.OPEN]: 'Uscita mancante',
+            [ORPHAN_REASONS.MISSING_EXIT]: 'Uscita mancante',
+            [ORPHAN_REASONS.MISSING_ENTRY]: 'Entrata mancante',
+            [ORPHAN_REASONS.INVALID_TIME]: 'Orario non valido'
+        };
+        return labels[reason] || 'Senza controparte';
+    }
+
     /**
      * Abilita/disabilita un bottone
      * @param {string} buttonName - Nome bottone
@@ -753,7 +1256,8 @@ export class UIManager {
     }
 
     /**
-     * Mostra suggerimento uscita anticipata venerdì con minuti extra accumulati
+     * Mostra suggerimento uscita anticipata nell'ultimo giorno lavorativo
+     * (di norma venerdì) con minuti extra accumulati
      * @param {Object} weekInfo - Info settimana
      * @param {Object} weekData - Dati settimana
      */
@@ -776,9 +1280,11 @@ export class UIManager {
                 break;
             }
         }
-        if (!fridayCard) return;
+        // Con il turno aperto l'uscita suggerita del giorno sostituisce questo suggerimento
+        if (!fridayCard || fridayCard.querySelector('.day-exit-hint')) return;
 
         const extraFormatted = timeCalculator.formatDeltaMinutes(suggestion.extraMinutes);
+        const lastDayName = this.getDayName(parseDateISO(suggestion.fridayDateKey).getDay()).toLowerCase();
         const hint = document.createElement('div');
         hint.id = 'fridayExitHint';
         hint.className = 'friday-exit-hint';
@@ -799,8 +1305,8 @@ export class UIManager {
             hint.innerHTML = `
                 <span class="friday-hint-icon">🕐</span>
                 <span class="friday-hint-text">
-                    Extra Lun–Gio: <strong>${extraFormatted}</strong> → 
-                    Target venerdì: <strong>${adjustedFormatted}</strong> → 
+                    Extra settimana: <strong>${extraFormatted}</strong> → 
+                    Target ${lastDayName}: <strong>${adjustedFormatted}</strong> → 
                     Uscita suggerita: <strong>${suggestion.exitTime}</strong>
                 </span>
             `;
@@ -823,8 +1329,8 @@ export class UIManager {
             hint.innerHTML = `
                 <span class="friday-hint-icon">💡</span>
                 <span class="friday-hint-text">
-                    Extra Lun–Gio: <strong>${extraFormatted}</strong> → 
-                    Target venerdì: <strong>${adjustedFormatted}</strong>
+                    Extra settimana: <strong>${extraFormatted}</strong> → 
+                    Target ${lastDayName}: <strong>${adjustedFormatted}</strong>
                 </span>
             `;
         } else {
@@ -17,10 +17,10 @@
  */
 
 // IMPORTANTE: Incrementa questo numero per forzare l'aggiornamento dell'app
-const CACHE_NAME = 'timbra-pa-v24';
+const CACHE_NAME = 'timbra-pa-v54';
 
 // Versione leggibile per logging
-const APP_VERSION = '2.3.5';
+const APP_VERSION = '2.28.5';
 
 // Determina il base path per GitHub Pages o localhost
 const BASE_PATH = self.location.pathname.replace('service-worker.js', '');
@@ -33,10 +33,25 @@ const CACHE_URLS = [
     BASE_PATH + 'js/controllers/AppController.js',
     BASE_PATH + 'js/models/TimeEntry.js',
     BASE_PATH + 'js/models/WeekData.js',
+    BASE_PATH + 'js/models/ContractProfile.js',
+    BASE_PATH + 'js/models/AbsenceReason.js',
     BASE_PATH + 'js/services/TimeCalculator.js',
     BASE_PATH + 'js/services/WeekNavigator.js',
     BASE_PATH + 'js/services/ExportService.js',
+    BASE_PATH + 'js/services/SettingsService.js',
+    BASE_PATH + 'js/services/HourBankService.js',
+    BASE_PATH + 'js/services/ComplianceService.js',
+    BASE_PATH + 'js/services/MealVoucherService.js',
+    BASE_PATH + 'js/services/LeaveBalanceService.js',
+    BASE_PATH + 'js/services/ShortLeaveService.js',
+    BASE_PATH + 'js/services/HolidayService.js',
+    BASE_PATH + 'js/services/WeekPlannerService.js',
+    BASE_PATH + 'js/services/SmartWorkingService.js',
+    BASE_PATH + 'js/services/OnCallService.js',
+    BASE_PATH + 'js/services/AuditService.js',
+    BASE_PATH + 'js/services/MissionService.js',
     BASE_PATH + 'js/storage/StorageManager.js',
+    BASE_PATH + 'js/storage/SchemaMigrations.js',
     BASE_PATH + 'js/storage/LocalStorageAdapter.js',
     BASE_PATH + 'js/storage/IndexedDBAdapter.js',
     BASE_PATH + 'js/views/UIManager.js',
@@ -57,10 +72,25 @@ const APP_SHELL_PATHS = new Set([
     BASE_PATH + 'js/controllers/AppController.js',
     BASE_PATH + 'js/models/TimeEntry.js',
     BASE_PATH + 'js/models/WeekData.js',
+    BASE_PATH + 'js/models/ContractProfile.js',
+    BASE_PATH + 'js/models/AbsenceReason.js',
     BASE_PATH + 'js/services/TimeCalculator.js',
     BASE_PATH + 'js/services/WeekNavigator.js',
     BASE_PATH + 'js/services/ExportService.js',
+    BASE_PATH + 'js/services/SettingsService.js',
+    BASE_PATH + 'js/services/HourBankService.js',
+    BASE_PATH + 'js/services/ComplianceService.js',
+    BASE_PATH + 'js/services/MealVoucherService.js',
+    BASE_PATH + 'js/services/LeaveBalanceService.js',
+    BASE_PATH + 'js/services/ShortLeaveService.js',
+    BASE_PATH + 'js/services/HolidayService.js',
+    BASE_PATH + 'js/services/WeekPlannerService.js',
+    BASE_PATH + 'js/services/SmartWorkingService.js',
+    BASE_PATH + 'js/services/OnCallService.js',
+    BASE_PATH + 'js/services/AuditService.js',
+    BASE_PATH + 'js/services/MissionService.js',
     BASE_PATH + 'js/storage/StorageManager.js',
+    BASE_PATH + 'js/storage/SchemaMigrations.js',
     BASE_PATH + 'js/storage/LocalStorageAdapter.js',
     BASE_PATH + 'js/storage/IndexedDBAdapter.js',
     BASE_PATH + 'js/views/UIManager.js',
@@ -166,6 +166,14 @@ const ValidatorsTests = {
             TestRunner.assert.true(Validators.validateTime('00:00').valid);
         });
 
+        await TestRunner.test('parseSignedDuration - durate con segno', () => {
+            TestRunner.assert.equal(Validators.parseSignedDuration('+1:30'), 90);
+            TestRunner.assert.equal(Validators.parseSignedDuration('-02:15'), -135);
+            TestRunner.assert.equal(Validators.parseSignedDuration('40:00'), 2400);
+            TestRunner.assert.equal(Validators.parseSignedDuration('1:75'), null);
+            TestRunner.assert.equal(Validators.parseSignedDuration('abc'), null);
+        });
+
         await TestRunner.test('validateTime - formato invalido', () => {
             TestRunner.assert.false(Validators.validateTime('25:00').valid);
             TestRunner.assert.false(Validators.validateTime('8:30').valid === false); // Potrebbe accettare
@@ -217,6 +225,12 @@ const ValidatorsTests = {
             TestRunner.assert.false(Validators.requiresTime('smart'));
             TestRunner.assert.false(Validators.requiresTime('assente'));
         });
+
+        await TestRunner.test('validateEntry - permesso orario richiede le ore', () => {
+            TestRunner.assert.true(Validators.validateEntry({ type: 'permesso', hours: 2 }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'permesso' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'permesso', hours: 0 }).valid);
+        });
     }
 };
 
@@ -365,6 +379,13 @@ const TimeCalculatorTests = {
             TestRunner.assert.equal(timeCalculator.getRequiredPauseMinutes(375, '2026-02-06', 1, 0), 30);
         });
 
+        await TestRunner.test('estimateExitTime - pausa secondo la regola del giorno', () => {
+            TestRunner.assert.equal(timeCalculator.estimateExitTime('08:00', 7.5, '2026-02-02'), '16:00');
+            // Venerdì: fino a 6h nessuna pausa
+            TestRunner.assert.equal(timeCalculator.estimateExitTime('08:00', 6, '2026-02-06'), '14:00');
+            TestRunner.assert.equal(timeCalculator.estimateExitTime('08:00', 7.5, '2026-02-02', false), '15:30');
+        });
+
         await TestRunner.test('calculateWeekTotal - settimana reale allineata al caso aziendale', () => {
             const weekEntries = {
                 '2026-03-09': [{ type: 'smart', hours: 7.5 }],
@@ -389,6 +410,118 @@ const TimeCalculatorTests = {
             TestRunner.assert.equal(result.minutes, 2135);
             TestRunner.assert.equal(result.formatted, '35:35');
         });
+
+        await TestRunner.test('pairEntries - abbinamento cronologico con entry fuori ordine', () => {
+            const entries = [
+                { type: 'entrata', time: '13:00' },
+                { type: 'uscita', time: '12:00' },
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '17:00' }
+            ];
+            const { pairs, orphans } = timeCalculator.pairEntries(entries);
+            TestRunner.assert.equal(orphans.length, 0);
+            TestRunner.assert.deepEqual(pairs.map(pair => [pair.entrataIndex, pair.uscitaIndex]), [[2, 1], [0, 3]]);
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(entries, '2026-02-02').grossMinutes, 480);
+        });
+
+        await TestRunner.test('pairEntries - uscita in più segnalata singolarmente', () => {
+            const entries = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '12:00' },
+                { type: 'uscita', time: '12:05' }
+            ];
+            const { orphans } = timeCalculator.pairEntries(entries);
+            TestRunner.assert.equal(orphans.length, 1);
+            TestRunner.assert.equal(orphans[0].index, 2);
+            TestRunner.assert.equal(orphans[0].reason, 'missing-entry');
+
+            const result = timeCalculator.calculateDayHours(entries, '2026-02-02');
+            TestRunner.assert.equal(result.grossMinutes, 240);
+            TestRunner.assert.true(result.hasIncomplete);
+        });
+
+        await TestRunner.test('pairEntries - entrata aperta: turno in corso', () => {
+            const entries = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '12:00' },
+                { type: 'entrata', time: '13:00' }
+            ];
+            const delta = timeCalculator.calculateDayDelta(entries, '2026-02-02');
+            TestRunner.assert.true(delta.hasIncomplete);
+            TestRunner.assert.true(delta.isInProgress);
+
+            const doubled = [{ type: 'entrata', time: '08:00' }, { type: 'entrata', time: '08:02' }, { type: 'uscita', time: '16:00' }];
+            const { orphans } = timeCalculator.pairEntries(doubled);
+            TestRunner.assert.equal(orphans[0].index, 0);
+            TestRunner.assert.equal(orphans[0].reason, 'missing-exit');
+            TestRunner.assert.false(timeCalculator.calculateDayDelta(doubled, '2026-02-02').isInProgress);
+        });
+
+        await TestRunner.test('calculateDayHours - permesso orario con timbrature', () => {
+            // Venerdì 2026-02-06: 5h lavorate + 2h permesso, nessuna pausa (lordo lavorato sotto 6h)
+            const entries = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '13:00' },
+                { type: 'permesso', hours: 2 }
+            ];
+            const result = timeCalculator.calculateDayHours(entries, '2026-02-06');
+            TestRunner.assert.equal(result.leaveMinutes, 120);
+            TestRunner.assert.equal(result.minutes, 420);
+            TestRunner.assert.false(result.pauseApplied);
+        });
+
+        await TestRunner.test('calculateDayHours - solo permesso orario', () => {
+            const result = timeCalculator.calculateDayHours([{ type: 'permesso', hours: 1.5 }], '2026-02-02');
+            TestRunner.assert.equal(result.minutes, 90);
+            TestRunner.assert.false(result.hasIncomplete);
+        });
+
+        await TestRunner.test('calculateDayExitSuggestion - target con pausa', () => {
+            const suggestion = timeCalculator.calculateDayExitSuggestion([{ type: 'entrata', time: '08:00' }], '2026-02-02');
+            TestRunner.assert.equal(suggestion.targetExit.time, '16:00');
+            TestRunner.assert.equal(suggestion.weekExit, null);
+
+            // La pausa reale tra le coppie copre quella obbligatoria
+            const split = timeCalculator.calculateDayExitSuggestion([
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '12:00' },
+                { type: 'entrata', time: '12:30' }
+            ], '2026-02-02');
+            TestRunner.assert.equal(split.targetExit.time, '16:00');
+
+            TestRunner.assert.equal(timeCalculator.calculateDayExitSuggestion([
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '16:00' }
+            ], '2026-02-02'), null);
+        });
+
+        await TestRunner.test('calculateDayExitSuggestion - settimana in pari', () => {
+            const full = [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '17:00' }];
+            const weekEntries = {
+                '2026-02-02': full, '2026-02-03': full, '2026-02-04': full, '2026-02-05': full,
+                '2026-02-06': [{ type: 'entrata', time: '08:00' }]
+            };
+            // Lun-Gio a +1h: il venerdì bastano 2h per chiudere la settimana a zero
+            const suggestion = timeCalculator.calculateDayExitSuggestion(weekEntries['2026-02-06'], '2026-02-06', {
+                weekEntries,
+                dateKeys: Object.keys(weekEntries)
+            });
+            TestRunner.assert.equal(suggestion.weekExit.time, '10:00');
+            TestRunner.assert.equal(suggestion.targetExit.time, '14:00');
+        });
+
+        await TestRunner.test('findExitForMinutes - pausa che scatta oltre la soglia', () => {
+            // Venerdì: pausa di 30 minuti solo oltre 6h lorde
+            const entries = [{ type: 'entrata', time: '08:00' }];
+            TestRunner.assert.equal(timeCalculator.findExitForMinutes(entries, '2026-02-06', 480, 360).time, '14:00');
+            TestRunner.assert.equal(timeCalculator.findExitForMinutes(entries, '2026-02-06', 480, 361).time, '14:31');
+            TestRunner.assert.equal(timeCalculator.findExitForMinutes(entries, '2026-02-06', 480, 370).time, '14:40');
+
+            const overnight = timeCalculator.findExitForMinutes(entries, '2026-02-06', 480, 1000);
+            TestRunner.assert.true(overnight.nextDay);
+            TestRunner.assert.equal(overnight.time, '01:10');
+            TestRunner.assert.equal(timeCalculator.findExitForMinutes(entries, '2026-02-06', 480, 2000), null);
+        });
     }
 };
 
@@ -452,6 +585,14 @@ const TimeEntryTests = {
             TestRunner.assert.equal(entry.type, 'entrata');
             TestRunner.assert.equal(entry.time, '09:00');
         });
+
+        await TestRunner.test('toJSON - ID e data di creazione persistenti', () => {
+            const entry = TimeEntry.createEntrata('08:30');
+            const reloaded = TimeEntry.fromJSON(JSON.parse(JSON.stringify(entry.toJSON())));
+            TestRunner.assert.equal(reloaded.id, entry.id);
+            TestRunner.assert.equal(reloaded.createdAt, entry.createdAt);
+            TestRunner.assert.true(entry.clone().id !== entry.id);
+        });
     }
 };
 
@@ -497,10 +638,10 @@ const WeekDataTests = {
             const week = new WeekData(2026, 6);
             const dateKey = '2026-02-02';
             
-            week.addEntry(dateKey, { type: 'entrata', time: '08:00' });
+            const entrata = week.addEntry(dateKey, { type: 'entrata', time: '08:00' });
             week.addEntry(dateKey, { type: 'uscita', time: '17:00' });
             
-            week.deleteEntry(dateKey, 0);
+            week.deleteEntry(dateKey, entrata.id);
             
             const entries = week.getEntriesForDate(dateKey);
             TestRunner.assert.equal(entries.length, 1);
@@ -533,6 +674,1917 @@ const WeekDataTests = {
             TestRunner.assert.true(emptyWeek.isEmpty());
             TestRunner.assert.false(filledWeek.isEmpty());
         });
+
+        await TestRunner.test('assignMissingIds - migra le entry salvate senza ID', () => {
+            const allData = {
+                '2026-W06': { '2026-02-02': [
+                    { type: 'entrata', time: '08:00' },
+                    { id: 'entry_saved', type: 'uscita', time: '14:00', createdAt: 1000 }
+                ] }
+            };
+            TestRunner.assert.equal(WeekData.assignMissingIds(allData), 1);
+            const [entrata, uscita] = allData['2026-W06']['2026-02-02'];
+            TestRunner.assert.true(typeof entrata.id === 'string' && entrata.createdAt > 0);
+            TestRunner.assert.equal(uscita.id, 'entry_saved');
+            TestRunner.assert.equal(WeekData.assignMissingIds(allData), 0);
+
+            const week = WeekData.fromWeekKey('2026-W06', allData['2026-W06']);
+            TestRunner.assert.equal(week.getEntryById('2026-02-02', entrata.id).time, '08:00');
+            TestRunner.assert.equal(week.updateEntry('2026-02-02', 'entry_missing', { time: '09:00' }), null);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: ContractProfile
+// ============================================
+
+const ContractProfileTests = {
+    async run() {
+        console.log('\n📋 Testing ContractProfile...');
+
+        const { ContractProfile, BUILTIN_PROFILES } = window.__contractProfile ||
+            await import('./js/models/ContractProfile.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+
+        const getBuiltin = (id) => ContractProfile.fromJSON(BUILTIN_PROFILES.find(p => p.id === id));
+
+        await TestRunner.test('Profili predefiniti - target settimanali', () => {
+            TestRunner.assert.equal(getBuiltin('ccnl-36').getWeeklyTargetMinutes(), 36 * 60);
+            TestRunner.assert.equal(getBuiltin('sanita-38').getWeeklyTargetMinutes(), 38 * 60);
+            TestRunner.assert.equal(getBuiltin('part-time-30').getWeeklyTargetMinutes(), 30 * 60);
+            TestRunner.assert.equal(getBuiltin('part-time-18').getWeeklyTargetMinutes(), 18 * 60);
+        });
+
+        await TestRunner.test('getDayRule - da data ISO e da giorno settimana', () => {
+            const profile = ContractProfile.createDefault();
+            TestRunner.assert.equal(profile.getTargetHours('2026-02-02'), 7.5); // Lunedì
+            TestRunner.assert.equal(profile.getTargetHours('2026-02-06'), 6);   // Venerdì
+            TestRunner.assert.equal(profile.getTargetHours(5), 6);
+            TestRunner.assert.equal(profile.getTargetHours(0), 0);              // Domenica
+        });
+
+        await TestRunner.test('getSmartHours/getAbsentHours - override per giorno', () => {
+            const profile = ContractProfile.fromJSON({
+                id: 'test',
+                days: { 1: { targetHours: 7, smartHours: 6, pauseMinutes: 30 } }
+            });
+            TestRunner.assert.equal(profile.getSmartHours(1), 6);
+            TestRunner.assert.equal(profile.getAbsentHours(1), 7);
+            TestRunner.assert.equal(profile.getTargetHours(2), 0);
+        });
+
+        await TestRunner.test('toJSON/fromJSON - round trip', () => {
+            const profile = getBuiltin('sanita-38');
+            const copy = ContractProfile.fromJSON(JSON.parse(JSON.stringify(profile.toJSON())));
+            TestRunner.assert.deepEqual(copy.toJSON(), profile.toJSON());
+        });
+
+        await TestRunner.test('SettingsService - profilo sconosciuto ricade sul predefinito', () => {
+            settingsService.load({ contract: { activeProfileId: 'inesistente' } });
+            TestRunner.assert.equal(settingsService.getActiveProfile().id, 'ccnl-36');
+        });
+
+        await TestRunner.test('SettingsService - non sovrascrive profili predefiniti', async () => {
+            settingsService.load(null);
+            const saved = await settingsService.saveCustomProfile({ id: 'ccnl-36', name: 'X', days: {} });
+            TestRunner.assert.false(saved);
+        });
+
+        await TestRunner.test('TimeCalculator - usa il profilo attivo (38h Sanità)', async () => {
+            settingsService.load(null);
+            await settingsService.setActiveProfile('sanita-38');
+
+            TestRunner.assert.equal(timeCalculator.getWeeklyTargetMinutes(), 38 * 60);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-02-06'), 7.6);
+
+            // 6h lorde: sotto soglia, nessuna pausa
+            const short = timeCalculator.calculateDayHours([
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '14:00' }
+            ], '2026-02-02');
+            TestRunner.assert.equal(short.minutes, 360);
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('Rientri - regola comune con pausa obbligatoria', () => {
+            const profile = getBuiltin('ccnl-36-rientri');
+            TestRunner.assert.equal(profile.getWeeklyTargetMinutes(), 36 * 60);
+            TestRunner.assert.deepEqual(profile.getRientroWeekdays(), [2, 4]);
+            TestRunner.assert.true(profile.isRientro('2026-02-03'));   // Martedì
+            TestRunner.assert.false(profile.isRientro('2026-02-02'));  // Lunedì
+
+            const rule = profile.getDayRule(2);
+            TestRunner.assert.equal(rule.targetHours, 9);
+            TestRunner.assert.equal(rule.pauseThresholdHours, 0);
+            TestRunner.assert.equal(profile.getLastWorkingWeekday(), 5);
+        });
+
+        await TestRunner.test('TimeCalculator - delta e suggerimento con rientri', async () => {
+            settingsService.load(null);
+            await settingsService.setActiveProfile('ccnl-36-rientri');
+
+            // Martedì rientro: 8:00-17:30 lorde = 9h30 - 30min pausa = 9h → delta 0
+            const rientro = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '17:30' }
+            ];
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta(rientro, '2026-02-03').minutes, 0);
+
+            // Lunedì: 6h30 lorde oltre la soglia di 6h → pausa 30min → 6h nette → delta 0
+            const lunedi = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '14:30' }
+            ];
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta(lunedi, '2026-02-02').minutes, 0);
+
+            const suggestion = timeCalculator.calculateFridayExitSuggestion({
+                '2026-02-02': lunedi,
+                '2026-02-03': [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '18:00' }],
+                '2026-02-04': [],
+                '2026-02-05': [],
+                '2026-02-06': [{ type: 'entrata', time: '08:00' }]
+            });
+            TestRunner.assert.equal(suggestion.extraMinutes, 30);
+            TestRunner.assert.equal(suggestion.exitTime, '13:30');
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('Suggerimento uscita - ultimo giorno lavorativo del profilo', async () => {
+            settingsService.load(null);
+            await settingsService.saveCustomProfile({
+                id: 'custom',
+                name: 'Lun-Gio',
+                days: { 1: { targetHours: 9 }, 2: { targetHours: 9 }, 3: { targetHours: 9 }, 4: { targetHours: 9 } }
+            });
+            await settingsService.setActiveProfile('custom');
+
+            const suggestion = timeCalculator.calculateFridayExitSuggestion({
+                '2026-02-02': [],
+                '2026-02-03': [],
+                '2026-02-04': [],
+                '2026-02-05': [{ type: 'entrata', time: '08:00' }],
+                '2026-02-06': []
+            });
+            TestRunner.assert.equal(suggestion.fridayDateKey, '2026-02-05');
+            TestRunner.assert.equal(suggestion.exitTime, '17:00');
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('TimeCalculator - profilo personalizzato', async () => {
+            settingsService.load(null);
+            await settingsService.saveCustomProfile({
+                id: 'custom',
+                name: 'Personalizzato',
+                days: { 1: { targetHours: 9 }, 2: { targetHours: 9 }, 3: { targetHours: 9 }, 4: { targetHours: 9 } }
+            });
+            await settingsService.setActiveProfile('custom');
+
+            TestRunner.assert.equal(timeCalculator.getWeeklyTargetMinutes(), 36 * 60);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-02-06'), 0);
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('SettingsService - profilo per periodo: le settimane passate mantengono i target', async () => {
+            const { hourBankService } = window.__hourBankService ||
+                await import('./js/services/HourBankService.js');
+            settingsService.load(null);
+
+            const week = {
+                '2026-W05': {
+                    '2026-01-26': [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '16:00' }],
+                    '2026-01-30': [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '14:00' }]
+                }
+            };
+            const balanceBefore = hourBankService.getBalanceAt(week, '2026-01-30');
+
+            // Mercoledì: il periodo decorre dal lunedì della settimana
+            TestRunner.assert.true(await settingsService.setActiveProfile('sanita-38', '2026-02-04'));
+            TestRunner.assert.equal(settingsService.getProfileAt('2026-01-30').id, 'ccnl-36');
+            TestRunner.assert.equal(settingsService.getProfileAt('2026-02-02').id, 'sanita-38');
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-01-30'), 6);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-02-06'), 7.6);
+            TestRunner.assert.equal(timeCalculator.getWeeklyTargetMinutes(['2026-01-26']), 36 * 60);
+            TestRunner.assert.equal(timeCalculator.getWeeklyTargetMinutes(['2026-02-02']), 38 * 60);
+            TestRunner.assert.equal(hourBankService.getBalanceAt(week, '2026-01-30'), balanceBefore);
+
+            await settingsService.setActiveProfile('ccnl-36', '2026-03-02');
+            TestRunner.assert.equal(settingsService.getProfileAt('2026-02-27').id, 'sanita-38');
+            TestRunner.assert.equal(settingsService.getProfileAt('2026-03-02').id, 'ccnl-36');
+            TestRunner.assert.equal(settingsService.getProfilePeriods().length, 3);
+
+            // Stesso profilo dalla stessa data: nessun periodo in più
+            await settingsService.setActiveProfile('ccnl-36', '2026-03-04');
+            TestRunner.assert.equal(settingsService.getProfilePeriods().length, 3);
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('SettingsService - le modifiche al profilo personalizzato non cambiano i periodi passati', async () => {
+            settingsService.load(null);
+            const custom = (targetHours) => ({
+                id: 'custom', name: 'Personalizzato',
+                days: { 1: { targetHours }, 2: { targetHours }, 3: { targetHours }, 4: { targetHours }, 5: { targetHours } }
+            });
+
+            await settingsService.saveCustomProfile(custom(7));
+            await settingsService.setActiveProfile('custom', '2026-02-02');
+            await settingsService.saveCustomProfile(custom(6));
+            await settingsService.setActiveProfile('custom', '2026-03-02');
+
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-02-03'), 7);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-03-03'), 6);
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('export/import JSON - profili e periodi viaggiano con i dati', async () => {
+            const { exportService } = window.__exportService ||
+                await import('./js/services/ExportService.js');
+            const { createExportFile } = window.__schemaMigrations ||
+                await import('./js/storage/SchemaMigrations.js');
+
+            settingsService.load(null);
+            await settingsService.saveCustomProfile({ id: 'custom', name: 'Personalizzato', days: { 1: { targetHours: 8 } } });
+            await settingsService.setActiveProfile('sanita-38', '2026-02-02');
+            await settingsService.setActiveProfile('custom', '2026-03-02');
+            const periods = settingsService.getProfilePeriods();
+            const text = JSON.stringify(createExportFile({}, settingsService.getPortableSettings()));
+
+            // Nuovo dispositivo
+            settingsService.load(null);
+            const imported = await exportService.parseImportData(text);
+            TestRunner.assert.equal(await settingsService.mergeContract(imported.settings.contract), 4);
+            TestRunner.assert.deepEqual(settingsService.getProfilePeriods(), periods);
+            TestRunner.assert.equal(settingsService.get('contract').activeProfileId, 'custom');
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-01-26'), 7.5);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-02-02'), 7.6);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-03-02'), 8);
+
+            // Un secondo import non aggiunge nulla
+            TestRunner.assert.equal(await settingsService.mergeContract(imported.settings.contract), 0);
+
+            settingsService.load(null);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: HourBankService
+// ============================================
+
+const HourBankTests = {
+    async run() {
+        console.log('\n🏦 Testing HourBankService...');
+
+        const { hourBankService, ADJUSTMENT_TYPES } = window.__hourBankService ||
+            await import('./js/services/HourBankService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        // Settimana completa 36h: lun-gio 8:00-16:00 (7h30 nette), ven 8:00-14:00
+        const fullWeek = (dates, mondayExit = '16:00') => ({
+            [dates[0]]: [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: mondayExit }],
+            [dates[1]]: [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '16:00' }],
+            [dates[2]]: [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '16:00' }],
+            [dates[3]]: [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '16:00' }],
+            [dates[4]]: [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '14:00' }]
+        });
+
+        const allData = {
+            '2026-W06': fullWeek(['2026-02-02', '2026-02-03', '2026-02-04', '2026-02-05', '2026-02-06'], '17:00'), // +60
+            '2026-W07': fullWeek(['2026-02-09', '2026-02-10', '2026-02-11', '2026-02-12', '2026-02-13'], '16:30')  // +30
+        };
+
+        await TestRunner.test('getDailyBalances - saldo per giorno lavorativo', () => {
+            const days = hourBankService.getDailyBalances(allData);
+            TestRunner.assert.equal(days.length, 10);
+            TestRunner.assert.equal(days[0].minutes, 60);
+            TestRunner.assert.equal(days[4].minutes, 0);
+        });
+
+        await TestRunner.test('getCarriedOver - riporto tra settimane', () => {
+            TestRunner.assert.equal(hourBankService.getCarriedOver(allData, '2026-W06'), 0);
+            TestRunner.assert.equal(hourBankService.getCarriedOver(allData, '2026-W07'), 60);
+            TestRunner.assert.equal(hourBankService.getCarriedOver(allData, '2026-W08'), 90);
+        });
+
+        await TestRunner.test('getDailyBalances - settimane vuote ignorate', () => {
+            const days = hourBankService.getDailyBalances({ ...allData, '2026-W05': {} });
+            TestRunner.assert.equal(days.length, 10);
+        });
+
+        await TestRunner.test('buildLedger - rettifica "imposta saldo" azzera il credito', () => {
+            const adjustments = [{ id: 'a1', date: '2026-02-06', type: ADJUSTMENT_TYPES.SET, minutes: 0, note: 'Azzeramento HR' }];
+            const ledger = hourBankService.buildLedger(allData, adjustments);
+            const adjustmentEvent = ledger.find(event => event.kind === 'adjustment');
+
+            TestRunner.assert.equal(adjustmentEvent.minutes, -60);
+            TestRunner.assert.equal(ledger[ledger.length - 1].balance, 30);
+        });
+
+        await TestRunner.test('buildLedger - rettifica "aggiungi" si somma', () => {
+            const adjustments = [{ id: 'a1', date: '2026-02-01', type: ADJUSTMENT_TYPES.ADD, minutes: -120, note: '' }];
+            const ledger = hourBankService.buildLedger(allData, adjustments);
+            TestRunner.assert.equal(ledger[0].kind, 'adjustment');
+            TestRunner.assert.equal(ledger[ledger.length - 1].balance, -30);
+        });
+
+        await TestRunner.test('getMonthlySettlement - conguaglio per mese', async () => {
+            settingsService.load(null);
+            await hourBankService.addAdjustment({ date: '2026-03-02', type: ADJUSTMENT_TYPES.ADD, minutes: 15 });
+
+            const months = hourBankService.getMonthlySettlement(allData);
+            TestRunner.assert.equal(months.length, 2);
+            TestRunner.assert.equal(months[0].label, 'Febbraio 2026');
+            TestRunner.assert.equal(months[0].balanceMinutes, 90);
+            TestRunner.assert.equal(months[1].adjustmentMinutes, 15);
+            TestRunner.assert.equal(months[1].closingMinutes, 105);
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('addAdjustment - dati non validi rifiutati', async () => {
+            let error = null;
+            try {
+                await hourBankService.addAdjustment({ date: '2026-02-30', type: ADJUSTMENT_TYPES.SET, minutes: 0 });
+            } catch (e) {
+                error = e;
+            }
+            TestRunner.assert.true(error !== null);
+        });
+
+        await TestRunner.test('export/import JSON - le rettifiche viaggiano con i dati', async () => {
+            const { exportService } = window.__exportService ||
+                await import('./js/services/ExportService.js');
+            const { createExportFile } = window.__schemaMigrations ||
+                await import('./js/storage/SchemaMigrations.js');
+
+            settingsService.load(null);
+            await hourBankService.addAdjustment({ date: '2026-02-06', type: ADJUSTMENT_TYPES.SET, minutes: 0, note: 'Azzeramento HR' });
+            const adjustments = hourBankService.getAdjustments();
+            const balance = hourBankService.getBalanceAt(allData, '2026-02-13');
+            const text = JSON.stringify(createExportFile(allData, settingsService.getPortableSettings()));
+
+            // Nuovo dispositivo: nessuna rettifica salvata
+            settingsService.load(null);
+            const imported = await exportService.parseImportData(text);
+            TestRunner.assert.equal(await hourBankService.mergeAdjustments(imported.settings.hourBank.adjustments), 1);
+            TestRunner.assert.deepEqual(hourBankService.getAdjustments(), adjustments);
+            TestRunner.assert.equal(hourBankService.getBalanceAt(imported.data, '2026-02-13'), balance);
+
+            // Un secondo import non duplica le rettifiche; quelle non valide sono scartate
+            TestRunner.assert.equal(await hourBankService.mergeAdjustments(imported.settings.hourBank.adjustments), 0);
+            TestRunner.assert.equal(await hourBankService.mergeAdjustments([
+                { id: 'adj-x', date: '2026-02-30', type: ADJUSTMENT_TYPES.SET, minutes: 0 }
+            ]), 0);
+
+            settingsService.load(null);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Straordinario
+// ============================================
+
+const OvertimeTests = {
+    async run() {
+        console.log('\n💶 Testing Straordinario...');
+
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const { hourBankService } = window.__hourBankService ||
+            await import('./js/services/HourBankService.js');
+        const { TimeEntry } = window.__timeEntry || await import('./js/models/TimeEntry.js');
+
+        settingsService.load(null);
+
+        // Lunedì 8:00-18:00 = 9h30 nette, +2h rispetto al target 7h30
+        const longDay = [
+            { type: 'entrata', time: '08:00' },
+            { type: 'uscita', time: '18:00' }
+        ];
+
+        await TestRunner.test('calculateDayHours - il marcatore non conta come lavoro', () => {
+            const plain = timeCalculator.calculateDayHours(longDay, '2026-02-02');
+            const marked = timeCalculator.calculateDayHours([...longDay, { type: 'straordinario', hours: null }], '2026-02-02');
+            TestRunner.assert.equal(marked.minutes, plain.minutes);
+        });
+
+        await TestRunner.test('calculateDayOvertime - senza marcatore tutto è flessibilità', () => {
+            const result = timeCalculator.calculateDayOvertime(longDay, '2026-02-02');
+            TestRunner.assert.equal(result.overtimeMinutes, 0);
+            TestRunner.assert.equal(result.flexMinutes, 120);
+        });
+
+        await TestRunner.test('calculateDayOvertime - marcatore senza ore autorizza tutta l\'eccedenza', () => {
+            const result = timeCalculator.calculateDayOvertime([...longDay, { type: 'straordinario' }], '2026-02-02');
+            TestRunner.assert.equal(result.overtimeMinutes, 120);
+            TestRunner.assert.equal(result.flexMinutes, 0);
+        });
+
+        await TestRunner.test('calculateDayOvertime - ore autorizzate parziali', () => {
+            const result = timeCalculator.calculateDayOvertime([...longDay, { type: 'straordinario', hours: 1.5 }], '2026-02-02');
+            TestRunner.assert.equal(result.overtimeMinutes, 90);
+            TestRunner.assert.equal(result.flexMinutes, 30);
+        });
+
+        await TestRunner.test('calculateDayOvertime - ore autorizzate oltre l\'eccedenza limitate', () => {
+            const result = timeCalculator.calculateDayOvertime([...longDay, { type: 'straordinario', hours: 5 }], '2026-02-02');
+            TestRunner.assert.equal(result.overtimeMinutes, 120);
+        });
+
+        await TestRunner.test('calculateWeekOvertime - tetto annuo, l\'eccedenza torna flessibilità', async () => {
+            await settingsService.update('overtime', { annualCapHours: 1 });
+
+            const week = {
+                '2026-02-02': [...longDay, { type: 'straordinario' }],
+                '2026-02-03': [...longDay, { type: 'straordinario' }]
+            };
+            const result = timeCalculator.calculateWeekOvertime(week);
+            TestRunner.assert.equal(result.overtimeMinutes, 60);
+            TestRunner.assert.equal(result.overCapMinutes, 180);
+
+            const exhausted = timeCalculator.calculateWeekOvertime(week, { 2026: 60 });
+            TestRunner.assert.equal(exhausted.overtimeMinutes, 0);
+
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('getDailyBalances - lo straordinario non entra in banca ore', () => {
+            const allData = {
+                '2026-W06': { '2026-02-02': [...longDay, { type: 'straordinario', hours: 1.5 }] }
+            };
+            const days = hourBankService.getDailyBalances(allData);
+            TestRunner.assert.equal(days[0].minutes, 30);
+        });
+
+        await TestRunner.test('createStraordinario - ore opzionali', () => {
+            const whole = TimeEntry.createStraordinario();
+            const partial = TimeEntry.createStraordinario(2);
+            TestRunner.assert.true(whole.isStraordinario());
+            TestRunner.assert.equal(whole.hours, null);
+            TestRunner.assert.equal(partial.hours, 2);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Arrotondamento cartellino
+// ============================================
+
+const RoundingTests = {
+    async run() {
+        console.log('\n🔁 Testing Arrotondamento...');
+
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        const day = (entrata, uscita) => [
+            { type: 'entrata', time: entrata },
+            { type: 'uscita', time: uscita }
+        ];
+
+        await TestRunner.test('nessuna policy - orari esatti', () => {
+            settingsService.load(null);
+            TestRunner.assert.false(timeCalculator.isRoundingActive());
+            // 08:07-15:52 = 7h45m lorde - 30m pausa
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(day('08:07', '15:52'), '2026-02-02').minutes, 435);
+        });
+
+        await TestRunner.test('passo 15 - entrata per eccesso, uscita per difetto', () => {
+            settingsService.load({ rounding: { stepMinutes: 15 } });
+            // 08:15-15:45 = 7h30m lorde - 30m pausa
+            const result = timeCalculator.calculateDayHours(day('08:07', '15:52'), '2026-02-02');
+            TestRunner.assert.equal(result.minutes, 420);
+
+            const raw = timeCalculator.calculateDayHours(day('08:07', '15:52'), '2026-02-02', { raw: true });
+            TestRunner.assert.equal(raw.minutes, 435);
+        });
+
+        await TestRunner.test('passo 10 - arrotonda anche la pausa tra coppie', () => {
+            settingsService.load({ rounding: { stepMinutes: 10 } });
+            const entries = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '12:05' },
+                { type: 'entrata', time: '12:35' },
+                { type: 'uscita', time: '16:00' }
+            ];
+            // 08:00-12:00 + 12:40-16:00 = 7h20m, pausa reale 40m
+            const result = timeCalculator.calculateDayHours(entries, '2026-02-02');
+            TestRunner.assert.equal(result.minutes, 440);
+            TestRunner.assert.equal(result.breakMinutes, 40);
+        });
+
+        await TestRunner.test('tolleranza - ritardo recuperato in uscita vale come orario nominale', () => {
+            settingsService.load({ rounding: { stepMinutes: 15, toleranceMinutes: 10, toleranceStart: '08:00' } });
+            // 08:08 → 08:00, uscita 16:08 - 8m = 16:00
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(day('08:08', '16:08'), '2026-02-02').minutes, 450);
+            // Ritardo non recuperato: uscita 16:00 - 8m = 15:52 → 15:45
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(day('08:08', '16:00'), '2026-02-02').minutes, 435);
+        });
+
+        await TestRunner.test('tolleranza - oltre la soglia si applica solo l\'arrotondamento', () => {
+            settingsService.load({ rounding: { stepMinutes: 15, toleranceMinutes: 10, toleranceStart: '08:00' } });
+            // 08:12 → 08:15, 16:12 → 16:00 = 7h45m lorde - 30m pausa
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(day('08:12', '16:12'), '2026-02-02').minutes, 435);
+        });
+
+        await TestRunner.test('getExitForGrossMinutes - uscita che copre il lordo dopo l\'arrotondamento', () => {
+            settingsService.load({ rounding: { stepMinutes: 15, toleranceMinutes: 10, toleranceStart: '08:00' } });
+            TestRunner.assert.equal(timeCalculator.getExitForGrossMinutes(8 * 60 + 8, 480), 16 * 60 + 8);
+            TestRunner.assert.equal(timeCalculator.getExitForGrossMinutes(8 * 60 + 20, 480), 16 * 60 + 30);
+            settingsService.load(null);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Compliance (D.Lgs. 66/2003)
+// ============================================
+
+const ComplianceTests = {
+    async run() {
+        console.log('\n⚖️ Testing ComplianceService...');
+
+        const { complianceService, COMPLIANCE_RULES } = window.__complianceService ||
+            await import('./js/services/ComplianceService.js');
+        const { WeekData } = window.__weekData || await import('./js/models/WeekData.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        const day = (entrata, uscita) => [
+            { type: 'entrata', time: entrata },
+            { type: 'uscita', time: uscita }
+        ];
+        const rulesOf = (findings, dateKey) => findings
+            .filter(finding => finding.dateKey === dateKey)
+            .map(finding => finding.rule);
+
+        await TestRunner.test('checkDailyRest - meno di 11h tra uscita ed entrata', () => {
+            const week = WeekData.fromWeekKey('2026-W06', {
+                '2026-02-02': day('12:00', '22:00'),
+                '2026-02-03': day('07:00', '13:00')
+            });
+            const findings = complianceService.checkWeek(week);
+            TestRunner.assert.deepEqual(rulesOf(findings, '2026-02-03'), [COMPLIANCE_RULES.DAILY_REST]);
+            TestRunner.assert.equal(findings.find(f => f.rule === COMPLIANCE_RULES.DAILY_REST).minutes, 540);
+        });
+
+        await TestRunner.test('checkDailyRest - 11h esatte sono conformi', () => {
+            const week = WeekData.fromWeekKey('2026-W06', {
+                '2026-02-02': day('09:00', '19:00'),
+                '2026-02-03': day('06:00', '12:00')
+            });
+            TestRunner.assert.deepEqual(rulesOf(complianceService.checkWeek(week), '2026-02-03'), []);
+        });
+
+        await TestRunner.test('checkDailyRest - usa la settimana precedente', () => {
+            // Domenica 2026-02-08 registrata nella settimana W06, lunedì nella W07
+            const allData = { '2026-W06': { '2026-02-08': day('14:00', '23:00') } };
+            const week = WeekData.fromWeekKey('2026-W07', { '2026-02-09': day('07:00', '13:00') });
+            const findings = complianceService.checkWeek(week, allData);
+            TestRunner.assert.deepEqual(rulesOf(findings, '2026-02-09'), [COMPLIANCE_RULES.DAILY_REST]);
+        });
+
+        await TestRunner.test('checkContinuousWork - tratto oltre 6h senza pausa', () => {
+            const entries = [
+                { type: 'entrata', time: '07:00' },
+                { type: 'uscita', time: '13:30' },
+                { type: 'entrata', time: '14:00' },
+                { type: 'uscita', time: '16:00' }
+            ];
+            const findings = complianceService.checkContinuousWork(entries, '2026-02-02');
+            TestRunner.assert.equal(findings.length, 1);
+            TestRunner.assert.equal(findings[0].minutes, 390);
+        });
+
+        await TestRunner.test('checkContinuousWork - la pausa automatica dedotta non è una pausa fruita', () => {
+            const findings = complianceService.checkContinuousWork(day('08:00', '16:00'), '2026-02-02');
+            TestRunner.assert.equal(findings.length, 1);
+            TestRunner.assert.equal(findings[0].minutes, 480);
+        });
+
+        await TestRunner.test('checkContinuousWork - solo una pausa timbrata di almeno 10 minuti interrompe il tratto', () => {
+            const withBreak = (exit, entry) => [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: exit },
+                { type: 'entrata', time: entry },
+                { type: 'uscita', time: '15:00' }
+            ];
+            TestRunner.assert.equal(complianceService.checkContinuousWork(withBreak('12:00', '12:10'), '2026-02-02').length, 0);
+            const findings = complianceService.checkContinuousWork(withBreak('12:00', '12:05'), '2026-02-02');
+            TestRunner.assert.equal(findings.length, 1);
+            TestRunner.assert.equal(findings[0].minutes, 420);
+        });
+
+        // 5 giorni 07:00-18:00 = 10h30 nette → 52h30 a settimana
+        const longWeeks = (weekKeys) => Object.fromEntries(weekKeys.map(weekKey => [weekKey,
+            Object.fromEntries(WeekData.fromWeekKey(weekKey).getWorkDates().map(date => [date, day('07:00', '18:00')]))]));
+
+        await TestRunner.test('checkWeeklyAverage - media oltre 48h sul periodo', () => {
+            const allData = longWeeks(['2026-W04', '2026-W05', '2026-W06', '2026-W07']);
+            const finding = complianceService.checkWeeklyAverage('2026-02-09', allData);
+            TestRunner.assert.equal(finding.rule, COMPLIANCE_RULES.WEEKLY_AVERAGE);
+            TestRunner.assert.equal(finding.minutes, 52 * 60 + 30);
+            TestRunner.assert.equal(finding.dateKey, null);
+            TestRunner.assert.true(finding.message.includes('ultime 4 settimane'));
+        });
+
+        await TestRunner.test('checkWeeklyAverage - servono almeno 4 settimane con dati', () => {
+            const allData = longWeeks(['2026-W05', '2026-W06', '2026-W07']);
+            TestRunner.assert.equal(complianceService.checkWeeklyAverage('2026-02-09', allData), null);
+            TestRunner.assert.equal(complianceService.checkWeeklyAverage('2026-02-09', longWeeks(['2026-W07'])), null);
+        });
+
+        await TestRunner.test('checkWeeklyAverage - settimane regolari compensano', () => {
+            // Due settimane da 52h30 e due da 40h → media 46h15
+            const allData = longWeeks(['2026-W04', '2026-W07']);
+            for (const weekKey of ['2026-W05', '2026-W06']) {
+                allData[weekKey] = Object.fromEntries(WeekData.fromWeekKey(weekKey).getWorkDates()
+                    .map(date => [date, day('08:00', '16:30')]));
+            }
+            TestRunner.assert.equal(complianceService.checkWeeklyAverage('2026-02-09', allData), null);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Buoni pasto
+// ============================================
+
+const MealVoucherTests = {
+    async run() {
+        console.log('\n🍽️ Testing MealVoucherService...');
+
+        const { mealVoucherService, VOUCHER_REASONS } = window.__mealVoucherService ||
+            await import('./js/services/MealVoucherService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        // Lunedì 2026-02-02, 7h30 nette con pausa 13:00-13:30
+        const withPause = (pauseStart, pauseEnd) => [
+            { type: 'entrata', time: '08:00' },
+            { type: 'uscita', time: pauseStart },
+            { type: 'entrata', time: pauseEnd },
+            { type: 'uscita', time: '16:00' }
+        ];
+
+        await TestRunner.test('checkDay - oltre 6h con pausa reale nella fascia', () => {
+            const result = mealVoucherService.checkDay(withPause('13:00', '13:30'), '2026-02-02');
+            TestRunner.assert.true(result.eligible);
+            TestRunner.assert.equal(result.reason, VOUCHER_REASONS.PAUSE);
+        });
+
+        await TestRunner.test('checkDay - pausa automatica non basta', () => {
+            const entries = [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '16:00' }];
+            TestRunner.assert.false(mealVoucherService.checkDay(entries, '2026-02-02').eligible);
+        });
+
+        await TestRunner.test('checkDay - pausa fuori fascia', () => {
+            TestRunner.assert.false(mealVoucherService.checkDay(withPause('11:00', '11:30'), '2026-02-02').eligible);
+        });
+
+        await TestRunner.test('checkDay - smart working escluso', () => {
+            TestRunner.assert.false(mealVoucherService.checkDay([{ type: 'smart', hours: 7.5 }], '2026-02-02').eligible);
+        });
+
+        await TestRunner.test('checkDay - rientro matura sempre', async () => {
+            await settingsService.setActiveProfile('ccnl-36-rientri');
+            const entries = [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '17:30' }];
+            const result = mealVoucherService.checkDay(entries, '2026-02-03'); // Martedì
+            TestRunner.assert.true(result.eligible);
+            TestRunner.assert.equal(result.reason, VOUCHER_REASONS.RIENTRO);
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('checkDay - soglia ore configurabile', () => {
+            settingsService.load({ mealVoucher: { minWorkedHours: 8 } });
+            TestRunner.assert.false(mealVoucherService.checkDay(withPause('13:00', '13:30'), '2026-02-02').eligible);
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('getMonthlyCount - conta per mese', () => {
+            const allData = {
+                '2026-W05': {
+                    '2026-01-30': withPause('13:00', '13:30'),
+                    '2026-01-29': withPause('13:00', '13:30')
+                },
+                '2026-W06': {
+                    '2026-02-02': withPause('13:00', '13:30'),
+                    '2026-02-03': [{ type: 'smart', hours: 7.5 }]
+                }
+            };
+            TestRunner.assert.equal(mealVoucherService.getMonthlyCount(allData, '2026-01').count, 2);
+            const february = mealVoucherService.getMonthlyCount(allData, '2026-02');
+            TestRunner.assert.equal(february.count, 1);
+            TestRunner.assert.equal(february.label, 'Febbraio');
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: AbsenceReason (causali di assenza)
+// ============================================
+
+const AbsenceReasonTests = {
+    async run() {
+        console.log('\n🏖️ Testing causali di assenza...');
+
+        const { AbsenceReason, ABSENCE_REASONS } = window.__absenceReason ||
+            await import('./js/models/AbsenceReason.js');
+        const { TimeEntry } = window.__timeEntry || await import('./js/models/TimeEntry.js');
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const Validators = window.__validators || await import('./js/utils/Validators.js');
+
+        settingsService.load(null);
+
+        await TestRunner.test('catalogo - ID e codici univoci', () => {
+            const ids = new Set(ABSENCE_REASONS.map(reason => reason.id));
+            const codes = new Set(ABSENCE_REASONS.map(reason => reason.code));
+            TestRunner.assert.equal(ids.size, ABSENCE_REASONS.length);
+            TestRunner.assert.equal(codes.size, ABSENCE_REASONS.length);
+            TestRunner.assert.true(AbsenceReason.isValid('ferie'));
+            TestRunner.assert.equal(AbsenceReason.find('legge-104').code, 'L104');
+        });
+
+        await TestRunner.test('validateEntry - causale dal catalogo', () => {
+            TestRunner.assert.true(Validators.validateEntry({ type: 'assente', hours: 7.5, reason: 'malattia' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'assente', hours: 7.5, reason: 'vacanza' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'entrata', time: '08:00', reason: 'ferie' }).valid);
+        });
+
+        await TestRunner.test('TimeEntry - causale salvata solo se diversa dalla predefinita', () => {
+            const ferie = TimeEntry.createAssente('2026-02-02', 'ferie');
+            TestRunner.assert.equal(ferie.toJSON().reason, 'ferie');
+            TestRunner.assert.equal(ferie.hours, 7.5);
+            TestRunner.assert.equal(TimeEntry.createAssente('2026-02-02').toJSON().reason, undefined);
+            TestRunner.assert.equal(TimeEntry.fromJSON({ type: 'permesso', hours: 2 }).getReason().id, 'permesso-personale');
+        });
+
+        await TestRunner.test('calculateDayHours - recupero compensativo non copre il target', () => {
+            const entries = [{ type: 'assente', hours: 7.5, reason: 'recupero-compensativo' }];
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(entries, '2026-02-02').minutes, 0);
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta(entries, '2026-02-02').minutes, -450);
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta([{ type: 'assente', hours: 7.5, reason: 'ferie' }], '2026-02-02'), null);
+        });
+
+        await TestRunner.test('calculateDayHours - permesso orario con causale', () => {
+            const entries = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '13:00' },
+                { type: 'permesso', hours: 1, reason: 'recupero-compensativo' }
+            ];
+            // Venerdì: il recupero non si somma al totale
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(entries, '2026-02-06').minutes, 300);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: LeaveBalance (saldi ferie e permessi)
+// ============================================
+
+const LeaveBalanceTests = {
+    async run() {
+        console.log('\n🏖️ Testing saldi ferie e permessi...');
+
+        const { leaveBalanceService } = window.__leaveBalanceService ||
+            await import('./js/services/LeaveBalanceService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        const allData = {
+            '2025-W51': {
+                '2025-12-15': [{ type: 'assente', hours: 7.5, reason: 'ferie' }],
+                '2025-12-16': [{ type: 'assente', hours: 7.5, reason: 'ferie' }]
+            },
+            '2026-W06': {
+                '2026-02-02': [{ type: 'assente', hours: 7.5, reason: 'ferie' }],
+                '2026-02-03': [{ type: 'assente', hours: 7.5, reason: 'festivita-soppresse' }],
+                // Venerdì 6h: 3h di ferie valgono mezza giornata
+                '2026-02-06': [
+                    { type: 'entrata', time: '08:00' },
+                    { type: 'uscita', time: '11:00' },
+                    { type: 'permesso', hours: 3, reason: 'ferie' }
+                ]
+            },
+            '2026-W07': {
+                '2026-02-09': [{ type: 'permesso', hours: 2.5 }]
+            }
+        };
+        const find = (balances, id) => balances.find(balance => balance.id === id);
+
+        await TestRunner.test('getBalances - giorni e ore fruiti per causale', () => {
+            const balances = leaveBalanceService.getBalances(allData, 2026);
+            TestRunner.assert.equal(find(balances, 'ferie').used, 1.5);
+            TestRunner.assert.equal(find(balances, 'festivita-soppresse').remaining, 3);
+            TestRunner.assert.equal(find(balances, 'permessi').remaining, 15.5);
+        });
+
+        await TestRunner.test('getBalances - riporto automatico del residuo ferie', () => {
+            const balances = leaveBalanceService.getBalances(allData, 2026);
+            TestRunner.assert.equal(find(balances, 'ferie').carriedOver, 30);
+            TestRunner.assert.equal(find(balances, 'ferie').remaining, 60.5);
+            TestRunner.assert.equal(find(balances, 'festivita-soppresse').carriedOver, 0);
+            TestRunner.assert.equal(find(leaveBalanceService.getBalances(allData, 2025), 'ferie').carriedOver, 0);
+        });
+
+        await TestRunner.test('getBalances - spettanze e residuo iniziale configurabili', () => {
+            settingsService.load({ leave: { ferieDays: 28, carryOverYear: 2026, carryOverFerieDays: 4 } });
+            const ferie = find(leaveBalanceService.getBalances(allData, 2026), 'ferie');
+            TestRunner.assert.equal(ferie.entitled, 28);
+            TestRunner.assert.equal(ferie.carriedOver, 4);
+            TestRunner.assert.equal(find(leaveBalanceService.getBalances(allData, 2027), 'ferie').carriedOver, 30.5);
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('Pulizia dati vecchi - i saldi dell\'anno in corso non cambiano', async () => {
+            const { shortLeaveService } = window.__shortLeaveService ||
+                await import('./js/services/ShortLeaveService.js');
+            const { timeCalculator } = window.__timeCalculator ||
+                await import('./js/services/TimeCalculator.js');
+            const { StorageManager } = await import('./js/storage/StorageManager.js');
+
+            const longDay = [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '17:00' }];
+            const history = {
+                '2024-W50': { '2024-12-09': [{ type: 'assente', hours: 7.5, reason: 'ferie' }] },
+                '2025-W20': { '2025-05-12': [{ type: 'assente', hours: 7.5, reason: 'ferie' }], '2025-05-13': longDay },
+                // Dicembre dell'anno prima: il permesso breve si recupera a gennaio
+                '2025-W49': { '2025-12-01': [
+                    { type: 'entrata', time: '08:00' },
+                    { type: 'uscita', time: '10:00' },
+                    { type: 'breve', time: '10:00', endTime: '12:00' },
+                    { type: 'entrata', time: '12:00' },
+                    { type: 'uscita', time: '15:30' }
+                ] },
+                '2026-W02': { '2026-01-05': longDay },
+                '2026-W06': { '2026-02-02': [{ type: 'assente', hours: 7.5, reason: 'ferie' }], '2026-02-03': longDay }
+            };
+            const snapshot = (data) => ({
+                leave: leaveBalanceService.getBalances(data, 2026),
+                overtime: timeCalculator.calculateYearOvertime(data, 2026),
+                shortLeave: shortLeaveService.getSummary(data, 2026, '2026-10-19'),
+                ledger: shortLeaveService.getRecoveryLedger(data, '2026-10-19')
+            });
+
+            const mgr = new StorageManager();
+            mgr.getWeekKeys = async () => Object.keys(history);
+            const oldWeeks = await mgr.findOldWeeks(3, new Date(2026, 9, 19));
+            TestRunner.assert.deepEqual(oldWeeks, ['2024-W50', '2025-W20']);
+
+            const before = snapshot(history);
+            const cleaned = Object.fromEntries(Object.entries(history).filter(([weekKey]) => !oldWeeks.includes(weekKey)));
+            TestRunner.assert.equal(find(leaveBalanceService.getBalances(cleaned, 2026), 'ferie').carriedOver, 32);
+
+            TestRunner.assert.true(await leaveBalanceService.carryOverInto(history, 2026));
+            TestRunner.assert.equal(settingsService.get('leave').carryOverFerieDays, 62);
+            TestRunner.assert.deepEqual(snapshot(cleaned), before);
+            TestRunner.assert.equal(before.shortLeave.usedMinutes, 0);
+            TestRunner.assert.equal(before.ledger.length, 1);
+
+            // Residuo iniziale già riferito all'anno: non si sovrascrive
+            TestRunner.assert.false(await leaveBalanceService.carryOverInto(cleaned, 2026));
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('formatAmount - giorni e ore', () => {
+            TestRunner.assert.equal(leaveBalanceService.formatAmount(2.5, 'days'), '2,5 gg');
+            TestRunner.assert.equal(leaveBalanceService.formatAmount(15.5, 'hours'), '15:30 h');
+            TestRunner.assert.equal(leaveBalanceService.formatAmount(-1.5, 'hours'), '-01:30 h');
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: ShortLeave (permessi brevi e recupero)
+// ============================================
+
+const ShortLeaveTests = {
+    async run() {
+        console.log('\n⏸️ Testing permessi brevi...');
+
+        const { shortLeaveService, RECOVERY_STATUS } = window.__shortLeaveService ||
+            await import('./js/services/ShortLeaveService.js');
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const Validators = window.__validators || await import('./js/utils/Validators.js');
+
+        settingsService.load(null);
+
+        // Lunedì 2026-02-02: permesso breve 10:00-12:00 tra due timbrature (7h30 di target)
+        const breveDay = [
+            { type: 'entrata', time: '08:00' },
+            { type: 'uscita', time: '10:00' },
+            { type: 'breve', time: '10:00', endTime: '12:00' },
+            { type: 'entrata', time: '12:00' },
+            { type: 'uscita', time: '15:30' }
+        ];
+        // Giorno con un'ora in più del target
+        const extraHour = [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '17:00' }];
+
+        await TestRunner.test('validateEntry - fascia del permesso breve', () => {
+            TestRunner.assert.true(Validators.validateEntry({ type: 'breve', time: '10:00', endTime: '12:00' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'breve', time: '10:00', endTime: '09:00' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'breve', time: '10:00' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'entrata', time: '08:00', endTime: '09:00' }).valid);
+        });
+
+        await TestRunner.test('calculateDayHours - la fascia non è lavoro né pausa', () => {
+            // 5h30 timbrate: la fascia tra le coppie non vale come pausa, si deducono i 30 minuti
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(breveDay, '2026-02-02').minutes, 300);
+
+            // Permesso preso senza timbrare: la fascia si toglie dal lavoro (6h - 1h - 30 min di pausa)
+            const unpunched = [
+                { type: 'entrata', time: '08:00' },
+                { type: 'uscita', time: '14:00' },
+                { type: 'breve', time: '10:00', endTime: '11:00' }
+            ];
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(unpunched, '2026-02-02').minutes, 270);
+        });
+
+        await TestRunner.test('getRecoveryDeadline - fine del mese successivo', () => {
+            TestRunner.assert.equal(shortLeaveService.getRecoveryDeadline('2026-01-15'), '2026-02-28');
+            TestRunner.assert.equal(shortLeaveService.getRecoveryDeadline('2026-12-10'), '2027-01-31');
+        });
+
+        await TestRunner.test('getRecoveryLedger - i giorni in eccedenza saldano il debito', () => {
+            const allData = {
+                '2026-W06': { '2026-02-02': breveDay, '2026-02-03': extraHour },
+                '2026-W10': { '2026-03-02': extraHour },
+                '2026-W14': { '2026-04-01': extraHour }
+            };
+            const [debt] = shortLeaveService.getRecoveryLedger(allData, '2026-04-02');
+            TestRunner.assert.equal(debt.minutes, 120);
+            TestRunner.assert.equal(debt.recoveredMinutes, 120);
+            TestRunner.assert.equal(debt.recoveries.length, 2);
+            TestRunner.assert.equal(debt.status, RECOVERY_STATUS.RECOVERED);
+        });
+
+        await TestRunner.test('getRecoveryLedger - dopo la scadenza il debito resta', () => {
+            const allData = {
+                '2026-W06': { '2026-02-02': breveDay, '2026-02-03': extraHour },
+                '2026-W14': { '2026-04-01': extraHour }
+            };
+            const [debt] = shortLeaveService.getRecoveryLedger(allData, '2026-04-02');
+            TestRunner.assert.equal(debt.remainingMinutes, 60);
+            TestRunner.assert.equal(debt.status, RECOVERY_STATUS.EXPIRED);
+        });
+
+        await TestRunner.test('getSummary - avviso di scadenza vicina', () => {
+            const allData = { '2026-W06': { '2026-02-02': breveDay } };
+            TestRunner.assert.equal(shortLeaveService.getSummary(allData, 2026, '2026-03-10').warnings.length, 0);
+            const summary = shortLeaveService.getSummary(allData, 2026, '2026-03-25');
+            TestRunner.assert.equal(summary.warnings.length, 1);
+            TestRunner.assert.equal(summary.openMinutes, 120);
+            TestRunner.assert.equal(summary.nextDeadline, '2026-03-31');
+        });
+
+        await TestRunner.test('checkAnnualCap - massimo 36 ore l\'anno', () => {
+            const longLeave = [{ id: 'entry_breve', type: 'breve', time: '08:00', endTime: '20:00' }];
+            const allData = {
+                '2026-W06': { '2026-02-02': longLeave, '2026-02-03': longLeave, '2026-02-04': longLeave }
+            };
+            TestRunner.assert.false(shortLeaveService.checkAnnualCap(allData, '2026-03-02', 30).allowed);
+            TestRunner.assert.true(shortLeaveService.checkAnnualCap(allData, '2027-01-04', 30).allowed);
+            // In modifica la fascia sostituita non conta
+            TestRunner.assert.true(shortLeaveService.checkAnnualCap(allData, '2026-02-04', 60, { dateKey: '2026-02-04', id: 'entry_breve' }).allowed);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Holiday (festività)
+// ============================================
+
+const HolidayTests = {
+    async run() {
+        console.log('\n🎉 Testing festività...');
+
+        const { holidayService, HOLIDAY_KINDS } = window.__holidayService ||
+            await import('./js/services/HolidayService.js');
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        await TestRunner.test('getEasterSunday - date note della Pasqua', () => {
+            const toKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            TestRunner.assert.equal(toKey(holidayService.getEasterSunday(2024)), '2024-03-31');
+            TestRunner.assert.equal(toKey(holidayService.getEasterSunday(2025)), '2025-04-20');
+            TestRunner.assert.equal(toKey(holidayService.getEasterSunday(2026)), '2026-04-05');
+            TestRunner.assert.equal(toKey(holidayService.getEasterSunday(2038)), '2038-04-25');
+        });
+
+        await TestRunner.test('getHoliday - feste nazionali e Lunedì dell\'Angelo', () => {
+            TestRunner.assert.equal(holidayService.getHoliday('2026-04-06').kind, HOLIDAY_KINDS.EASTER);
+            TestRunner.assert.equal(holidayService.getHoliday('2026-06-02').name, 'Festa della Repubblica');
+            TestRunner.assert.true(holidayService.isHoliday('2026-10-04'));
+            TestRunner.assert.false(holidayService.isHoliday('2025-10-04'));
+            TestRunner.assert.false(holidayService.isHoliday('2026-06-03'));
+        });
+
+        await TestRunner.test('getHoliday - santo patrono configurato', () => {
+            settingsService.load({ holidays: { patronMunicipality: 'Roma', patronDate: '06-29' } });
+            const patron = holidayService.getHoliday('2026-06-29');
+            TestRunner.assert.equal(patron.kind, HOLIDAY_KINDS.PATRON);
+            TestRunner.assert.equal(patron.name, 'Santi Pietro e Paolo (Roma)');
+
+            // Patrono che coincide con una festa nazionale: resta la festa nazionale
+            settingsService.load({ holidays: { patronMunicipality: 'Venezia', patronDate: '04-25' } });
+            TestRunner.assert.equal(holidayService.getHolidays(2026).filter(h => h.dateKey === '2026-04-25').length, 1);
+            TestRunner.assert.equal(holidayService.getHoliday('2026-04-25').kind, HOLIDAY_KINDS.NATIONAL);
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('getWeeklyTargetMinutes - il festivo riduce il target', () => {
+            const week = ['2026-06-01', '2026-06-02', '2026-06-03', '2026-06-04', '2026-06-05'];
+            TestRunner.assert.equal(timeCalculator.getWeeklyTargetMinutes(week), 36 * 60 - 450);
+            TestRunner.assert.equal(timeCalculator.getWeeklyTargetMinutes(), 36 * 60);
+            TestRunner.assert.equal(timeCalculator.getDailyTarget('2026-06-02'), 0);
+        });
+
+        await TestRunner.test('calculateDayDelta - le ore lavorate nel festivo sono eccedenza', () => {
+            const entries = [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '12:00' }];
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta(entries, '2026-06-02').minutes, 210);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: WeekPlanner (pianificazione della settimana)
+// ============================================
+
+const WeekPlannerTests = {
+    async run() {
+        console.log('\n🗓️ Testing pianificazione settimana...');
+
+        const { weekPlannerService, PLAN_MODES } = window.__weekPlannerService ||
+            await import('./js/services/WeekPlannerService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        // Settimana 2026-W06: lunedì in pari, martedì +1h
+        const dateKeys = ['2026-02-02', '2026-02-03', '2026-02-04', '2026-02-05', '2026-02-06'];
+        const weekEntries = {
+            '2026-02-02': [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '16:00' }],
+            '2026-02-03': [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '17:00' }]
+        };
+        const workPlan = (dateKey, entryTime = '08:00') => ({ dateKey, mode: PLAN_MODES.WORK, entryTime });
+        const sum = days => days.reduce((total, day) => total + day.minutes, 0);
+
+        await TestRunner.test('getPlannableDays - giorni da oggi senza uscita', () => {
+            const entries = { ...weekEntries, '2026-02-04': [{ type: 'entrata', time: '08:15' }] };
+            const days = weekPlannerService.getPlannableDays(entries, dateKeys, '2026-02-04');
+            TestRunner.assert.deepEqual(days.map(day => day.dateKey), ['2026-02-04', '2026-02-05', '2026-02-06']);
+            TestRunner.assert.equal(days[0].entryTime, '08:15');
+            TestRunner.assert.true(days[0].lockedEntry);
+            TestRunner.assert.false(days[1].lockedEntry);
+        });
+
+        await TestRunner.test('simulate - chiude la settimana a zero', () => {
+            const plans = [workPlan('2026-02-04'), workPlan('2026-02-05'), workPlan('2026-02-06')];
+            const result = weekPlannerService.simulate(weekEntries, dateKeys, plans);
+            TestRunner.assert.equal(result.fixedMinutes, 960);
+            TestRunner.assert.equal(sum(result.days), 36 * 60 - 960);
+            TestRunner.assert.equal(result.balanceMinutes, 0);
+            TestRunner.assert.true(result.days.every(day => day.exitTime !== null));
+        });
+
+        await TestRunner.test('simulate - giorno smart e saldo obiettivo', () => {
+            const plans = [workPlan('2026-02-04'), { dateKey: '2026-02-05', mode: PLAN_MODES.SMART }, workPlan('2026-02-06', '09:00')];
+            const result = weekPlannerService.simulate(weekEntries, dateKeys, plans, 90);
+            TestRunner.assert.equal(result.days[1].minutes, 450);
+            TestRunner.assert.equal(result.days[1].exitTime, null);
+            TestRunner.assert.equal(result.balanceMinutes, 90);
+        });
+
+        await TestRunner.test('simulate - settimana già coperta', () => {
+            const longWeek = {
+                '2026-02-02': [{ type: 'entrata', time: '07:00' }, { type: 'uscita', time: '20:00' }],
+                '2026-02-03': [{ type: 'entrata', time: '07:00' }, { type: 'uscita', time: '20:00' }],
+                '2026-02-04': [{ type: 'entrata', time: '07:00' }, { type: 'uscita', time: '20:00' }]
+            };
+            const result = weekPlannerService.simulate(longWeek, dateKeys, [workPlan('2026-02-05'), workPlan('2026-02-06')]);
+            TestRunner.assert.equal(sum(result.days), 0);
+            TestRunner.assert.equal(result.days[0].exitTime, null);
+            TestRunner.assert.true(result.balanceMinutes > 0);
+        });
+
+        await TestRunner.test('splitMinutes - ripartizione proporzionale al target', () => {
+            TestRunner.assert.deepEqual(weekPlannerService.splitMinutes(600, [7.5, 7.5]), [300, 300]);
+            TestRunner.assert.deepEqual(weekPlannerService.splitMinutes(100, [0, 0, 0]), [33, 33, 34]);
+            TestRunner.assert.deepEqual(weekPlannerService.splitMinutes(0, [7.5, 6]), [0, 0]);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: SmartWorking (quote smart working)
+// ============================================
+
+const SmartWorkingTests = {
+    async run() {
+        console.log('\n🏠 Testing quote smart working...');
+
+        const { smartWorkingService, SMART_QUOTA_KINDS } = window.__smartWorkingService ||
+            await import('./js/services/SmartWorkingService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        settingsService.load(null);
+
+        const smart = [{ type: 'smart', hours: 7.5 }];
+        const kinds = warnings => warnings.map(warning => warning.kind);
+
+        // Febbraio 2026: 8 giorni di smart nelle prime due settimane
+        const fullMonth = {
+            '2026-W06': { '2026-02-02': smart, '2026-02-03': smart, '2026-02-04': smart, '2026-02-05': smart },
+            '2026-W07': { '2026-02-09': smart, '2026-02-10': smart, '2026-02-11': smart, '2026-02-12': smart }
+        };
+
+        await TestRunner.test('getMonthUsage - giorni usati e quota mensile', () => {
+            const usage = smartWorkingService.getMonthUsage(fullMonth, '2026-02');
+            TestRunner.assert.equal(usage.label, 'Febbraio');
+            TestRunner.assert.equal(usage.usedDays, 8);
+            TestRunner.assert.equal(usage.maxDays, 8);
+            TestRunner.assert.equal(smartWorkingService.getMonthUsage(fullMonth, '2026-03').usedDays, 0);
+        });
+
+        await TestRunner.test('checkSmartDay - avvisa oltre il massimo mensile', () => {
+            TestRunner.assert.deepEqual(kinds(smartWorkingService.checkSmartDay(fullMonth, '2026-02-16')), [SMART_QUOTA_KINDS.MONTHLY_MAX]);
+            // Il giorno già in smart non aggiunge nulla
+            TestRunner.assert.equal(smartWorkingService.checkSmartDay(fullMonth, '2026-02-12').length, 0);
+            // Il mese successivo riparte da zero
+            TestRunner.assert.equal(smartWorkingService.checkSmartDay(fullMonth, '2026-03-02').length, 0);
+        });
+
+        await TestRunner.test('checkSmartDay - quote settimanali e presenza minima', () => {
+            settingsService.load({ smartWorking: { monthlyMaxDays: null, weeklyMaxDays: 2, weeklyMinPresenceDays: 3 } });
+            const allData = { '2026-W06': { '2026-02-02': smart } };
+            TestRunner.assert.equal(smartWorkingService.checkSmartDay(allData, '2026-02-03').length, 0);
+
+            allData['2026-W06']['2026-02-03'] = smart;
+            TestRunner.assert.deepEqual(
+                kinds(smartWorkingService.checkSmartDay(allData, '2026-02-04')),
+                [SMART_QUOTA_KINDS.WEEKLY_MAX, SMART_QUOTA_KINDS.WEEKLY_PRESENCE]
+            );
+
+            // Un'assenza riduce i giorni disponibili per la presenza
+            const withAbsence = { '2026-W06': { '2026-02-02': [{ type: 'assente', hours: 7.5 }], '2026-02-04': smart } };
+            TestRunner.assert.deepEqual(
+                kinds(smartWorkingService.checkSmartDay(withAbsence, '2026-02-03')),
+                [SMART_QUOTA_KINDS.WEEKLY_PRESENCE]
+            );
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('getWeekUsage - il festivo non è un giorno lavorativo', () => {
+            const usage = smartWorkingService.getWeekUsage({}, '2026-06-03');
+            TestRunner.assert.deepEqual(usage.workingDays, ['2026-06-01', '2026-06-03', '2026-06-04', '2026-06-05']);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: OnCall (reperibilità e interventi)
+// ============================================
+
+const OnCallTests = {
+    async run() {
+        console.log('\n📟 Testing reperibilità...');
+
+        const { onCallService } = window.__onCallService ||
+            await import('./js/services/OnCallService.js');
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { TimeEntry } = window.__timeEntry || await import('./js/models/TimeEntry.js');
+        const { WeekData } = window.__weekData || await import('./js/models/WeekData.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const Validators = window.__validators || await import('./js/utils/Validators.js');
+
+        settingsService.load(null);
+
+        // Lunedì 2026-02-02: giornata in pari e reperibilità notturna con due interventi
+        const onCallDay = [
+            { type: 'entrata', time: '08:00' },
+            { type: 'uscita', time: '16:00' },
+            { type: 'reperibilita', time: '20:00', endTime: '08:00' },
+            { type: 'intervento', time: '22:00', endTime: '23:30' },
+            { type: 'intervento', time: '02:00', endTime: '03:00' }
+        ];
+
+        await TestRunner.test('validateEntry - la fascia può terminare il giorno dopo', () => {
+            TestRunner.assert.true(Validators.validateEntry({ type: 'reperibilita', time: '20:00', endTime: '08:00' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'reperibilita', time: '20:00', endTime: '20:00' }).valid);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'intervento', time: '22:00' }).valid);
+            TestRunner.assert.equal(TimeEntry.createReperibilita('20:00', '08:00').getSpanMinutes(), 720);
+            TestRunner.assert.equal(TimeEntry.createIntervento('22:00', '23:30').toJSON().endTime, '23:30');
+        });
+
+        await TestRunner.test('calculateDayHours - la reperibilità non conta nel saldo', () => {
+            const dayHours = timeCalculator.calculateDayHours(onCallDay, '2026-02-02');
+            TestRunner.assert.equal(dayHours.minutes, 450);
+            TestRunner.assert.equal(dayHours.orphans.length, 0);
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta(onCallDay.slice(2), '2026-02-03'), null);
+        });
+
+        await TestRunner.test('getTotals / getMonthTotals - totali propri', () => {
+            const totals = onCallService.getTotals({ '2026-02-02': onCallDay });
+            TestRunner.assert.equal(totals.availabilityMinutes, 720);
+            TestRunner.assert.equal(totals.interventionMinutes, 150);
+            TestRunner.assert.equal(totals.interventionCount, 2);
+
+            const allData = { '2026-W06': { '2026-02-02': onCallDay }, '2026-W10': { '2026-03-02': onCallDay.slice(2, 3) } };
+            const month = onCallService.getMonthTotals(allData, '2026-02');
+            TestRunner.assert.equal(month.label, 'Febbraio');
+            TestRunner.assert.equal(month.availabilityMinutes, 720);
+            TestRunner.assert.equal(onCallService.getMonthTotals(allData, '2026-03').interventionCount, 0);
+        });
+
+        await TestRunner.test('findWindow - interventi dentro la fascia, anche dopo la mezzanotte', () => {
+            TestRunner.assert.equal(onCallService.findWindow(onCallDay, { time: '02:00', endTime: '03:00' }), onCallDay[2]);
+            TestRunner.assert.equal(onCallService.findWindow(onCallDay, { time: '23:30', endTime: '00:30' }), onCallDay[2]);
+            TestRunner.assert.equal(onCallService.findWindow(onCallDay, { time: '17:00', endTime: '18:00' }), null);
+            TestRunner.assert.equal(onCallService.findWindow(onCallDay, { time: '07:00', endTime: '09:00' }), null);
+        });
+
+        await TestRunner.test('clearDay - smart working mantiene la reperibilità', () => {
+            const week = new WeekData(2026, 6);
+            week.addEntry('2026-02-02', { type: 'entrata', time: '08:00' });
+            week.addEntry('2026-02-02', { type: 'reperibilita', time: '20:00', endTime: '08:00' });
+            week.addEntry('2026-02-02', TimeEntry.createSmart('2026-02-02'));
+
+            const types = week.getEntriesForDate('2026-02-02').map(entry => entry.type);
+            TestRunner.assert.deepEqual(types, ['reperibilita', 'smart']);
+            TestRunner.assert.equal(week.getSpecialDayType('2026-02-02'), 'smart');
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: PauseWindow (fascia della pausa)
+// ============================================
+const PauseWindowTests = {
+    async run() {
+        console.log('\n☕ Testing fascia della pausa...');
+
+        const { timeCalculator, PAUSE_REASONS } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        const pair = (start, end) => [{ type: 'entrata', time: start }, { type: 'uscita', time: end }];
+        // Lunedì 2026-02-02: pausa di 30 minuti alle 10:00
+        const morningBreak = [...pair('08:00', '10:00'), ...pair('10:30', '16:30')];
+
+        await TestRunner.test('calculateDayHours - senza fascia la pausa vale a qualsiasi ora', () => {
+            settingsService.load(null);
+            TestRunner.assert.equal(timeCalculator.getPauseWindow(), null);
+
+            const dayHours = timeCalculator.calculateDayHours(morningBreak, '2026-02-02');
+            TestRunner.assert.equal(dayHours.minutes, 480);
+            TestRunner.assert.equal(dayHours.pauseMinutes, 0);
+            TestRunner.assert.equal(dayHours.pauseReason, null);
+        });
+
+        await TestRunner.test('calculateDayHours - pausa fuori fascia ignorata', () => {
+            settingsService.load({ pause: { windowStart: '12:00', windowEnd: '15:00' } });
+
+            const outside = timeCalculator.calculateDayHours(morningBreak, '2026-02-02');
+            TestRunner.assert.equal(outside.minutes, 450);
+            TestRunner.assert.equal(outside.validBreakMinutes, 0);
+            TestRunner.assert.equal(outside.pauseReason, PAUSE_REASONS.OUTSIDE_WINDOW);
+
+            const inside = timeCalculator.calculateDayHours([...pair('08:00', '12:45'), ...pair('13:15', '16:30')], '2026-02-02');
+            TestRunner.assert.equal(inside.pauseMinutes, 0);
+            TestRunner.assert.equal(inside.minutes, 480);
+
+            // 11:50–12:10: valgono solo i 10 minuti dopo le 12:00
+            const partial = timeCalculator.calculateDayHours([...pair('08:00', '11:50'), ...pair('12:10', '16:30')], '2026-02-02');
+            TestRunner.assert.equal(partial.validBreakMinutes, 10);
+            TestRunner.assert.equal(partial.pauseMinutes, 20);
+            TestRunner.assert.equal(partial.minutes, 470);
+        });
+
+        await TestRunner.test('calculateDayHours - il permesso breve in fascia non è pausa', () => {
+            settingsService.load({ pause: { windowStart: '12:00', windowEnd: '15:00' } });
+
+            const entries = [...pair('08:00', '12:00'), ...pair('13:00', '16:30'), { type: 'breve', time: '12:00', endTime: '12:40' }];
+            const dayHours = timeCalculator.calculateDayHours(entries, '2026-02-02');
+            TestRunner.assert.equal(dayHours.validBreakMinutes, 20);
+            TestRunner.assert.equal(dayHours.pauseMinutes, 10);
+            TestRunner.assert.equal(dayHours.pauseReason, PAUSE_REASONS.SHORT_BREAK);
+        });
+
+        await TestRunner.test('getPauseReason - nessuna pausa o pausa corta', () => {
+            settingsService.load(null);
+
+            const single = timeCalculator.calculateDayHours(pair('08:00', '16:00'), '2026-02-02');
+            TestRunner.assert.equal(single.pauseMinutes, 30);
+            TestRunner.assert.equal(single.pauseReason, PAUSE_REASONS.NO_BREAK);
+
+            const short = timeCalculator.calculateDayHours([...pair('08:00', '12:00'), ...pair('12:15', '16:00')], '2026-02-02');
+            TestRunner.assert.equal(short.pauseMinutes, 15);
+            TestRunner.assert.equal(short.pauseReason, PAUSE_REASONS.SHORT_BREAK);
+
+            // Venerdì sotto la soglia: nessuna pausa dovuta
+            TestRunner.assert.equal(timeCalculator.calculateDayHours(pair('08:00', '14:00'), '2026-02-06').pauseReason, null);
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Mission (missioni e tempo di viaggio)
+// ============================================
+const MissionTests = {
+    async run() {
+        console.log('\n🧳 Testing missioni...');
+
+        const { validateEntry } = window.__validators || await import('./js/utils/Validators.js');
+        const { timeCalculator, MISSION_TRAVEL_RULES } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const { missionService } = window.__missionService ||
+            await import('./js/services/MissionService.js');
+        const { WeekData } = window.__weekData || await import('./js/models/WeekData.js');
+
+        // Lunedì 2026-02-02 (target 7:30): 10 ore fuori sede, di cui 3 di viaggio
+        const mission = { type: 'missione', time: '08:00', endTime: '18:00', destination: 'Roma', travelMinutes: 180 };
+
+        await TestRunner.test('validateEntry - missione valida e campi obbligatori', () => {
+            TestRunner.assert.true(validateEntry(mission).valid);
+            TestRunner.assert.false(validateEntry({ ...mission, destination: '  ' }).valid);
+            TestRunner.assert.false(validateEntry({ ...mission, endTime: '07:00' }).valid);
+            TestRunner.assert.false(validateEntry({ ...mission, travelMinutes: 700 }).valid);
+            TestRunner.assert.false(validateEntry({ ...mission, travelMinutes: 1.5 }).valid);
+        });
+
+        await TestRunner.test('calculateDayHours - viaggio conteggiato secondo la regola', () => {
+            settingsService.load(null);
+            TestRunner.assert.equal(timeCalculator.getMissionTravelRule(), MISSION_TRAVEL_RULES.TARGET);
+            // Attività 10h - 3h viaggio - 30 min pausa = 6:30; il viaggio completa fino al target
+            TestRunner.assert.equal(timeCalculator.calculateDayHours([mission], '2026-02-02').minutes, 450);
+
+            settingsService.load({ mission: { travelRule: MISSION_TRAVEL_RULES.FULL } });
+            TestRunner.assert.equal(timeCalculator.calculateDayHours([mission], '2026-02-02').minutes, 570);
+
+            settingsService.load({ mission: { travelRule: MISSION_TRAVEL_RULES.NONE } });
+            TestRunner.assert.equal(timeCalculator.calculateDayHours([mission], '2026-02-02').minutes, 390);
+
+            settingsService.load({ mission: { travelRule: 'sconosciuta' } });
+            TestRunner.assert.equal(timeCalculator.getMissionTravelRule(), MISSION_TRAVEL_RULES.TARGET);
+            settingsService.load(null);
+        });
+
+        await TestRunner.test('getMonthSummary - missioni del mese in ordine di data', () => {
+            settingsService.load(null);
+            const allData = {
+                '2026-W06': {
+                    '2026-02-03': [{ ...mission, destination: 'Milano', travelMinutes: 0 }],
+                    '2026-02-02': [mission]
+                },
+                '2026-W10': { '2026-03-02': [mission] }
+            };
+
+            const summary = missionService.getMonthSummary(allData, '2026-02');
+            TestRunner.assert.equal(summary.label, 'Febbraio 2026');
+            TestRunner.assert.deepEqual(summary.missions.map(item => item.destination), ['Roma', 'Milano']);
+            TestRunner.assert.equal(summary.missions[0].countedTravelMinutes, 60);
+            TestRunner.assert.equal(summary.travelMinutes, 180);
+            TestRunner.assert.equal(summary.minutes, 450 + 570);
+        });
+
+        await TestRunner.test('addEntry - la missione sostituisce le timbrature ma non la reperibilità', () => {
+            const weekData = WeekData.fromWeekKey('2026-W06', {
+                '2026-02-02': [
+                    { type: 'entrata', time: '08:00' },
+                    { type: 'reperibilita', time: '20:00', endTime: '08:00' }
+                ]
+            });
+            weekData.addEntry('2026-02-02', mission);
+
+            const types = weekData.getEntriesForDate('2026-02-02').map(entry => entry.type);
+            TestRunner.assert.deepEqual(types, ['reperibilita', 'missione']);
+            TestRunner.assert.equal(weekData.getSpecialDayType('2026-02-02'), 'missione');
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Note (note e motivazioni)
+// ============================================
+const NoteTests = {
+    async run() {
+        console.log('\n📝 Testing note e motivazioni...');
+
+        const { validateEntry } = window.__validators || await import('./js/utils/Validators.js');
+        const { TimeEntry } = window.__timeEntry || await import('./js/models/TimeEntry.js');
+        const { WeekData } = window.__weekData || await import('./js/models/WeekData.js');
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const { exportService } = window.__exportService ||
+            await import('./js/services/ExportService.js');
+
+        await TestRunner.test('validateEntry - nota e motivazione su ogni tipo', () => {
+            TestRunner.assert.true(validateEntry({ type: 'uscita', time: '14:00', note: 'Visita medica', justification: 'salute' }).valid);
+            TestRunner.assert.false(validateEntry({ type: 'uscita', time: '14:00', justification: 'sconosciuta' }).valid);
+            TestRunner.assert.false(validateEntry({ type: 'entrata', time: '08:00', note: 'x'.repeat(201) }).valid);
+            TestRunner.assert.true(validateEntry({ type: 'nota', justification: 'servizio' }).valid);
+            TestRunner.assert.false(validateEntry({ type: 'nota', note: '  ' }).valid);
+        });
+
+        await TestRunner.test('TimeEntry - nota e motivazione nel JSON', () => {
+            const entry = TimeEntry.createUscita('14:00');
+            const { id, createdAt } = entry;
+            TestRunner.assert.deepEqual(entry.toJSON(), { id, type: 'uscita', time: '14:00', createdAt });
+
+            entry.update({ note: ' Visita medica ', justification: 'salute' });
+            const json = entry.toJSON();
+            TestRunner.assert.deepEqual(json, { id, type: 'uscita', time: '14:00', note: 'Visita medica', justification: 'salute', createdAt });
+            TestRunner.assert.equal(TimeEntry.fromJSON(json).getJustificationLabel(), 'Motivi di salute');
+
+            entry.update({ note: '', justification: null });
+            TestRunner.assert.deepEqual(entry.toJSON(), { id, type: 'uscita', time: '14:00', createdAt });
+        });
+
+        await TestRunner.test('Nota del giorno - esclusa dalle ore e conservata dai giorni speciali', () => {
+            settingsService.load(null);
+            const day = [
+                { type: 'nota', note: 'Sciopero dei treni', justification: 'trasporti' },
+                { type: 'entrata', time: '09:00' },
+                { type: 'uscita', time: '14:00' }
+            ];
+            const withoutNote = timeCalculator.calculateDayHours(day.slice(1), '2026-02-05');
+            TestRunner.assert.deepEqual(timeCalculator.calculateDayHours(day, '2026-02-05'), withoutNote);
+            TestRunner.assert.equal(timeCalculator.calculateDayDelta([day[0]], '2026-02-05'), null);
+
+            const weekData = WeekData.fromWeekKey('2026-W06', { '2026-02-05': day });
+            weekData.addEntry('2026-02-05', { type: 'smart' });
+            const types = weekData.getEntriesForDate('2026-02-05').map(entry => entry.type);
+            TestRunner.assert.deepEqual(types, ['nota', 'smart']);
+            TestRunner.assert.equal(weekData.getSpecialDayType('2026-02-05'), 'smart');
+        });
+
+        await TestRunner.test('Export - note nel CSV e nel report testuale', () => {
+            settingsService.load(null);
+            const weekData = {
+                '2026-02-05': [
+                    { type: 'entrata', time: '08:00' },
+                    { type: 'uscita', time: '14:00', note: 'Visita medica; rientro domani', justification: 'salute' }
+                ]
+            };
+
+            const csv = exportService.generateCSV('2026-W06', weekData).split('\n');
+            TestRunner.assert.true(csv[0].endsWith(';Note'));
+            const exitRow = csv.find(line => line.includes(';Uscita;'));
+            TestRunner.assert.true(exitRow.endsWith(';Motivi di salute - Visita medica, rientro domani'));
+
+            const report = exportService.generateTextReport('2026-W06', weekData);
+            TestRunner.assert.true(report.includes('Uscita: 14:00 (Motivi di salute - Visita medica, rientro domani)'));
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Audit (storico modifiche)
+// ============================================
+const AuditTests = {
+    async run() {
+        console.log('\n🕘 Testing storico modifiche...');
+
+        const { WeekData, AUDIT_ACTIONS, AUDIT_SOURCES } = window.__weekData || await import('./js/models/WeekData.js');
+        const { auditService } = window.__auditService || await import('./js/services/AuditService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        await TestRunner.test('WeekData - record per aggiunta, correzione ed eliminazione', () => {
+            const weekData = WeekData.fromWeekKey('2026-W06');
+            const { id, createdAt } = weekData.addEntry('2026-02-05', { type: 'entrata', time: '08:05' }, AUDIT_SOURCES.BUTTON);
+            weekData.updateEntry('2026-02-05', id, { time: '08:00' }, AUDIT_SOURCES.MODAL);
+            weekData.updateEntry('2026-02-05', id, { time: '08:00' }, AUDIT_SOURCES.MODAL);
+            weekData.deleteEntry('2026-02-05', id, AUDIT_SOURCES.MODAL);
+
+            const records = weekData.takeAuditRecords();
+            TestRunner.assert.deepEqual(records.map(record => record.action),
+                [AUDIT_ACTIONS.ADD, AUDIT_ACTIONS.UPDATE, AUDIT_ACTIONS.DELETE]);
+            TestRunner.assert.deepEqual(records[1].before, { id, type: 'entrata', time: '08:05', createdAt });
+            TestRunner.assert.deepEqual(records[1].after, { id, type: 'entrata', time: '08:00', createdAt });
+            TestRunner.assert.equal(records[2].after, null);
+            TestRunner.assert.equal(records[0].source, AUDIT_SOURCES.BUTTON);
+            TestRunner.assert.equal(weekData.takeAuditRecords().length, 0);
+        });
+
+        await TestRunner.test('WeekData - caricamento senza record, giorno speciale registra le sostituzioni', () => {
+            settingsService.load(null);
+            const weekData = WeekData.fromWeekKey('2026-W06', {
+                '2026-02-05': [{ type: 'entrata', time: '08:00' }, { type: 'uscita', time: '14:00' }]
+            });
+            TestRunner.assert.equal(weekData.takeAuditRecords().length, 0);
+
+            weekData.addEntry('2026-02-05', { type: 'smart' }, AUDIT_SOURCES.QUICK_ACTION);
+            const records = weekData.takeAuditRecords();
+            TestRunner.assert.deepEqual(records.map(record => record.action),
+                [AUDIT_ACTIONS.DELETE, AUDIT_ACTIONS.DELETE, AUDIT_ACTIONS.ADD]);
+            TestRunner.assert.true(records.every(record => record.source === AUDIT_SOURCES.QUICK_ACTION));
+        });
+
+        await TestRunner.test('AuditService - storico del giorno e descrizione', async () => {
+            const savedRecords = auditService.records;
+            const savedStorage = auditService.storage;
+            auditService.records = [];
+            auditService.storage = null;
+
+            await auditService.append([
+                { timestamp: 1000, dateKey: '2026-02-05', action: 'add', source: 'button', before: null, after: { type: 'entrata', time: '08:05' } },
+                { timestamp: 2000, dateKey: '2026-02-05', action: 'update', source: 'modal', before: { type: 'entrata', time: '08:05' }, after: { type: 'entrata', time: '08:00' } },
+                { timestamp: 3000, dateKey: '2026-02-06', action: 'add', source: null, before: null, after: { type: 'smart', hours: 7.2 } }
+            ]);
+
+            const history = auditService.getDayHistory('2026-02-05');
+            TestRunner.assert.deepEqual(history.map(record => record.timestamp), [2000, 1000]);
+            TestRunner.assert.deepEqual(auditService.getHistoryCounts(['2026-02-05', '2026-02-06', '2026-02-07']),
+                { '2026-02-05': 2, '2026-02-06': 1, '2026-02-07': 0 });
+
+            const described = auditService.describeRecord(history[0]);
+            TestRunner.assert.equal(described.actionLabel, 'Correzione');
+            TestRunner.assert.equal(described.sourceLabel, 'Modifica manuale');
+            TestRunner.assert.equal(described.change, 'Entrata 08:05 → Entrata 08:00');
+            TestRunner.assert.equal(auditService.describeRecord(auditService.getDayHistory('2026-02-06')[0]).sourceLabel,
+                'Origine non indicata');
+
+            TestRunner.assert.equal(await auditService.removeBefore('2026-02-06'), 2);
+            TestRunner.assert.equal(auditService.records.length, 1);
+
+            auditService.records = savedRecords;
+            auditService.storage = savedStorage;
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Undo (annulla/ripeti)
+// ============================================
+const UndoTests = {
+    async run() {
+        console.log('\n↩️ Testing annulla/ripeti...');
+
+        const { WeekData, AUDIT_ACTIONS, AUDIT_SOURCES } = window.__weekData || await import('./js/models/WeekData.js');
+        const { hourBankService } = window.__hourBankService ||
+            await import('./js/services/HourBankService.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+
+        await TestRunner.test('restoreFromJSON - ripristina la settimana e registra le differenze', () => {
+            settingsService.load(null);
+            const before = { '2026-02-05': [
+                { id: 'entry_1', type: 'entrata', time: '08:00', createdAt: 1000 },
+                { id: 'entry_2', type: 'uscita', time: '14:00', createdAt: 2000 }
+            ] };
+            const weekData = WeekData.fromWeekKey('2026-W06', before);
+            weekData.addEntry('2026-02-05', { type: 'smart' }, AUDIT_SOURCES.QUICK_ACTION);
+            const after = weekData.toJSON();
+            weekData.takeAuditRecords();
+
+            weekData.restoreFromJSON(before, AUDIT_SOURCES.UNDO);
+            TestRunner.assert.deepEqual(weekData.toJSON(), before);
+            const records = weekData.takeAuditRecords();
+            TestRunner.assert.deepEqual(records.map(record => record.action),
+                [AUDIT_ACTIONS.DELETE, AUDIT_ACTIONS.ADD, AUDIT_ACTIONS.ADD]);
+            TestRunner.assert.true(records.every(record => record.source === AUDIT_SOURCES.UNDO));
+
+            weekData.restoreFromJSON(after, AUDIT_SOURCES.UNDO);
+            TestRunner.assert.deepEqual(weekData.toJSON(), after);
+        });
+
+        await TestRunner.test('restoreFromJSON - stato identico senza record, settimana svuotata', () => {
+            const data = { '2026-02-02': [
+                { id: 'entry_1', type: 'entrata', time: '08:00', createdAt: 1000 },
+                { id: 'entry_2', type: 'entrata', time: '08:00', createdAt: 1000 }
+            ] };
+            const weekData = WeekData.fromWeekKey('2026-W06', data);
+            weekData.restoreFromJSON(data);
+            TestRunner.assert.equal(weekData.takeAuditRecords().length, 0);
+
+            weekData.restoreFromJSON({});
+            TestRunner.assert.true(weekData.isEmpty());
+            TestRunner.assert.equal(weekData.takeAuditRecords().length, 2);
+        });
+
+        await TestRunner.test('setAdjustments - ripristina le rettifiche della banca ore', async () => {
+            settingsService.load(null);
+            const adjustments = [{ id: 'adj-1', date: '2026-02-06', type: 'set', minutes: 90, note: 'Riporto' }];
+            await hourBankService.setAdjustments(adjustments);
+            TestRunner.assert.deepEqual(hourBankService.getAdjustments(), adjustments);
+            await hourBankService.setAdjustments([]);
+            TestRunner.assert.equal(hourBankService.getAdjustments().length, 0);
+        });
+
+        await TestRunner.test('setAdjustments - salvataggio non riuscito lascia le impostazioni invariate', async () => {
+            settingsService.load({ leave: { ferieDays: 28 } });
+            const savedStorage = settingsService.storage;
+            settingsService.storage = { saveSettings: async () => false };
+            try {
+                const adjustments = [{ id: 'adj-1', date: '2026-02-06', type: 'set', minutes: 90, note: 'Riporto' }];
+                TestRunner.assert.false(await hourBankService.setAdjustments(adjustments));
+                TestRunner.assert.equal(hourBankService.getAdjustments().length, 0);
+                TestRunner.assert.false(await settingsService.update('leave', { ferieDays: 30 }));
+                TestRunner.assert.equal(settingsService.get('leave').ferieDays, 28);
+            } finally {
+                settingsService.storage = savedStorage;
+                settingsService.load(null);
+            }
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: Schema (versione dati e migrazioni)
+// ============================================
+const SchemaTests = {
+    async run() {
+        console.log('\n🧬 Testing versione schema e migrazioni...');
+
+        const { SCHEMA_VERSION, LEGACY_SCHEMA_VERSION, MIGRATIONS, migrateData, createExportFile, readExportFile } =
+            window.__schemaMigrations || await import('./js/storage/SchemaMigrations.js');
+        const { exportService } = window.__exportService ||
+            await import('./js/services/ExportService.js');
+        const { StorageManager } = await import('./js/storage/StorageManager.js');
+
+        const legacyData = { '2026-W06': { '2026-02-02': [
+            { type: 'entrata', time: '08:00' },
+            { type: 'uscita', time: '14:00' }
+        ] } };
+
+        await TestRunner.test('Migrazione v2 - assegna ID senza modificare i dati originali', () => {
+            const step = MIGRATIONS.find(migration => migration.version === 2);
+            const migrated = step.migrate(legacyData);
+            const entries = migrated['2026-W06']['2026-02-02'];
+
+            TestRunner.assert.true(entries.every(entry => typeof entry.id === 'string' && typeof entry.createdAt === 'number'));
+            TestRunner.assert.true(entries[0].id !== entries[1].id);
+            TestRunner.assert.false('id' in legacyData['2026-W06']['2026-02-02'][0]);
+        });
+
+        await TestRunner.test('migrateData - passi in ordine con callback prima di ogni passo', async () => {
+            const calls = [];
+            const migrated = await migrateData(legacyData, LEGACY_SCHEMA_VERSION, (step, data, version) => {
+                calls.push({ step: step.version, version, data });
+            });
+
+            TestRunner.assert.equal(calls.length, MIGRATIONS.length);
+            TestRunner.assert.equal(calls[0].version, LEGACY_SCHEMA_VERSION);
+            TestRunner.assert.equal(calls[0].data, legacyData);
+            TestRunner.assert.equal(calls[calls.length - 1].step, SCHEMA_VERSION);
+            TestRunner.assert.true(migrated['2026-W06']['2026-02-02'].every(entry => entry.id));
+
+            // Dati già alla versione corrente: nessun passo
+            const current = await migrateData(migrated, SCHEMA_VERSION, () => calls.push(null));
+            TestRunner.assert.equal(current, migrated);
+            TestRunner.assert.equal(calls.length, MIGRATIONS.length);
+        });
+
+        await TestRunner.test('readExportFile - file con versione, senza versione e non validi', () => {
+            const file = createExportFile({ '2026-W06': {} });
+            TestRunner.assert.equal(file.schemaVersion, SCHEMA_VERSION);
+            TestRunner.assert.deepEqual(readExportFile(file), { valid: true, version: SCHEMA_VERSION, data: { '2026-W06': {} }, settings: null });
+            TestRunner.assert.deepEqual(readExportFile(legacyData), { valid: true, version: LEGACY_SCHEMA_VERSION, data: legacyData, settings: null });
+            TestRunner.assert.deepEqual(readExportFile(createExportFile({}, { hourBank: { adjustments: [] } })).settings,
+                { hourBank: { adjustments: [] } });
+            // File {data, settings} senza versione (export precedenti al versionamento)
+            TestRunner.assert.deepEqual(readExportFile({ data: legacyData, settings: { hourBank: { adjustments: [] } } }),
+                { valid: true, version: LEGACY_SCHEMA_VERSION, data: legacyData, settings: { hourBank: { adjustments: [] } } });
+            TestRunner.assert.false(readExportFile({ schemaVersion: SCHEMA_VERSION + 1, data: {} }).valid);
+            TestRunner.assert.false(readExportFile({ schemaVersion: 'due', data: {} }).valid);
+            TestRunner.assert.false(readExportFile({ schemaVersion: SCHEMA_VERSION }).valid);
+        });
+
+        await TestRunner.test('parseImportData - migra i file esportati da versioni precedenti', async () => {
+            const legacy = await exportService.parseImportData(JSON.stringify(legacyData));
+            TestRunner.assert.true(legacy.success);
+            TestRunner.assert.equal(legacy.fromVersion, LEGACY_SCHEMA_VERSION);
+            TestRunner.assert.true(legacy.data['2026-W06']['2026-02-02'].every(entry => entry.id && entry.createdAt));
+
+            const current = await exportService.parseImportData(JSON.stringify(createExportFile(legacy.data)));
+            TestRunner.assert.true(current.success);
+            TestRunner.assert.deepEqual(current.data, legacy.data);
+
+            const newer = await exportService.parseImportData(JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, data: {} }));
+            TestRunner.assert.false(newer.success);
+        });
+
+        await TestRunner.test('StorageManager.migrateSchema - backup prima della migrazione e versione salvata', async () => {
+            const calls = [];
+            let saved = JSON.parse(JSON.stringify(legacyData));
+            let savedVersion = null;
+
+            const mgr = new StorageManager();
+            mgr.useIndexedDB = false;
+            mgr.localStorage = {
+                isAvailable: true,
+                loadAllData: async () => saved,
+                saveAllData: async (data) => { calls.push('save'); saved = data; return true; },
+                loadSchemaVersion: async () => savedVersion,
+                saveSchemaVersion: async (version) => { calls.push('version'); savedVersion = version; return true; },
+                saveMigrationBackup: async (version, data) => {
+                    calls.push(`backup v${version}`);
+                    TestRunner.assert.false('id' in data['2026-W06']['2026-02-02'][0]);
+                    return true;
+                }
+            };
+
+            TestRunner.assert.equal(await mgr.migrateSchema(), SCHEMA_VERSION);
+            TestRunner.assert.deepEqual(calls, [`backup v${LEGACY_SCHEMA_VERSION}`, 'save', 'version']);
+            TestRunner.assert.equal(savedVersion, SCHEMA_VERSION);
+            TestRunner.assert.true(saved['2026-W06']['2026-02-02'].every(entry => entry.id));
+
+            // Seconda apertura: dati già aggiornati
+            calls.length = 0;
+            TestRunner.assert.equal(await mgr.migrateSchema(), SCHEMA_VERSION);
+            TestRunner.assert.equal(calls.length, 0);
+        });
+
+        await TestRunner.test('StorageManager.migrateSchema - migrazione fallita blocca le scritture fino al ripristino', async () => {
+            let saved = JSON.parse(JSON.stringify(legacyData));
+            let savedVersion = null;
+            let backup = null;
+            let failSave = true;
+
+            const mgr = new StorageManager();
+            mgr.useIndexedDB = false;
+            mgr.localStorage = {
+                isAvailable: true,
+                loadAllData: async () => saved,
+                saveAllData: async (data) => {
+                    if (failSave) throw new Error('Quota superata');
+                    saved = data;
+                    return true;
+                },
+                loadSchemaVersion: async () => savedVersion,
+                saveSchemaVersion: async (version) => { savedVersion = version; return true; },
+                saveMigrationBackup: async (version, data) => {
+                    backup = { timestamp: Date.now(), schemaVersion: version, data: JSON.parse(JSON.stringify(data)) };
+                    return true;
+                },
+                loadMigrationBackup: async (version) => (backup?.schemaVersion === version ? backup : null),
+                saveSettings: async () => true,
+                saveAuditLog: async () => true
+            };
+
+            TestRunner.assert.equal(await mgr.migrateSchema(), LEGACY_SCHEMA_VERSION);
+            TestRunner.assert.true(mgr.isWriteBlocked());
+            TestRunner.assert.equal(mgr.migrationFailure.fromVersion, LEGACY_SCHEMA_VERSION);
+
+            // Scritture rifiutate anche con lo storage di nuovo disponibile
+            failSave = false;
+            TestRunner.assert.false(await mgr.saveAllData({}));
+            TestRunner.assert.false(await mgr.saveSettings({}));
+            TestRunner.assert.false((await mgr.importData({ '2026-W07': {} })).success);
+            TestRunner.assert.deepEqual(saved, legacyData);
+
+            // Il ripristino riporta i dati del backup alla versione di partenza e sblocca
+            TestRunner.assert.true(await mgr.restoreMigrationBackup());
+            TestRunner.assert.false(mgr.isWriteBlocked());
+            TestRunner.assert.deepEqual(saved, legacyData);
+            TestRunner.assert.equal(savedVersion, LEGACY_SCHEMA_VERSION);
+            TestRunner.assert.true(await mgr.saveAllData(saved));
+        });
+    }
+};
+
+// ============================================
+// TEST SUITE: NightShift (turni a cavallo della mezzanotte)
+// ============================================
+
+const NightShiftTests = {
+    async run() {
+        console.log('\n🌙 Testing turni notturni...');
+
+        const { timeCalculator } = window.__timeCalculator ||
+            await import('./js/services/TimeCalculator.js');
+        const { settingsService } = window.__settingsService ||
+            await import('./js/services/SettingsService.js');
+        const { hourBankService } = window.__hourBankService ||
+            await import('./js/services/HourBankService.js');
+        const { complianceService, COMPLIANCE_RULES } = window.__complianceService ||
+            await import('./js/services/ComplianceService.js');
+        const { WeekData } = window.__weekData || await import('./js/models/WeekData.js');
+        const { TimeEntry } = window.__timeEntry || await import('./js/models/TimeEntry.js');
+        const Validators = window.__validators || await import('./js/utils/Validators.js');
+
+        settingsService.load(null);
+
+        // Giovedì 2026-02-05 22:00 → venerdì 06:00 (8h lorde, pausa 30 min)
+        const nightShift = [
+            { type: 'entrata', time: '22:00' },
+            { type: 'uscita', time: '06:00', nextDay: true }
+        ];
+
+        await TestRunner.test('validateTimeSequence - uscita del giorno dopo', () => {
+            TestRunner.assert.false(Validators.validateTimeSequence('22:00', '06:00').valid);
+            TestRunner.assert.true(Validators.validateTimeSequence('22:00', '06:00', true).valid);
+            TestRunner.assert.false(Validators.validateTimeSequence('06:00', '22:00', true).valid);
+        });
+
+        await TestRunner.test('TimeEntry - nextDay serializzato solo per le uscite', () => {
+            TestRunner.assert.true(TimeEntry.createUscita('06:00', true).toJSON().nextDay);
+            TestRunner.assert.equal(TimeEntry.createUscita('16:00').toJSON().nextDay, undefined);
+            TestRunner.assert.false(new TimeEntry({ type: 'entrata', time: '22:00', nextDay: true }).nextDay);
+            TestRunner.assert.false(Validators.validateEntry({ type: 'entrata', time: '22:00', nextDay: true }).valid);
+        });
+
+        await TestRunner.test('calculateDayHours - minuti dopo la mezzanotte al giorno dopo', () => {
+            const thursday = timeCalculator.calculateDayHours(nightShift, '2026-02-05');
+            TestRunner.assert.equal(thursday.overnightMinutes, 360);
+            TestRunner.assert.equal(thursday.minutes, 90); // 22:00-24:00 meno la pausa
+
+            const friday = timeCalculator.calculateDayHours([], '2026-02-06', { previousEntries: nightShift });
+            TestRunner.assert.equal(friday.carryInMinutes, 360);
+            TestRunner.assert.equal(friday.minutes, 360);
+        });
+
+        await TestRunner.test('calculateWeekTotal - turno del venerdì conta il sabato', () => {
+            const week = {
+                '2026-02-05': nightShift,
+                '2026-02-06': [{ type: 'entrata', time: '22:00' }, { type: 'uscita', time: '02:00', nextDay: true }]
+            };
+            const total = timeCalculator.calculateWeekTotal(week);
+            TestRunner.assert.equal(total.byDay['2026-02-06'].minutes, 360 + 120);
+            TestRunner.assert.equal(total.byDay['2026-02-07'].minutes, 120);
+            TestRunner.assert.equal(total.minutes, 450 + 240);
+        });
+
+        await TestRunner.test('Export - il turno del venerdì notte entra nei totali', async () => {
+            const { exportService } = window.__exportService ||
+                await import('./js/services/ExportService.js');
+            const week = {
+                '2026-02-06': [{ type: 'entrata', time: '22:00' }, { type: 'uscita', time: '06:00', nextDay: true }]
+            };
+            // Venerdì 22:00-24:00 meno la pausa, sabato 00:00-06:00
+            const total = exportService.minutesToTimeString(90 + 360);
+
+            const csv = exportService.generateCSV('2026-W06', week).split('\n');
+            TestRunner.assert.true(csv.includes(['', '', '', '', 'TOTALE SETTIMANA', total].join(';')));
+
+            const report = exportService.generateTextReport('2026-W06', week);
+            TestRunner.assert.true(report.includes(`TOTALE: ${total} / `));
+        });
+
+        await TestRunner.test('hourBank - saldo notturno tra settimane', () => {
+            const allData = {
+                '2026-W06': { '2026-02-05': nightShift }
+            };
+            const balances = hourBankService.getDailyBalances(allData);
+            const friday = balances.find(day => day.date === '2026-02-06');
+            TestRunner.assert.true(Boolean(friday));
+            const worked = balances.reduce((sum, day) =>
+                sum + day.minutes + timeCalculator.hoursToMinutes(timeCalculator.getDailyTarget(day.date)), 0);
+            TestRunner.assert.equal(worked, 450);
+        });
+
+        await TestRunner.test('compliance - riposo dopo turno notturno', () => {
+            const weekData = WeekData.fromWeekKey('2026-W06', {
+                '2026-02-05': nightShift,
+                '2026-02-06': [{ type: 'entrata', time: '14:00' }, { type: 'uscita', time: '20:00' }]
+            });
+            const rest = complianceService.checkWeek(weekData)
+                .find(finding => finding.rule === COMPLIANCE_RULES.DAILY_REST);
+            TestRunner.assert.equal(rest?.dateKey, '2026-02-06');
+            TestRunner.assert.equal(rest?.minutes, 480); // 06:00 → 14:00
+        });
     }
 };
 
@@ -646,6 +2698,26 @@ const AllTests = {
             await TimeCalculatorTests.run();
             await TimeEntryTests.run();
             await WeekDataTests.run();
+            await ContractProfileTests.run();
+            await HourBankTests.run();
+            await OvertimeTests.run();
+            await RoundingTests.run();
+            await ComplianceTests.run();
+            await MealVoucherTests.run();
+            await AbsenceReasonTests.run();
+            await LeaveBalanceTests.run();
+            await ShortLeaveTests.run();
+            await HolidayTests.run();
+            await WeekPlannerTests.run();
+            await SmartWorkingTests.run();
+            await OnCallTests.run();
+            await PauseWindowTests.run();
+            await MissionTests.run();
+            await NoteTests.run();
+            await AuditTests.run();
+            await UndoTests.run();
+            await SchemaTests.run();
+            await NightShiftTests.run();
             await StorageTests.run();
             await IntegrationTests.run();
         } catch (error) {
@@ -661,6 +2733,27 @@ const AllTests = {
     async runTimeCalculator() { TestRunner.reset(); await TimeCalculatorTests.run(); return TestRunner.report(); },
     async runTimeEntry() { TestRunner.reset(); await TimeEntryTests.run(); return TestRunner.report(); },
     async runWeekData() { TestRunner.reset(); await WeekDataTests.run(); return TestRunner.report(); },
+    async runContractProfile() { TestRunner.reset(); await ContractProfileTests.run(); return TestRunner.report(); },
+    async runHourBank() { TestRunner.reset(); await HourBankTests.run(); return TestRunner.report(); },
+    async runOvertime() { TestRunner.reset(); await OvertimeTests.run(); return TestRunner.report(); },
+    async runRounding() { TestRunner.reset(); await RoundingTests.run(); return TestRunner.report(); },
+    async runCompliance() { TestRunner.reset(); await ComplianceTests.run(); return TestRunner.report(); },
+    async runMealVoucher() { TestRunner.reset(); await MealVoucherTests.run(); return TestRunner.report(); },
+    async runAbsenceReason() { TestRunner.reset(); await AbsenceReasonTests.run(); return TestRunner.report(); },
+    async runLeaveBalance() { TestRunner.reset(); await LeaveBalanceTests.run(); return TestRunner.report(); },
+    async runShortLeave() { TestRunner.reset(); await ShortLeaveTests.run(); return TestRunner.report(); },
+    async runHoliday() { TestRunner.reset(); await HolidayTests.run(); return TestRunner.report(); },
+    async runWeekPlanner() { TestRunner.reset(); await WeekPlannerTests.run(); return TestRunner.report(); },
+    async runSmartWorking() { TestRunner.reset(); await SmartWorkingTests.run(); return TestRunner.report(); },
+    async runOnCall() { TestRunner.reset(); await OnCallTests.run(); return TestRunner.report(); },
+    async runPauseWindow() { TestRunner.reset(); await PauseWindowTests.run(); return TestRunner.report(); },
+    async runMission() { TestRunner.reset(); await MissionTests.run(); return TestRunner.report(); },
+    async runNote() { TestRunner.reset(); await NoteTests.run(); return TestRunner.report(); },
+    async runAudit() { TestRunner.reset(); await AuditTests.run(); return TestRunner.report(); },
+    async runUndo() { TestRunner.reset(); await UndoTests.run(); return TestRunner.report(); },
+    async runSchema() { TestRunner.reset(); await SchemaTests.run(); return TestRunner.report(); },
+
+    async runNightShift() { TestRunner.reset(); await NightShiftTests.run(); return TestRunner.report(); },
     async runStorage() { TestRunner.reset(); await StorageTests.run(); return TestRunner.report(); },
     async runIntegration() { TestRunner.reset(); await IntegrationTests.run(); return TestRunner.report(); }
 };